@@ -0,0 +1,111 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FiClock, FiLoader, FiCheckCircle, FiXCircle, FiMinusCircle } from 'react-icons/fi';
+import { JOB_STATUS } from '../../services/analysisService';
+
+// Icon, color and label of each job status
+const STATUS_DISPLAY = {
+  [JOB_STATUS.QUEUED]: { Icon: FiClock, className: 'text-gray-500', label: 'Queued' },
+  [JOB_STATUS.RUNNING]: { Icon: FiLoader, className: 'text-blue-600', label: 'Running' },
+  [JOB_STATUS.SUCCEEDED]: { Icon: FiCheckCircle, className: 'text-green-600', label: 'Finished' },
+  [JOB_STATUS.FAILED]: { Icon: FiXCircle, className: 'text-red-600', label: 'Failed' },
+  [JOB_STATUS.CANCELLED]: { Icon: FiMinusCircle, className: 'text-gray-400', label: 'Cancelled' }
+};
+
+/**
+ * AnalysisJobs Component
+ * The analysis jobs of this session with their status and progress. Queued and
+ * running jobs can be cancelled; finished ones can be opened or removed.
+ */
+const AnalysisJobs = ({ jobs, methods = [], activeJobId, onViewResults, onCancel, onRemove }) => {
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 mb-6">
+      <h2 className="text-lg font-medium text-gray-900 mb-2">Analysis Jobs</h2>
+      <ul className="divide-y divide-gray-200">
+        {jobs.map(job => {
+          const { Icon, className, label } = STATUS_DISPLAY[job.status];
+          const methodName = methods.find(method => method.id === job.methodId)?.name || job.methodId;
+          const isActive = job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+          const percent = job.progress !== null ? Math.round(job.progress * 100) : null;
+
+          return (
+            <li key={job.id} className={`py-2 flex items-center gap-3 text-sm ${job.id === activeJobId ? 'bg-blue-50 -mx-2 px-2 rounded' : ''}`}>
+              <Icon className={`h-4 w-4 flex-shrink-0 ${className}`} />
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-gray-900 truncate">
+                  {methodName}
+                  {job.request.dataset?.name && <span className="font-normal text-gray-500"> on {job.request.dataset.name}</span>}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {label} · submitted {new Date(job.createdAt).toLocaleTimeString()}
+                  {job.error && <span className="text-red-600"> · {job.error}</span>}
+                </div>
+                {job.status === JOB_STATUS.RUNNING && (
+                  <div className="mt-1 flex items-center gap-2 text-xs text-gray-500">
+                    <div className="w-32 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full bg-blue-500 ${percent === null ? 'animate-pulse' : ''}`}
+                        style={{ width: `${percent === null ? 100 : percent}%` }}
+                      />
+                    </div>
+                    {percent !== null && <span>{percent}%</span>}
+                  </div>
+                )}
+              </div>
+              {job.status === JOB_STATUS.SUCCEEDED && job.id !== activeJobId && (
+                <button
+                  type="button"
+                  onClick={() => onViewResults(job)}
+                  className="font-medium text-blue-600 hover:text-blue-500"
+                >
+                  View results
+                </button>
+              )}
+              {isActive ? (
+                <button
+                  type="button"
+                  onClick={() => onCancel(job.id)}
+                  className="font-medium text-red-600 hover:text-red-500"
+                >
+                  Cancel
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onRemove(job.id)}
+                  className="font-medium text-gray-500 hover:text-gray-700"
+                >
+                  Remove
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+AnalysisJobs.propTypes = {
+  jobs: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    methodId: PropTypes.string,
+    status: PropTypes.oneOf(Object.values(JOB_STATUS)).isRequired,
+    progress: PropTypes.number,
+    error: PropTypes.string,
+    createdAt: PropTypes.string.isRequired,
+    request: PropTypes.object.isRequired
+  })).isRequired,
+  methods: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })),
+  activeJobId: PropTypes.string,
+  onViewResults: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+export default AnalysisJobs;
@@ -1,7 +1,52 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
-import { FiBarChart2, FiPieChart, FiGrid, FiDownload, FiZap, FiInfo } from 'react-icons/fi';
+import {
+  FiBarChart2,
+  FiPieChart,
+  FiGrid,
+  FiDownload,
+  FiZap,
+  FiInfo,
+  FiPlus,
+  FiCheck,
+  FiCheckCircle,
+  FiAlertTriangle,
+  FiXCircle,
+  FiMinusCircle,
+  FiRefreshCw
+} from 'react-icons/fi';
 import Button from '../../components/common/Button';
+import { describeDataset, formatValue, getColumnValues } from '../../services/data/dataset';
+import { columnLabel, resultUnits } from '../../services/data/units';
+
+// Number of dataset rows shown in the data table
+const PREVIEW_ROWS = 100;
+
+// Number of rows shown per result table; exports contain them all
+const TABLE_ROWS = 100;
+
+// Icon, color and label of each assumption check status
+const CHECK_STATUS_DISPLAY = {
+  met: { Icon: FiCheckCircle, className: 'text-green-600', label: 'Met' },
+  warning: { Icon: FiAlertTriangle, className: 'text-amber-600', label: 'Caution' },
+  violated: { Icon: FiXCircle, className: 'text-red-600', label: 'Violated' },
+  'not-tested': { Icon: FiMinusCircle, className: 'text-gray-400', label: 'Not tested' }
+};
+
+/**
+ * Format a result value for tables and key findings
+ * @param {*} value Result value
+ * @returns {string} Display text
+ */
+const formatResult = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') {
+    if (Number.isInteger(value)) return String(value);
+    // Keep very small values such as p-values readable
+    return value !== 0 && Math.abs(value) < 0.0001 ? value.toExponential(2) : value.toFixed(4);
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
 
 /**
  * AnalysisResults Component
@@ -9,14 +54,19 @@ import Button from '../../components/common/Button';
  */
 const AnalysisResults = ({ 
   results, 
+  dataset,
+  preparationSteps = [],
   selectedAnalysis, 
   visualizationTypes, 
   onGenerateVisualization, 
   onRequestInterpretation, 
   onExportResults,
+  onAddColumn,
+  onApplyRecommendation,
   isLoading 
 }) => {
   const [activeTab, setActiveTab] = useState('summary'); // 'summary', 'data', 'visualization'
+  const [addedColumnFor, setAddedColumnFor] = useState(null);
   const [selectedVisualizationType, setSelectedVisualizationType] = useState('');
   const [selectedColumns, setSelectedColumns] = useState([]);
   const [visualizationParams, setVisualizationParams] = useState({});
@@ -49,8 +99,9 @@ const AnalysisResults = ({
     );
   };
 
-  // Extract available data columns from results
+  // Extract available data columns from the dataset, or from results when no dataset was parsed
   const getAvailableColumns = () => {
+    if (dataset) return dataset.columns.map(column => column.name);
     if (!results || !results.numericalResults) return [];
     
     // In a real app, we would extract column names from the data
@@ -58,8 +109,12 @@ const AnalysisResults = ({
     const mockColumns = {
       'descriptive': ['mean', 'median', 'mode', 'std_dev', 'variance', 'min', 'max'],
       'hypothesis': ['t_statistic', 'p_value', 'confidence_interval', 'effect_size'],
+      'anova': ['source', 'f_statistic', 'p_value', 'partial_eta_squared'],
       'correlation': ['variable_1', 'variable_2', 'correlation_coefficient', 'p_value'],
       'regression': ['coefficient', 'r_squared', 'p_value', 'std_error'],
+      'nonlinear': ['parameter', 'estimate', 'std_error', 'r_squared'],
+      'survival': ['time', 'at_risk', 'survival', 'hazard_ratio'],
+      'timecourse': ['auc', 'initial_rate', 'peak_value', 'time_to_peak'],
       'pca': ['component_1', 'component_2', 'component_3', 'explained_variance'],
       'cluster': ['cluster_id', 'centroid_x', 'centroid_y', 'inertia']
     };
@@ -67,6 +122,54 @@ const AnalysisResults = ({
     return mockColumns[selectedAnalysis] || ['data_1', 'data_2', 'data_3', 'data_4'];
   };
   
+  // Render the parsed dataset rows with their column types
+  const renderDatasetTable = () => {
+    const summary = describeDataset(dataset);
+    const columnValues = dataset.columns.map(column => getColumnValues(dataset, column.id).slice(0, PREVIEW_ROWS));
+    
+    return (
+      <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+        <div className="px-4 py-3 text-sm text-gray-500">
+          {dataset.name} • {summary.rowCount} rows • {summary.columnCount} columns
+          {summary.rowCount > PREVIEW_ROWS && ` (showing first ${PREVIEW_ROWS})`}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {dataset.columns.map(column => (
+                  <th
+                    key={column.id}
+                    scope="col"
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    {column.name}
+                    {column.unit && <span className="ml-1 normal-case font-normal">({column.unit})</span>}
+                    <span className="block normal-case font-normal text-gray-400">{column.type}</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {dataset.rows.slice(0, PREVIEW_ROWS).map((_, rowIndex) => (
+                <tr key={rowIndex}>
+                  {dataset.columns.map((column, colIndex) => (
+                    <td key={column.id} className="px-6 py-2 whitespace-nowrap text-sm text-gray-500">
+                      {formatValue(columnValues[colIndex][rowIndex], column)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+  
+  // Units of the key findings, e.g. "mL" for a mean of volumes
+  const units = resultUnits(results, dataset);
+  
   // If no results yet, show a loading state
   if (!results) {
     return (
@@ -141,6 +244,68 @@ const AnalysisResults = ({
             </div>
           </div>
           
+          {/* Assumption checks, with the test to switch to when one fails */}
+          {results.assumptions?.checks.length > 0 && (
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6">
+                <h3 className="text-lg leading-6 font-medium text-gray-900">
+                  Assumption Checks
+                </h3>
+              </div>
+              <div className="border-t border-gray-200 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Assumption', 'Tested on', 'Check', 'Statistic', 'p', 'Result'].map(label => (
+                        <th key={label} scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 whitespace-nowrap">
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {results.assumptions.checks.map((check, index) => {
+                      const { Icon, className, label } = CHECK_STATUS_DISPLAY[check.status] || CHECK_STATUS_DISPLAY['not-tested'];
+                      return (
+                        <tr key={index}>
+                          <td className="px-3 py-2 whitespace-nowrap text-gray-700">{check.assumption}</td>
+                          <td className="px-3 py-2 text-gray-700">{check.subject}</td>
+                          <td className="px-3 py-2 text-gray-700">{check.test}</td>
+                          <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                            {check.statistic !== null && `${check.statisticLabel} = ${formatResult(check.statistic)}`}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap text-gray-700">{formatResult(check.p)}</td>
+                          <td className="px-3 py-2 text-gray-700">
+                            <span className={`inline-flex items-center gap-1 font-medium ${className}`}>
+                              <Icon /> {label}
+                            </span>
+                            <span className="block text-xs text-gray-500">{check.detail}</span>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {results.assumptions.recommendation && (
+                <div className="border-t border-gray-200 px-4 py-4 sm:px-6 bg-amber-50 flex flex-wrap items-center justify-between gap-3">
+                  <p className="text-sm text-amber-800">{results.assumptions.recommendation.message}</p>
+                  {results.assumptions.recommendation.params && onApplyRecommendation && (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => onApplyRecommendation(results.assumptions.recommendation.params)}
+                      disabled={isLoading}
+                      className="flex items-center gap-2"
+                    >
+                      <FiRefreshCw /> {results.assumptions.recommendation.label}
+                    </Button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+          
           {/* Key Findings */}
           <div className="bg-white shadow overflow-hidden sm:rounded-lg">
             <div className="px-4 py-5 sm:px-6">
@@ -156,7 +321,8 @@ const AnalysisResults = ({
                   }`}>
                     <dt className="text-sm font-medium text-gray-500">{key.replace(/_/g, ' ')}</dt>
                     <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {typeof value === 'number' ? value.toFixed(4) : JSON.stringify(value)}
+                      {formatResult(value)}
+                      {units[key] && <span className="ml-1 text-gray-500">{units[key]}</span>}
                     </dd>
                   </div>
                 ))}
@@ -164,10 +330,67 @@ const AnalysisResults = ({
             </div>
           </div>
           
+          {/* Result tables, e.g. statistics per column and group */}
+          {(results.tables || []).map(table => (
+            <div key={table.id} className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6">
+                <h3 className="text-lg leading-6 font-medium text-gray-900">{table.title}</h3>
+                {table.rows.length > TABLE_ROWS && (
+                  <p className="mt-1 text-sm text-gray-500">
+                    Showing the first {TABLE_ROWS} of {table.rows.length} rows; export the results for all of them.
+                  </p>
+                )}
+              </div>
+              <div className="border-t border-gray-200 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {table.columns.map(column => (
+                        <th key={column.key} scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 whitespace-nowrap">
+                          {column.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {table.rows.slice(0, TABLE_ROWS).map((row, rowIndex) => (
+                      <tr key={rowIndex}>
+                        {table.columns.map(column => (
+                          <td key={column.key} className="px-3 py-2 whitespace-nowrap text-gray-700">
+                            {formatResult(row[column.key])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+          
+          {/* Data preparation, citable in the report */}
+          {preparationSteps.length > 0 && (
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6">
+                <h3 className="text-lg leading-6 font-medium text-gray-900">
+                  Data Preparation
+                </h3>
+                <p className="mt-1 max-w-2xl text-sm text-gray-500">
+                  Cleaning steps applied to the raw data, in order
+                </p>
+              </div>
+              <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
+                <ul className="space-y-1 text-sm text-gray-900">
+                  {preparationSteps.map(line => <li key={line}>{line}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
+          
           <div className="flex flex-wrap gap-2">
             <Button
               type="button"
-              onClick={() => onExportResults('pdf')}
+              onClick={() => onExportResults('txt')}
               className="flex items-center gap-2"
             >
               <FiDownload /> Export Results
@@ -180,6 +403,23 @@ const AnalysisResults = ({
             >
               <FiZap /> Get AI Interpretation
             </Button>
+            {/* Per-row results, e.g. cluster assignments, can become a dataset column */}
+            {results.assignments && onAddColumn && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => {
+                  onAddColumn(results.assignments);
+                  setAddedColumnFor(results.id);
+                }}
+                disabled={addedColumnFor === results.id}
+                className="flex items-center gap-2"
+              >
+                {addedColumnFor === results.id
+                  ? <><FiCheck /> Added &quot;{results.assignments.name}&quot; to the dataset</>
+                  : <><FiPlus /> Add &quot;{results.assignments.name}&quot; column to the dataset</>}
+              </Button>
+            )}
           </div>
         </div>
       )}
@@ -187,40 +427,42 @@ const AnalysisResults = ({
       {/* Data Table Tab Content */}
       {activeTab === 'data' && (
         <div className="space-y-6">
-          <div className="overflow-x-auto bg-white shadow overflow-hidden sm:rounded-lg">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  {getAvailableColumns().map((column) => (
-                    <th 
-                      key={column}
-                      scope="col"
-                      className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
-                    >
-                      {column.replace(/_/g, ' ')}
-                    </th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {/* Generate mock data rows */}
-                {Array.from({ length: 5 }).map((_, rowIndex) => (
-                  <tr key={rowIndex}>
-                    {getAvailableColumns().map((column, colIndex) => (
-                      <td 
-                        key={`${column}-${rowIndex}`}
-                        className="px-6 py-4 whitespace-nowrap text-sm text-gray-500"
+          {dataset ? renderDatasetTable() : (
+            <div className="overflow-x-auto bg-white shadow overflow-hidden sm:rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {getAvailableColumns().map((column) => (
+                      <th 
+                        key={column}
+                        scope="col"
+                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
                       >
-                        {typeof results.numericalResults?.[column] === 'number' 
-                          ? (results.numericalResults[column] * (rowIndex + 0.5)).toFixed(3) 
-                          : `${column}-${rowIndex + 1}`}
-                      </td>
+                        {column.replace(/_/g, ' ')}
+                      </th>
                     ))}
                   </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {/* Generate mock data rows */}
+                  {Array.from({ length: 5 }).map((_, rowIndex) => (
+                    <tr key={rowIndex}>
+                      {getAvailableColumns().map((column, colIndex) => (
+                        <td 
+                          key={`${column}-${rowIndex}`}
+                          className="px-6 py-4 whitespace-nowrap text-sm text-gray-500"
+                        >
+                          {typeof results.numericalResults?.[column] === 'number' 
+                            ? (results.numericalResults[column] * (rowIndex + 0.5)).toFixed(3) 
+                            : `${column}-${rowIndex + 1}`}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
           
           <div className="flex flex-wrap gap-2">
             <Button
@@ -294,7 +536,9 @@ const AnalysisResults = ({
                         className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                       />
                       <label htmlFor={`column-${column}`} className="ml-2 text-sm text-gray-700">
-                        {column.replace(/_/g, ' ')}
+                        {dataset
+                          ? columnLabel(dataset.columns.find(item => item.name === column))
+                          : column.replace(/_/g, ' ')}
                       </label>
                     </div>
                   ))}
@@ -372,10 +616,48 @@ AnalysisResults.propTypes = {
     jobId: PropTypes.string,
     numericalResults: PropTypes.object,
     textualSummary: PropTypes.string,
+    units: PropTypes.object,
+    tables: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      columns: PropTypes.arrayOf(PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired
+      })).isRequired,
+      rows: PropTypes.arrayOf(PropTypes.object).isRequired
+    })),
+    assignments: PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      values: PropTypes.array.isRequired,
+      origin: PropTypes.string
+    }),
+    assumptions: PropTypes.shape({
+      checks: PropTypes.arrayOf(PropTypes.shape({
+        assumption: PropTypes.string.isRequired,
+        subject: PropTypes.string,
+        test: PropTypes.string,
+        statisticLabel: PropTypes.string,
+        statistic: PropTypes.number,
+        p: PropTypes.number,
+        status: PropTypes.string.isRequired,
+        detail: PropTypes.string
+      })).isRequired,
+      recommendation: PropTypes.shape({
+        message: PropTypes.string.isRequired,
+        label: PropTypes.string,
+        params: PropTypes.object
+      })
+    }),
     errorMessage: PropTypes.string,
     visualizationIds: PropTypes.arrayOf(PropTypes.string),
     aiInterpretationId: PropTypes.string
   }),
+  dataset: PropTypes.shape({
+    name: PropTypes.string,
+    columns: PropTypes.array.isRequired,
+    rows: PropTypes.array.isRequired
+  }),
+  preparationSteps: PropTypes.arrayOf(PropTypes.string),
   selectedAnalysis: PropTypes.string,
   visualizationTypes: PropTypes.arrayOf(
     PropTypes.shape({
@@ -387,6 +669,8 @@ AnalysisResults.propTypes = {
   onGenerateVisualization: PropTypes.func.isRequired,
   onRequestInterpretation: PropTypes.func.isRequired,
   onExportResults: PropTypes.func.isRequired,
+  onAddColumn: PropTypes.func,
+  onApplyRecommendation: PropTypes.func,
   isLoading: PropTypes.bool
 };
 
@@ -0,0 +1,527 @@
+import React, { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FiArrowUp, FiArrowDown, FiTrash2, FiDownload, FiPlus } from 'react-icons/fi';
+import Button from '../common/Button';
+import ColumnTypeBadge from './ColumnTypeBadge';
+import { COLUMN_TYPES } from '../../services/data/schemaInference';
+import {
+  CLEANING_OPERATIONS,
+  IMPUTE_METHODS,
+  FILTER_OPERATORS,
+  OUTLIER_RULES,
+  TRANSFORMS,
+  PIVOT_AGGREGATES,
+  RESHAPE_OPERATIONS,
+  createStep,
+  applyRecipe,
+  describeStep
+} from '../../services/data/cleaningRecipe';
+import { formatValue, getColumnValues } from '../../services/data/dataset';
+import { columnLabel, getCompatibleUnits } from '../../services/data/units';
+
+const OPERATION_LABELS = {
+  [CLEANING_OPERATIONS.DROP_MISSING]: 'Drop rows with missing values',
+  [CLEANING_OPERATIONS.IMPUTE]: 'Impute missing values',
+  [CLEANING_OPERATIONS.FILTER]: 'Filter rows',
+  [CLEANING_OPERATIONS.OUTLIERS]: 'Handle outliers',
+  [CLEANING_OPERATIONS.TRANSFORM]: 'Transform column',
+  [CLEANING_OPERATIONS.CONVERT_UNIT]: 'Convert units',
+  [CLEANING_OPERATIONS.MELT]: 'Reshape wide to long (melt)',
+  [CLEANING_OPERATIONS.PIVOT]: 'Reshape long to wide (pivot)'
+};
+
+// Operations that compute with the values and so need a numeric column
+const NUMERIC_OPERATIONS = [CLEANING_OPERATIONS.OUTLIERS, CLEANING_OPERATIONS.TRANSFORM];
+
+// Number of rows shown in the reshape preview
+const PREVIEW_ROWS = 5;
+
+// Default threshold per outlier rule
+const OUTLIER_THRESHOLDS = { iqr: 1.5, zscore: 3, percentile: 5 };
+
+const DEFAULT_FORM = {
+  operation: CLEANING_OPERATIONS.DROP_MISSING,
+  columnId: '',
+  method: 'mean',
+  value: '',
+  operator: 'eq',
+  rule: 'iqr',
+  threshold: OUTLIER_THRESHOLDS.iqr,
+  action: 'winsorize',
+  transform: 'log',
+  newColumn: true,
+  unit: '',
+  idColumnIds: [],
+  valueColumnIds: [],
+  variableName: 'Variable',
+  valueName: 'Value',
+  namesColumnId: '',
+  valuesColumnId: '',
+  aggregate: 'first'
+};
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+/**
+ * CleaningWorkbench Component
+ * Builds the ordered cleaning recipe applied to a dataset before analysis:
+ * missing values, row filters, outliers, transforms, unit conversions and
+ * reshaping between wide and long layouts, with the effect of every step
+ * shown next to it
+ */
+const CleaningWorkbench = ({ dataset, steps = [], onStepsChange }) => {
+  const [form, setForm] = useState(DEFAULT_FORM);
+  const [formError, setFormError] = useState('');
+
+  const { dataset: cleaned, log } = useMemo(() => applyRecipe(dataset, steps), [dataset, steps]);
+
+  // Columns available to the next step are those left by the previous steps
+  const numericColumns = cleaned.columns.filter(column => column.type === COLUMN_TYPES.NUMERIC);
+  let columnOptions = cleaned.columns;
+  if (form.operation === CLEANING_OPERATIONS.CONVERT_UNIT) {
+    columnOptions = numericColumns.filter(column => getCompatibleUnits(column.unit).length > 1);
+  } else if (NUMERIC_OPERATIONS.includes(form.operation) || (form.operation === CLEANING_OPERATIONS.IMPUTE && form.method !== 'constant')) {
+    columnOptions = numericColumns;
+  }
+  const selectedColumn = cleaned.columns.find(column => column.id === form.columnId);
+  const targetUnits = selectedColumn ? getCompatibleUnits(selectedColumn.unit).filter(unit => unit !== selectedColumn.unit) : [];
+
+  // Add or remove a column from one of the multi-column fields
+  const toggleFormColumn = (field, columnId) => {
+    setFormError('');
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(columnId)
+        ? prev[field].filter(item => item !== columnId)
+        : [...prev[field], columnId]
+    }));
+  };
+
+  const updateForm = (field, value) => {
+    setFormError('');
+    setForm(prev => ({
+      ...prev,
+      [field]: value,
+      ...(field === 'rule' ? { threshold: OUTLIER_THRESHOLDS[value] } : {}),
+      ...(field === 'columnId' ? { unit: '' } : {})
+    }));
+  };
+
+  // Turn the form into a recipe step
+  const buildStep = () => {
+    const { operation, columnId } = form;
+    if (operation !== CLEANING_OPERATIONS.DROP_MISSING && !RESHAPE_OPERATIONS.includes(operation) && !columnId) {
+      throw new Error('Choose a column');
+    }
+
+    switch (operation) {
+      case CLEANING_OPERATIONS.DROP_MISSING:
+        return createStep(operation, { columnIds: columnId ? [columnId] : [] });
+      case CLEANING_OPERATIONS.IMPUTE:
+        if (form.method === 'constant' && form.value === '') throw new Error('Enter the value to fill in');
+        return createStep(operation, { columnId, method: form.method, ...(form.method === 'constant' ? { value: form.value } : {}) });
+      case CLEANING_OPERATIONS.FILTER:
+        if (!['missing', 'notMissing'].includes(form.operator) && form.value === '') throw new Error('Enter a value to compare with');
+        return createStep(operation, { columnId, operator: form.operator, value: form.value });
+      case CLEANING_OPERATIONS.OUTLIERS:
+        if (!(Number(form.threshold) > 0)) throw new Error('The threshold must be a positive number');
+        return createStep(operation, { columnId, rule: form.rule, threshold: Number(form.threshold), action: form.action });
+      case CLEANING_OPERATIONS.TRANSFORM:
+        return createStep(operation, { columnId, method: form.transform, newColumn: form.newColumn });
+      case CLEANING_OPERATIONS.CONVERT_UNIT:
+        if (!form.unit) throw new Error('Choose the unit to convert to');
+        return createStep(operation, { columnId, unit: form.unit });
+      case CLEANING_OPERATIONS.MELT:
+        if (!form.variableName.trim() || !form.valueName.trim()) throw new Error('Name the group and value columns');
+        return createStep(operation, {
+          idColumnIds: form.idColumnIds,
+          valueColumnIds: form.valueColumnIds,
+          variableName: form.variableName.trim(),
+          valueName: form.valueName.trim()
+        });
+      case CLEANING_OPERATIONS.PIVOT:
+        if (!form.namesColumnId || !form.valuesColumnId) throw new Error('Choose the names and values columns');
+        return createStep(operation, {
+          indexColumnIds: form.idColumnIds,
+          namesColumnId: form.namesColumnId,
+          valuesColumnId: form.valuesColumnId,
+          aggregate: form.aggregate
+        });
+      default:
+        throw new Error(`Unknown operation: ${operation}`);
+    }
+  };
+
+  // Result of a reshape step as it is being set up, before it is added
+  const preview = useMemo(() => {
+    if (!RESHAPE_OPERATIONS.includes(form.operation)) return null;
+    try {
+      const { dataset: reshaped, log: previewLog } = applyRecipe(cleaned, [buildStep()]);
+      return previewLog[0].error ? { error: previewLog[0].error } : { dataset: reshaped };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [cleaned, form]);
+
+  const handleAddStep = () => {
+    try {
+      onStepsChange([...steps, buildStep()]);
+      setForm(prev => ({ ...DEFAULT_FORM, operation: prev.operation }));
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const moveStep = (index, offset) => {
+    const reordered = [...steps];
+    const [step] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, step);
+    onStepsChange(reordered);
+  };
+
+  // Download the recipe so the cleaning can be replayed or cited
+  const handleDownloadRecipe = () => {
+    const recipe = {
+      version: 1,
+      source: dataset.source?.fileName || dataset.name,
+      created: new Date().toISOString(),
+      steps
+    };
+    const element = document.createElement('a');
+    const file = new Blob([JSON.stringify(recipe, null, 2)], { type: 'application/json' });
+    element.href = URL.createObjectURL(file);
+    element.download = `${(dataset.source?.fileName || dataset.name).replace(/\.[^.]+$/, '')}_cleaning_recipe.json`;
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+  };
+
+  const renderParameters = () => {
+    switch (form.operation) {
+      case CLEANING_OPERATIONS.IMPUTE:
+        return (
+          <>
+            <div>
+              <label htmlFor="clean-method" className="block text-sm font-medium text-gray-700">Fill With</label>
+              <select id="clean-method" value={form.method} onChange={(e) => updateForm('method', e.target.value)} className={inputClass}>
+                {IMPUTE_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+              </select>
+            </div>
+            {form.method === 'constant' && (
+              <div>
+                <label htmlFor="clean-value" className="block text-sm font-medium text-gray-700">Value</label>
+                <input id="clean-value" type="text" value={form.value} onChange={(e) => updateForm('value', e.target.value)} className={inputClass} />
+              </div>
+            )}
+          </>
+        );
+      case CLEANING_OPERATIONS.FILTER:
+        return (
+          <>
+            <div>
+              <label htmlFor="clean-operator" className="block text-sm font-medium text-gray-700">Keep Rows Where</label>
+              <select id="clean-operator" value={form.operator} onChange={(e) => updateForm('operator', e.target.value)} className={inputClass}>
+                {Object.entries(FILTER_OPERATORS).map(([operator, label]) => <option key={operator} value={operator}>{label}</option>)}
+              </select>
+            </div>
+            {!['missing', 'notMissing'].includes(form.operator) && (
+              <div>
+                <label htmlFor="clean-value" className="block text-sm font-medium text-gray-700">Value</label>
+                <input id="clean-value" type="text" value={form.value} onChange={(e) => updateForm('value', e.target.value)} className={inputClass} />
+              </div>
+            )}
+          </>
+        );
+      case CLEANING_OPERATIONS.OUTLIERS:
+        return (
+          <>
+            <div>
+              <label htmlFor="clean-rule" className="block text-sm font-medium text-gray-700">Rule</label>
+              <select id="clean-rule" value={form.rule} onChange={(e) => updateForm('rule', e.target.value)} className={inputClass}>
+                {Object.entries(OUTLIER_RULES).map(([rule, label]) => <option key={rule} value={rule}>{label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="clean-threshold" className="block text-sm font-medium text-gray-700">k</label>
+              <input id="clean-threshold" type="number" min={0} step={0.5} value={form.threshold} onChange={(e) => updateForm('threshold', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="clean-action" className="block text-sm font-medium text-gray-700">Action</label>
+              <select id="clean-action" value={form.action} onChange={(e) => updateForm('action', e.target.value)} className={inputClass}>
+                <option value="winsorize">Winsorize (clamp to the limits)</option>
+                <option value="exclude">Exclude the rows</option>
+              </select>
+            </div>
+          </>
+        );
+      case CLEANING_OPERATIONS.TRANSFORM:
+        return (
+          <>
+            <div>
+              <label htmlFor="clean-transform" className="block text-sm font-medium text-gray-700">Transform</label>
+              <select id="clean-transform" value={form.transform} onChange={(e) => updateForm('transform', e.target.value)} className={inputClass}>
+                {Object.entries(TRANSFORMS).map(([method, label]) => <option key={method} value={method}>{label}</option>)}
+              </select>
+            </div>
+            <label className="flex items-center text-sm text-gray-700 mt-6">
+              <input
+                type="checkbox"
+                checked={form.newColumn}
+                onChange={(e) => updateForm('newColumn', e.target.checked)}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+              />
+              Add as a new column
+            </label>
+          </>
+        );
+      case CLEANING_OPERATIONS.CONVERT_UNIT:
+        return (
+          <div>
+            <label htmlFor="clean-unit" className="block text-sm font-medium text-gray-700">
+              Convert {selectedColumn?.unit ? `from ${selectedColumn.unit} ` : ''}To
+            </label>
+            <select id="clean-unit" value={form.unit} onChange={(e) => updateForm('unit', e.target.value)} className={inputClass}>
+              <option value="">Select a unit</option>
+              {targetUnits.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+            </select>
+          </div>
+        );
+      case CLEANING_OPERATIONS.MELT:
+        return (
+          <>
+            {renderColumnChecklist('idColumnIds', 'ID Columns (kept on every row)')}
+            {renderColumnChecklist('valueColumnIds', 'Value Columns (none: all other columns)', form.idColumnIds)}
+            <div>
+              <label htmlFor="clean-variable-name" className="block text-sm font-medium text-gray-700">Group Column Name</label>
+              <input id="clean-variable-name" type="text" value={form.variableName} onChange={(e) => updateForm('variableName', e.target.value)} className={inputClass} />
+              <label htmlFor="clean-value-name" className="block text-sm font-medium text-gray-700 mt-2">Value Column Name</label>
+              <input id="clean-value-name" type="text" value={form.valueName} onChange={(e) => updateForm('valueName', e.target.value)} className={inputClass} />
+            </div>
+          </>
+        );
+      case CLEANING_OPERATIONS.PIVOT:
+        return (
+          <>
+            {renderColumnChecklist('idColumnIds', 'Row Keys (none: match rows by order)', [form.namesColumnId, form.valuesColumnId])}
+            <div>
+              <label htmlFor="clean-names-column" className="block text-sm font-medium text-gray-700">New Columns From</label>
+              <select id="clean-names-column" value={form.namesColumnId} onChange={(e) => updateForm('namesColumnId', e.target.value)} className={inputClass}>
+                <option value="">Select a column</option>
+                {cleaned.columns.map(column => <option key={column.id} value={column.id}>{columnLabel(column)}</option>)}
+              </select>
+              <label htmlFor="clean-values-column" className="block text-sm font-medium text-gray-700 mt-2">Values From</label>
+              <select id="clean-values-column" value={form.valuesColumnId} onChange={(e) => updateForm('valuesColumnId', e.target.value)} className={inputClass}>
+                <option value="">Select a column</option>
+                {cleaned.columns.map(column => <option key={column.id} value={column.id}>{columnLabel(column)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="clean-aggregate" className="block text-sm font-medium text-gray-700">Combine Repeated Values With</label>
+              <select id="clean-aggregate" value={form.aggregate} onChange={(e) => updateForm('aggregate', e.target.value)} className={inputClass}>
+                {Object.entries(PIVOT_AGGREGATES).map(([aggregate, label]) => <option key={aggregate} value={aggregate}>{label}</option>)}
+              </select>
+            </div>
+          </>
+        );
+      default:
+        return null;
+    }
+  };
+
+  // Checkboxes for picking several columns, leaving out those used elsewhere in the step
+  const renderColumnChecklist = (field, label, excludedIds = []) => (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-700">{label}</legend>
+      <div className="mt-1 max-h-40 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+        {cleaned.columns.filter(column => !excludedIds.includes(column.id)).map(column => (
+          <label key={column.id} className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form[field].includes(column.id)}
+              onChange={() => toggleFormColumn(field, column.id)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+            />
+            {columnLabel(column)}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+
+  // First rows of the reshaped table, so the layout can be checked before adding the step
+  const renderPreview = () => {
+    if (!preview) return null;
+    if (preview.error) return <p className="mt-4 text-sm text-gray-500">Preview: {preview.error}</p>;
+    const reshaped = preview.dataset;
+    const columnValues = reshaped.columns.map(column => getColumnValues(reshaped, column.id).slice(0, PREVIEW_ROWS));
+    return (
+      <div className="mt-4">
+        <p className="text-sm text-gray-500 mb-2">
+          Preview: {reshaped.rows.length} rows × {reshaped.columns.length} columns
+        </p>
+        <div className="overflow-x-auto border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {reshaped.columns.map(column => (
+                  <th key={column.id} className="px-3 py-2 text-left text-xs font-medium text-gray-500">
+                    {columnLabel(column)}
+                    {column.role && <span className="block font-normal text-gray-400">{column.role} column</span>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {reshaped.rows.slice(0, PREVIEW_ROWS).map((_, rowIndex) => (
+                <tr key={rowIndex}>
+                  {reshaped.columns.map((column, columnIndex) => (
+                    <td key={column.id} className="px-3 py-1 whitespace-nowrap text-gray-700">
+                      {formatValue(columnValues[columnIndex][rowIndex], column)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  const removedRows = dataset.rows.length - cleaned.rows.length;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white shadow sm:rounded-lg p-4">
+        <h3 className="text-lg font-medium text-gray-900">Data Cleaning</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          {dataset.rows.length} rows in, {cleaned.rows.length} rows out
+          {removedRows > 0 && !steps.some(step => RESHAPE_OPERATIONS.includes(step.operation)) && ` (${removedRows} removed)`} • {cleaned.columns.length} columns
+        </p>
+
+        <div className="mt-4 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Missing</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Distinct</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {cleaned.columns.map(column => (
+                <tr key={column.id}>
+                  <td className="px-3 py-2 text-gray-900">{columnLabel(column)}</td>
+                  <td className="px-3 py-2"><ColumnTypeBadge type={column.type} /></td>
+                  <td className={`px-3 py-2 ${column.missing > 0 ? 'text-amber-700' : 'text-gray-500'}`}>{column.missing}</td>
+                  <td className="px-3 py-2 text-gray-500">{column.distinct}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white shadow sm:rounded-lg p-4">
+        <h4 className="text-sm font-medium text-gray-900 mb-3">Add a Step</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="clean-operation" className="block text-sm font-medium text-gray-700">Operation</label>
+            <select id="clean-operation" value={form.operation} onChange={(e) => updateForm('operation', e.target.value)} className={inputClass}>
+              {Object.entries(OPERATION_LABELS).map(([operation, label]) => <option key={operation} value={operation}>{label}</option>)}
+            </select>
+          </div>
+          {!RESHAPE_OPERATIONS.includes(form.operation) && (
+            <div>
+              <label htmlFor="clean-column" className="block text-sm font-medium text-gray-700">Column</label>
+              <select id="clean-column" value={form.columnId} onChange={(e) => updateForm('columnId', e.target.value)} className={inputClass}>
+                <option value="">{form.operation === CLEANING_OPERATIONS.DROP_MISSING ? 'Any column' : 'Select a column'}</option>
+                {columnOptions.map(column => <option key={column.id} value={column.id}>{columnLabel(column)}</option>)}
+              </select>
+            </div>
+          )}
+          {renderParameters()}
+        </div>
+        {renderPreview()}
+        {formError && <p className="mt-2 text-sm text-red-600">{formError}</p>}
+        <div className="mt-4 flex justify-end">
+          <Button type="button" onClick={handleAddStep} className="flex items-center gap-2">
+            <FiPlus /> Add Step
+          </Button>
+        </div>
+      </div>
+
+      <div className="bg-white shadow sm:rounded-lg p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-sm font-medium text-gray-900">Recipe</h4>
+          {steps.length > 0 && (
+            <button
+              type="button"
+              onClick={handleDownloadRecipe}
+              className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+            >
+              <FiDownload className="mr-1" /> Download Recipe
+            </button>
+          )}
+        </div>
+
+        {steps.length === 0 ? (
+          <p className="text-sm text-gray-500">No cleaning steps yet; the data will be analyzed as uploaded.</p>
+        ) : (
+          <ol className="divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+            {steps.map((step, index) => {
+              const entry = log[index];
+              return (
+                <li key={step.id} className="px-3 py-2 flex items-center justify-between">
+                  <div>
+                    <span className="text-gray-400 mr-2">{index + 1}.</span>
+                    <span className="text-gray-800">{describeStep(step, cleaned)}</span>
+                    {entry?.error ? (
+                      <p className="text-xs text-red-600 ml-5">Skipped: {entry.error}</p>
+                    ) : (
+                      <p className="text-xs text-gray-500 ml-5">
+                        {RESHAPE_OPERATIONS.includes(step.operation)
+                          ? `${entry.rowsBefore} rows to ${entry.rowsAfter}`
+                          : entry.rowsAfter !== entry.rowsBefore
+                          ? `${entry.rowsBefore - entry.rowsAfter} rows removed`
+                          : `${entry.changed} value${entry.changed !== 1 ? 's' : ''} changed`}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-1 text-gray-400">
+                    <button type="button" onClick={() => moveStep(index, -1)} disabled={index === 0} className="p-1 hover:text-gray-700 disabled:opacity-30" aria-label="Move step up">
+                      <FiArrowUp />
+                    </button>
+                    <button type="button" onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} className="p-1 hover:text-gray-700 disabled:opacity-30" aria-label="Move step down">
+                      <FiArrowDown />
+                    </button>
+                    <button type="button" onClick={() => onStepsChange(steps.filter(item => item.id !== step.id))} className="p-1 hover:text-red-600" aria-label="Remove step">
+                      <FiTrash2 />
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+CleaningWorkbench.propTypes = {
+  dataset: PropTypes.shape({
+    name: PropTypes.string,
+    columns: PropTypes.array.isRequired,
+    rows: PropTypes.array.isRequired,
+    source: PropTypes.object
+  }).isRequired,
+  steps: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    operation: PropTypes.string.isRequired
+  })),
+  onStepsChange: PropTypes.func.isRequired
+};
+
+export default CleaningWorkbench;
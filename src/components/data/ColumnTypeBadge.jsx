@@ -0,0 +1,29 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Badge colors for each inferred column type
+const COLUMN_TYPE_STYLES = {
+  numeric: 'bg-blue-100 text-blue-700',
+  categorical: 'bg-purple-100 text-purple-700',
+  datetime: 'bg-amber-100 text-amber-700',
+  boolean: 'bg-green-100 text-green-700',
+  id: 'bg-gray-200 text-gray-700',
+  text: 'bg-gray-100 text-gray-600'
+};
+
+/**
+ * ColumnTypeBadge Component
+ * Small colored label showing a dataset column's type
+ */
+const ColumnTypeBadge = ({ type, className = '' }) => (
+  <span className={`rounded px-1 text-xs ${COLUMN_TYPE_STYLES[type] || COLUMN_TYPE_STYLES.text} ${className}`}>
+    {type}
+  </span>
+);
+
+ColumnTypeBadge.propTypes = {
+  type: PropTypes.string.isRequired,
+  className: PropTypes.string
+};
+
+export default ColumnTypeBadge;
@@ -0,0 +1,319 @@
+import React, { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FiEdit2, FiRotateCcw, FiX } from 'react-icons/fi';
+import ColumnTypeBadge from './ColumnTypeBadge';
+import { COLUMN_TYPES, coerceValue, isMissing } from '../../services/data/schemaInference';
+import {
+  EDIT_TYPES,
+  COLUMN_ROLES,
+  createEdit,
+  applyEdits,
+  validateColumnName,
+  describeEdit
+} from '../../services/data/datasetEdits';
+import { normalizeUnit } from '../../services/data/units';
+
+// Units offered as suggestions; any other unit can be typed
+const UNIT_SUGGESTIONS = ['°C', 'K', '°F', 'L', 'mL', 'µL', 'M', 'mM', 'µM', 'nM', 's', 'min', 'h'];
+
+// Rows shown at first, and added by each "Show more"
+const PAGE_SIZE = 50;
+
+const ROLE_LABELS = {
+  [COLUMN_ROLES.ID]: 'ID column',
+  [COLUMN_ROLES.GROUP]: 'Group column',
+  [COLUMN_ROLES.VALUE]: 'Value column',
+  [COLUMN_ROLES.TIME]: 'Time column'
+};
+
+/**
+ * DataPreviewGrid Component
+ * Shows the parsed rows of an uploaded file and lets users rename columns,
+ * change column types, units and roles, exclude columns and fix cell values. Every
+ * change is added to a change list that can be reverted edit by edit.
+ */
+const DataPreviewGrid = ({ dataset, edits = [], onEditsChange }) => {
+  const [visibleRows, setVisibleRows] = useState(PAGE_SIZE);
+  const [editingCell, setEditingCell] = useState(null);
+  const [editingHeader, setEditingHeader] = useState(null);
+  const [editingUnit, setEditingUnit] = useState(null);
+
+  const edited = useMemo(() => applyEdits(dataset, edits), [dataset, edits]);
+  const editedCells = useMemo(() => new Set(edited.editedCells || []), [edited]);
+  const decimalSeparator = dataset.source?.decimalSeparator;
+
+  const addEdit = (type, details) => {
+    onEditsChange([...edits, createEdit(type, details)]);
+  };
+
+  const revertEdit = (editId) => {
+    onEditsChange(edits.filter(edit => edit.id !== editId));
+  };
+
+  // Commit a cell value when it changed
+  const commitCell = () => {
+    if (!editingCell) return;
+    const { rowIndex, columnId, columnIndex, value } = editingCell;
+    const current = edited.rows[rowIndex][columnIndex];
+    if (String(current ?? '') !== value) {
+      addEdit(EDIT_TYPES.SET_CELL, { rowIndex, columnId, value });
+    }
+    setEditingCell(null);
+  };
+
+  // Commit a column rename unless the name is empty or taken
+  const commitHeader = () => {
+    if (!editingHeader) return;
+    const { columnId, value } = editingHeader;
+    const column = edited.columns.find(candidate => candidate.id === columnId);
+    const problem = validateColumnName(edited, columnId, value);
+
+    if (problem) {
+      setEditingHeader({ ...editingHeader, error: problem });
+      return;
+    }
+    if (value.trim() !== column.name) {
+      addEdit(EDIT_TYPES.RENAME_COLUMN, { columnId, name: value.trim() });
+    }
+    setEditingHeader(null);
+  };
+
+  // Commit a unit when it changed; an empty unit clears it
+  const commitUnit = () => {
+    if (!editingUnit) return;
+    const { columnId, value } = editingUnit;
+    const column = edited.columns.find(candidate => candidate.id === columnId);
+    const unit = value.trim() ? normalizeUnit(value) : '';
+    if (unit !== (column.unit || '')) {
+      addEdit(EDIT_TYPES.SET_COLUMN_UNIT, { columnId, unit: unit || null });
+    }
+    setEditingUnit(null);
+  };
+
+  const handleKeyDown = (e, commit, cancel) => {
+    if (e.key === 'Enter') commit();
+    if (e.key === 'Escape') cancel();
+  };
+
+  // Values that do not read as the column's type are highlighted
+  const isInvalidCell = (value, column) => (
+    !isMissing(value) && coerceValue(value, column, decimalSeparator) === null
+  );
+
+  const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().substr(0, 10);
+    return String(value);
+  };
+
+  const rows = edited.rows.slice(0, visibleRows);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span>
+          {edited.rows.length} rows × {edited.columns.length} columns
+          {edits.length > 0 && ` • ${edits.length} edit${edits.length !== 1 ? 's' : ''}`}
+        </span>
+        {edits.length > 0 && (
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() => onEditsChange(edits.slice(0, -1))}
+              className="flex items-center text-blue-600 hover:text-blue-800"
+            >
+              <FiRotateCcw className="mr-1" /> Undo
+            </button>
+            <button
+              type="button"
+              onClick={() => onEditsChange([])}
+              className="text-red-600 hover:text-red-800"
+            >
+              Revert all
+            </button>
+          </div>
+        )}
+      </div>
+
+      <datalist id="data-preview-units">
+        {UNIT_SUGGESTIONS.map(unit => <option key={unit} value={unit} />)}
+      </datalist>
+
+      <div className="overflow-auto max-h-96 border border-gray-200 rounded-md">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-2 py-2 text-xs text-gray-400 font-normal align-top">#</th>
+              {edited.columns.map(column => (
+                <th
+                  key={column.id}
+                  className={`px-3 py-2 text-left align-top min-w-[10rem] ${column.excluded ? 'opacity-50' : ''}`}
+                >
+                  {editingHeader?.columnId === column.id ? (
+                    <div>
+                      <input
+                        type="text"
+                        autoFocus
+                        value={editingHeader.value}
+                        onChange={(e) => setEditingHeader({ columnId: column.id, value: e.target.value })}
+                        onBlur={commitHeader}
+                        onKeyDown={(e) => handleKeyDown(e, commitHeader, () => setEditingHeader(null))}
+                        className="block w-full border-gray-300 rounded-md text-sm py-1 px-2"
+                      />
+                      {editingHeader.error && (
+                        <p className="mt-1 text-xs font-normal text-red-600">{editingHeader.error}</p>
+                      )}
+                    </div>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => setEditingHeader({ columnId: column.id, value: column.name })}
+                      className="group flex items-center font-medium text-gray-900"
+                      title="Rename column"
+                    >
+                      <span className={column.excluded ? 'line-through' : ''}>{column.name}</span>
+                      <FiEdit2 className="ml-1 text-gray-400 opacity-0 group-hover:opacity-100" />
+                    </button>
+                  )}
+
+                  <div className="mt-1 flex items-center gap-1">
+                    <ColumnTypeBadge type={column.type} />
+                    <select
+                      value={column.type}
+                      onChange={(e) => addEdit(EDIT_TYPES.SET_COLUMN_TYPE, { columnId: column.id, columnType: e.target.value })}
+                      className="text-xs border-gray-300 rounded py-0 pl-1 pr-6 font-normal"
+                      aria-label={`Type of ${column.name}`}
+                    >
+                      {Object.values(COLUMN_TYPES).map(type => (
+                        <option key={type} value={type}>{type}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      list="data-preview-units"
+                      value={editingUnit?.columnId === column.id ? editingUnit.value : column.unit || ''}
+                      onFocus={() => setEditingUnit({ columnId: column.id, value: column.unit || '' })}
+                      onChange={(e) => setEditingUnit({ columnId: column.id, value: e.target.value })}
+                      onBlur={commitUnit}
+                      onKeyDown={(e) => handleKeyDown(e, commitUnit, () => setEditingUnit(null))}
+                      placeholder="unit"
+                      className="w-16 text-xs border-gray-300 rounded py-0 px-1 font-normal"
+                      aria-label={`Unit of ${column.name}`}
+                    />
+                  </div>
+
+                  <div className="mt-1 flex items-center gap-2 font-normal">
+                    <select
+                      value={column.role || ''}
+                      onChange={(e) => addEdit(EDIT_TYPES.SET_COLUMN_ROLE, { columnId: column.id, role: e.target.value || null })}
+                      className="text-xs border-gray-300 rounded py-0 pl-1 pr-6"
+                      aria-label={`Role of ${column.name}`}
+                    >
+                      <option value="">No role</option>
+                      {Object.values(COLUMN_ROLES).map(role => (
+                        <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                      ))}
+                    </select>
+                    <label className="flex items-center text-xs text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(column.excluded)}
+                        onChange={(e) => addEdit(EDIT_TYPES.EXCLUDE_COLUMN, { columnId: column.id, excluded: e.target.checked })}
+                        className="h-3 w-3 mr-1 border-gray-300 rounded"
+                      />
+                      Exclude
+                    </label>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                <td className="px-2 py-1 text-xs text-gray-400 text-right">{rowIndex + 1}</td>
+                {edited.columns.map((column, columnIndex) => {
+                  const value = row[columnIndex];
+                  const isEditing = editingCell?.rowIndex === rowIndex && editingCell.columnId === column.id;
+                  const isEdited = editedCells.has(`${rowIndex}:${column.id}`);
+
+                  return (
+                    <td
+                      key={column.id}
+                      onClick={() => !isEditing && setEditingCell({ rowIndex, columnId: column.id, columnIndex, value: formatCell(value) })}
+                      className={`px-3 py-1 whitespace-nowrap cursor-text ${isEdited ? 'bg-yellow-50' : ''} ${
+                        column.excluded ? 'text-gray-300' : isInvalidCell(value, column) ? 'text-red-600' : 'text-gray-700'
+                      }`}
+                    >
+                      {isEditing ? (
+                        <input
+                          type="text"
+                          autoFocus
+                          value={editingCell.value}
+                          onChange={(e) => setEditingCell({ ...editingCell, value: e.target.value })}
+                          onBlur={commitCell}
+                          onKeyDown={(e) => handleKeyDown(e, commitCell, () => setEditingCell(null))}
+                          className="block w-full border-gray-300 rounded text-sm py-0 px-1"
+                        />
+                      ) : formatCell(value)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {edited.rows.length > visibleRows && (
+        <button
+          type="button"
+          onClick={() => setVisibleRows(visibleRows + PAGE_SIZE)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          Show more rows ({edited.rows.length - visibleRows} hidden)
+        </button>
+      )}
+
+      {edits.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Changes</h4>
+          <ol className="divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+            {edits.map((edit, index) => (
+              <li key={edit.id} className="px-3 py-2 flex items-center justify-between">
+                <span className="text-gray-700">
+                  <span className="text-gray-400 mr-2">{index + 1}.</span>
+                  {describeEdit(edit, dataset)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => revertEdit(edit.id)}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label="Revert change"
+                  title="Revert change"
+                >
+                  <FiX />
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+DataPreviewGrid.propTypes = {
+  dataset: PropTypes.shape({
+    columns: PropTypes.array.isRequired,
+    rows: PropTypes.array.isRequired,
+    source: PropTypes.object
+  }).isRequired,
+  edits: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired
+  })),
+  onEditsChange: PropTypes.func.isRequired
+};
+
+export default DataPreviewGrid;
@@ -0,0 +1,310 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import ColumnTypeBadge from './ColumnTypeBadge';
+import {
+  MERGE_MODES,
+  JOIN_TYPES,
+  CONFLICT_RESOLUTIONS,
+  createMergeSpec,
+  findMergeConflicts,
+  mergeDatasets
+} from '../../services/data/datasetMerge';
+
+const MODE_OPTIONS = [
+  { value: '', label: 'First file only', description: 'Analyze the first file on its own.' },
+  { value: MERGE_MODES.APPEND, label: 'Append rows', description: 'Stack files that share columns, e.g. one file per day or per instrument.' },
+  { value: MERGE_MODES.JOIN, label: 'Join on a key', description: 'Match rows across files by a key column such as Sample ID.' }
+];
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const fileNameOf = (dataset) => dataset.source?.fileName || dataset.name;
+
+/**
+ * MergePanel Component
+ * Combines the datasets of several uploaded files into the analysis input,
+ * either by appending rows or by joining on a key column, and asks how to
+ * resolve columns that do not line up between files
+ */
+const MergePanel = ({ datasets, spec = null, onSpecChange }) => {
+  const conflicts = useMemo(() => (spec ? findMergeConflicts(datasets, spec) : []), [datasets, spec]);
+
+  const { merged, error } = useMemo(() => {
+    if (!spec) return { merged: null, error: null };
+    try {
+      return { merged: mergeDatasets(datasets, spec), error: null };
+    } catch (err) {
+      return { merged: null, error: err.message };
+    }
+  }, [datasets, spec]);
+
+  const handleModeChange = (mode) => {
+    onSpecChange(mode ? createMergeSpec(datasets, mode) : null);
+  };
+
+  // Point a column of one file at a merged column (or drop it with null)
+  const mapColumn = (fileName, columnName, target) => {
+    onSpecChange({
+      ...spec,
+      columnMap: {
+        ...spec.columnMap,
+        [fileName]: { ...spec.columnMap?.[fileName], [columnName]: target }
+      }
+    });
+  };
+
+  // Fill a column missing from a file with another of that file's columns, or drop it everywhere
+  const resolveMissing = (conflict, fileName, choice) => {
+    if (choice === '__drop') {
+      const columnMap = { ...spec.columnMap };
+      datasets.forEach(dataset => {
+        if (dataset.columns.some(column => column.name === conflict.column)) {
+          columnMap[fileNameOf(dataset)] = { ...columnMap[fileNameOf(dataset)], [conflict.column]: null };
+        }
+      });
+      onSpecChange({ ...spec, columnMap });
+      return;
+    }
+    if (choice) mapColumn(fileName, choice, conflict.column);
+  };
+
+  const renderAppendOptions = () => (
+    <>
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={Boolean(spec.sourceColumn)}
+          onChange={(e) => onSpecChange({ ...spec, sourceColumn: e.target.checked })}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+        />
+        Add a &quot;Source File&quot; column recording where each row came from
+      </label>
+
+      {Object.entries(spec.columnMap || {}).some(([, mapping]) => Object.keys(mapping).length > 0) && (
+        <div className="text-sm">
+          <h4 className="font-medium text-gray-900 mb-2">Column Mapping</h4>
+          <ul className="space-y-1">
+            {Object.entries(spec.columnMap).flatMap(([fileName, mapping]) => (
+              Object.entries(mapping).map(([columnName, target]) => (
+                <li key={`${fileName}:${columnName}`} className="flex items-center justify-between text-gray-700">
+                  <span>
+                    {fileName}: &quot;{columnName}&quot; {target ? `→ "${target}"` : 'dropped'}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => onSpecChange({
+                      ...spec,
+                      columnMap: {
+                        ...spec.columnMap,
+                        [fileName]: Object.fromEntries(Object.entries(mapping).filter(([name]) => name !== columnName))
+                      }
+                    })}
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    Undo
+                  </button>
+                </li>
+              ))
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+
+  const renderJoinOptions = () => (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      {datasets.map(dataset => (
+        <div key={dataset.id}>
+          <label htmlFor={`merge-key-${dataset.id}`} className="block text-sm font-medium text-gray-700">
+            Key in {fileNameOf(dataset)}
+          </label>
+          <select
+            id={`merge-key-${dataset.id}`}
+            value={spec.keys?.[fileNameOf(dataset)] || ''}
+            onChange={(e) => onSpecChange({ ...spec, keys: { ...spec.keys, [fileNameOf(dataset)]: e.target.value } })}
+            className={inputClass}
+          >
+            <option value="">Select a column</option>
+            {dataset.columns.map(column => <option key={column.id} value={column.name}>{column.name}</option>)}
+          </select>
+        </div>
+      ))}
+      <div>
+        <label htmlFor="merge-how" className="block text-sm font-medium text-gray-700">Join Type</label>
+        <select
+          id="merge-how"
+          value={spec.how}
+          onChange={(e) => onSpecChange({ ...spec, how: e.target.value })}
+          className={inputClass}
+        >
+          {Object.entries(JOIN_TYPES).map(([how, label]) => <option key={how} value={how}>{label}</option>)}
+        </select>
+      </div>
+    </div>
+  );
+
+  const renderConflict = (conflict) => {
+    if (conflict.kind === 'duplicateName') {
+      return (
+        <>
+          <span className="text-gray-700">
+            &quot;{conflict.column}&quot; is in {conflict.files.join(', ')}
+          </span>
+          <select
+            value={spec.conflicts?.[conflict.column] || 'suffix'}
+            onChange={(e) => onSpecChange({ ...spec, conflicts: { ...spec.conflicts, [conflict.column]: e.target.value } })}
+            className="text-sm border-gray-300 rounded-md py-1"
+            aria-label={`Resolve ${conflict.column}`}
+          >
+            {Object.entries(CONFLICT_RESOLUTIONS).map(([resolution, label]) => <option key={resolution} value={resolution}>{label}</option>)}
+          </select>
+        </>
+      );
+    }
+
+    if (conflict.kind === 'typeMismatch') {
+      return (
+        <>
+          <span className="text-gray-700">
+            &quot;{conflict.column}&quot; has different types:{' '}
+            {Object.entries(conflict.types).map(([fileName, type]) => (
+              <span key={fileName} className="mr-2">{fileName} <ColumnTypeBadge type={type} /></span>
+            ))}
+          </span>
+          <select
+            value={spec.types?.[conflict.column] || Object.values(conflict.types)[0]}
+            onChange={(e) => onSpecChange({ ...spec, types: { ...spec.types, [conflict.column]: e.target.value } })}
+            className="text-sm border-gray-300 rounded-md py-1"
+            aria-label={`Type of ${conflict.column}`}
+          >
+            {[...new Set(Object.values(conflict.types))].map(type => <option key={type} value={type}>Use {type}</option>)}
+          </select>
+        </>
+      );
+    }
+
+    if (conflict.kind === 'unitMismatch') {
+      return (
+        <span className="text-gray-700">
+          &quot;{conflict.column}&quot; has different units:{' '}
+          {Object.entries(conflict.units).map(([fileName, unit]) => `${fileName} ${unit}`).join(', ')}
+          {conflict.convertible
+            ? ` — values are converted to ${Object.values(conflict.units)[0]}`
+            : ' — these units cannot be converted'}
+        </span>
+      );
+    }
+
+    return (
+      <>
+        <span className="text-gray-700">
+          &quot;{conflict.column}&quot; is missing in {conflict.files.join(', ')}
+        </span>
+        <div className="flex flex-wrap gap-2">
+          {conflict.files.map(fileName => {
+            const dataset = datasets.find(item => fileNameOf(item) === fileName);
+            return (
+              <select
+                key={fileName}
+                value=""
+                onChange={(e) => resolveMissing(conflict, fileName, e.target.value)}
+                className="text-sm border-gray-300 rounded-md py-1"
+                aria-label={`Resolve ${conflict.column} in ${fileName}`}
+              >
+                <option value="">Leave empty in {fileName}</option>
+                {dataset.columns.map(column => (
+                  <option key={column.id} value={column.name}>Use {fileName}: {column.name}</option>
+                ))}
+                <option value="__drop">Drop &quot;{conflict.column}&quot;</option>
+              </select>
+            );
+          })}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="bg-white shadow sm:rounded-lg p-4 space-y-4">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Combine Files</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          {datasets.length} files: {datasets.map(dataset => `${fileNameOf(dataset)} (${dataset.rows.length} rows)`).join(', ')}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {MODE_OPTIONS.map(option => (
+          <label
+            key={option.value || 'single'}
+            className={`border rounded-md p-3 cursor-pointer text-sm ${
+              (spec?.mode || '') === option.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+            }`}
+          >
+            <input
+              type="radio"
+              name="merge-mode"
+              value={option.value}
+              checked={(spec?.mode || '') === option.value}
+              onChange={() => handleModeChange(option.value)}
+              className="mr-2"
+            />
+            <span className="font-medium text-gray-900">{option.label}</span>
+            <p className="mt-1 text-gray-500">{option.description}</p>
+          </label>
+        ))}
+      </div>
+
+      {spec?.mode === MERGE_MODES.APPEND && renderAppendOptions()}
+      {spec?.mode === MERGE_MODES.JOIN && renderJoinOptions()}
+
+      {conflicts.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Column Conflicts</h4>
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+            {conflicts.map(conflict => (
+              <li key={`${conflict.kind}:${conflict.column}`} className="px-3 py-2 flex flex-wrap items-center justify-between gap-2">
+                {renderConflict(conflict)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {merged && (
+        <div className="bg-gray-50 rounded-md p-3 text-sm text-gray-700">
+          <p className="font-medium text-gray-900">
+            Merged dataset: {merged.rows.length} rows × {merged.columns.length} columns
+          </p>
+          {Object.entries(merged.merge.stats.unmatched || {}).map(([fileName, counts]) => (
+            <p key={fileName} className="mt-1">
+              {fileName}: {counts.left} earlier row{counts.left !== 1 ? 's' : ''} without a match, {counts.right} row{counts.right !== 1 ? 's' : ''} of this file unmatched
+            </p>
+          ))}
+          {merged.warnings.map(warning => (
+            <p key={warning} className="mt-1 text-amber-700">{warning}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+MergePanel.propTypes = {
+  datasets: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    columns: PropTypes.array.isRequired,
+    rows: PropTypes.array.isRequired,
+    source: PropTypes.object
+  })).isRequired,
+  spec: PropTypes.shape({
+    mode: PropTypes.string.isRequired
+  }),
+  onSpecChange: PropTypes.func.isRequired
+};
+
+export default MergePanel;
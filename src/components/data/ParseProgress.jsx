@@ -0,0 +1,54 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const PHASE_LABELS = {
+  opening: 'Opening',
+  reading: 'Reading',
+  inferring: 'Detecting column types'
+};
+
+/**
+ * ParseProgress Component
+ * Progress bar for a file being parsed in the background, with a cancel button
+ */
+const ParseProgress = ({ progress, onCancel }) => {
+  const percent = progress.total ? Math.round((progress.loaded / progress.total) * 100) : 0;
+  const label = PHASE_LABELS[progress.phase] || progress.phase;
+  const isReading = progress.phase === 'reading';
+
+  return (
+    <div className="mt-1 flex items-center gap-2 text-xs text-gray-500">
+      <div className="w-32 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full bg-blue-500 ${isReading ? '' : 'animate-pulse'}`}
+          style={{ width: `${isReading ? percent : 100}%` }}
+        />
+      </div>
+      <span>
+        {label}
+        {isReading && ` ${percent}%`}
+        ...
+      </span>
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="font-medium text-red-600 hover:text-red-500"
+        >
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+};
+
+ParseProgress.propTypes = {
+  progress: PropTypes.shape({
+    phase: PropTypes.string.isRequired,
+    loaded: PropTypes.number,
+    total: PropTypes.number
+  }).isRequired,
+  onCancel: PropTypes.func
+};
+
+export default ParseProgress;
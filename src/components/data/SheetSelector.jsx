@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiGrid } from 'react-icons/fi';
+import Button from '../common/Button';
+import dataService from '../../services/dataService';
+import { columnLetter } from '../../services/data/xlsxReader';
+
+// Size of the sheet preview
+const PREVIEW_ROWS = 15;
+const PREVIEW_COLUMNS = 12;
+
+/**
+ * SheetSelector Component
+ * Lets users choose which worksheet, header row or cell range of an uploaded
+ * Excel workbook should become the analysis dataset
+ */
+const SheetSelector = ({ file, options = {}, onApply }) => {
+  const [workbook, setWorkbook] = useState(null);
+  const [sheet, setSheet] = useState(options.sheet || '');
+  const [headerRow, setHeaderRow] = useState(options.headerRow || '');
+  const [range, setRange] = useState(options.range || '');
+  const [preview, setPreview] = useState([]);
+  const [error, setError] = useState('');
+
+  // Open the workbook when the file changes
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+
+    dataService.openWorkbook(file)
+      .then(opened => {
+        if (cancelled) return;
+        setWorkbook(opened);
+        if (opened && !options.sheet) setSheet(opened.sheetNames[0]);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [file, options.sheet]);
+
+  // Load a preview of the selected sheet
+  useEffect(() => {
+    if (!workbook || !sheet) return;
+    let cancelled = false;
+
+    workbook.readSheet(sheet)
+      .then(cells => {
+        if (!cancelled) setPreview(cells.slice(0, PREVIEW_ROWS).map(row => row.slice(0, PREVIEW_COLUMNS)));
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [workbook, sheet]);
+
+  // Format a cell for the preview grid
+  const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().substr(0, 10);
+    return String(value);
+  };
+
+  // Apply the current selection
+  const handleApply = () => {
+    onApply({
+      sheet,
+      headerRow: headerRow ? Number(headerRow) : undefined,
+      range: range.trim() || undefined
+    });
+  };
+
+  if (error) {
+    return <div className="bg-red-50 text-red-800 p-4 rounded-md text-sm">{error}</div>;
+  }
+
+  // Text files saved with a workbook extension have no sheets to choose from
+  if (!workbook) return null;
+
+  const highlightedRow = range ? null : (headerRow ? Number(headerRow) - 1 : null);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-md p-4 space-y-4">
+      <div className="flex items-center">
+        <FiGrid className="mr-2 text-gray-500" />
+        <h4 className="text-sm font-medium text-gray-900">Worksheet Selection</h4>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="sheet-select" className="block text-sm font-medium text-gray-700">Sheet</label>
+          <select
+            id="sheet-select"
+            value={sheet}
+            onChange={(e) => setSheet(e.target.value)}
+            className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+          >
+            {workbook.sheetNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="header-row" className="block text-sm font-medium text-gray-700">Header Row</label>
+          <input
+            id="header-row"
+            type="number"
+            min={1}
+            value={headerRow}
+            onChange={(e) => setHeaderRow(e.target.value)}
+            placeholder="Detect automatically"
+            disabled={Boolean(range)}
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-gray-100"
+          />
+        </div>
+        <div>
+          <label htmlFor="cell-range" className="block text-sm font-medium text-gray-700">Cell Range</label>
+          <input
+            id="cell-range"
+            type="text"
+            value={range}
+            onChange={(e) => setRange(e.target.value)}
+            placeholder="e.g. B3:F40"
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          />
+          <p className="mt-1 text-xs text-gray-500">The first row of the range is used as the header</p>
+        </div>
+      </div>
+
+      {preview.length > 0 && (
+        <div className="overflow-x-auto border border-gray-200 rounded">
+          <table className="min-w-full text-xs">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-2 py-1 text-gray-400 font-normal" />
+                {preview[0].map((_, colIndex) => (
+                  <th key={colIndex} className="px-2 py-1 text-gray-500 font-medium">{columnLetter(colIndex)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.map((row, rowIndex) => (
+                <tr key={rowIndex} className={rowIndex === highlightedRow ? 'bg-blue-50 font-medium' : ''}>
+                  <td className="px-2 py-1 text-gray-400 text-right">{rowIndex + 1}</td>
+                  {row.map((cell, colIndex) => (
+                    <td key={colIndex} className="px-2 py-1 text-gray-700 whitespace-nowrap max-w-xs truncate">
+                      {formatCell(cell)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <Button type="button" onClick={handleApply} disabled={!sheet}>
+          Use Selection
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+SheetSelector.propTypes = {
+  file: PropTypes.object.isRequired,
+  options: PropTypes.shape({
+    sheet: PropTypes.string,
+    headerRow: PropTypes.number,
+    range: PropTypes.string
+  }),
+  onApply: PropTypes.func.isRequired
+};
+
+export default SheetSelector;
@@ -0,0 +1,70 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FiCheckCircle, FiAlertTriangle } from 'react-icons/fi';
+import { TEMPLATE_FIELDS } from '../../services/data/templateImporter';
+
+/**
+ * TemplateImportReport Component
+ * Summarizes uploaded data collection templates: the experiment details that
+ * were imported and the template fields that were left empty
+ */
+const TemplateImportReport = ({ datasets }) => {
+  const imported = datasets.filter(dataset => dataset.template);
+
+  if (imported.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      {imported.map(dataset => (
+        <div key={dataset.id} className="bg-white border border-gray-200 rounded-md p-4">
+          <div className="flex items-center mb-3">
+            <FiCheckCircle className="mr-2 text-green-500" />
+            <h4 className="text-sm font-medium text-gray-900">
+              {dataset.source.fileName}: data collection template imported
+            </h4>
+          </div>
+
+          <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+            {TEMPLATE_FIELDS.map(field => (
+              <div key={field.key}>
+                <dt className="text-gray-500">{field.label}</dt>
+                <dd className={dataset.template.metadata[field.key] ? 'text-gray-900' : 'text-gray-400 italic'}>
+                  {dataset.template.metadata[field.key] || 'Not provided'}
+                </dd>
+              </div>
+            ))}
+          </dl>
+
+          <p className="mt-3 text-sm text-gray-600">
+            Measurement table: {dataset.rows.length} row{dataset.rows.length !== 1 ? 's' : ''} × {dataset.columns.length} columns
+          </p>
+
+          {dataset.template.notes.length > 0 && (
+            <div className="mt-3 bg-yellow-50 text-yellow-800 p-3 rounded-md text-sm">
+              <div className="flex items-center font-medium mb-1">
+                <FiAlertTriangle className="mr-2" /> Fields left empty
+              </div>
+              <ul className="list-disc list-inside space-y-1">
+                {dataset.template.notes.map(note => (
+                  <li key={note}>{note}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+TemplateImportReport.propTypes = {
+  datasets: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    rows: PropTypes.array.isRequired,
+    columns: PropTypes.array.isRequired,
+    source: PropTypes.object.isRequired,
+    template: PropTypes.object
+  })).isRequired
+};
+
+export default TemplateImportReport;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiCheckCircle, FiAlertCircle, FiDownload } from 'react-icons/fi';
+import { validationReportToCsv } from '../../services/data/templateValidator';
+
+// Number of problems listed before the rest is collapsed
+const VISIBLE_ERRORS = 25;
+
+/**
+ * ValidationReport Component
+ * Shows the result of checking an uploaded file against the protocol's data
+ * template, with a row/column-level problem list that can be downloaded
+ */
+const ValidationReport = ({ fileName, report }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  // Download the full problem list as CSV
+  const handleDownload = () => {
+    const element = document.createElement('a');
+    const file = new Blob([validationReportToCsv(report)], { type: 'text/csv' });
+    element.href = URL.createObjectURL(file);
+    element.download = `${fileName.replace(/\.[^.]+$/, '')}_validation_report.csv`;
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+  };
+
+  if (report.valid) {
+    return (
+      <div className="bg-green-50 text-green-800 p-4 rounded-md text-sm flex items-center">
+        <FiCheckCircle className="mr-2" />
+        {fileName}: all {report.checkedRows} rows match the data template.
+      </div>
+    );
+  }
+
+  const visibleErrors = showAll ? report.errors : report.errors.slice(0, VISIBLE_ERRORS);
+  const columnsWithErrors = report.columns.filter(column => column.errorCount > 0);
+
+  return (
+    <div className="bg-white border border-red-200 rounded-md p-4 space-y-3">
+      <div className="flex items-start justify-between">
+        <div className="flex items-start">
+          <FiAlertCircle className="mr-2 mt-0.5 text-red-500" />
+          <div>
+            <h4 className="text-sm font-medium text-gray-900">
+              {fileName}: {report.errors.length} problem{report.errors.length !== 1 ? 's' : ''} found
+            </h4>
+            <p className="text-xs text-gray-500 mt-1">
+              {columnsWithErrors.map(column => `${column.name} (${column.errorCount})`).join(', ')}
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex items-center space-x-2 py-1 px-3 bg-gray-100 hover:bg-gray-200 rounded-md text-sm font-medium text-gray-700 transition-colors"
+        >
+          <FiDownload />
+          <span>Download Report</span>
+        </button>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 rounded">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problem</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleErrors.map((error, index) => (
+              <tr key={index}>
+                <td className="px-3 py-2 text-gray-700">{error.row ?? 'All'}</td>
+                <td className="px-3 py-2 text-gray-700">{error.column}</td>
+                <td className="px-3 py-2 text-gray-500 max-w-xs truncate">
+                  {error.value === null || error.value === undefined ? '' : String(error.value)}
+                </td>
+                <td className="px-3 py-2 text-red-700">{error.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {report.errors.length > VISIBLE_ERRORS && (
+        <button
+          type="button"
+          onClick={() => setShowAll(!showAll)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          {showAll ? 'Show fewer' : `Show all ${report.errors.length} problems`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+ValidationReport.propTypes = {
+  fileName: PropTypes.string.isRequired,
+  report: PropTypes.shape({
+    valid: PropTypes.bool.isRequired,
+    checkedRows: PropTypes.number.isRequired,
+    errors: PropTypes.arrayOf(PropTypes.shape({
+      row: PropTypes.number,
+      column: PropTypes.string,
+      value: PropTypes.any,
+      message: PropTypes.string.isRequired
+    })).isRequired,
+    columns: PropTypes.array.isRequired
+  }).isRequired
+};
+
+export default ValidationReport;
@@ -2,6 +2,39 @@ import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { FiCheckCircle, FiHelpCircle } from 'react-icons/fi';
 import Button from '../../../components/common/Button';
+import ColumnTypeBadge from '../../data/ColumnTypeBadge';
+import { columnLabel } from '../../../services/data/units';
+
+/**
+ * Columns a column parameter can point at
+ * @param {Object} param Parameter definition with optional `columnTypes`
+ * @param {Object} dataset Dataset
+ * @returns {Array<Object>} Matching columns
+ */
+const columnsForParameter = (param, dataset) => (dataset?.columns || []).filter(column => (
+  !param.columnTypes || param.columnTypes.includes(column.type)
+));
+
+/**
+ * Default column for a column parameter: the column marked with the
+ * parameter's role (e.g. by a reshape step), else the first matching column
+ * for required parameters and those marked `autoSelect`
+ * @returns {string} Column ID, or '' when no column fits
+ */
+const defaultColumn = (param, dataset) => {
+  const columns = columnsForParameter(param, dataset);
+  const byRole = columns.find(column => param.role && column.role === param.role);
+  return (byRole || (param.required || param.autoSelect ? columns[0] : null))?.id || '';
+};
+
+/**
+ * Default selection for a multi-column parameter: every matching column
+ * except identifiers
+ * @returns {Array<string>} Column IDs
+ */
+const defaultColumns = (param, dataset) => (
+  columnsForParameter(param, dataset).filter(column => column.role !== 'id').map(column => column.id)
+);
 
 /**
  * AnalysisSelection Component
@@ -10,6 +43,7 @@ import Button from '../../../components/common/Button';
 const AnalysisSelection = ({ 
   analysisTypes, 
   selectedFile, 
+  dataset,
   onAnalysisSelect, 
   isLoading 
 }) => {
@@ -27,14 +61,16 @@ const AnalysisSelection = ({
         // Initialize parameters with default values
         const initialParameters = {};
         analysisType.parameters.forEach(param => {
-          initialParameters[param.id] = param.default || '';
+          if (param.type === 'column') initialParameters[param.id] = defaultColumn(param, dataset);
+          else if (param.type === 'columns') initialParameters[param.id] = defaultColumns(param, dataset);
+          else initialParameters[param.id] = param.default || '';
         });
         setParameters(initialParameters);
       } else {
         setParameters({});
       }
     }
-  }, [selectedAnalysisType, analysisTypes]);
+  }, [selectedAnalysisType, analysisTypes, dataset]);
   
   // Handle parameter change
   const handleParameterChange = (paramId, value) => {
@@ -44,6 +80,14 @@ const AnalysisSelection = ({
     });
   };
   
+  // Add or remove a column from a multi-column parameter
+  const handleColumnToggle = (paramId, columnId) => {
+    const current = parameters[paramId] || [];
+    handleParameterChange(paramId, current.includes(columnId)
+      ? current.filter(id => id !== columnId)
+      : [...current, columnId]);
+  };
+  
   // Toggle info panel for a parameter
   const toggleInfo = (paramId) => {
     setIsInfoOpen({
@@ -92,6 +136,24 @@ const AnalysisSelection = ({
             {selectedFile.size ? `${(selectedFile.size / 1024).toFixed(1)} KB` : ''}
             {selectedFile.type ? ` • ${selectedFile.type}` : ''}
           </p>
+          {dataset && (
+            <>
+              <p className="text-xs text-gray-500 mt-1">
+                {dataset.rows.length} rows • {dataset.columns.length} columns
+              </p>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {dataset.columns.map(column => (
+                  <span
+                    key={column.id}
+                    className="inline-flex items-center rounded-full bg-white border border-gray-200 px-2 py-0.5 text-xs text-gray-700"
+                  >
+                    {columnLabel(column)}
+                    <ColumnTypeBadge type={column.type} className="ml-1" />
+                  </span>
+                ))}
+              </div>
+            </>
+          )}
         </div>
       )}
       
@@ -157,7 +219,41 @@ const AnalysisSelection = ({
                     </div>
                   )}
                   
-                  {param.type === 'select' ? (
+                  {param.type === 'column' ? (
+                    <>
+                      <select
+                        id={`param-${param.id}`}
+                        value={parameters[param.id] || ''}
+                        onChange={(e) => handleParameterChange(param.id, e.target.value)}
+                        className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                        required={param.required}
+                      >
+                        <option value="">{param.required ? 'Select a column' : 'None'}</option>
+                        {columnsForParameter(param, dataset).map(column => (
+                          <option key={column.id} value={column.id}>{columnLabel(column)}</option>
+                        ))}
+                      </select>
+                      {dataset && param.required && columnsForParameter(param, dataset).length === 0 && (
+                        <p className="mt-1 text-xs text-amber-700">
+                          No suitable column. Wide data (one column per group) can be reshaped to long format in the cleaning step.
+                        </p>
+                      )}
+                    </>
+                  ) : param.type === 'columns' ? (
+                    <div id={`param-${param.id}`} className="mt-1 grid grid-cols-1 sm:grid-cols-2 gap-1">
+                      {columnsForParameter(param, dataset).map(column => (
+                        <label key={column.id} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={(parameters[param.id] || []).includes(column.id)}
+                            onChange={() => handleColumnToggle(param.id, column.id)}
+                            className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                          {columnLabel(column)}
+                        </label>
+                      ))}
+                    </div>
+                  ) : param.type === 'select' ? (
                     <select
                       id={`param-${param.id}`}
                       value={parameters[param.id] || ''}
@@ -243,6 +339,9 @@ AnalysisSelection.propTypes = {
           description: PropTypes.string,
           required: PropTypes.bool,
           default: PropTypes.any,
+          columnTypes: PropTypes.arrayOf(PropTypes.string),
+          role: PropTypes.string,
+          autoSelect: PropTypes.bool,
           options: PropTypes.arrayOf(
             PropTypes.shape({
               value: PropTypes.any.isRequired,
@@ -258,6 +357,14 @@ AnalysisSelection.propTypes = {
     })
   ).isRequired,
   selectedFile: PropTypes.object,
+  dataset: PropTypes.shape({
+    columns: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      type: PropTypes.string.isRequired
+    })).isRequired,
+    rows: PropTypes.array.isRequired
+  }),
   onAnalysisSelect: PropTypes.func.isRequired,
   isLoading: PropTypes.bool
 };
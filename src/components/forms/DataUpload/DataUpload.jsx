@@ -1,21 +1,45 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { FiUpload, FiFile, FiTrash2, FiDownload } from 'react-icons/fi';
+import { FiUpload, FiFile, FiTrash2, FiDownload, FiEye } from 'react-icons/fi';
+import ValidationReport from '../../data/ValidationReport';
+import DataPreviewGrid from '../../data/DataPreviewGrid';
+import ParseProgress from '../../data/ParseProgress';
+import dataService from '../../../services/dataService';
+import protocolService from '../../../services/protocolService';
+import { validateDataset } from '../../../services/data/templateValidator';
+import { applyEdits, removeExcludedColumns } from '../../../services/data/datasetEdits';
 
 /**
  * DataUpload Component
- * Allows users to upload experiment data files with drag-and-drop support
+ * Allows users to upload experiment data files with drag-and-drop support.
+ * Files are parsed, can be previewed and corrected, and are checked against
+ * the protocol's data template; the parent receives the edited datasets, the
+ * change lists and the validation reports with the file list, and is told
+ * while a changed file list is still being checked.
  */
 const DataUpload = ({ 
   onDataUploaded, 
+  onValidatingChange,
   protocol, 
-  acceptedFileTypes = ['.csv', '.xlsx', '.json', '.txt'],
+  acceptedFileTypes = ['.csv', '.xlsx', '.txt'],
   maxFileSize = 10 // in MB
 }) => {
   const [files, setFiles] = useState([]);
   const [dragActive, setDragActive] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [validation, setValidation] = useState({});
+  const [parseErrors, setParseErrors] = useState({});
+  const [validating, setValidating] = useState(false);
+  const [datasets, setDatasets] = useState({});
+  const [edits, setEdits] = useState({});
+  const [previewFile, setPreviewFile] = useState(null);
+  const [parseProgress, setParseProgress] = useState({});
+  const parseControllers = useRef({});
+  // Edits as of the last render, read when a parse finishes: grid edits can
+  // be made to parsed files while other files are still being parsed
+  const latestEdits = useRef(edits);
+  latestEdits.current = edits;
   const [templates, setTemplates] = useState([
     { name: 'CSV Template', type: 'csv', url: '/data_collection_template.csv' },
     { name: 'Excel Template', type: 'xlsx', url: '/data_collection_template.xlsx' }
@@ -53,6 +77,58 @@ const DataUpload = ({
     }
   }, []);
 
+  // Apply the edits, validate the result against the protocol's data template
+  // and pass everything to the parent
+  const reportFiles = useCallback((fileList, parsed, fileEdits) => {
+    const template = protocol ? protocolService.generateDataTemplate(protocol) : null;
+    const edited = {};
+    const reports = {};
+
+    Object.entries(parsed).forEach(([fileName, dataset]) => {
+      edited[fileName] = applyEdits(dataset, fileEdits[fileName]);
+      if (template) {
+        reports[fileName] = validateDataset(removeExcludedColumns(edited[fileName]), template);
+      }
+    });
+
+    setValidation(reports);
+    onDataUploaded(fileList, { datasets: edited, validation: reports, edits: fileEdits });
+  }, [protocol, onDataUploaded]);
+
+  // Parse the files in the background, keeping the edits of files that are
+  // still present. A newer file list stops the parse of the previous one.
+  const checkFiles = useCallback(async (fileList) => {
+    setValidating(true);
+    setParseProgress({});
+    Object.values(parseControllers.current).forEach(controller => controller.abort());
+    const controllers = Object.fromEntries(fileList.map(file => [file.name, new AbortController()]));
+    parseControllers.current = controllers;
+
+    const parsed = await dataService.parseFiles(fileList, {}, {
+      signals: Object.fromEntries(Object.entries(controllers).map(([fileName, item]) => [fileName, item.signal])),
+      onProgress: (fileName, progress) => setParseProgress(prev => ({ ...prev, [fileName]: progress }))
+    });
+    if (parseControllers.current !== controllers) return;
+    const keepParsed = (fileEdits) => Object.fromEntries(
+      Object.entries(fileEdits).filter(([fileName]) => parsed.datasets[fileName])
+    );
+    const keptEdits = keepParsed(latestEdits.current);
+
+    setDatasets(parsed.datasets);
+    setEdits(prev => keepParsed(prev));
+    setParseErrors(parsed.errors);
+    setParseProgress({});
+    setValidating(false);
+    reportFiles(fileList, parsed.datasets, keptEdits);
+  }, [reportFiles]);
+
+  // Record the change list of one file and validate again
+  const handleEditsChange = useCallback((fileName, fileEdits) => {
+    const updatedEdits = { ...edits, [fileName]: fileEdits };
+    setEdits(updatedEdits);
+    reportFiles(files, datasets, updatedEdits);
+  }, [edits, files, datasets, reportFiles]);
+
   // Process the files
   const handleFiles = useCallback((fileList) => {
     setError('');
@@ -93,7 +169,7 @@ const DataUpload = ({
     if (newFiles.length > 0) {
       const updatedFiles = [...files, ...newFiles];
       setFiles(updatedFiles);
-      onDataUploaded(updatedFiles);
+      checkFiles(updatedFiles);
       setSuccess(`Successfully uploaded ${newFiles.length} file${newFiles.length !== 1 ? 's' : ''}.`);
       
       // Clear success message after 3 seconds
@@ -101,20 +177,25 @@ const DataUpload = ({
         setSuccess('');
       }, 3000);
     }
-  }, [files, acceptedFileTypes, maxFileSize, onDataUploaded]);
+  }, [files, acceptedFileTypes, maxFileSize, checkFiles]);
 
   // Remove a file
   const removeFile = useCallback((filename) => {
     const updatedFiles = files.filter(file => file.name !== filename);
     setFiles(updatedFiles);
-    onDataUploaded(updatedFiles);
-  }, [files, onDataUploaded]);
+    checkFiles(updatedFiles);
+  }, [files, checkFiles]);
 
   // Download a template
   const downloadTemplate = useCallback((templateUrl) => {
     window.open(templateUrl, '_blank');
   }, []);
 
+  // Until the check of a changed file list finishes, the last report describes other files
+  useEffect(() => {
+    if (onValidatingChange) onValidatingChange(validating);
+  }, [validating, onValidatingChange]);
+
   useEffect(() => {
     // If protocol changes, generate appropriate templates
     if (protocol) {
@@ -208,26 +289,73 @@ const DataUpload = ({
                     <p className="text-xs text-gray-500">
                       {(file.size / 1024).toFixed(1)} KB • {file.type || 'unknown type'}
                     </p>
+                    {parseErrors[file.name] && (
+                      <p className="text-xs text-red-600">{parseErrors[file.name]}</p>
+                    )}
+                    {validating && parseProgress[file.name] && (
+                      <ParseProgress
+                        progress={parseProgress[file.name]}
+                        onCancel={() => parseControllers.current[file.name]?.abort()}
+                      />
+                    )}
                   </div>
                 </div>
-                <button 
-                  onClick={() => removeFile(file.name)}
-                  className="text-red-500 hover:text-red-700 p-2 rounded-full hover:bg-red-50"
-                  aria-label="Remove file"
-                >
-                  <FiTrash2 />
-                </button>
+                <div className="flex items-center">
+                  {datasets[file.name] && (
+                    <button
+                      onClick={() => setPreviewFile(previewFile === file.name ? null : file.name)}
+                      className={`p-2 rounded-full hover:bg-blue-50 ${previewFile === file.name ? 'text-blue-700' : 'text-blue-500'}`}
+                      aria-label="Preview and edit data"
+                      title="Preview and edit data"
+                    >
+                      <FiEye />
+                    </button>
+                  )}
+                  <button 
+                    onClick={() => removeFile(file.name)}
+                    className="text-red-500 hover:text-red-700 p-2 rounded-full hover:bg-red-50"
+                    aria-label="Remove file"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
               </li>
             ))}
           </ul>
         </div>
       )}
+
+      {/* Preview of the parsed rows, with editable columns and cells */}
+      {previewFile && datasets[previewFile] && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <h3 className="text-lg font-medium text-gray-900 mb-3">Data Preview: {previewFile}</h3>
+          <DataPreviewGrid
+            dataset={datasets[previewFile]}
+            edits={edits[previewFile]}
+            onEditsChange={(fileEdits) => handleEditsChange(previewFile, fileEdits)}
+          />
+        </div>
+      )}
+
+      {/* Validation against the protocol's data template */}
+      {validating && (
+        <p className="text-sm text-gray-500">Checking files against the data template...</p>
+      )}
+      {!validating && Object.keys(validation).length > 0 && (
+        <div className="space-y-3">
+          <h3 className="text-lg font-medium text-gray-900">Data Template Validation</h3>
+          {Object.entries(validation).map(([fileName, report]) => (
+            <ValidationReport key={fileName} fileName={fileName} report={report} />
+          ))}
+        </div>
+      )}
     </div>
   );
 };
 
 DataUpload.propTypes = {
   onDataUploaded: PropTypes.func.isRequired,
+  onValidatingChange: PropTypes.func,
   protocol: PropTypes.object,
   acceptedFileTypes: PropTypes.arrayOf(PropTypes.string),
   maxFileSize: PropTypes.number
@@ -5,6 +5,7 @@ import Button from '../../../components/common/Button';
 import FileUpload from '../FileUpload/FileUpload';
 import AnalysisSelection from '../AnalysisSelection/AnalysisSelection';
 import VisualizationSelection from '../VisualizationSelection/VisualizationSelection';
+import SampleSizeCalculator from '../SampleSizeCalculator/SampleSizeCalculator';
 import { useExperiment } from '../../../contexts/ExperimentContext';
 
 /**
@@ -20,6 +21,7 @@ const ExperimentForm = ({ onSubmit }) => {
     title: '',
     purpose: '',
     designRationale: '',
+    sampleSize: null,
     files: [],
     analysisTypes: [],
     visualizationTypes: [],
@@ -72,6 +74,14 @@ const ExperimentForm = ({ onSubmit }) => {
     }
   };
   
+  // Handle the planned sample size chosen in the calculator
+  const handleSampleSizeChange = (sampleSize) => {
+    setFormData(prevData => ({
+      ...prevData,
+      sampleSize
+    }));
+  };
+  
   // Handle analysis types selection
   const handleAnalysisChange = (selectedAnalysis) => {
     setFormData(prevData => ({
@@ -264,6 +274,13 @@ const ExperimentForm = ({ onSubmit }) => {
                 placeholder="Explain the rationale behind your experiment design"
               />
             </div>
+            
+            <div className="mb-6">
+              <SampleSizeCalculator
+                value={formData.sampleSize}
+                onChange={handleSampleSizeChange}
+              />
+            </div>
           </>
         )}
         
@@ -1,11 +1,27 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useDropzone } from 'react-dropzone';
+import DataPreviewGrid from '../../data/DataPreviewGrid';
+import ParseProgress from '../../data/ParseProgress';
 
 /**
- * File upload component with drag and drop functionality
+ * File upload component with drag and drop functionality.
+ * When `onEditsChange` is given, parsed files can be previewed and corrected.
+ * Files still being parsed show their progress and can be cancelled.
  */
-const FileUpload = ({ onFilesSelected, selectedFiles = [], error = null }) => {
+const FileUpload = ({
+  onFilesSelected,
+  selectedFiles = [],
+  datasets = {},
+  parseErrors = {},
+  edits = {},
+  onEditsChange,
+  parseProgress = {},
+  onCancelParse,
+  error = null
+}) => {
+  const [previewFile, setPreviewFile] = useState(null);
+
   // Maximum file size in bytes (50MB)
   const MAX_FILE_SIZE = 50 * 1024 * 1024;
   
@@ -15,6 +31,7 @@ const FileUpload = ({ onFilesSelected, selectedFiles = [], error = null }) => {
     'application/vnd.ms-excel': ['.xls'],
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
     'text/plain': ['.txt'],
+    'text/html': ['.html', '.htm'],
     'application/json': ['.json'],
     'image/png': ['.png'],
     'image/jpeg': ['.jpg', '.jpeg'],
@@ -111,12 +128,35 @@ const FileUpload = ({ onFilesSelected, selectedFiles = [], error = null }) => {
                 </svg>
                 <span className="ml-2 flex-1 w-0 truncate">
                   {file.name}
+                  {datasets[file.name] && (
+                    <span className="ml-2 text-xs text-gray-500">
+                      {datasets[file.name].rows.length} rows × {datasets[file.name].columns.length} columns
+                    </span>
+                  )}
+                  {parseErrors[file.name] && (
+                    <span className="block text-xs text-red-600 truncate">{parseErrors[file.name]}</span>
+                  )}
+                  {parseProgress[file.name] && (
+                    <ParseProgress
+                      progress={parseProgress[file.name]}
+                      onCancel={onCancelParse && (() => onCancelParse(file.name))}
+                    />
+                  )}
                 </span>
                 <span className="ml-2 flex-shrink-0 text-gray-400">
                   {formatFileSize(file.size)}
                 </span>
               </div>
-              <div className="ml-4 flex-shrink-0">
+              <div className="ml-4 flex-shrink-0 flex items-center gap-4">
+                {onEditsChange && datasets[file.name] && (
+                  <button
+                    type="button"
+                    className="font-medium text-blue-600 hover:text-blue-500"
+                    onClick={() => setPreviewFile(previewFile === file.name ? null : file.name)}
+                  >
+                    {previewFile === file.name ? 'Hide Preview' : 'Preview & Edit'}
+                  </button>
+                )}
                 <button
                   type="button"
                   className="font-medium text-red-600 hover:text-red-500"
@@ -129,6 +169,15 @@ const FileUpload = ({ onFilesSelected, selectedFiles = [], error = null }) => {
           ))}
         </ul>
       )}
+
+      {/* Preview of the parsed rows, with editable columns and cells */}
+      {onEditsChange && previewFile && datasets[previewFile] && (
+        <DataPreviewGrid
+          dataset={datasets[previewFile]}
+          edits={edits[previewFile]}
+          onEditsChange={(fileEdits) => onEditsChange(previewFile, fileEdits)}
+        />
+      )}
     </div>
   );
 };
@@ -136,6 +185,12 @@ const FileUpload = ({ onFilesSelected, selectedFiles = [], error = null }) => {
 FileUpload.propTypes = {
   onFilesSelected: PropTypes.func.isRequired,
   selectedFiles: PropTypes.array,
+  datasets: PropTypes.object,
+  parseErrors: PropTypes.object,
+  edits: PropTypes.object,
+  onEditsChange: PropTypes.func,
+  parseProgress: PropTypes.object,
+  onCancelParse: PropTypes.func,
   error: PropTypes.string
 };
 
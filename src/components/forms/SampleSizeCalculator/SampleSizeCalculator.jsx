@@ -0,0 +1,204 @@
+import React, { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../common/Button';
+import SvgChart from '../../visualization/SvgChart';
+import { POWER_DESIGNS, EFFECT_SIZES } from '../../../services/stats/power';
+import { SOLVE_FOR, DESIGN_OPTIONS, planSampleSize } from '../../../services/analysis/powerAnalysis';
+
+const SOLVE_FOR_OPTIONS = [
+  { id: SOLVE_FOR.SAMPLE_SIZE, name: 'Sample size' },
+  { id: SOLVE_FOR.POWER, name: 'Power' },
+  { id: SOLVE_FOR.EFFECT, name: 'Minimum detectable effect' }
+];
+
+const inputClassName = 'block w-full rounded-md border border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 py-2 px-3 text-sm';
+
+/**
+ * Component for planning the sample size of an experiment: solves for the
+ * sample size, the power or the minimum detectable effect, shows the power
+ * curves, and hands the chosen plan to the protocol
+ */
+const SampleSizeCalculator = ({ value = null, onChange }) => {
+  const [inputs, setInputs] = useState({
+    design: value?.design || POWER_DESIGNS.TWO_SAMPLE_T,
+    solveFor: SOLVE_FOR.SAMPLE_SIZE,
+    alpha: '0.05',
+    power: '0.8',
+    effect: String(EFFECT_SIZES[value?.design || POWER_DESIGNS.TWO_SAMPLE_T].medium),
+    n: '20',
+    groups: '3',
+    oneTailed: false,
+    p1: '0.3',
+    p2: '0.5'
+  });
+
+  // Solve on every change; invalid inputs show their error instead of a result
+  const { plan, error } = useMemo(() => {
+    try {
+      return { plan: planSampleSize(inputs), error: null };
+    } catch (err) {
+      return { plan: null, error: err.message };
+    }
+  }, [inputs]);
+
+  const design = DESIGN_OPTIONS.find(option => option.id === inputs.design);
+  const effectSize = EFFECT_SIZES[inputs.design];
+  const proportions = inputs.design === POWER_DESIGNS.TWO_PROPORTIONS;
+
+  const handleChange = (e) => {
+    const { name, value: inputValue, type, checked } = e.target;
+    setInputs(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : inputValue }));
+  };
+
+  // A new design starts from its medium effect, as effect sizes are on different scales
+  const handleDesignChange = (e) => {
+    const nextDesign = e.target.value;
+    setInputs(prev => ({ ...prev, design: nextDesign, effect: String(EFFECT_SIZES[nextDesign].medium) }));
+  };
+
+  const handleUsePlan = () => {
+    if (!plan) return;
+    const { chart, ...chosen } = plan;
+    onChange({ ...chosen, designName: design.name, unit: design.unit });
+  };
+
+  const numberInput = (name, label, props = {}) => (
+    <div>
+      <label htmlFor={`sample-size-${name}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        type="number"
+        id={`sample-size-${name}`}
+        name={name}
+        value={inputs[name]}
+        onChange={handleChange}
+        className={inputClassName}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Sample Size Planning
+      </label>
+      <p className="text-sm text-gray-500 mb-4">
+        Work out how many samples the experiment needs; the chosen size and its justification go into the protocol
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor="sample-size-design" className="block text-sm font-medium text-gray-700 mb-1">Planned test</label>
+          <select id="sample-size-design" name="design" value={inputs.design} onChange={handleDesignChange} className={inputClassName}>
+            {DESIGN_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">{design.description}</p>
+        </div>
+        <div>
+          <label htmlFor="sample-size-solveFor" className="block text-sm font-medium text-gray-700 mb-1">Solve for</label>
+          <select id="sample-size-solveFor" name="solveFor" value={inputs.solveFor} onChange={handleChange} className={inputClassName}>
+            {SOLVE_FOR_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-2">
+        {numberInput('alpha', 'Significance level (α)', { min: '0.001', max: '0.2', step: '0.01' })}
+        {inputs.solveFor !== SOLVE_FOR.POWER && numberInput('power', 'Target power', { min: '0.5', max: '0.99', step: '0.05' })}
+        {inputs.solveFor !== SOLVE_FOR.SAMPLE_SIZE && numberInput('n', `Sample size (${design.unit})`, { min: '2', step: '1' })}
+        {inputs.design === POWER_DESIGNS.ANOVA && numberInput('groups', 'Groups', { min: '2', step: '1' })}
+        {proportions && numberInput('p1', 'Baseline proportion', { min: '0.01', max: '0.99', step: '0.05' })}
+        {proportions && inputs.solveFor !== SOLVE_FOR.EFFECT && numberInput('p2', 'Expected proportion', { min: '0.01', max: '0.99', step: '0.05' })}
+        {!proportions && inputs.solveFor !== SOLVE_FOR.EFFECT && numberInput('effect', `Effect size (${effectSize.name})`, { min: '0', step: '0.05' })}
+      </div>
+
+      {!proportions && inputs.solveFor !== SOLVE_FOR.EFFECT && (
+        <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-gray-500">
+          <span>Conventional effects:</span>
+          {['small', 'medium', 'large'].map(size => (
+            <button
+              key={size}
+              type="button"
+              className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-50"
+              onClick={() => setInputs(prev => ({ ...prev, effect: String(effectSize[size]) }))}
+            >
+              {size} ({effectSize.symbol} = {effectSize[size]})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {inputs.design !== POWER_DESIGNS.ANOVA && (
+        <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            name="oneTailed"
+            checked={inputs.oneTailed}
+            onChange={handleChange}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          One-tailed test (effect expected in one direction only)
+        </label>
+      )}
+
+      {error && (
+        <p className="mb-4 text-sm text-red-600">{error}</p>
+      )}
+
+      {plan && (
+        <div className="space-y-3">
+          <div className="bg-blue-50 border border-blue-100 rounded-md p-3">
+            <p className="text-sm font-medium text-blue-900">
+              {plan.nPerGroup} {design.unit}{plan.groups > 1 ? ` · ${plan.totalN} in total` : ''}
+              {' · '}power {Math.round(plan.achievedPower * 1000) / 10}%
+              {' · '}{effectSize.symbol} = {Number(plan.effect.toPrecision(3))}
+            </p>
+            <p className="mt-1 text-sm text-blue-800">{plan.justification}</p>
+          </div>
+
+          <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+            <SvgChart
+              type="line"
+              chartData={plan.chart.chartData}
+              options={{
+                title: plan.chart.title,
+                xAxisLabel: plan.chart.xAxisLabel,
+                yAxisLabel: plan.chart.yAxisLabel,
+                showLegend: true
+              }}
+            />
+          </div>
+
+          <Button type="button" variant="outline" onClick={handleUsePlan}>
+            Use this sample size in the protocol
+          </Button>
+        </div>
+      )}
+
+      {value && (
+        <div className="mt-4 bg-green-50 border-l-4 border-green-400 p-3 flex items-start justify-between gap-4">
+          <p className="text-sm text-green-800">
+            <span className="font-medium">In the protocol:</span> {value.justification}
+          </p>
+          <button type="button" className="text-sm text-green-800 underline flex-shrink-0" onClick={() => onChange(null)}>
+            Remove
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SampleSizeCalculator.propTypes = {
+  value: PropTypes.shape({
+    design: PropTypes.string,
+    justification: PropTypes.string
+  }),
+  onChange: PropTypes.func.isRequired
+};
+
+export default SampleSizeCalculator;
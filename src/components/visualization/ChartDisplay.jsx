@@ -1,7 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { FiDownload, FiRefreshCw, FiSettings, FiGrid } from 'react-icons/fi';
 import Button from '../../components/common/Button';
+import SvgChart from './SvgChart';
 
 /**
  * ChartDisplay Component
@@ -18,6 +19,11 @@ const ChartDisplay = ({
   const [showSettings, setShowSettings] = useState(false);
   const [chartOptions, setChartOptions] = useState(visualization?.chartOptions || {});
   
+  // Start from the new chart's own options whenever the visualization changes
+  useEffect(() => {
+    setChartOptions(visualization?.chartOptions || {});
+  }, [visualization]);
+  
   // Handle export chart as image
   const handleExportChart = () => {
     if (!visualization) return;
@@ -34,154 +40,19 @@ const ChartDisplay = ({
     };
     
     setChartOptions(updatedOptions);
-    
-    // In a real app, this would update the visualization with new options
-    // For now we'll just use the mock data
   };
   
-  // Generate chart preview based on type
+  // Render the chart from the visualization's data with the current settings
   const renderChartPreview = () => {
     if (!visualization) return null;
     
-    // For demo purposes, we'll render mock charts here
-    // In a real app, you would use Chart.js, D3, or other libraries
-    
-    const getColorForChart = (type) => {
-      const colors = {
-        bar: '#4f46e5',
-        line: '#0ea5e9',
-        scatter: '#8b5cf6',
-        pie: '#f59e0b',
-        box: '#10b981',
-        heatmap: '#ef4444'
-      };
-      return colors[type] || '#4f46e5';
-    };
-    
-    const getChartPreview = () => {
-      const color = getColorForChart(visualization.visualType);
-      
-      switch(visualization.visualType) {
-        case 'bar':
-          return (
-            <div className="h-64 flex items-end justify-around p-4">
-              {[0.3, 0.8, 0.5, 0.9, 0.6, 0.4, 0.7].map((height, i) => (
-                <div 
-                  key={i}
-                  className="w-8 rounded-t-md transition-all duration-500"
-                  style={{
-                    height: `${height * 100}%`,
-                    backgroundColor: color,
-                  }}
-                />
-              ))}
-            </div>
-          );
-        case 'line':
-          return (
-            <div className="h-64 relative p-4">
-              <svg className="w-full h-full">
-                <path
-                  d="M0,120 C100,80 180,140 300,40 C350,20 400,90 500,60"
-                  fill="none"
-                  stroke={color}
-                  strokeWidth="3"
-                />
-                {[0, 100, 200, 300, 400, 500].map((x, i) => (
-                  <circle
-                    key={i}
-                    cx={x}
-                    cy={i % 2 === 0 ? 80 : 120}
-                    r="4"
-                    fill={color}
-                  />
-                ))}
-              </svg>
-            </div>
-          );
-        case 'scatter':
-          return (
-            <div className="h-64 relative p-4">
-              <svg className="w-full h-full">
-                {Array.from({length: 30}).map((_, i) => {
-                  const x = Math.random() * 500;
-                  const y = Math.random() * 200;
-                  return (
-                    <circle
-                      key={i}
-                      cx={x}
-                      cy={y}
-                      r="5"
-                      fill={color}
-                      opacity="0.7"
-                    />
-                  );
-                })}
-              </svg>
-            </div>
-          );
-        case 'pie':
-          return (
-            <div className="h-64 flex items-center justify-center p-4">
-              <svg width="200" height="200" viewBox="0 0 100 100">
-                <circle cx="50" cy="50" r="40" fill="none" stroke="#e5e7eb" strokeWidth="15" />
-                <circle cx="50" cy="50" r="40" fill="none" stroke={color} strokeWidth="15"
-                        strokeDasharray="180 360" strokeDashoffset="90" />
-                <circle cx="50" cy="50" r="40" fill="none" stroke="#93c5fd" strokeWidth="15"
-                        strokeDasharray="60 360" strokeDashoffset="270" />
-                <circle cx="50" cy="50" r="40" fill="none" stroke="#6ee7b7" strokeWidth="15"
-                        strokeDasharray="50 360" strokeDashoffset="330" />
-                <circle cx="50" cy="50" r="40" fill="none" stroke="#fbbf24" strokeWidth="15"
-                        strokeDasharray="70 360" strokeDashoffset="20" />
-              </svg>
-            </div>
-          );
-        case 'box':
-          return (
-            <div className="h-64 flex items-center p-4">
-              <div className="w-full flex items-center justify-around">
-                {[1, 2, 3].map((_, i) => (
-                  <div key={i} className="flex flex-col items-center">
-                    <div className="h-1 w-32 bg-gray-300"></div>
-                    <div className="h-40 w-1 bg-gray-300"></div>
-                    <div className="h-1 w-32 bg-gray-300"></div>
-                    <div 
-                      className="h-24 w-16 border-t border-b border-l border-r rounded"
-                      style={{ borderColor: color }}
-                    ></div>
-                    <div className="w-1 h-4 bg-gray-300"></div>
-                  </div>
-                ))}
-              </div>
-            </div>
-          );
-        case 'heatmap':
-          return (
-            <div className="h-64 grid grid-cols-8 grid-rows-5 gap-1 p-4">
-              {Array.from({length: 40}).map((_, i) => {
-                const opacity = Math.random() * 0.8 + 0.2;
-                return (
-                  <div
-                    key={i}
-                    className="rounded"
-                    style={{ backgroundColor: color, opacity }}
-                  />
-                );
-              })}
-            </div>
-          );
-        default:
-          return (
-            <div className="h-64 flex items-center justify-center p-4">
-              <p className="text-gray-500">Preview not available for this chart type</p>
-            </div>
-          );
-      }
-    };
-    
     return (
       <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
-        {getChartPreview()}
+        <SvgChart
+          type={visualization.visualType}
+          chartData={visualization.chartData}
+          options={{ color: getColorForChart(visualization.visualType), ...chartOptions }}
+        />
       </div>
     );
   };
@@ -408,7 +279,13 @@ const getColorForChart = (type) => {
     scatter: '#8b5cf6',
     pie: '#f59e0b',
     box: '#10b981',
-    heatmap: '#ef4444'
+    heatmap: '#ef4444',
+    residuals: '#8b5cf6',
+    biplot: '#8b5cf6',
+    scree: '#0ea5e9',
+    dendrogram: '#10b981',
+    qq: '#8b5cf6',
+    survival: '#4f46e5'
   };
   return colors[type] || '#4f46e5';
 };
@@ -0,0 +1,524 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * SvgChart Component
+ * Draws bar, line, scatter, pie, box, heat map, residual, PCA, dendrogram and survival
+ * charts from chart data produced by visualizationService, using plain SVG.
+ */
+
+const WIDTH = 600;
+const HEIGHT = 320;
+const MARGIN = { top: 16, right: 16, bottom: 48, left: 64 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Colors used for additional series after the chart's main color
+const SERIES_PALETTE = ['#0ea5e9', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#6366f1'];
+
+/**
+ * Pick a color for the n-th series
+ */
+const seriesColor = (baseColor, index) => (
+  index === 0 ? baseColor : SERIES_PALETTE[(index - 1) % SERIES_PALETTE.length]
+);
+
+/**
+ * Compute "nice" tick values covering a numeric range
+ * @returns {Array<number>} Tick values
+ */
+const niceTicks = (min, max, count = 5) => {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    return niceTicks(min - pad, max + pad, count);
+  }
+  const rawStep = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+  const ticks = [];
+  for (let value = Math.floor(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+};
+
+/**
+ * Smallest and largest of a list of numbers (safe for very long arrays)
+ * @returns {Array<number>} [min, max]
+ */
+const extent = (values) => values.reduce(
+  ([min, max], value) => [Math.min(min, value), Math.max(max, value)],
+  [Infinity, -Infinity]
+);
+
+/**
+ * Create a linear scale function mapping [d0, d1] onto [r0, r1]
+ */
+const linearScale = (d0, d1, r0, r1) => (value) => (
+  d1 === d0 ? (r0 + r1) / 2 : r0 + ((value - d0) / (d1 - d0)) * (r1 - r0)
+);
+
+/**
+ * Format a tick label
+ */
+const formatTick = (value, xType) => {
+  if (xType === 'datetime') {
+    return new Date(value).toISOString().substr(0, 10);
+  }
+  if (Math.abs(value) >= 10000 || (Math.abs(value) > 0 && Math.abs(value) < 0.001)) {
+    return value.toExponential(1);
+  }
+  return String(Number(value.toPrecision(4)));
+};
+
+/**
+ * Axes, grid lines and axis titles for charts with a numeric y axis
+ */
+const Axes = ({ yTicks, yScale, xTicks, xScale, xLabels, xType, xAxisLabel, yAxisLabel }) => (
+  <g className="text-gray-500" fontSize="10">
+    {yTicks.map(tick => (
+      <g key={`y-${tick}`}>
+        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yScale(tick)} y2={yScale(tick)} stroke="#e5e7eb" />
+        <text x={MARGIN.left - 6} y={yScale(tick) + 3} textAnchor="end" fill="currentColor">{formatTick(tick)}</text>
+      </g>
+    ))}
+    {xTicks && xTicks.map(tick => (
+      <text key={`x-${tick}`} x={xScale(tick)} y={HEIGHT - MARGIN.bottom + 14} textAnchor="middle" fill="currentColor">
+        {formatTick(tick, xType)}
+      </text>
+    ))}
+    {xLabels && xLabels.map(({ label, x }) => (
+      <text key={`xl-${label}`} x={x} y={HEIGHT - MARGIN.bottom + 14} textAnchor="middle" fill="currentColor">
+        {String(label).length > 14 ? `${String(label).slice(0, 13)}…` : label}
+      </text>
+    ))}
+    <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={HEIGHT - MARGIN.bottom} y2={HEIGHT - MARGIN.bottom} stroke="#9ca3af" />
+    <line x1={MARGIN.left} x2={MARGIN.left} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#9ca3af" />
+    {xAxisLabel && (
+      <text x={MARGIN.left + PLOT_WIDTH / 2} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#374151">{xAxisLabel}</text>
+    )}
+    {yAxisLabel && (
+      <text
+        x={-(MARGIN.top + PLOT_HEIGHT / 2)}
+        y={14}
+        transform="rotate(-90)"
+        textAnchor="middle"
+        fontSize="11"
+        fill="#374151"
+      >
+        {yAxisLabel}
+      </text>
+    )}
+  </g>
+);
+
+Axes.propTypes = {
+  yTicks: PropTypes.array.isRequired,
+  yScale: PropTypes.func.isRequired,
+  xTicks: PropTypes.array,
+  xScale: PropTypes.func,
+  xLabels: PropTypes.array,
+  xType: PropTypes.string,
+  xAxisLabel: PropTypes.string,
+  yAxisLabel: PropTypes.string
+};
+
+/**
+ * Legend listing series names and colors
+ */
+const Legend = ({ items }) => (
+  <div className="flex flex-wrap gap-3 px-4 pb-3 text-xs text-gray-600">
+    {items.map(({ label, color }) => (
+      <span key={label} className="flex items-center gap-1">
+        <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+        {label}
+      </span>
+    ))}
+  </div>
+);
+
+Legend.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({ label: PropTypes.string, color: PropTypes.string })).isRequired
+};
+
+const renderBar = (chartData, options) => {
+  const labels = chartData.labels || [];
+  const datasets = chartData.datasets || [];
+  const values = datasets.flatMap(dataset => dataset.data).filter(Number.isFinite);
+  const [minValue, maxValue] = extent([0, ...values]);
+  const yTicks = niceTicks(minValue, maxValue);
+  const yScale = linearScale(yTicks[0], yTicks[yTicks.length - 1], HEIGHT - MARGIN.bottom, MARGIN.top);
+  const band = PLOT_WIDTH / Math.max(labels.length, 1);
+  const barWidth = (band * 0.8) / Math.max(datasets.length, 1);
+
+  return (
+    <>
+      <Axes
+        yTicks={yTicks}
+        yScale={yScale}
+        xLabels={labels.map((label, index) => ({ label, x: MARGIN.left + band * (index + 0.5) }))}
+        xAxisLabel={options.xAxisLabel}
+        yAxisLabel={options.yAxisLabel}
+      />
+      {datasets.map((dataset, seriesIndex) => dataset.data.map((value, index) => {
+        if (!Number.isFinite(value)) return null;
+        const x = MARGIN.left + band * index + band * 0.1 + barWidth * seriesIndex;
+        const y = Math.min(yScale(value), yScale(0));
+        return (
+          <rect
+            key={`${seriesIndex}-${index}`}
+            x={x}
+            y={y}
+            width={Math.max(barWidth - 2, 1)}
+            height={Math.abs(yScale(value) - yScale(0))}
+            fill={seriesColor(options.color, seriesIndex)}
+            rx="2"
+          >
+            <title>{`${labels[index]}: ${formatTick(value)}`}</title>
+          </rect>
+        );
+      }))}
+    </>
+  );
+};
+
+const renderXY = (chartData, options, defaultMode) => {
+  const datasets = chartData.datasets || [];
+  const points = datasets.flatMap(dataset => dataset.data);
+  const xs = points.map(point => point.x).filter(Number.isFinite);
+  const ys = points.map(point => point.y).filter(Number.isFinite);
+  if (xs.length === 0) return null;
+
+  const xTicks = niceTicks(...extent(xs));
+  const yTicks = niceTicks(...extent(ys));
+  const xScale = linearScale(xTicks[0], xTicks[xTicks.length - 1], MARGIN.left, WIDTH - MARGIN.right);
+  const yScale = linearScale(yTicks[0], yTicks[yTicks.length - 1], HEIGHT - MARGIN.bottom, MARGIN.top);
+
+  return (
+    <>
+      <Axes
+        yTicks={yTicks}
+        yScale={yScale}
+        xTicks={chartData.xType === 'datetime' ? [xTicks[0], xTicks[xTicks.length - 1]] : xTicks}
+        xScale={xScale}
+        xType={chartData.xType}
+        xAxisLabel={options.xAxisLabel}
+        yAxisLabel={options.yAxisLabel}
+      />
+      {datasets.map((dataset, seriesIndex) => {
+        const color = dataset.color || seriesColor(options.color, seriesIndex);
+        const mode = dataset.mode || defaultMode;
+        const valid = dataset.data.filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+        const path = valid.map((point, index) => `${index === 0 ? 'M' : 'L'}${xScale(point.x)},${yScale(point.y)}`).join(' ');
+        return (
+          <g key={dataset.label || seriesIndex}>
+            {mode !== 'markers' && (
+              <path d={path} fill="none" stroke={color} strokeWidth="2" strokeDasharray={dataset.dashed ? '6 4' : undefined} />
+            )}
+            {mode !== 'line' && valid.map((point, index) => (
+              <circle key={index} cx={xScale(point.x)} cy={yScale(point.y)} r={mode === 'markers' ? 4 : 3} fill={color} opacity="0.75">
+                <title>{`(${formatTick(point.x, chartData.xType)}, ${formatTick(point.y)})`}</title>
+              </circle>
+            ))}
+          </g>
+        );
+      })}
+    </>
+  );
+};
+
+const renderPie = (chartData, options) => {
+  const labels = chartData.labels || [];
+  const data = chartData.datasets?.[0]?.data || [];
+  const total = data.reduce((sum, value) => sum + value, 0);
+  const cx = WIDTH / 2;
+  const cy = HEIGHT / 2;
+  const radius = HEIGHT / 2 - 24;
+  let angle = -Math.PI / 2;
+
+  return data.map((value, index) => {
+    const slice = total > 0 ? (value / total) * Math.PI * 2 : 0;
+    const start = angle;
+    angle += slice;
+    const end = angle;
+    const large = slice > Math.PI ? 1 : 0;
+    const path = slice >= Math.PI * 2 - 1e-9
+      ? `M${cx - radius},${cy} a${radius},${radius} 0 1,0 ${radius * 2},0 a${radius},${radius} 0 1,0 ${-radius * 2},0`
+      : `M${cx},${cy} L${cx + radius * Math.cos(start)},${cy + radius * Math.sin(start)} A${radius},${radius} 0 ${large},1 ${cx + radius * Math.cos(end)},${cy + radius * Math.sin(end)} Z`;
+    return (
+      <path key={labels[index] ?? index} d={path} fill={seriesColor(options.color, index)} stroke="#fff" strokeWidth="1">
+        <title>{`${labels[index]}: ${value} (${total > 0 ? ((value / total) * 100).toFixed(1) : 0}%)`}</title>
+      </path>
+    );
+  });
+};
+
+const renderBox = (chartData, options) => {
+  const labels = chartData.labels || [];
+  const boxes = chartData.datasets?.[0]?.data || [];
+  const values = boxes.flatMap(box => [box.min, box.max, ...(box.outliers || [])]).filter(Number.isFinite);
+  const yTicks = niceTicks(...extent(values));
+  const yScale = linearScale(yTicks[0], yTicks[yTicks.length - 1], HEIGHT - MARGIN.bottom, MARGIN.top);
+  const band = PLOT_WIDTH / Math.max(boxes.length, 1);
+  const boxWidth = Math.min(band * 0.5, 60);
+
+  return (
+    <>
+      <Axes
+        yTicks={yTicks}
+        yScale={yScale}
+        xLabels={labels.map((label, index) => ({ label, x: MARGIN.left + band * (index + 0.5) }))}
+        xAxisLabel={options.xAxisLabel}
+        yAxisLabel={options.yAxisLabel}
+      />
+      {boxes.map((box, index) => {
+        const center = MARGIN.left + band * (index + 0.5);
+        return (
+          <g key={labels[index] ?? index} stroke={options.color} fill="none" strokeWidth="1.5">
+            <line x1={center} x2={center} y1={yScale(box.min)} y2={yScale(box.q1)} />
+            <line x1={center} x2={center} y1={yScale(box.q3)} y2={yScale(box.max)} />
+            <line x1={center - boxWidth / 4} x2={center + boxWidth / 4} y1={yScale(box.min)} y2={yScale(box.min)} />
+            <line x1={center - boxWidth / 4} x2={center + boxWidth / 4} y1={yScale(box.max)} y2={yScale(box.max)} />
+            <rect x={center - boxWidth / 2} y={yScale(box.q3)} width={boxWidth} height={Math.max(yScale(box.q1) - yScale(box.q3), 1)} fill={options.color} fillOpacity="0.15" />
+            <line x1={center - boxWidth / 2} x2={center + boxWidth / 2} y1={yScale(box.median)} y2={yScale(box.median)} strokeWidth="2.5" />
+            {(box.outliers || []).map((value, outlierIndex) => (
+              <circle key={outlierIndex} cx={center} cy={yScale(value)} r="3" fill={options.color} />
+            ))}
+          </g>
+        );
+      })}
+    </>
+  );
+};
+
+/**
+ * Diverging blue-white-red color for values between -1 and 1
+ */
+const divergingColor = (value) => {
+  if (!Number.isFinite(value)) return '#f3f4f6';
+  const t = Math.max(-1, Math.min(1, value));
+  const mix = (from, to) => Math.round(from + (to - from) * Math.abs(t));
+  return t >= 0
+    ? `rgb(${mix(255, 220)},${mix(255, 38)},${mix(255, 38)})`
+    : `rgb(${mix(255, 37)},${mix(255, 99)},${mix(255, 235)})`;
+};
+
+const renderHeatmap = (chartData) => {
+  const labels = chartData.labels || [];
+  const matrix = chartData.data || [];
+  const left = 110;
+  const top = 8;
+  const size = Math.min((WIDTH - left - 16) / Math.max(labels.length, 1), (HEIGHT - top - 60) / Math.max(labels.length, 1));
+
+  return (
+    <g fontSize="10">
+      {matrix.map((row, i) => row.map((value, j) => (
+        <g key={`${i}-${j}`}>
+          <rect x={left + j * size} y={top + i * size} width={size - 1} height={size - 1} fill={divergingColor(value)}>
+            <title>
+              {`${labels[i]} × ${labels[j]}: ${chartData.symbol ? `${chartData.symbol} = ` : ''}${Number.isFinite(value) ? value.toFixed(3) : 'n/a'}`}
+              {i !== j && Number.isFinite(chartData.pValues?.[i]?.[j]) && `, p = ${chartData.pValues[i][j] < 0.0001 ? '< 0.0001' : chartData.pValues[i][j].toFixed(4)}`}
+              {i !== j && Number.isFinite(chartData.n?.[i]?.[j]) && `, n = ${chartData.n[i][j]}`}
+            </title>
+          </rect>
+          {size >= 28 && Number.isFinite(value) && (
+            <text x={left + j * size + size / 2} y={top + i * size + size / 2 + 3} textAnchor="middle" fill="#111827">
+              {value.toFixed(2)}
+            </text>
+          )}
+        </g>
+      )))}
+      {labels.map((label, i) => (
+        <text key={`row-${label}`} x={left - 6} y={top + i * size + size / 2 + 3} textAnchor="end" fill="#4b5563">
+          {String(label).length > 16 ? `${String(label).slice(0, 15)}…` : label}
+        </text>
+      ))}
+      {labels.map((label, j) => (
+        <text
+          key={`col-${label}`}
+          x={left + j * size + size / 2}
+          y={top + labels.length * size + 10}
+          textAnchor="end"
+          transform={`rotate(-35 ${left + j * size + size / 2} ${top + labels.length * size + 10})`}
+          fill="#4b5563"
+        >
+          {String(label).length > 16 ? `${String(label).slice(0, 15)}…` : label}
+        </text>
+      ))}
+    </g>
+  );
+};
+
+// Tree of merges from hierarchical clustering: leaves along the x axis and
+// one link per merge at its height, with the cut that gave the clusters dashed
+const renderDendrogram = (chartData, options) => {
+  const labels = chartData.labels || [];
+  const links = chartData.links || [];
+  const heights = links.flatMap(link => link.map(point => point.y));
+  const yTicks = niceTicks(0, Math.max(...heights, chartData.cutHeight || 0, 0));
+  const yScale = linearScale(yTicks[0], yTicks[yTicks.length - 1], HEIGHT - MARGIN.bottom, MARGIN.top);
+  const band = PLOT_WIDTH / Math.max(labels.length, 1);
+  const xOf = (x) => MARGIN.left + band * (x + 0.5);
+
+  return (
+    <>
+      <Axes
+        yTicks={yTicks}
+        yScale={yScale}
+        xLabels={labels.length <= 20 ? labels.map((label, index) => ({ label, x: xOf(index) })) : []}
+        xAxisLabel={options.xAxisLabel}
+        yAxisLabel={options.yAxisLabel}
+      />
+      {links.map((link, index) => (
+        <path
+          key={index}
+          d={link.map((point, pointIndex) => `${pointIndex === 0 ? 'M' : 'L'}${xOf(point.x)},${yScale(point.y)}`).join(' ')}
+          fill="none"
+          stroke={options.color}
+          strokeWidth="1.5"
+        >
+          <title>{`Height ${formatTick(link[1].y)}`}</title>
+        </path>
+      ))}
+      {Number.isFinite(chartData.cutHeight) && (
+        <line
+          x1={MARGIN.left}
+          x2={WIDTH - MARGIN.right}
+          y1={yScale(chartData.cutHeight)}
+          y2={yScale(chartData.cutHeight)}
+          stroke="#ef4444"
+          strokeDasharray="6 4"
+        />
+      )}
+    </>
+  );
+};
+
+/**
+ * SVG path of a step function through points sorted by x: flat until the
+ * next point, then a vertical drop
+ */
+const stepPath = (points, xScale, yScale) => points.map((point, index) => (
+  index === 0 ? `M${xScale(point.x)},${yScale(point.y)}` : `H${xScale(point.x)} V${yScale(point.y)}`
+)).join(' ');
+
+// Kaplan-Meier curves: each series a step curve from S = 1, its confidence
+// band shaded, and censored observations marked with a tick on the curve
+const renderSurvival = (chartData, options) => {
+  const datasets = chartData.datasets || [];
+  const xs = datasets.flatMap(dataset => dataset.data.map(point => point.x)).filter(Number.isFinite);
+  if (xs.length === 0) return null;
+  const xTicks = niceTicks(0, Math.max(...xs));
+  const yTicks = niceTicks(0, 1);
+  const xScale = linearScale(xTicks[0], xTicks[xTicks.length - 1], MARGIN.left, WIDTH - MARGIN.right);
+  const yScale = linearScale(yTicks[0], yTicks[yTicks.length - 1], HEIGHT - MARGIN.bottom, MARGIN.top);
+
+  return (
+    <>
+      <Axes
+        yTicks={yTicks}
+        yScale={yScale}
+        xTicks={xTicks}
+        xScale={xScale}
+        xAxisLabel={options.xAxisLabel}
+        yAxisLabel={options.yAxisLabel}
+      />
+      {datasets.map((dataset, seriesIndex) => {
+        const color = dataset.color || seriesColor(options.color, seriesIndex);
+        // The band stops where its limits are undefined (survival 0)
+        const lower = dataset.lower || [];
+        const end = lower.findIndex((point, index) => !Number.isFinite(point.y) || !Number.isFinite(dataset.upper?.[index]?.y));
+        const band = lower.slice(0, end < 0 ? lower.length : end).map((point, index) => ({ x: point.x, lower: point.y, upper: dataset.upper[index].y }));
+        const bandPath = band.length > 1
+          ? `${stepPath(band.map(point => ({ x: point.x, y: point.upper })), xScale, yScale)} `
+            + `V${yScale(band[band.length - 1].lower)} `
+            + band.slice().reverse().map((point, index, reversed) => (
+              `H${xScale(point.x)} V${yScale(index + 1 < reversed.length ? reversed[index + 1].lower : point.lower)}`
+            )).join(' ')
+            + ' Z'
+          : null;
+        return (
+          <g key={dataset.label || seriesIndex}>
+            {bandPath && <path d={bandPath} fill={color} opacity="0.12" stroke="none" />}
+            <path d={stepPath(dataset.data, xScale, yScale)} fill="none" stroke={color} strokeWidth="2" />
+            {(dataset.censored || []).map((point, index) => (
+              <line
+                key={index}
+                x1={xScale(point.x)}
+                x2={xScale(point.x)}
+                y1={yScale(point.y) - 5}
+                y2={yScale(point.y) + 5}
+                stroke={color}
+                strokeWidth="1.5"
+              >
+                <title>{`Censored at ${formatTick(point.x)}`}</title>
+              </line>
+            ))}
+          </g>
+        );
+      })}
+    </>
+  );
+};
+
+const SvgChart = ({ type, chartData, options = {} }) => {
+  const chartOptions = { color: '#4f46e5', ...options };
+
+  const renderers = {
+    bar: () => renderBar(chartData, chartOptions),
+    line: () => renderXY(chartData, chartOptions, 'lines'),
+    scatter: () => renderXY(chartData, chartOptions, 'markers'),
+    pie: () => renderPie(chartData, chartOptions),
+    box: () => renderBox(chartData, chartOptions),
+    heatmap: () => renderHeatmap(chartData),
+    residuals: () => renderXY(chartData, chartOptions, 'markers'),
+    biplot: () => renderXY(chartData, chartOptions, 'markers'),
+    scree: () => renderXY(chartData, chartOptions, 'lines'),
+    dendrogram: () => renderDendrogram(chartData, chartOptions),
+    qq: () => renderXY(chartData, chartOptions, 'markers'),
+    survival: () => renderSurvival(chartData, chartOptions)
+  };
+
+  const render = renderers[type];
+  if (!render || !chartData) {
+    return (
+      <div className="h-64 flex items-center justify-center p-4">
+        <p className="text-gray-500">Preview not available for this chart type</p>
+      </div>
+    );
+  }
+
+  const legendItems = ['bar', 'line', 'scatter', 'residuals', 'biplot', 'scree', 'qq', 'survival'].includes(type) && (chartData.datasets || []).length > 1
+    ? chartData.datasets.map((dataset, index) => ({ label: dataset.label, color: dataset.color || seriesColor(chartOptions.color, index) }))
+    : type === 'pie'
+      ? (chartData.labels || []).map((label, index) => ({ label, color: seriesColor(chartOptions.color, index) }))
+      : [];
+
+  return (
+    <div>
+      {chartOptions.title && (
+        <p className="px-4 pt-3 text-sm font-medium text-gray-700">{chartOptions.title}</p>
+      )}
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={chartOptions.title || `${type} chart`}>
+        {render()}
+      </svg>
+      {chartOptions.showLegend && legendItems.length > 0 && <Legend items={legendItems} />}
+    </div>
+  );
+};
+
+SvgChart.propTypes = {
+  type: PropTypes.string.isRequired,
+  chartData: PropTypes.object,
+  options: PropTypes.shape({
+    title: PropTypes.string,
+    color: PropTypes.string,
+    showLegend: PropTypes.bool,
+    xAxisLabel: PropTypes.string,
+    yAxisLabel: PropTypes.string
+  })
+};
+
+export default SvgChart;
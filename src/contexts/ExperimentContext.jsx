@@ -13,8 +13,12 @@ export function ExperimentProvider({ children }) {
   // State for the current experiment being created or viewed
   const [experiment, setExperiment] = useState({
     title: '',
+    researcher: '',
+    date: '',
+    hypothesis: '',
     purpose: '',
     designRationale: '',
+    sampleSize: null, // Planned sample size and its justification
     files: [],
     analysisTypes: [],
     visualizationTypes: [],
@@ -120,8 +124,12 @@ export function ExperimentProvider({ children }) {
   const resetExperiment = () => {
     setExperiment({
       title: '',
+      researcher: '',
+      date: '',
+      hypothesis: '',
       purpose: '',
       designRationale: '',
+      sampleSize: null,
       files: [],
       analysisTypes: [],
       visualizationTypes: [],
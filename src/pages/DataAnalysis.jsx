@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import Button from '../components/common/Button';
 import FileUpload from '../components/forms/FileUpload/FileUpload';
@@ -6,9 +6,22 @@ import AnalysisSelection from '../components/forms/AnalysisSelection/AnalysisSel
 import AnalysisResults from '../components/analysis/AnalysisResults';
 import ChartDisplay from '../components/visualization/ChartDisplay';
 import AIInterpretation from '../components/analysis/AIInterpretation';
+import AnalysisJobs from '../components/analysis/AnalysisJobs';
+import SheetSelector from '../components/data/SheetSelector';
+import CleaningWorkbench from '../components/data/CleaningWorkbench';
+import MergePanel from '../components/data/MergePanel';
 import { useExperiment } from '../contexts/ExperimentContext';
-import analysisService from '../services/analysisService';
+import analysisService, { JOB_STATUS } from '../services/analysisService';
 import visualizationService from '../services/visualizationService';
+import dataService from '../services/dataService';
+import { describeDataset } from '../services/data/dataset';
+import { applyEdits, removeExcludedColumns } from '../services/data/datasetEdits';
+import { CLEANING_OPERATIONS, applyRecipe, createStep, describeRecipe } from '../services/data/cleaningRecipe';
+import { COLUMN_TYPES } from '../services/data/schemaInference';
+import { mergeDatasets } from '../services/data/datasetMerge';
+
+// Shared empty recipe, so memoized values do not change on every render
+const NO_CLEANING_STEPS = [];
 
 const DataAnalysis = () => {
   const location = useLocation();
@@ -17,15 +30,28 @@ const DataAnalysis = () => {
 
   const [step, setStep] = useState('upload');
   const [files, setFiles] = useState([]);
+  const [datasets, setDatasets] = useState({});
+  const [parseErrors, setParseErrors] = useState({});
+  const [parseOptions, setParseOptions] = useState({});
+  const [parseProgress, setParseProgress] = useState({});
+  const parseControllers = useRef({});
+  const [edits, setEdits] = useState({});
+  const [recipes, setRecipes] = useState({});
+  const [mergeSpec, setMergeSpec] = useState(null);
   const [availableMethods, setAvailableMethods] = useState([]);
   const [selectedMethod, setSelectedMethod] = useState(null);
   const [methodParams, setMethodParams] = useState({});
   const [analysisResults, setAnalysisResults] = useState(null);
+  const [jobs, setJobs] = useState(() => analysisService.listAnalysisJobs());
+  const [resultsJobId, setResultsJobId] = useState(null);
+  // The latest job started or opened here; its results are shown when it finishes
+  const followedJobId = useRef(null);
   const [selectedChart, setSelectedChart] = useState(null);
   const [availableCharts, setAvailableCharts] = useState([]);
   const [visualization, setVisualization] = useState(null);
   const [aiInterpretation, setAIInterpretation] = useState(null);
   const [loading, setLoading] = useState({
+    parsing: false,
     methods: false,
     analysis: false,
     visualization: false,
@@ -36,7 +62,8 @@ const DataAnalysis = () => {
   useEffect(() => {
     if (location.state?.uploadedFiles?.length > 0) {
       setFiles(location.state.uploadedFiles);
-      setStep('select');
+      setEdits(location.state.edits || {});
+      setStep(location.state.uploadedFiles.length > 1 ? 'merge' : 'clean');
     }
 
     const loadMethods = async () => {
@@ -54,64 +81,185 @@ const DataAnalysis = () => {
     loadMethods();
   }, [location.state]);
 
+  // Jobs keep running when the page is left, so they are followed while it is open
+  useEffect(() => {
+    const unsubscribe = analysisService.subscribeToAnalysisJobs(setJobs);
+    return () => { unsubscribe(); };
+  }, []);
+
+  // Parse uploaded files into datasets in the background whenever the file
+  // list changes; each file can be cancelled on its own
+  useEffect(() => {
+    const controller = new AbortController();
+    const fileControllers = Object.fromEntries(files.map(file => [file.name, new AbortController()]));
+    parseControllers.current = fileControllers;
+
+    const parseUploadedFiles = async () => {
+      setLoading(prev => ({ ...prev, parsing: true }));
+      setParseProgress({});
+      const parsed = await dataService.parseFiles(files, parseOptions, {
+        signal: controller.signal,
+        signals: Object.fromEntries(Object.entries(fileControllers).map(([fileName, item]) => [fileName, item.signal])),
+        onProgress: (fileName, progress) => setParseProgress(prev => ({ ...prev, [fileName]: progress }))
+      });
+      if (controller.signal.aborted) return;
+      setDatasets(parsed.datasets);
+      setParseErrors(parsed.errors);
+      setParseProgress({});
+      setLoading(prev => ({ ...prev, parsing: false }));
+    };
+
+    parseUploadedFiles();
+    return () => controller.abort();
+  }, [files, parseOptions]);
+
+  // Every parsed file with the user's edits applied, in upload order
+  const fileDatasets = useMemo(() => (
+    files
+      .filter(file => datasets[file.name])
+      .map(file => removeExcludedColumns(applyEdits(datasets[file.name], edits[file.name])))
+  ), [files, datasets, edits]);
+
+  // The dataset going into cleaning: the merged files when a merge is set up,
+  // otherwise the first file
+  const activeFileName = files[0]?.name;
+  const isMerging = Boolean(mergeSpec) && fileDatasets.length > 1;
+  const { preparedDataset, mergeError } = useMemo(() => {
+    if (!isMerging) return { preparedDataset: fileDatasets[0] || null, mergeError: null };
+    try {
+      return { preparedDataset: mergeDatasets(fileDatasets, mergeSpec), mergeError: null };
+    } catch (err) {
+      return { preparedDataset: null, mergeError: err.message };
+    }
+  }, [isMerging, fileDatasets, mergeSpec]);
+
+  // The dataset the analysis runs on: the prepared dataset after the cleaning
+  // recipe, which is kept per file or per merge
+  const recipeKey = isMerging ? `${mergeSpec.mode}:${fileDatasets.map(dataset => dataset.source.fileName).join('+')}` : activeFileName;
+  const activeRecipe = recipes[recipeKey] || NO_CLEANING_STEPS;
+  const { dataset: activeDataset, log: cleaningLog } = useMemo(
+    () => applyRecipe(preparedDataset, activeRecipe),
+    [preparedDataset, activeRecipe]
+  );
+
   const handleFilesUploaded = (uploadedFiles) => {
     setFiles(uploadedFiles);
-    if (uploadedFiles.length > 0) setStep('select');
   };
 
-  const handleMethodSelect = (methodId) => {
+  const handleCancelParse = (fileName) => {
+    parseControllers.current[fileName]?.abort();
+  };
+
+  const handleEditsChange = (fileName, fileEdits) => {
+    setEdits(prev => ({ ...prev, [fileName]: fileEdits }));
+  };
+
+  const handleRecipeChange = (steps) => {
+    setRecipes(prev => ({ ...prev, [recipeKey]: steps }));
+  };
+
+  // Re-read a workbook with a different sheet, header row or range. Edits and
+  // cleaning steps refer to the columns of the previous selection, so they are dropped.
+  const handleSheetSelection = (fileName, options) => {
+    setParseOptions(prev => ({ ...prev, [fileName]: options }));
+    setEdits(prev => ({ ...prev, [fileName]: [] }));
+    setRecipes(prev => ({ ...prev, [fileName]: [] }));
+  };
+
+  const handleMethodSelect = (methodId, params) => {
     const method = availableMethods.find(m => m.id === methodId);
     setSelectedMethod(method);
 
-    if (method?.parameters) {
+    if (params) {
+      setMethodParams(params);
+    } else if (method?.parameters) {
       const defaults = {};
       method.parameters.forEach(p => { defaults[p.id] = p.default; });
       setMethodParams(defaults);
     }
   };
 
-  const handleStartAnalysis = async () => {
-    if (!selectedMethod || files.length === 0) return;
+  // Results on screen come from a job, which keeps the dataset and preparation
+  // steps it ran with; they are used even after the data on the page changed
+  const resultsJob = jobs.find(job => job.id === resultsJobId) || null;
+  const resultsDataset = resultsJob?.request.dataset || activeDataset;
+  const resultsPreparationSteps = resultsJob?.request.preparationSteps || describeRecipe(activeRecipe, cleaningLog, activeDataset);
+
+  // Wait for a job and show its results, unless another job was started or opened meanwhile
+  const followJob = async (jobId, method) => {
+    followedJobId.current = jobId;
     setLoading(prev => ({ ...prev, analysis: true }));
     setError(null);
 
     try {
-      const job = await analysisService.createAnalysisJob({
-        methodId: selectedMethod.id,
-        params: methodParams,
-        fileIds: files.map(f => f.name)
-      });
-
-      const results = await analysisService.getAnalysisResults(`${selectedMethod.id}-${job.analysisId}`);
+      const results = await analysisService.getAnalysisResults(jobId);
+      if (followedJobId.current !== jobId) return;
+      setMethodParams(analysisService.getAnalysisJob(jobId).request.params);
+      setSelectedMethod(method);
+      setResultsJobId(jobId);
       setAnalysisResults(results);
 
-      const chartOptions = await visualizationService.getSuitableVisualizationsForAnalysis(selectedMethod.id);
+      const chartOptions = await visualizationService.getSuitableVisualizationsForAnalysis(method.id);
       setAvailableCharts(chartOptions);
       if (chartOptions.length > 0) {
-        setSelectedChart(chartOptions[0].id);
-        await handleVisualizationChange(chartOptions[0].id);
+        // Charts the analysis prepared itself (e.g. a correlation heat map) are shown first
+        const firstChart = (chartOptions.find(chart => results.charts?.[chart.id]) || chartOptions[0]).id;
+        setSelectedChart(firstChart);
+        await handleVisualizationChange(firstChart, null, {}, results);
       }
 
-      await generateAIInterpretation(results);
+      await generateAIInterpretation(results, method);
       setStep('results');
     } catch (err) {
-      setError('Failed to complete analysis.');
+      if (followedJobId.current !== jobId || analysisService.getAnalysisJob(jobId)?.status === JOB_STATUS.CANCELLED) return;
+      setError(err.message ? `Failed to complete analysis: ${err.message}` : 'Failed to complete analysis.');
     } finally {
-      setLoading(prev => ({ ...prev, analysis: false }));
+      if (followedJobId.current === jobId) setLoading(prev => ({ ...prev, analysis: false }));
     }
   };
 
-  const handleVisualizationChange = async (chartTypeId) => {
-    if (!analysisResults) return;
+  // Start a job in the background; other jobs may still be running
+  const handleStartAnalysis = async (params = methodParams) => {
+    if (!selectedMethod || !activeDataset) return;
+
+    const job = await analysisService.createAnalysisJob({
+      methodId: selectedMethod.id,
+      params,
+      fileIds: files.map(f => f.name),
+      dataset: activeDataset,
+      schema: describeDataset(activeDataset),
+      dataEdits: Object.fromEntries(files.map(f => [f.name, edits[f.name] || []])),
+      mergeSpec: isMerging ? mergeSpec : null,
+      cleaningRecipe: activeRecipe,
+      preparationSteps: describeRecipe(activeRecipe, cleaningLog, activeDataset)
+    });
+    await followJob(job.id, selectedMethod);
+  };
+
+  const handleViewJob = (job) => {
+    const method = availableMethods.find(m => m.id === job.methodId);
+    if (method) followJob(job.id, method);
+  };
+
+  const handleRemoveJob = (jobId) => {
+    analysisService.removeAnalysisJob(jobId);
+    if (jobId === resultsJobId) setResultsJobId(null);
+  };
+
+  const handleVisualizationChange = async (chartTypeId, dataColumns = null, chartParams = {}, results = analysisResults) => {
+    if (!results) return;
     setLoading(prev => ({ ...prev, visualization: true }));
     try {
       setSelectedChart(chartTypeId);
       const visJob = await visualizationService.createVisualization({
-        analysisId: analysisResults.id,
+        analysisId: results.id,
         chartType: chartTypeId,
-        dataColumns: ['all']
+        dataColumns: dataColumns || ['all'],
+        dataset: analysisService.getAnalysisJob(results.id)?.request.dataset || activeDataset,
+        chart: dataColumns ? undefined : results.charts?.[chartTypeId],
+        title: chartParams.title
       });
-      const vis = await visualizationService.getVisualization(`${chartTypeId}-${visJob.visualizationId}`);
+      const vis = await visualizationService.getVisualization(visJob.visualizationId);
       setVisualization(vis);
     } catch (err) {
       setError('Failed to generate visualization.');
@@ -120,14 +268,14 @@ const DataAnalysis = () => {
     }
   };
 
-  const generateAIInterpretation = async (results) => {
+  const generateAIInterpretation = async (results, method = selectedMethod) => {
     if (!results) return;
     setLoading(prev => ({ ...prev, interpretation: true }));
     try {
       const res = await fetch('/api/analyze', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: `Interpret the ${selectedMethod.name} results: ${results.textualSummary}` })
+        body: JSON.stringify({ query: `Interpret the ${method.name} results: ${results.textualSummary}` })
       });
       const data = await res.json();
       setAIInterpretation(data);
@@ -140,26 +288,133 @@ const DataAnalysis = () => {
 
   const handleExportResults = (format) => {
     if (!analysisResults) return;
-    analysisService.exportAnalysisResults(analysisResults.id, format)
-      .then(result => alert(`Mock download URL: ${result.downloadUrl}`))
+    analysisService.exportAnalysisResults(analysisResults, format, {
+      methodName: selectedMethod?.name,
+      dataset: resultsDataset,
+      preparationSteps: resultsPreparationSteps
+    })
+      .then(exported => {
+        const element = document.createElement('a');
+        const file = new Blob([exported.content], { type: exported.mimeType });
+        element.href = URL.createObjectURL(file);
+        element.download = exported.fileName;
+        document.body.appendChild(element);
+        element.click();
+        document.body.removeChild(element);
+      })
       .catch(err => setError('Export failed'));
   };
 
+  // Re-run the analysis with the test an assumption check recommended
+  const handleApplyRecommendation = (params) => {
+    const nextParams = { ...methodParams, ...params };
+    setMethodParams(nextParams);
+    handleStartAnalysis(nextParams);
+  };
+
+  // Add per-row results (e.g. cluster assignments) to the dataset as the last
+  // cleaning step, so later analyses can group by them
+  const handleAddColumn = ({ name, values, origin }) => {
+    handleRecipeChange([
+      ...activeRecipe,
+      createStep(CLEANING_OPERATIONS.ADD_COLUMN, { name, values, origin, columnType: COLUMN_TYPES.CATEGORICAL })
+    ]);
+  };
+
   const renderStep = () => {
     if (step === 'upload') {
-      return <FileUpload onDataUploaded={handleFilesUploaded} />;
+      return (
+        <>
+          <FileUpload
+            onFilesSelected={handleFilesUploaded}
+            selectedFiles={files}
+            datasets={datasets}
+            parseErrors={parseErrors}
+            edits={edits}
+            onEditsChange={handleEditsChange}
+            parseProgress={loading.parsing ? parseProgress : {}}
+            onCancelParse={handleCancelParse}
+          />
+          <Button
+            onClick={() => setStep(fileDatasets.length > 1 ? 'merge' : 'clean')}
+            disabled={fileDatasets.length === 0 || loading.parsing}
+          >
+            Continue
+          </Button>
+        </>
+      );
+    }
+    if (step === 'merge') {
+      return (
+        <>
+          {files.filter(file => parseErrors[file.name]).map(file => (
+            <div key={file.name} className="text-red-600 mb-4">{file.name}: {parseErrors[file.name]}</div>
+          ))}
+          {fileDatasets.length > 1 && (
+            <MergePanel datasets={fileDatasets} spec={mergeSpec} onSpecChange={setMergeSpec} />
+          )}
+          <div className="flex justify-between mt-6">
+            <Button variant="outline" onClick={() => setStep('upload')}>
+              Preview & Edit Data
+            </Button>
+            <Button onClick={() => setStep('clean')} disabled={!activeDataset || loading.parsing}>
+              Continue to Cleaning
+            </Button>
+          </div>
+        </>
+      );
+    }
+    if (step === 'clean') {
+      return (
+        <>
+          {mergeError && <div className="text-red-600 mb-4">{mergeError}</div>}
+          {preparedDataset && (
+            <CleaningWorkbench
+              dataset={preparedDataset}
+              steps={activeRecipe}
+              onStepsChange={handleRecipeChange}
+            />
+          )}
+          <div className="flex justify-between mt-6">
+            <Button variant="outline" onClick={() => setStep(fileDatasets.length > 1 ? 'merge' : 'upload')}>
+              {fileDatasets.length > 1 ? 'Back to Combine Files' : 'Preview & Edit Data'}
+            </Button>
+            <Button onClick={() => setStep('select')} disabled={!activeDataset || loading.parsing}>
+              Continue to Analysis
+            </Button>
+          </div>
+        </>
+      );
     }
     if (step === 'select') {
       return (
         <>
+          <Button variant="outline" onClick={() => setStep('clean')}>
+            Back to Cleaning
+          </Button>
+          {parseErrors[activeFileName] && !isMerging && (
+            <div className="text-red-600 mb-4">{parseErrors[activeFileName]}</div>
+          )}
+          {activeDataset?.warnings.map(warning => (
+            <div key={warning} className="text-amber-700 mb-2 text-sm">{warning}</div>
+          ))}
+          {(isMerging ? files : files.slice(0, 1)).filter(file => dataService.isWorkbook(file)).map(file => (
+            <SheetSelector
+              key={file.name}
+              file={file}
+              options={parseOptions[file.name]}
+              onApply={(options) => handleSheetSelection(file.name, options)}
+            />
+          ))}
           <AnalysisSelection
             analysisTypes={availableMethods}
-            selectedFile={files[0]}
+            selectedFile={isMerging ? { name: preparedDataset?.name || 'Merged files' } : files[0]}
+            dataset={activeDataset}
             onAnalysisSelect={handleMethodSelect}
-            isLoading={loading.methods}
+            isLoading={loading.methods || loading.parsing}
           />
-          <Button onClick={handleStartAnalysis} disabled={!selectedMethod || loading.analysis}>
-            {loading.analysis ? 'Analyzing...' : 'Start Analysis'}
+          <Button onClick={() => handleStartAnalysis()} disabled={!selectedMethod || !activeDataset}>
+            {loading.analysis ? 'Start Another Analysis' : 'Start Analysis'}
           </Button>
         </>
       );
@@ -169,11 +424,15 @@ const DataAnalysis = () => {
         <>
           <AnalysisResults
             results={analysisResults}
+            dataset={resultsDataset}
+            preparationSteps={resultsPreparationSteps}
             selectedAnalysis={selectedMethod.id}
             visualizationTypes={availableCharts}
             onGenerateVisualization={handleVisualizationChange}
             onRequestInterpretation={() => generateAIInterpretation(analysisResults)}
             onExportResults={handleExportResults}
+            onAddColumn={handleAddColumn}
+            onApplyRecommendation={handleApplyRecommendation}
             isLoading={loading.analysis}
           />
           <ChartDisplay visualization={visualization} isLoading={loading.visualization} />
@@ -192,6 +451,19 @@ const DataAnalysis = () => {
     <div className="p-6 max-w-5xl mx-auto">
       <h1 className="text-3xl font-bold mb-4">Data Analysis</h1>
       {error && <div className="text-red-600 mb-4">{error}</div>}
+      {location.state?.validation?.overridden && (
+        <div className="bg-yellow-50 text-yellow-800 p-3 rounded-md mb-4 text-sm">
+          This data has {location.state.validation.errorCount} unresolved data template validation problem{location.state.validation.errorCount !== 1 ? 's' : ''}; results may be affected.
+        </div>
+      )}
+      <AnalysisJobs
+        jobs={jobs}
+        methods={availableMethods}
+        activeJobId={step === 'results' ? resultsJobId : null}
+        onViewResults={handleViewJob}
+        onCancel={analysisService.cancelAnalysisJob}
+        onRemove={handleRemoveJob}
+      />
       {renderStep()}
     </div>
   );
@@ -3,8 +3,10 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import { FiArrowLeft, FiArrowRight, FiCheck, FiDownload } from 'react-icons/fi';
 import Button from '../components/common/Button';
 import DataUpload from '../components/forms/DataUpload/DataUpload';
+import TemplateImportReport from '../components/data/TemplateImportReport';
 import { useExperiment } from '../contexts/ExperimentContext';
 import protocolService from '../services/protocolService';
+import { TEMPLATE_FIELDS } from '../services/data/templateImporter';
 
 /**
  * DataCollection Page
@@ -13,8 +15,13 @@ import protocolService from '../services/protocolService';
 const DataCollection = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { experiment, protocol, updateExperimentData } = useExperiment();
+  const { experiment, protocol, updateExperiment, updateExperimentData } = useExperiment();
   const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [importedDatasets, setImportedDatasets] = useState([]);
+  const [validation, setValidation] = useState({});
+  const [validating, setValidating] = useState(false);
+  const [overrideValidation, setOverrideValidation] = useState(false);
+  const [dataEdits, setDataEdits] = useState({});
   const [message, setMessage] = useState('');
   const [dataTemplateGenerated, setDataTemplateGenerated] = useState(false);
 
@@ -29,18 +36,39 @@ const DataCollection = () => {
     }
   }, [protocol, navigate]);
 
-  // Handle data files being uploaded
-  const handleDataUploaded = (files) => {
+  // Handle data files being uploaded, parsed and validated
+  const handleDataUploaded = (files, { datasets = {}, validation: reports = {}, edits = {} } = {}) => {
     setUploadedFiles(files);
+    setValidation(reports);
+    setDataEdits(edits);
+    setOverrideValidation(false);
+
+    // Filled-in data collection templates carry experiment details
+    const templates = Object.values(datasets).filter(dataset => dataset.template);
+    setImportedDatasets(templates);
+
+    // Copy experiment details from the templates into the experiment
+    const metadata = {};
+    templates.forEach(dataset => {
+      TEMPLATE_FIELDS.forEach(({ key }) => {
+        const value = dataset.template.metadata[key];
+        if (value && !metadata[key]) metadata[key] = value;
+      });
+    });
+    if (Object.keys(metadata).length > 0) {
+      updateExperiment(metadata);
+    }
     
     // Update experiment data with uploaded file information
     updateExperimentData({
-      ...experiment,
       dataFiles: files.map(file => ({
         name: file.name,
         size: file.size,
         type: file.type,
-        lastModified: file.lastModified
+        lastModified: file.lastModified,
+        rowCount: datasets[file.name]?.rows.length,
+        columnCount: datasets[file.name]?.columns.length,
+        fromTemplate: Boolean(datasets[file.name]?.template)
       }))
     });
   };
@@ -74,9 +102,19 @@ const DataCollection = () => {
     navigate('/protocol/generate');
   };
 
+  // Unresolved problems found by the data template validation
+  const validationErrorCount = Object.values(validation)
+    .reduce((total, report) => total + report.errors.length, 0);
+
   // Continue to data analysis
   const handleContinueToAnalysis = () => {
-    navigate('/data/analysis', { state: { uploadedFiles } });
+    navigate('/data/analysis', {
+      state: {
+        uploadedFiles,
+        edits: dataEdits,
+        validation: validationErrorCount > 0 ? { errorCount: validationErrorCount, overridden: true } : undefined
+      }
+    });
   };
 
   return (
@@ -161,13 +199,38 @@ const DataCollection = () => {
             <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
               <DataUpload 
                 onDataUploaded={handleDataUploaded}
+                onValidatingChange={setValidating}
                 protocol={protocol}
-                acceptedFileTypes={['.csv', '.xlsx', '.json', '.txt']}
+                acceptedFileTypes={['.csv', '.xlsx', '.txt', '.html']}
                 maxFileSize={20}
               />
+              {importedDatasets.length > 0 && (
+                <div className="mt-6">
+                  <TemplateImportReport datasets={importedDatasets} />
+                </div>
+              )}
             </div>
           </div>
           
+          {/* Validation override */}
+          {validationErrorCount > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+              <p className="text-sm text-yellow-800">
+                The uploaded data has {validationErrorCount} unresolved validation problem{validationErrorCount !== 1 ? 's' : ''}.
+                Fix the files and upload them again, or continue anyway.
+              </p>
+              <label className="mt-2 flex items-center text-sm text-yellow-900">
+                <input
+                  type="checkbox"
+                  checked={overrideValidation}
+                  onChange={(e) => setOverrideValidation(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                />
+                Continue to analysis despite the validation problems
+              </label>
+            </div>
+          )}
+
           {/* Navigation Buttons */}
           <div className="flex justify-between">
             <Button
@@ -182,7 +245,7 @@ const DataCollection = () => {
             <Button
               type="button"
               onClick={handleContinueToAnalysis}
-              disabled={uploadedFiles.length === 0}
+              disabled={validating || uploadedFiles.length === 0 || (validationErrorCount > 0 && !overrideValidation)}
               className="flex items-center gap-2"
             >
               Continue to Analysis <FiArrowRight />
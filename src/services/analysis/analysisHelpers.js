@@ -0,0 +1,47 @@
+/**
+ * analysisHelpers.js
+ * Small helpers shared by the analysis runners: grouping rows, and turning
+ * numbers into results that serialize and read cleanly.
+ */
+import { getColumnValues } from '../data/dataset';
+
+/**
+ * Replace NaN with null, so results serialize cleanly
+ * @param {number} value Number
+ * @returns {number|null} Finite number or null
+ */
+export const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+/**
+ * Format a number for the written summary
+ * @param {number} value Number
+ * @returns {string} Text
+ */
+export const formatNumber = (value) => (Number.isFinite(value) ? String(Number(value.toPrecision(4))) : 'n/a');
+
+/**
+ * Format a p-value for the written summary
+ * @param {number} p P-value
+ * @returns {string} Text such as "p = 0.0123" or "p < 0.0001"
+ */
+export const formatPValue = (p) => {
+  if (!Number.isFinite(p)) return 'p = n/a';
+  return p < 0.0001 ? 'p < 0.0001' : `p = ${p.toFixed(4)}`;
+};
+
+/**
+ * Split row indexes by the value of a grouping column
+ * @param {Object} dataset Dataset
+ * @param {string} groupColumnId Grouping column ID
+ * @returns {Array<{ label: string, rows: Array<number> }>} Groups in order of first appearance
+ */
+export const groupRows = (dataset, groupColumnId) => {
+  const groups = new Map();
+  getColumnValues(dataset, groupColumnId).forEach((value, rowIndex) => {
+    if (value === null) return;
+    const label = String(value);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(rowIndex);
+  });
+  return [...groups.entries()].map(([label, rows]) => ({ label, rows }));
+};
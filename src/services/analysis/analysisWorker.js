@@ -0,0 +1,25 @@
+/**
+ * analysisWorker.js
+ * Web Worker that runs one analysis job off the main thread, so long
+ * computations such as bootstrap and permutation resampling do not block the
+ * page, and reports progress for the methods that can tell.
+ *
+ * Messages in:  { methodId, dataset, params }   (columnar dataset)
+ * Messages out: { type: 'progress', progress }   (share of the work done, 0 to 1)
+ *               { type: 'result', results }
+ *               { type: 'error', message }
+ * Cancellation terminates the worker.
+ */
+import analysisService from '../analysisService';
+import { fromColumnar } from '../data/columnar';
+
+self.onmessage = ({ data: { methodId, dataset, params } }) => {
+  try {
+    const results = analysisService.runAnalysis(methodId, fromColumnar(dataset), params, {
+      onProgress: progress => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'result', results });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,460 @@
+/**
+ * anovaAnalysis.js
+ * The "anova" analysis method for multi-factor designs: factorial ANOVA of
+ * between-subjects factors with their interactions and Type II or III sums
+ * of squares, and repeated-measures ANOVA of within-subject factors with
+ * Mauchly's sphericity test and the Greenhouse-Geisser or Huynh-Feldt
+ * correction. Both report the ANOVA table, the cell means and a bar chart
+ * of the cell means.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn, getColumnValues } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { columnLabel } from '../data/units';
+import { mean, standardDeviation } from '../stats/basic';
+import {
+  SUM_OF_SQUARES_TYPES,
+  SPHERICITY_CORRECTIONS,
+  factorialAnova,
+  repeatedMeasuresAnova
+} from '../stats/anova';
+import { finiteOrNull, formatNumber, formatPValue, groupRows } from './analysisHelpers';
+
+export const ANOVA_DESIGNS = {
+  FACTORIAL: 'factorial',
+  REPEATED_MEASURES: 'repeated-measures'
+};
+
+// Sphericity correction chosen from Mauchly's test
+const AUTO_CORRECTION = 'auto';
+
+const CORRECTION_NAMES = {
+  [SPHERICITY_CORRECTIONS.NONE]: 'uncorrected',
+  [SPHERICITY_CORRECTIONS.GREENHOUSE_GEISSER]: 'Greenhouse-Geisser',
+  [SPHERICITY_CORRECTIONS.HUYNH_FELDT]: 'Huynh-Feldt'
+};
+
+/**
+ * Key of a term in the numerical results, e.g. "Temperature × Catalyst" → "temperature_x_catalyst"
+ * @returns {string} Key
+ */
+const termKey = (name) => name.toLowerCase().replace(/×/g, 'x').replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Name of a term from the indexes of its factors
+ * @returns {string} Name, e.g. "Temperature × Catalyst"
+ */
+const termName = (term, factorColumns) => term.map(f => factorColumns[f].name).join(' × ');
+
+/**
+ * Resolve the factor columns, in the order they were chosen
+ * @returns {Array<Object>} Columns
+ */
+const factorColumnsParameter = (dataset, ids, exclude) => {
+  const list = (Array.isArray(ids) ? ids : String(ids || '').split(',')).map(id => String(id).trim()).filter(Boolean);
+  const columns = list.map(id => {
+    const column = getColumn(dataset, id);
+    if (!column) throw new Error(`Column ${id} is not in the dataset`);
+    return column;
+  }).filter(column => !exclude.includes(column));
+  if (columns.length === 0) throw new Error('Choose at least one factor column');
+  return columns;
+};
+
+/**
+ * Mean, SD and SE of the values in every cell of the design
+ * @param {Array<Array<string>>} levels Levels of each factor
+ * @param {Function} valuesOf Values of a cell, from the level of each factor
+ * @returns {Array<Object>} Cells { levels, n, mean, sd, se }, the last factor varying fastest
+ */
+const cellSummaries = (levels, valuesOf) => levels
+  .reduce((cells, factorLevels) => cells.flatMap(cell => factorLevels.map(level => [...cell, level])), [[]])
+  .map(cellLevels => {
+    const values = valuesOf(cellLevels);
+    const sd = values.length > 1 ? standardDeviation(values) : NaN;
+    return {
+      levels: cellLevels,
+      n: values.length,
+      mean: finiteOrNull(mean(values)),
+      sd: finiteOrNull(sd),
+      se: finiteOrNull(sd / Math.sqrt(values.length))
+    };
+  });
+
+/**
+ * Table of the cell means
+ * @returns {Object} Table
+ */
+const cellTable = (cells, factorColumns, valueColumn, countLabel) => ({
+  id: 'cellMeans',
+  title: `Cell means of ${columnLabel(valueColumn)}`,
+  columns: [
+    ...factorColumns.map((column, f) => ({ key: `factor_${f}`, label: column.name })),
+    { key: 'n', label: countLabel },
+    { key: 'mean', label: 'Mean' },
+    { key: 'sd', label: 'SD' },
+    { key: 'se', label: 'SE' }
+  ],
+  rows: cells.map(cell => ({
+    ...Object.fromEntries(cell.levels.map((level, f) => [`factor_${f}`, level])),
+    n: cell.n,
+    mean: cell.mean,
+    sd: cell.sd,
+    se: cell.se
+  }))
+});
+
+/**
+ * Bar chart of the cell means: the first factor along the axis, one series
+ * per combination of the other factors
+ * @returns {Object} Chart { chartData, xAxisLabel, yAxisLabel, dataColumns, title }
+ */
+const cellMeansChart = (cells, levels, factorColumns, valueColumn) => {
+  const series = [...new Set(cells.map(cell => cell.levels.slice(1).join(' · ')))];
+  const seriesName = factorColumns.slice(1).map(column => column.name).join(' · ');
+  return {
+    chartData: {
+      labels: levels[0],
+      datasets: series.map(label => ({
+        label: factorColumns.length > 1 ? `${seriesName}: ${label}` : 'Mean',
+        data: levels[0].map(level => cells.find(cell => cell.levels[0] === level && cell.levels.slice(1).join(' · ') === label)?.mean ?? null)
+      }))
+    },
+    xAxisLabel: factorColumns[0].name,
+    yAxisLabel: `Mean ${columnLabel(valueColumn)}`,
+    dataColumns: [...factorColumns.map(column => column.name), valueColumn.name],
+    title: `Mean ${valueColumn.name} by ${factorColumns.map(column => column.name).join(' × ')}`
+  };
+};
+
+/**
+ * Sentence on one effect of the ANOVA
+ * @returns {string} Text
+ */
+const effectSentence = (name, df, errorDf, statistic, p, alpha, partialEtaSquared) => (
+  `${name}: F(${formatNumber(df)}, ${formatNumber(errorDf)}) = ${formatNumber(statistic)}, ${formatPValue(p)}, `
+    + `partial η² = ${formatNumber(partialEtaSquared)}; ${p < alpha ? 'significant' : 'not significant'} at α = ${alpha}.`
+);
+
+/**
+ * Caution about main effects when an interaction is significant
+ * @returns {Array<string>} The caution, or nothing
+ */
+const interactionCaution = (rows, alpha) => {
+  const significant = rows.filter(row => row.interaction && row.p < alpha);
+  return significant.length
+    ? [`The ${significant.map(row => row.name).join(', ')} interaction${significant.length > 1 ? 's are' : ' is'} significant, `
+      + 'so the effect of each factor depends on the level of the others; read the main effects with the cell means.']
+    : [];
+};
+
+/**
+ * Factorial (between-subjects) ANOVA
+ * @returns {Object} Results
+ */
+const factorialResults = (dataset, { valueColumn, factorColumns, type, interactions, alpha }) => {
+  const yAll = getNumericVector(dataset, valueColumn.id);
+  const labelsAll = factorColumns.map(column => getColumnValues(dataset, column.id).map(value => (value === null ? null : String(value))));
+  const rows = dataset.rows.map((_, i) => i).filter(i => Number.isFinite(yAll[i]) && labelsAll.every(labels => labels[i] !== null));
+  const dropped = dataset.rows.length - rows.length;
+  const y = rows.map(i => yAll[i]);
+  const factors = labelsAll.map(labels => rows.map(i => labels[i]));
+  factors.forEach((values, f) => {
+    if (new Set(values).size < 2) throw new Error(`Factor ${factorColumns[f].name} needs at least two levels`);
+  });
+  const result = factorialAnova(y, factors, { type, interactions });
+
+  const unit = valueColumn.unit;
+  const effects = result.terms.map(term => ({
+    ...term,
+    name: termName(term.factors, factorColumns),
+    interaction: term.factors.length > 1
+  }));
+  const cells = cellSummaries(result.levels, cellLevels => y.filter((_, i) => factors.every((values, f) => values[i] === cellLevels[f])));
+  const typeName = type === SUM_OF_SQUARES_TYPES.TYPE_II ? 'Type II' : 'Type III';
+
+  return {
+    textualSummary: [
+      `${factorColumns.length}-way factorial ANOVA of ${columnLabel(valueColumn)} by ${factorColumns.map(column => column.name).join(' × ')} `
+        + `(n = ${result.n}${dropped ? `, ${dropped} row${dropped !== 1 ? 's' : ''} with missing values dropped` : ''}), `
+        + `${typeName} sums of squares${interactions ? ', with interactions' : ', main effects only'}.`,
+      ...effects.map(effect => effectSentence(effect.name, effect.df, result.residual.df, effect.statistic, effect.p, alpha, effect.partialEtaSquared)),
+      ...interactionCaution(effects, alpha),
+      ...(cells.some(cell => cell.n === 0) ? ['Some combinations of levels have no observations.'] : [])
+    ].join('\n'),
+    numericalResults: {
+      design: 'Factorial ANOVA',
+      n: result.n,
+      factors: factorColumns.length,
+      sum_of_squares: typeName,
+      ...Object.fromEntries(effects.flatMap(effect => [
+        [`${termKey(effect.name)}_f`, finiteOrNull(effect.statistic)],
+        [`${termKey(effect.name)}_p`, finiteOrNull(effect.p)],
+        [`${termKey(effect.name)}_partial_eta_squared`, finiteOrNull(effect.partialEtaSquared)]
+      ])),
+      df_residual: result.residual.df,
+      ms_residual: finiteOrNull(result.residual.ms)
+    },
+    units: {},
+    tables: [
+      {
+        id: 'anova',
+        title: `ANOVA Table (${typeName} sums of squares)`,
+        columns: [
+          { key: 'source', label: 'Source' },
+          { key: 'ss', label: `Sum of squares${unit ? ` (${unit}²)` : ''}` },
+          { key: 'df', label: 'df' },
+          { key: 'ms', label: 'Mean square' },
+          { key: 'f', label: 'F' },
+          { key: 'p', label: 'p' },
+          { key: 'partialEtaSquared', label: 'Partial η²' }
+        ],
+        rows: [
+          ...effects.map(effect => ({
+            source: effect.name,
+            ss: effect.ss,
+            df: effect.df,
+            ms: effect.ms,
+            f: finiteOrNull(effect.statistic),
+            p: finiteOrNull(effect.p),
+            partialEtaSquared: finiteOrNull(effect.partialEtaSquared)
+          })),
+          { source: 'Residual', ss: result.residual.ss, df: result.residual.df, ms: result.residual.ms, f: null, p: null, partialEtaSquared: null },
+          { source: 'Total', ss: result.total.ss, df: result.total.df, ms: null, f: null, p: null, partialEtaSquared: null }
+        ]
+      },
+      cellTable(cells, factorColumns, valueColumn, 'n')
+    ],
+    charts: { bar: cellMeansChart(cells, result.levels, factorColumns, valueColumn) }
+  };
+};
+
+/**
+ * Repeated-measures (within-subject) ANOVA on long-format data: one row
+ * per measurement, with the subject and the level of every factor
+ * @returns {Object} Results
+ */
+const repeatedMeasuresResults = (dataset, { valueColumn, factorColumns, subjectColumn, interactions, alpha, correction }) => {
+  const yAll = getNumericVector(dataset, valueColumn.id);
+  const labelsAll = factorColumns.map(column => getColumnValues(dataset, column.id).map(value => (value === null ? null : String(value))));
+  const usable = i => Number.isFinite(yAll[i]) && labelsAll.every(labels => labels[i] !== null);
+  const levels = labelsAll.map(labels => [...new Set(dataset.rows.map((_, i) => i).filter(usable).map(i => labels[i]))]);
+  levels.forEach((factorLevels, f) => {
+    if (factorLevels.length < 2) throw new Error(`Factor ${factorColumns[f].name} needs at least two levels`);
+  });
+  const cellCount = levels.reduce((product, factorLevels) => product * factorLevels.length, 1);
+  const cellOf = i => labelsAll.reduce((index, labels, f) => index * levels[f].length + levels[f].indexOf(labels[i]), 0);
+
+  // Average repeated measurements of a cell; keep only subjects measured in every cell
+  const subjects = groupRows(dataset, subjectColumn.id).map(subject => {
+    const sums = new Array(cellCount).fill(0);
+    const counts = new Array(cellCount).fill(0);
+    subject.rows.filter(usable).forEach(i => {
+      sums[cellOf(i)] += yAll[i];
+      counts[cellOf(i)] += 1;
+    });
+    return { label: subject.label, values: sums.map((total, c) => (counts[c] ? total / counts[c] : NaN)), repeated: counts.some(count => count > 1) };
+  });
+  const complete = subjects.filter(subject => subject.values.every(Number.isFinite));
+  const incomplete = subjects.length - complete.length;
+  const averaged = complete.filter(subject => subject.repeated).length;
+  const y = complete.map(subject => subject.values);
+  const result = repeatedMeasuresAnova(y, levels.map(factorLevels => factorLevels.length), { interactions });
+
+  const effects = result.terms.map(term => {
+    const test = term.sphericity;
+    const violated = test.p !== null && test.p < alpha;
+    const applied = correction === AUTO_CORRECTION
+      ? (violated ? SPHERICITY_CORRECTIONS.GREENHOUSE_GEISSER : SPHERICITY_CORRECTIONS.NONE)
+      : correction;
+    const epsilon = {
+      [SPHERICITY_CORRECTIONS.NONE]: 1,
+      [SPHERICITY_CORRECTIONS.GREENHOUSE_GEISSER]: test.greenhouseGeisser,
+      [SPHERICITY_CORRECTIONS.HUYNH_FELDT]: test.huynhFeldt
+    }[applied];
+    const correctedP = {
+      [SPHERICITY_CORRECTIONS.NONE]: term.p,
+      [SPHERICITY_CORRECTIONS.GREENHOUSE_GEISSER]: term.pGreenhouseGeisser,
+      [SPHERICITY_CORRECTIONS.HUYNH_FELDT]: term.pHuynhFeldt
+    }[applied];
+    return {
+      ...term,
+      name: termName(term.factors, factorColumns),
+      interaction: term.factors.length > 1,
+      violated,
+      applied,
+      epsilon,
+      correctedP
+    };
+  });
+  const cells = cellSummaries(levels, cellLevels => {
+    const c = cellLevels.reduce((index, level, f) => index * levels[f].length + levels[f].indexOf(level), 0);
+    return y.map(values => values[c]);
+  });
+  const unit = valueColumn.unit;
+  const corrected = effects.filter(effect => effect.applied !== SPHERICITY_CORRECTIONS.NONE && effect.df > 1);
+  const notes = [
+    ...(incomplete ? [`${incomplete} subject${incomplete !== 1 ? 's' : ''} without a measurement in every cell ${incomplete !== 1 ? 'were' : 'was'} left out.`] : []),
+    ...(averaged ? [`${averaged} subject${averaged !== 1 ? 's' : ''} had more than one measurement in a cell; those were averaged.`] : [])
+  ];
+
+  return {
+    textualSummary: [
+      `Repeated-measures ANOVA of ${columnLabel(valueColumn)} within ${factorColumns.map(column => column.name).join(' × ')} `
+        + `(${result.n} subjects by ${subjectColumn.name}, ${cellCount} measurements each${interactions ? '' : ', main effects only'}).`,
+      ...effects.filter(effect => effect.df > 1).map(effect => {
+        const test = effect.sphericity;
+        if (test.p === null) return `${effect.name}: too few subjects to test sphericity (Greenhouse-Geisser ε = ${formatNumber(test.greenhouseGeisser)}).`;
+        return `${effect.name}: Mauchly's W = ${formatNumber(test.w)}, χ²(${test.df}) = ${formatNumber(test.statistic)}, ${formatPValue(test.p)}; `
+          + `sphericity ${effect.violated ? 'is violated' : 'holds'} (Greenhouse-Geisser ε = ${formatNumber(test.greenhouseGeisser)}, Huynh-Feldt ε = ${formatNumber(test.huynhFeldt)}).`;
+      }),
+      ...effects.map(effect => effectSentence(
+        `${effect.name}${effect.applied !== SPHERICITY_CORRECTIONS.NONE && effect.df > 1 ? ` (${CORRECTION_NAMES[effect.applied]})` : ''}`,
+        effect.epsilon * effect.df,
+        effect.epsilon * effect.errorDf,
+        effect.statistic,
+        effect.correctedP,
+        alpha,
+        effect.partialEtaSquared
+      )),
+      ...interactionCaution(effects.map(effect => ({ ...effect, p: effect.correctedP })), alpha),
+      ...notes
+    ].join('\n'),
+    numericalResults: {
+      design: 'Repeated-measures ANOVA',
+      subjects: result.n,
+      factors: factorColumns.length,
+      ...Object.fromEntries(effects.flatMap(effect => [
+        [`${termKey(effect.name)}_f`, finiteOrNull(effect.statistic)],
+        [`${termKey(effect.name)}_p`, finiteOrNull(effect.correctedP)],
+        [`${termKey(effect.name)}_partial_eta_squared`, finiteOrNull(effect.partialEtaSquared)],
+        ...(effect.df > 1 ? [
+          [`${termKey(effect.name)}_mauchly_p`, finiteOrNull(effect.sphericity.p)],
+          [`${termKey(effect.name)}_greenhouse_geisser_epsilon`, finiteOrNull(effect.sphericity.greenhouseGeisser)]
+        ] : [])
+      ])),
+      sphericity_correction: corrected.length ? [...new Set(corrected.map(effect => CORRECTION_NAMES[effect.applied]))].join(', ') : 'none'
+    },
+    units: {},
+    tables: [
+      {
+        id: 'anova',
+        title: 'Repeated-measures ANOVA Table',
+        columns: [
+          { key: 'source', label: 'Source' },
+          { key: 'ss', label: `Sum of squares${unit ? ` (${unit}²)` : ''}` },
+          { key: 'df', label: 'df' },
+          { key: 'ms', label: 'Mean square' },
+          { key: 'f', label: 'F' },
+          { key: 'p', label: 'p' },
+          { key: 'correction', label: 'Correction' },
+          { key: 'epsilon', label: 'ε' },
+          { key: 'correctedP', label: 'p (corrected)' },
+          { key: 'partialEtaSquared', label: 'Partial η²' }
+        ],
+        rows: [
+          { source: `Subjects (${subjectColumn.name})`, ss: result.subjects.ss, df: result.subjects.df, ms: result.subjects.ss / result.subjects.df },
+          ...effects.flatMap(effect => [
+            {
+              source: effect.name,
+              ss: effect.ss,
+              df: effect.df,
+              ms: effect.ms,
+              f: finiteOrNull(effect.statistic),
+              p: finiteOrNull(effect.p),
+              correction: effect.df > 1 ? CORRECTION_NAMES[effect.applied] : null,
+              epsilon: effect.df > 1 ? finiteOrNull(effect.epsilon) : null,
+              correctedP: finiteOrNull(effect.correctedP),
+              partialEtaSquared: finiteOrNull(effect.partialEtaSquared)
+            },
+            { source: `Residual (${effect.name} × Subjects)`, ss: effect.errorSs, df: effect.errorDf, ms: effect.errorMs }
+          ])
+        ]
+      },
+      {
+        id: 'sphericity',
+        title: "Sphericity: Mauchly's test and epsilon corrections",
+        columns: [
+          { key: 'source', label: 'Effect' },
+          { key: 'w', label: "Mauchly's W" },
+          { key: 'chiSquare', label: 'χ²' },
+          { key: 'df', label: 'df' },
+          { key: 'p', label: 'p' },
+          { key: 'greenhouseGeisser', label: 'Greenhouse-Geisser ε' },
+          { key: 'huynhFeldt', label: 'Huynh-Feldt ε' },
+          { key: 'lowerBound', label: 'Lower-bound ε' },
+          { key: 'pGreenhouseGeisser', label: 'p (Greenhouse-Geisser)' },
+          { key: 'pHuynhFeldt', label: 'p (Huynh-Feldt)' }
+        ],
+        rows: effects.map(effect => ({
+          source: effect.name,
+          w: finiteOrNull(effect.sphericity.w),
+          chiSquare: finiteOrNull(effect.sphericity.statistic),
+          df: effect.sphericity.df,
+          p: finiteOrNull(effect.sphericity.p),
+          greenhouseGeisser: finiteOrNull(effect.sphericity.greenhouseGeisser),
+          huynhFeldt: finiteOrNull(effect.sphericity.huynhFeldt),
+          lowerBound: finiteOrNull(effect.sphericity.lowerBound),
+          pGreenhouseGeisser: finiteOrNull(effect.pGreenhouseGeisser),
+          pHuynhFeldt: finiteOrNull(effect.pHuynhFeldt)
+        }))
+      },
+      cellTable(cells, factorColumns, valueColumn, 'Subjects')
+    ],
+    charts: { bar: cellMeansChart(cells, levels, factorColumns, valueColumn) }
+  };
+};
+
+/**
+ * Run the factorial or repeated-measures ANOVA
+ * @param {Object} dataset Dataset to analyze (long format: one row per measurement)
+ * @param {Object} params Method parameters
+ * @param {string} [params.design='factorial'] One of ANOVA_DESIGNS
+ * @param {string} params.valueColumn ID of the numeric measurement column
+ * @param {Array<string>} params.factorColumns IDs of the factor columns: between-subjects factors of a
+ *   factorial design, within-subject factors of a repeated-measures design
+ * @param {string} [params.subjectColumn] ID of the column identifying subjects (repeated measures)
+ * @param {string} [params.sumOfSquares='type-3'] 'type-2' or 'type-3' (factorial)
+ * @param {boolean} [params.interactions=true] Include the interactions between factors
+ * @param {string} [params.significance='0.05'] Significance level α
+ * @param {string} [params.sphericityCorrection='auto'] 'auto' (Greenhouse-Geisser when Mauchly's test
+ *   rejects sphericity), or one of SPHERICITY_CORRECTIONS (repeated measures)
+ * @returns {Object} Results: textualSummary, numericalResults, units, tables, charts and parameters
+ */
+export const runAnovaAnalysis = (dataset, params = {}) => {
+  const design = params.design === ANOVA_DESIGNS.REPEATED_MEASURES ? ANOVA_DESIGNS.REPEATED_MEASURES : ANOVA_DESIGNS.FACTORIAL;
+  const alpha = Number(params.significance) || 0.05;
+  const interactions = params.interactions !== false && params.interactions !== 'false';
+  const type = params.sumOfSquares === 'type-2' ? SUM_OF_SQUARES_TYPES.TYPE_II : SUM_OF_SQUARES_TYPES.TYPE_III;
+  const correction = [...Object.values(SPHERICITY_CORRECTIONS), AUTO_CORRECTION].includes(params.sphericityCorrection)
+    ? params.sphericityCorrection
+    : AUTO_CORRECTION;
+
+  const valueColumn = params.valueColumn ? getColumn(dataset, params.valueColumn) : null;
+  if (!valueColumn) throw new Error('Choose the value column holding the measurements');
+  if (valueColumn.type !== COLUMN_TYPES.NUMERIC) throw new Error(`Column ${valueColumn.name} must be numeric`);
+  const subjectColumn = params.subjectColumn ? getColumn(dataset, params.subjectColumn) : null;
+  if (design === ANOVA_DESIGNS.REPEATED_MEASURES && !subjectColumn) {
+    throw new Error('Choose the subject column: repeated measures need to know which rows belong to the same subject');
+  }
+  const factorColumns = factorColumnsParameter(dataset, params.factorColumns, [valueColumn, subjectColumn]);
+
+  const settings = { valueColumn, factorColumns, subjectColumn, type, interactions, alpha, correction };
+  const results = design === ANOVA_DESIGNS.REPEATED_MEASURES
+    ? repeatedMeasuresResults(dataset, settings)
+    : factorialResults(dataset, settings);
+
+  return {
+    ...results,
+    parameters: {
+      design,
+      valueColumn: valueColumn.id,
+      factorColumns: factorColumns.map(column => column.id),
+      ...(design === ANOVA_DESIGNS.REPEATED_MEASURES
+        ? { subjectColumn: subjectColumn.id, sphericityCorrection: correction }
+        : { sumOfSquares: type === SUM_OF_SQUARES_TYPES.TYPE_II ? 'type-2' : 'type-3' }),
+      interactions,
+      significance: alpha
+    }
+  };
+};
@@ -0,0 +1,214 @@
+/**
+ * assumptionChecks.js
+ * Checks of a test's assumptions, run with the hypothesis tests: normality
+ * per group (Shapiro-Wilk, with Q-Q plot data), equal variances
+ * (Brown-Forsythe), group sizes, and the expected counts of chi-squared
+ * tests. Each check carries a status that recommendations are built from.
+ */
+import { finite, mean, variance } from '../stats/basic';
+import { SHAPIRO_WILK_MIN, SHAPIRO_WILK_MAX, VARIANCE_CENTERS, shapiroWilk, leveneTest, qqPoints } from '../stats/assumptions';
+import { finiteOrNull, formatNumber, formatPValue } from './analysisHelpers';
+
+export const CHECK_STATUS = {
+  MET: 'met',
+  WARNING: 'warning',
+  VIOLATED: 'violated',
+  NOT_TESTED: 'not-tested'
+};
+
+// Per-group size from which t-tests and ANOVA tolerate non-normal data (central limit theorem)
+const ROBUST_GROUP_SIZE = 30;
+
+// Below this many values per group normality cannot be judged with useful power
+const SMALL_GROUP_SIZE = 5;
+
+// Cochran's rule: every expected count at least 1, and at most 20% of them below 5
+const MIN_EXPECTED_COUNT = 1;
+const SMALL_EXPECTED_COUNT = 5;
+const MAX_SMALL_EXPECTED_SHARE = 0.2;
+
+// Most points per sample drawn on a Q-Q plot
+export const MAX_QQ_POINTS = 500;
+
+/**
+ * Shapiro-Wilk test of each sample
+ * @param {Array<{ label: string, values: Array<number> }>} samples Samples
+ * @param {number} alpha Significance level of the checks
+ * @returns {Array<Object>} Checks { assumption, subject, test, statisticLabel, statistic, p, status, detail }
+ */
+export const normalityChecks = (samples, alpha) => samples.map(({ label, values }) => {
+  const n = finite(values).length;
+  const check = { assumption: 'Normality', subject: label, test: 'Shapiro-Wilk', statisticLabel: 'W', statistic: null, p: null };
+  if (n < SHAPIRO_WILK_MIN) {
+    return { ...check, status: CHECK_STATUS.NOT_TESTED, detail: `Too few values to test (n = ${n})` };
+  }
+  if (n > SHAPIRO_WILK_MAX) {
+    return {
+      ...check,
+      status: CHECK_STATUS.NOT_TESTED,
+      detail: `Not tested above ${SHAPIRO_WILK_MAX} values; at n = ${n} the test is robust to non-normality, see the Q-Q plot`
+    };
+  }
+  let result;
+  try {
+    result = shapiroWilk(values);
+  } catch (err) {
+    return { ...check, status: CHECK_STATUS.NOT_TESTED, detail: err.message };
+  }
+  const tested = { ...check, statistic: result.statistic, p: result.p };
+  if (result.p >= alpha) return { ...tested, status: CHECK_STATUS.MET, detail: 'No evidence against normality' };
+  if (n >= ROBUST_GROUP_SIZE) {
+    return {
+      ...tested,
+      status: CHECK_STATUS.WARNING,
+      detail: `Departs from normality, but with n = ${n} the mean is close to normally distributed`
+    };
+  }
+  return { ...tested, status: CHECK_STATUS.VIOLATED, detail: 'Departs from normality' };
+});
+
+/**
+ * Brown-Forsythe test of equal variances across the samples
+ * @param {Array<{ label: string, values: Array<number> }>} samples Samples
+ * @param {number} alpha Significance level of the check
+ * @returns {Object} Check
+ */
+export const varianceCheck = (samples, alpha) => {
+  const check = {
+    assumption: 'Equal variances',
+    subject: samples.map(sample => sample.label).join(', '),
+    test: 'Brown-Forsythe (Levene, median-centered)',
+    statisticLabel: 'F',
+    statistic: null,
+    p: null
+  };
+  const sds = samples.map(sample => Math.sqrt(variance(finite(sample.values))));
+  if (samples.length < 2 || sds.some(sd => !Number.isFinite(sd))) {
+    return { ...check, status: CHECK_STATUS.NOT_TESTED, detail: 'Every group needs at least two values' };
+  }
+  let result;
+  try {
+    result = leveneTest(samples.map(sample => sample.values), { center: VARIANCE_CENTERS.MEDIAN });
+  } catch (err) {
+    return { ...check, status: CHECK_STATUS.NOT_TESTED, detail: err.message };
+  }
+  const ratio = Math.max(...sds) / Math.min(...sds);
+  const tested = { ...check, statistic: finiteOrNull(result.statistic), p: finiteOrNull(result.p) };
+  if (!(result.p < alpha)) {
+    return { ...tested, status: CHECK_STATUS.MET, detail: `No evidence of unequal variances (largest to smallest SD ${formatNumber(ratio)})` };
+  }
+  return { ...tested, status: CHECK_STATUS.VIOLATED, detail: `Variances differ (largest to smallest SD ${formatNumber(ratio)})` };
+};
+
+/**
+ * Check that every sample has enough values for the test and for judging normality
+ * @param {Array<{ label: string, values: Array<number> }>} samples Samples
+ * @param {number} minimum Fewest values per sample the test can run with
+ * @returns {Object} Check
+ */
+export const groupSizeCheck = (samples, minimum) => {
+  const sizes = samples.map(sample => finite(sample.values).length);
+  const smallest = Math.min(...sizes);
+  const small = samples.filter((_, i) => sizes[i] < SMALL_GROUP_SIZE).map(sample => sample.label);
+  const check = {
+    assumption: 'Group sizes',
+    subject: samples.map(sample => sample.label).join(', '),
+    test: `At least ${SMALL_GROUP_SIZE} values per group`,
+    statisticLabel: 'Smallest n',
+    statistic: smallest,
+    p: null
+  };
+  if (smallest < minimum) {
+    return { ...check, status: CHECK_STATUS.VIOLATED, detail: `The test needs at least ${minimum} values per group` };
+  }
+  if (small.length) {
+    return {
+      ...check,
+      status: CHECK_STATUS.WARNING,
+      detail: `${small.join(', ')} ${small.length === 1 ? 'has' : 'have'} fewer than ${SMALL_GROUP_SIZE} values, `
+        + 'so normality cannot be judged and the test has little power'
+    };
+  }
+  const balance = Math.max(...sizes) / smallest;
+  return {
+    ...check,
+    status: CHECK_STATUS.MET,
+    detail: balance > 1.5 ? `Unbalanced groups (largest ${formatNumber(balance)} times the smallest)` : 'Enough values in every group'
+  };
+};
+
+/**
+ * Check the expected counts of a chi-squared test against Cochran's rule
+ * @param {Array<number>} expected Expected count of every cell
+ * @returns {Object} Check
+ */
+export const expectedCountCheck = (expected) => {
+  const smallest = Math.min(...expected);
+  const smallCells = expected.filter(count => count < SMALL_EXPECTED_COUNT).length;
+  const share = smallCells / expected.length;
+  const check = {
+    assumption: 'Expected counts',
+    subject: `${expected.length} cells`,
+    test: `Expected counts ≥ ${MIN_EXPECTED_COUNT}, at most ${MAX_SMALL_EXPECTED_SHARE * 100}% below ${SMALL_EXPECTED_COUNT}`,
+    statisticLabel: 'Smallest expected',
+    statistic: smallest,
+    p: null
+  };
+  const detail = `${smallCells} of ${expected.length} cells (${Math.round(share * 100)}%) expect fewer than ${SMALL_EXPECTED_COUNT}`;
+  if (smallest < MIN_EXPECTED_COUNT || share > MAX_SMALL_EXPECTED_SHARE) {
+    return { ...check, status: CHECK_STATUS.VIOLATED, detail: `${detail}, so the chi-squared approximation is unreliable` };
+  }
+  return { ...check, status: CHECK_STATUS.MET, detail };
+};
+
+/**
+ * Normal Q-Q plot of the samples, standardized so that they share the reference line
+ * @param {Array<{ label: string, values: Array<number> }>} samples Samples
+ * @param {string} valueLabel What the values measure
+ * @returns {Object} Chart { chartData, xAxisLabel, yAxisLabel, dataColumns, title }
+ */
+export const qqChart = (samples, valueLabel) => {
+  const datasets = samples
+    .map(({ label, values }) => {
+      const finiteValues = finite(values);
+      const center = mean(finiteValues);
+      const sd = Math.sqrt(variance(finiteValues));
+      return {
+        label,
+        mode: 'markers',
+        data: Number.isFinite(sd) && sd > 0
+          ? qqPoints(finiteValues, { maxPoints: MAX_QQ_POINTS }).map(point => ({ x: point.theoretical, y: (point.sample - center) / sd }))
+          : []
+      };
+    })
+    .filter(dataset => dataset.data.length > 0);
+  // The first point of each sample is its most extreme normal quantile
+  const limit = datasets.length ? Math.max(...datasets.map(dataset => Math.abs(dataset.data[0].x))) : 1;
+  return {
+    chartData: {
+      datasets: [
+        ...datasets,
+        { label: 'Normal', mode: 'line', dashed: true, data: [{ x: -limit, y: -limit }, { x: limit, y: limit }] }
+      ]
+    },
+    xAxisLabel: 'Theoretical normal quantile',
+    yAxisLabel: `Standardized ${valueLabel}`,
+    dataColumns: samples.map(sample => sample.label),
+    title: `Normal Q-Q plot of ${valueLabel}`
+  };
+};
+
+/**
+ * One line describing the checks and the recommendation, for the written summary
+ * @param {Array<Object>} checks Checks
+ * @param {Object|null} recommendation Recommendation { message }
+ * @returns {string} Sentence
+ */
+export const assumptionSummary = (checks, recommendation) => {
+  const flagged = checks.filter(check => check.status === CHECK_STATUS.VIOLATED || check.status === CHECK_STATUS.WARNING);
+  const findings = flagged.length
+    ? flagged.map(check => `${check.assumption.toLowerCase()} of ${check.subject}: ${check.detail.charAt(0).toLowerCase()}${check.detail.slice(1)}`
+      + (check.p !== null ? ` (${formatPValue(check.p)})` : '')).join('; ')
+    : 'no assumption is in doubt';
+  return `Assumption checks: ${findings}.${recommendation ? ` ${recommendation.message}` : ''}`;
+};
@@ -0,0 +1,392 @@
+/**
+ * clusterAnalysis.js
+ * The "cluster" analysis method: k-means, hierarchical or DBSCAN clustering
+ * of the selected numeric columns, with cluster assignments per row,
+ * centroids, silhouette widths, a sweep over the number of clusters, the
+ * linkage tree for a dendrogram, and the assignments as a column that can be
+ * added back to the dataset.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn, getColumnValues } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { COLUMN_ROLES } from '../data/datasetEdits';
+import { columnLabel } from '../data/units';
+import { mean, standardDeviation } from '../stats/basic';
+import {
+  LINKAGES,
+  NOISE,
+  kMeans,
+  hierarchicalClustering,
+  cutTree,
+  dbscan,
+  kNearestDistances,
+  clusterSummary,
+  silhouette
+} from '../stats/cluster';
+import { principalComponents } from '../stats/pca';
+import { createRandom } from '../stats/random';
+import { formatNumber } from './analysisHelpers';
+
+export const CLUSTER_ALGORITHMS = {
+  KMEANS: 'kmeans',
+  HIERARCHICAL: 'hierarchical',
+  DBSCAN: 'dbscan'
+};
+
+const ALGORITHM_NAMES = {
+  [CLUSTER_ALGORITHMS.KMEANS]: 'k-means',
+  [CLUSTER_ALGORITHMS.HIERARCHICAL]: 'hierarchical',
+  [CLUSTER_ALGORITHMS.DBSCAN]: 'DBSCAN'
+};
+
+const LINKAGE_NAMES = {
+  [LINKAGES.WARD]: "Ward's",
+  [LINKAGES.COMPLETE]: 'complete',
+  [LINKAGES.AVERAGE]: 'average',
+  [LINKAGES.SINGLE]: 'single'
+};
+
+// Seed for k-means++ when the run does not give one, so results repeat
+const DEFAULT_SEED = 1;
+
+// Hierarchical clustering keeps an n × n distance matrix
+const MAX_HIERARCHICAL_ROWS = 3000;
+
+// Silhouettes of larger datasets are averaged over a random sample of rows,
+// and the k-means sweep over the number of clusters runs on that sample
+const SILHOUETTE_SAMPLE = 2000;
+
+// Largest number of clusters tried in the sweep
+const MAX_SWEEP_CLUSTERS = 10;
+
+// Leaves drawn in the dendrogram; larger trees show only their top merges
+const MAX_DENDROGRAM_LEAVES = 40;
+
+/**
+ * Name a cluster for tables, charts and the added column
+ * @param {number} cluster Cluster index or NOISE
+ * @returns {string} Label
+ */
+const clusterLabel = (cluster) => (cluster === NOISE ? 'Noise' : `Cluster ${cluster + 1}`);
+
+/**
+ * Lay out the top of a linkage tree as a dendrogram: leaves at x = 0, 1, ...
+ * and one ⊓-shaped link per merge at the merge height
+ * @returns {{ labels: Array<string>, links: Array<Array<Object>> }} Leaf labels and link polylines
+ */
+const dendrogramLayout = (merges, n, rowLabels) => {
+  // Leaves are the clusters left before the last (MAX_DENDROGRAM_LEAVES - 1) merges
+  const firstDrawn = Math.max(0, n - MAX_DENDROGRAM_LEAVES);
+  const sizes = node => (node < n ? 1 : merges[node - n].size);
+  const labels = [];
+  const links = [];
+  const place = (node) => {
+    if (node < n || node - n < firstDrawn) {
+      labels.push(node < n ? rowLabels[node] : `(${sizes(node)})`);
+      return { x: labels.length - 1, y: 0 };
+    }
+    const merge = merges[node - n];
+    const left = place(merge.left);
+    const right = place(merge.right);
+    links.push([
+      { x: left.x, y: left.y },
+      { x: left.x, y: merge.height },
+      { x: right.x, y: merge.height },
+      { x: right.x, y: right.y }
+    ]);
+    return { x: (left.x + right.x) / 2, y: merge.height };
+  };
+  if (n > 1) place(2 * n - 2);
+  return { labels, links };
+};
+
+/**
+ * Run the cluster analysis
+ * @param {Object} dataset Dataset to analyze
+ * @param {Object} params Method parameters
+ * @param {string} [params.algorithm='kmeans'] One of CLUSTER_ALGORITHMS
+ * @param {number|string} [params.clusters=3] Number of clusters (k-means, hierarchical)
+ * @param {string} [params.linkage='ward'] Linkage for hierarchical clustering
+ * @param {number|string} [params.eps=0.5] DBSCAN neighborhood radius, in the units clustered on
+ * @param {number|string} [params.minPoints=5] DBSCAN points needed for a core point
+ * @param {boolean} [params.standardize=true] Cluster on z-scores instead of raw values
+ * @param {Array<string>} [params.columns] IDs of the numeric columns (all by default)
+ * @param {number} [params.seed] Seed for k-means++ seeding and silhouette sampling
+ * @returns {Object} Results: numericalResults, tables, assignments, linkage, charts and textualSummary
+ */
+export const runClusterAnalysis = (dataset, params = {}) => {
+  const algorithm = params.algorithm || CLUSTER_ALGORITHMS.KMEANS;
+  if (!ALGORITHM_NAMES[algorithm]) throw new Error(`Unknown clustering algorithm: ${algorithm}`);
+  const linkage = params.linkage || LINKAGES.WARD;
+  const standardize = params.standardize !== false;
+  const seed = params.seed !== undefined && params.seed !== '' && Number.isFinite(Number(params.seed))
+    ? Math.floor(Number(params.seed))
+    : DEFAULT_SEED;
+  const random = createRandom(seed);
+
+  const columns = Array.isArray(params.columns) && params.columns.length > 0
+    ? params.columns.map(columnId => {
+      const column = getColumn(dataset, columnId);
+      if (!column) throw new Error(`Column ${columnId} is not in the dataset`);
+      if (column.type !== COLUMN_TYPES.NUMERIC) throw new Error(`Column ${column.name} is not numeric`);
+      return column;
+    })
+    : dataset.columns.filter(column => column.type === COLUMN_TYPES.NUMERIC && column.role !== COLUMN_ROLES.ID);
+  if (columns.length === 0) throw new Error('Cluster analysis needs at least one numeric column');
+
+  // Listwise deletion: rows missing any clustered column get no cluster
+  const vectors = columns.map(column => getNumericVector(dataset, column.id));
+  const rowIndexes = dataset.rows.map((_, i) => i).filter(i => vectors.every(vector => Number.isFinite(vector[i])));
+  const rows = rowIndexes.map(i => vectors.map(vector => vector[i]));
+  const n = rows.length;
+  if (n < 3) throw new Error(`Cluster analysis needs at least 3 complete rows (found ${n})`);
+
+  let points = rows;
+  if (standardize) {
+    const centers = columns.map((_, j) => mean(rows.map(row => row[j])));
+    const scales = columns.map((_, j) => standardDeviation(rows.map(row => row[j])));
+    const constant = columns.find((_, j) => !(scales[j] > 0));
+    if (constant) throw new Error(`Column ${constant.name} has no variation and cannot be standardized`);
+    points = rows.map(row => row.map((value, j) => (value - centers[j]) / scales[j]));
+  }
+
+  const k = Math.max(2, Math.min(Math.round(Number(params.clusters)) || 3, n - 1));
+  const eps = Number(params.eps) > 0 ? Number(params.eps) : 0.5;
+  const minPoints = Math.max(1, Math.round(Number(params.minPoints)) || 5);
+
+  let assignments;
+  let merges = null;
+  let kMeansFit = null;
+  if (algorithm === CLUSTER_ALGORITHMS.KMEANS) {
+    kMeansFit = kMeans(points, k, { random });
+    assignments = kMeansFit.assignments;
+  } else if (algorithm === CLUSTER_ALGORITHMS.HIERARCHICAL) {
+    if (n > MAX_HIERARCHICAL_ROWS) {
+      throw new Error(`Hierarchical clustering is limited to ${MAX_HIERARCHICAL_ROWS} rows (found ${n}); use k-means or DBSCAN`);
+    }
+    merges = hierarchicalClustering(points, { linkage });
+    assignments = cutTree(merges, n, k);
+  } else {
+    assignments = dbscan(points, { eps, minPoints }).assignments;
+  }
+
+  const clusterCount = assignments.reduce((max, assignment) => Math.max(max, assignment), -1) + 1;
+  const noise = assignments.filter(assignment => assignment === NOISE).length;
+  const summary = clusterSummary(points, assignments);
+  const centroids = clusterSummary(rows, assignments).centroids;
+  const sampled = n > SILHOUETTE_SAMPLE;
+  const silhouetteIndexes = sampled
+    ? rows.map((_, i) => ({ i, key: random() })).sort((a, b) => a.key - b.key).slice(0, SILHOUETTE_SAMPLE).map(({ i }) => i)
+    : undefined;
+  const widths = silhouette(points, assignments, { indexes: silhouetteIndexes });
+
+  // Within-cluster sum of squares and silhouette for each number of clusters.
+  // A k-means fit per number of clusters over every row of a large dataset
+  // takes minutes, so those fits use the silhouette sample.
+  const sampledSweep = sampled && algorithm === CLUSTER_ALGORITHMS.KMEANS;
+  const sweepPoints = sampledSweep ? silhouetteIndexes.map(i => points[i]) : points;
+  const sweep = algorithm === CLUSTER_ALGORITHMS.DBSCAN ? [] : Array.from(
+    { length: Math.max(0, Math.min(MAX_SWEEP_CLUSTERS, n - 1) - 1) },
+    (_, index) => {
+      const clusters = index + 2;
+      const sweepAssignments = merges ? cutTree(merges, n, clusters) : kMeans(sweepPoints, clusters, { random, starts: 3 }).assignments;
+      return {
+        clusters,
+        withinSS: clusterSummary(sweepPoints, sweepAssignments).totalWithinSS,
+        silhouette: silhouette(sweepPoints, sweepAssignments, { indexes: sampledSweep ? undefined : silhouetteIndexes }).average
+      };
+    }
+  );
+  const bestSweep = sweep.reduce((best, entry) => (!best || entry.silhouette > best.silhouette ? entry : best), null);
+
+  // One value per dataset row, so the assignments can become a column
+  const name = `Cluster (${ALGORITHM_NAMES[algorithm]})`;
+  const columnValues = new Array(dataset.rows.length).fill(null);
+  rowIndexes.forEach((rowIndex, i) => { columnValues[rowIndex] = clusterLabel(assignments[i]); });
+
+  const idColumn = dataset.columns.find(column => column.role === COLUMN_ROLES.ID);
+  const ids = idColumn ? getColumnValues(dataset, idColumn.id) : null;
+  const rowLabels = rowIndexes.map(rowIndex => (ids && ids[rowIndex] !== null ? String(ids[rowIndex]) : `Row ${rowIndex + 1}`));
+  const labels = columns.map(column => columnLabel(column));
+  const clusterIds = Array.from({ length: clusterCount }, (_, c) => c);
+
+  const numericalResults = {
+    algorithm: ALGORITHM_NAMES[algorithm],
+    n,
+    variables: columns.length,
+    standardized: standardize,
+    clusters: clusterCount,
+    cluster_sizes: summary.sizes,
+    ...(algorithm === CLUSTER_ALGORITHMS.DBSCAN ? { noise_points: noise } : {}),
+    inertia: summary.totalWithinSS,
+    between_ss_ratio: summary.totalSS > 0 ? 1 - summary.totalWithinSS / summary.totalSS : null,
+    silhouette_score: Number.isFinite(widths.average) ? widths.average : null,
+    ...(bestSweep ? { best_k_by_silhouette: bestSweep.clusters } : {})
+  };
+
+  const tables = [
+    {
+      id: 'clusters',
+      title: `Clusters${standardize ? ' (centroids in original units)' : ''}`,
+      columns: [
+        { key: 'cluster', label: 'Cluster' },
+        { key: 'size', label: 'Size' },
+        { key: 'silhouette', label: 'Mean silhouette' },
+        { key: 'withinSS', label: 'Within SS' },
+        ...columns.map((column, j) => ({ key: `centroid_${j}`, label: labels[j] }))
+      ],
+      rows: clusterIds.map(c => ({
+        cluster: clusterLabel(c),
+        size: summary.sizes[c],
+        silhouette: Number.isFinite(widths.perCluster[c]) ? widths.perCluster[c] : null,
+        withinSS: summary.withinSS[c],
+        ...Object.fromEntries(columns.map((_, j) => [`centroid_${j}`, centroids[c][j]]))
+      }))
+    },
+    ...(sweep.length > 0 ? [{
+      id: 'sweep',
+      title: `Number of clusters${sampledSweep ? ` (k-means on a random sample of ${SILHOUETTE_SAMPLE} rows)` : ''}`,
+      columns: [
+        { key: 'clusters', label: 'k' },
+        { key: 'withinSS', label: 'Within SS' },
+        { key: 'silhouette', label: 'Mean silhouette' }
+      ],
+      rows: sweep
+    }] : []),
+    {
+      id: 'assignments',
+      title: 'Cluster assignments',
+      columns: [
+        { key: 'row', label: idColumn ? idColumn.name : 'Row' },
+        { key: 'cluster', label: 'Cluster' },
+        { key: 'silhouette', label: 'Silhouette' }
+      ],
+      rows: rowIndexes.map((rowIndex, i) => ({
+        row: idColumn ? rowLabels[i] : rowIndex + 1,
+        cluster: clusterLabel(assignments[i]),
+        silhouette: widths.values[i]
+      }))
+    }
+  ];
+
+  // Clusters are drawn on the two columns, or on the first two principal
+  // components when more columns were clustered
+  const charts = {};
+  if (columns.length >= 2) {
+    const coordinates = columns.length === 2 ? rows : principalComponents(points, { standardize: false, components: 2 }).scores;
+    const projectedCentroids = clusterSummary(coordinates, assignments).centroids;
+    const groupsOf = [...clusterIds, ...(noise > 0 ? [NOISE] : [])];
+    charts.scatter = {
+      chartData: {
+        datasets: [
+          ...groupsOf.map(c => ({
+            label: clusterLabel(c),
+            mode: 'markers',
+            ...(c === NOISE ? { color: '#9ca3af' } : {}),
+            data: coordinates.filter((_, i) => assignments[i] === c).map(([x, y]) => ({ x, y }))
+          })),
+          ...(algorithm === CLUSTER_ALGORITHMS.DBSCAN ? [] : [{
+            label: 'Centroids',
+            mode: 'markers',
+            color: '#111827',
+            data: projectedCentroids.map(([x, y]) => ({ x, y }))
+          }])
+        ]
+      },
+      xAxisLabel: columns.length === 2 ? labels[0] : 'PC1',
+      yAxisLabel: columns.length === 2 ? labels[1] : 'PC2',
+      dataColumns: columns.map(column => column.name),
+      title: `${ALGORITHM_NAMES[algorithm]} clusters`
+    };
+  }
+  if (sweep.length > 0) {
+    charts.line = {
+      chartData: { datasets: [{ label: 'Within-cluster sum of squares', data: sweep.map(entry => ({ x: entry.clusters, y: entry.withinSS })) }] },
+      xAxisLabel: 'Number of clusters (k)',
+      yAxisLabel: 'Within-cluster sum of squares',
+      dataColumns: columns.map(column => column.name),
+      title: `Elbow plot${sampledSweep ? ` (sample of ${SILHOUETTE_SAMPLE} rows)` : ''}`
+    };
+  } else if (algorithm === CLUSTER_ALGORITHMS.DBSCAN && n <= MAX_HIERARCHICAL_ROWS) {
+    const distances = kNearestDistances(points, Math.max(1, minPoints - 1));
+    charts.line = {
+      chartData: {
+        datasets: [
+          { label: `Distance to neighbor ${Math.max(1, minPoints - 1)}`, mode: 'line', data: distances.map((y, i) => ({ x: i + 1, y })) },
+          { label: `eps = ${formatNumber(eps)}`, mode: 'line', dashed: true, data: [{ x: 1, y: eps }, { x: n, y: eps }] }
+        ]
+      },
+      xAxisLabel: 'Rows, sorted by distance',
+      yAxisLabel: 'k-nearest-neighbor distance',
+      dataColumns: columns.map(column => column.name),
+      title: 'k-distance plot for choosing eps'
+    };
+  }
+  if (merges) {
+    const layout = dendrogramLayout(merges, n, rowLabels);
+    charts.dendrogram = {
+      chartData: { ...layout, cutHeight: (merges[n - k - 1].height + merges[n - k].height) / 2 },
+      xAxisLabel: n > MAX_DENDROGRAM_LEAVES ? `Top ${MAX_DENDROGRAM_LEAVES} clusters (sizes in parentheses)` : '',
+      yAxisLabel: `Merge height (${LINKAGE_NAMES[linkage]} linkage)`,
+      dataColumns: columns.map(column => column.name),
+      title: 'Dendrogram'
+    };
+  }
+
+  const method = algorithm === CLUSTER_ALGORITHMS.HIERARCHICAL
+    ? `Hierarchical clustering with ${LINKAGE_NAMES[linkage]} linkage`
+    : algorithm === CLUSTER_ALGORITHMS.DBSCAN
+      ? `DBSCAN (eps = ${formatNumber(eps)}, minimum ${minPoints} points)`
+      : `K-means clustering (k-means++ seeding, best of 10 starts, seed ${seed})`;
+  const dropped = dataset.rows.length - n;
+  const describeCluster = (c) => {
+    const deviations = columns
+      .map((_, j) => ({ label: labels[j], z: standardize ? mean(points.filter((__, i) => assignments[i] === c).map(point => point[j])) : null }))
+      .filter(({ z }) => z !== null && Math.abs(z) >= 0.5)
+      .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
+      .slice(0, 2);
+    return `${clusterLabel(c)} (n=${summary.sizes[c]})`
+      + (deviations.length ? ` has ${deviations.map(({ label, z }) => `${z > 0 ? 'high' : 'low'} ${label}`).join(' and ')}` : '');
+  };
+  const textualSummary = [
+    `${method} of ${columns.length} column${columns.length !== 1 ? 's' : ''}${standardize ? ' (standardized)' : ''} `
+      + `on ${n} rows${dropped ? ` (${dropped} with missing values left out)` : ''}.`,
+    clusterCount === 0
+      ? 'No clusters were found: every row is noise. Try a larger eps or a smaller minimum number of points.'
+      : `${clusterCount} cluster${clusterCount !== 1 ? 's' : ''} found${noise ? `, with ${noise} noise point${noise !== 1 ? 's' : ''}` : ''}. `
+        + `${clusterIds.slice(0, 6).map(describeCluster).join('; ')}.`,
+    Number.isFinite(widths.average)
+      ? `Mean silhouette width ${formatNumber(widths.average)}${sampled ? ` (over a sample of ${SILHOUETTE_SAMPLE} rows)` : ''}; `
+        + `clusters explain ${formatNumber((1 - summary.totalWithinSS / summary.totalSS) * 100)}% of the total sum of squares.`
+      : '',
+    bestSweep && bestSweep.clusters !== k
+      ? `The silhouette is highest at k = ${bestSweep.clusters} (${formatNumber(bestSweep.silhouette)})`
+        + `${sampledSweep ? `, comparing k-means fits on a sample of ${SILHOUETTE_SAMPLE} rows` : ''}.`
+      : '',
+    kMeansFit && !kMeansFit.converged ? 'K-means stopped at the iteration limit before converging.' : ''
+  ].filter(Boolean);
+
+  return {
+    textualSummary: textualSummary.join('\n'),
+    numericalResults,
+    units: {},
+    tables,
+    assignments: {
+      name,
+      values: columnValues,
+      origin: `${ALGORITHM_NAMES[algorithm]} cluster analysis`
+    },
+    centroids: clusterIds.map(c => ({ cluster: clusterLabel(c), values: centroids[c] })),
+    linkage: merges,
+    charts,
+    parameters: {
+      algorithm,
+      clusters: algorithm === CLUSTER_ALGORITHMS.DBSCAN ? null : k,
+      ...(algorithm === CLUSTER_ALGORITHMS.HIERARCHICAL ? { linkage } : {}),
+      ...(algorithm === CLUSTER_ALGORITHMS.DBSCAN ? { eps, minPoints } : {}),
+      standardize,
+      columns: columns.map(column => column.id),
+      seed
+    }
+  };
+};
@@ -0,0 +1,300 @@
+/**
+ * correlationAnalysis.js
+ * The "correlation" analysis method: the full correlation matrix of the
+ * selected numeric columns, with n, coefficient, p-value and confidence
+ * interval for every pair. The pairs' p-values are adjusted as one family of tests.
+ * Bootstrap intervals and permutation p-values can be added for every pair.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { COLUMN_ROLES } from '../data/datasetEdits';
+import { columnLabel } from '../data/units';
+import { CORRELATION_METHODS, MISSING_HANDLING, correlate, correlationMatrix } from '../stats/correlation';
+import { P_ADJUSTMENTS, P_ADJUSTMENT_NAMES, adjustPValues } from '../stats/multipleTesting';
+import { bootstrap, associationPermutationTest } from '../stats/resampling';
+import { finiteOrNull, formatNumber, formatPValue } from './analysisHelpers';
+import {
+  resamplingSettings,
+  resamplingDescription,
+  resamplingParameters,
+  bootstrapName,
+  runProgress
+} from './resamplingSettings';
+
+const METHOD_NAMES = {
+  [CORRELATION_METHODS.PEARSON]: 'Pearson',
+  [CORRELATION_METHODS.SPEARMAN]: 'Spearman',
+  [CORRELATION_METHODS.KENDALL]: "Kendall's tau-b"
+};
+
+const COEFFICIENT_SYMBOLS = {
+  [CORRELATION_METHODS.PEARSON]: 'r',
+  [CORRELATION_METHODS.SPEARMAN]: 'ρ',
+  [CORRELATION_METHODS.KENDALL]: 'τ'
+};
+
+/**
+ * Conventional label of a correlation's strength
+ * @param {number} r Coefficient
+ * @returns {string} Strength
+ */
+const strength = (r) => {
+  const size = Math.abs(r);
+  if (size < 0.1) return 'negligible';
+  if (size < 0.3) return 'weak';
+  if (size < 0.5) return 'moderate';
+  return size < 0.7 ? 'strong' : 'very strong';
+};
+
+/**
+ * Columns to correlate: the selected ones, or every numeric column that is not an ID
+ * @returns {Array<Object>} Columns
+ */
+const selectedColumns = (dataset, columnIds) => {
+  if (Array.isArray(columnIds) && columnIds.length > 0) {
+    return columnIds.map(columnId => {
+      const column = getColumn(dataset, columnId);
+      if (!column) throw new Error(`Column ${columnId} is not in the dataset`);
+      if (column.type !== COLUMN_TYPES.NUMERIC) throw new Error(`Column ${column.name} is not numeric`);
+      return column;
+    });
+  }
+  return dataset.columns.filter(column => column.type === COLUMN_TYPES.NUMERIC && column.role !== COLUMN_ROLES.ID);
+};
+
+/**
+ * Bootstrap interval and permutation p-value of the correlation of one pair of variables
+ * @returns {Object} { bootLower, bootUpper, pPermutation }, null where not requested
+ */
+const resamplePair = (x, y, rows, method, confidenceLevel, settings, progress) => {
+  const complete = rows.filter(rowIndex => Number.isFinite(x[rowIndex]) && Number.isFinite(y[rowIndex]));
+  const coefficient = (a, b) => correlate(a, b, { method }).r;
+  const options = { iterations: settings.iterations, random: settings.random };
+  const interval = settings.bootstrap
+    ? bootstrap([complete], sample => coefficient(sample.map(i => x[i]), sample.map(i => y[i])), {
+      ...options,
+      confidenceLevel,
+      interval: settings.interval,
+      onProgress: progress(0)
+    })
+    : null;
+  const permutation = settings.permutation
+    ? associationPermutationTest(complete.map(i => x[i]), complete.map(i => y[i]), coefficient, {
+      ...options,
+      onProgress: progress(settings.bootstrap ? 1 : 0)
+    })
+    : null;
+  return {
+    bootLower: interval ? finiteOrNull(interval.lower) : null,
+    bootUpper: interval ? finiteOrNull(interval.upper) : null,
+    pPermutation: permutation ? finiteOrNull(permutation.p) : null
+  };
+};
+
+/**
+ * Run the correlation analysis
+ * @param {Object} dataset Dataset to analyze
+ * @param {Object} params Method parameters
+ * @param {string} [params.method='pearson'] 'pearson', 'spearman' or 'kendall'
+ * @param {Array<string>} [params.columns] IDs of the numeric columns to correlate (all by default)
+ * @param {string} [params.missingData='pairwise'] 'pairwise' or 'listwise' deletion of missing values
+ * @param {string} [params.confidenceInterval='0.95'] Confidence level of the intervals
+ * @param {boolean} [params.visualizeMatrix] Include the matrix as heat map chart data
+ * @param {string} [params.pAdjustment='holm'] Adjustment of the pairs' p-values for multiple testing
+ * @param {string} [params.resampling='none'] 'bootstrap', 'permutation' or 'both', for every pair
+ * @param {string|number} [params.resamplingIterations] Bootstrap replicates and permutations per pair
+ * @param {string} [params.bootstrapInterval='bca'] 'percentile' or 'bca'
+ * @param {string|number} [params.seed] Seed of the resampling (a new one, recorded in the results, when empty)
+ * @param {Object} [context] Run context
+ * @param {Function} [context.onProgress] Called with the share of the resampling done (0 to 1)
+ * @returns {Object} Results: numericalResults, tables, matrix, charts (the heat map) and textualSummary
+ */
+export const runCorrelationAnalysis = (dataset, params = {}, { onProgress } = {}) => {
+  const method = Object.values(CORRELATION_METHODS).includes(params.method) ? params.method : CORRELATION_METHODS.PEARSON;
+  const missing = params.missingData === MISSING_HANDLING.LISTWISE ? MISSING_HANDLING.LISTWISE : MISSING_HANDLING.PAIRWISE;
+  const confidenceLevel = Number(params.confidenceInterval) || 0.95;
+  const pAdjustment = Object.values(P_ADJUSTMENTS).includes(params.pAdjustment) ? params.pAdjustment : P_ADJUSTMENTS.HOLM;
+  const adjusted = pAdjustment !== P_ADJUSTMENTS.NONE;
+  const columns = selectedColumns(dataset, params.columns);
+  if (columns.length < 2) throw new Error('Correlation analysis needs at least two numeric columns');
+
+  const vectors = columns.map(column => getNumericVector(dataset, column.id));
+  const matrix = correlationMatrix(vectors, {
+    method,
+    missing,
+    confidenceLevel
+  });
+  const resampling = resamplingSettings(params);
+  // Rows each pair is resampled from: all of them, or those complete in every column for listwise deletion
+  const resampledRows = dataset.rows.map((_, rowIndex) => rowIndex)
+    .filter(rowIndex => missing === MISSING_HANDLING.PAIRWISE || vectors.every(vector => Number.isFinite(vector[rowIndex])));
+  // Each pair runs a bootstrap and/or a permutation test
+  const runsPerPair = resampling ? Number(resampling.bootstrap) + Number(resampling.permutation) : 0;
+  const progress = runProgress(onProgress, (columns.length * (columns.length - 1) / 2) * runsPerPair);
+  const labels = columns.map(column => columnLabel(column));
+  const symbol = COEFFICIENT_SYMBOLS[method];
+  const level = `${Math.round(confidenceLevel * 100)}%`;
+
+  const pairs = [];
+  const positions = [];
+  columns.forEach((_, i) => columns.forEach((__, j) => {
+    if (j <= i) return;
+    positions.push([i, j]);
+    pairs.push({
+      variable1: labels[i],
+      variable2: labels[j],
+      n: matrix.n[i][j],
+      r: finiteOrNull(matrix.r[i][j]),
+      ciLower: finiteOrNull(matrix.ciLower[i][j]),
+      ciUpper: finiteOrNull(matrix.ciUpper[i][j]),
+      p: finiteOrNull(matrix.p[i][j]),
+      ...(resampling
+        ? resamplePair(vectors[i], vectors[j], resampledRows, method, confidenceLevel, resampling, run => progress(pairs.length * runsPerPair + run))
+        : {})
+    });
+  }));
+  // Every pair is one test of the family; the matrix gets the adjusted p on both sides of the diagonal
+  const adjustedP = matrix.p.map(row => row.map(() => null));
+  adjustPValues(pairs.map(pair => pair.p), pAdjustment).forEach((p, index) => {
+    const [i, j] = positions[index];
+    pairs[index].pAdjusted = p;
+    adjustedP[i][j] = p;
+    adjustedP[j][i] = p;
+  });
+  const reportedP = adjusted ? adjustedP : matrix.p.map(row => row.map(finiteOrNull));
+  if (resampling?.permutation && adjusted) {
+    adjustPValues(pairs.map(pair => pair.pPermutation), pAdjustment).forEach((p, index) => {
+      pairs[index].pPermutationAdjusted = p;
+    });
+  }
+
+  const computed = pairs.filter(pair => pair.r !== null);
+  const significant = computed.filter(pair => pair.pAdjusted !== null && pair.pAdjusted < 1 - confidenceLevel);
+  const strongest = computed.reduce((best, pair) => (!best || Math.abs(pair.r) > Math.abs(best.r) ? pair : best), null);
+
+  const numericalResults = {
+    method: METHOD_NAMES[method],
+    variables: columns.length,
+    missing_data: missing,
+    p_adjustment: P_ADJUSTMENT_NAMES[pAdjustment],
+    ...(missing === MISSING_HANDLING.LISTWISE ? { complete_rows: matrix.n[0][0] } : {}),
+    pairs: pairs.length,
+    significant_pairs: significant.length,
+    ...(strongest ? {
+      variable_1: strongest.variable1,
+      variable_2: strongest.variable2,
+      correlation_coefficient: strongest.r,
+      p_value: strongest.p,
+      ...(adjusted ? { p_value_adjusted: strongest.pAdjusted } : {}),
+      ci_lower: strongest.ciLower,
+      ci_upper: strongest.ciUpper,
+      sample_size: strongest.n,
+      ...(method === CORRELATION_METHODS.PEARSON ? { r_squared: strongest.r ** 2 } : {}),
+      ...(resampling?.bootstrap ? { bootstrap_ci_lower: strongest.bootLower, bootstrap_ci_upper: strongest.bootUpper } : {}),
+      ...(resampling?.permutation ? {
+        permutation_p_value: strongest.pPermutation,
+        ...(adjusted ? { permutation_p_value_adjusted: strongest.pPermutationAdjusted } : {})
+      } : {})
+    } : {})
+  };
+
+  const tables = [
+    {
+      id: 'pairs',
+      title: `${METHOD_NAMES[method]} correlations (${missing} deletion of missing values)`,
+      columns: [
+        { key: 'variable1', label: 'Variable 1' },
+        { key: 'variable2', label: 'Variable 2' },
+        { key: 'n', label: 'n' },
+        { key: 'r', label: symbol },
+        { key: 'ciLower', label: `${level} CI lower` },
+        { key: 'ciUpper', label: `${level} CI upper` },
+        ...(adjusted
+          ? [{ key: 'p', label: 'p (unadjusted)' }, { key: 'pAdjusted', label: `p (${P_ADJUSTMENT_NAMES[pAdjustment]})` }]
+          : [{ key: 'p', label: 'p' }]),
+        ...(resampling?.bootstrap ? [
+          { key: 'bootLower', label: `${level} ${bootstrapName(resampling.interval)} CI lower` },
+          { key: 'bootUpper', label: `${level} ${bootstrapName(resampling.interval)} CI upper` }
+        ] : []),
+        ...(resampling?.permutation
+          ? adjusted
+            ? [
+              { key: 'pPermutation', label: 'Permutation p (unadjusted)' },
+              { key: 'pPermutationAdjusted', label: `Permutation p (${P_ADJUSTMENT_NAMES[pAdjustment]})` }
+            ]
+            : [{ key: 'pPermutation', label: 'Permutation p' }]
+          : [])
+      ],
+      rows: adjusted ? pairs : pairs.map(({ pAdjusted, ...pair }) => pair)
+    },
+    {
+      id: 'matrix',
+      title: `Correlation matrix (${symbol})`,
+      columns: [{ key: 'variable', label: 'Variable' }, ...labels.map((label, j) => ({ key: `v${j}`, label }))],
+      rows: labels.map((label, i) => ({
+        variable: label,
+        ...Object.fromEntries(labels.map((_, j) => [`v${j}`, finiteOrNull(matrix.r[i][j])]))
+      }))
+    }
+  ];
+
+  const pairText = pair => `${pair.variable1} and ${pair.variable2}: ${symbol} = ${formatNumber(pair.r)} `
+    + `(${level} CI ${formatNumber(pair.ciLower)} to ${formatNumber(pair.ciUpper)}, ${formatPValue(pair.p)}`
+    + `${adjusted ? `, ${P_ADJUSTMENT_NAMES[pAdjustment]}-adjusted ${formatPValue(pair.pAdjusted)}` : ''}, n = ${pair.n}), ${strength(pair.r)}`
+    + `${pair.r > 0 ? ' positive' : pair.r < 0 ? ' negative' : ''}`
+    + (resampling?.bootstrap ? `; ${bootstrapName(resampling.interval)} CI ${formatNumber(pair.bootLower)} to ${formatNumber(pair.bootUpper)}` : '')
+    + (resampling?.permutation ? `; permutation ${formatPValue(adjusted ? pair.pPermutationAdjusted : pair.pPermutation)}${adjusted ? ' (adjusted)' : ''}` : '')
+    + '.';
+  const summary = [
+    `${METHOD_NAMES[method]} correlations between ${columns.length} numeric columns (${pairs.length} pair${pairs.length !== 1 ? 's' : ''}), `
+      + (missing === MISSING_HANDLING.LISTWISE
+        ? `using the ${matrix.n[0][0]} rows complete in every column.`
+        : 'using every row complete for each pair.'),
+    `${significant.length} of ${computed.length} correlation${computed.length !== 1 ? 's are' : ' is'} significant at α = ${formatNumber(1 - confidenceLevel)}`
+      + (adjusted && computed.length > 1 ? ` after ${P_ADJUSTMENT_NAMES[pAdjustment]} adjustment for ${computed.length} tests.` : '.'),
+    ...computed.slice().sort((a, b) => Math.abs(b.r) - Math.abs(a.r)).slice(0, 5).map(pairText),
+    ...(computed.length < pairs.length ? [`${pairs.length - computed.length} pair(s) had too few complete rows or no variation.`] : []),
+    ...(resampling ? [resamplingDescription(resampling)] : [])
+  ];
+
+  return {
+    textualSummary: summary.join('\n'),
+    numericalResults,
+    units: {},
+    tables,
+    matrix: {
+      labels,
+      n: matrix.n,
+      r: matrix.r.map(row => row.map(finiteOrNull)),
+      p: matrix.p.map(row => row.map(finiteOrNull)),
+      ...(adjusted ? { pAdjusted: adjustedP } : {}),
+      ciLower: matrix.ciLower.map(row => row.map(finiteOrNull)),
+      ciUpper: matrix.ciUpper.map(row => row.map(finiteOrNull))
+    },
+    charts: params.visualizeMatrix ? {
+      heatmap: {
+        chartData: {
+          labels,
+          data: matrix.r.map(row => row.map(finiteOrNull)),
+          pValues: reportedP,
+          n: matrix.n,
+          symbol
+        },
+        xAxisLabel: '',
+        yAxisLabel: '',
+        dataColumns: columns.map(column => column.name),
+        title: `${METHOD_NAMES[method]} correlation matrix`
+      }
+    } : {},
+    parameters: {
+      method,
+      missing,
+      confidenceLevel,
+      columns: columns.map(column => column.id),
+      visualizeMatrix: Boolean(params.visualizeMatrix),
+      pAdjustment,
+      ...(resampling ? { resampling: resamplingParameters(resampling) } : {})
+    }
+  };
+};
@@ -0,0 +1,237 @@
+/**
+ * descriptiveAnalysis.js
+ * The "descriptive" analysis method: summary statistics for every numeric
+ * column of the dataset, optionally per group of a categorical column, with
+ * optional bootstrap intervals for the mean, median and standard deviation.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { COLUMN_ROLES } from '../data/datasetEdits';
+import { columnLabel, statisticUnit } from '../data/units';
+import { finite, mean, median, standardDeviation } from '../stats/basic';
+import { describe, tukeyOutliers } from '../stats/descriptive';
+import { bootstrap } from '../stats/resampling';
+import { finiteOrNull, formatNumber, groupRows } from './analysisHelpers';
+import {
+  RESAMPLING_MODES,
+  resamplingSettings,
+  resamplingDescription,
+  resamplingParameters,
+  bootstrapName,
+  runProgress
+} from './resamplingSettings';
+
+// Statistics in table order, with their key in `numericalResults`
+const STATISTICS = [
+  { key: 'n', resultKey: 'n', label: 'n' },
+  { key: 'missing', resultKey: 'missing', label: 'Missing' },
+  { key: 'mean', resultKey: 'mean', label: 'Mean' },
+  { key: 'ciLower', resultKey: 'ci_lower', label: 'CI lower' },
+  { key: 'ciUpper', resultKey: 'ci_upper', label: 'CI upper' },
+  { key: 'sd', resultKey: 'std_dev', label: 'SD' },
+  { key: 'se', resultKey: 'se', label: 'SE' },
+  { key: 'variance', resultKey: 'variance', label: 'Variance' },
+  { key: 'median', resultKey: 'median', label: 'Median' },
+  { key: 'mode', resultKey: 'mode', label: 'Mode' },
+  { key: 'q1', resultKey: 'q1', label: 'Q1' },
+  { key: 'q3', resultKey: 'q3', label: 'Q3' },
+  { key: 'iqr', resultKey: 'iqr', label: 'IQR' },
+  { key: 'min', resultKey: 'min', label: 'Min' },
+  { key: 'max', resultKey: 'max', label: 'Max' },
+  { key: 'range', resultKey: 'range', label: 'Range' },
+  { key: 'skewness', resultKey: 'skewness', label: 'Skewness' },
+  { key: 'kurtosis', resultKey: 'kurtosis', label: 'Kurtosis' }
+];
+
+// Statistics repeated in the key findings when several columns or groups are summarized
+const HEADLINE_STATISTICS = ['n', 'mean', 'sd'];
+
+// Statistics given bootstrap intervals, with their key in `numericalResults`
+const BOOTSTRAPPED_STATISTICS = [
+  { key: 'mean', label: 'Mean', compute: mean },
+  { key: 'median', label: 'Median', compute: median },
+  { key: 'std_dev', label: 'SD', compute: standardDeviation }
+];
+
+/**
+ * Run the descriptive analysis
+ * @param {Object} dataset Dataset to summarize
+ * @param {Object} params Method parameters
+ * @param {string} [params.confidenceInterval='0.95'] Confidence level of the interval for the mean
+ * @param {boolean} [params.includeOutlierAnalysis] Flag outliers with Tukey's fences
+ * @param {string} [params.groupColumn] ID of a categorical column to group by
+ * @param {string} [params.resampling='none'] 'bootstrap' for bootstrap intervals of the mean, median and SD
+ * @param {string|number} [params.resamplingIterations] Bootstrap replicates
+ * @param {string} [params.bootstrapInterval='bca'] 'percentile' or 'bca'
+ * @param {string|number} [params.seed] Seed of the resampling (a new one, recorded in the results, when empty)
+ * @param {Object} [context] Run context
+ * @param {Function} [context.onProgress] Called with the share of the bootstrap done (0 to 1)
+ * @returns {Object} Results: numericalResults, units, tables, outliers and textualSummary
+ */
+export const runDescriptiveAnalysis = (dataset, params = {}, { onProgress } = {}) => {
+  const confidenceLevel = Number(params.confidenceInterval) || 0.95;
+  const includeOutliers = Boolean(params.includeOutlierAnalysis);
+  // Descriptive statistics have nothing to permute, so only the bootstrap applies
+  const requested = resamplingSettings(params);
+  const resampling = requested?.bootstrap ? { ...requested, mode: RESAMPLING_MODES.BOOTSTRAP, permutation: false } : null;
+  const groupColumn = params.groupColumn ? getColumn(dataset, params.groupColumn) : null;
+  if (params.groupColumn && !groupColumn) {
+    throw new Error(`Group column ${params.groupColumn} is not in the dataset`);
+  }
+
+  const columns = dataset.columns.filter(column => (
+    column.type === COLUMN_TYPES.NUMERIC && column !== groupColumn && column.role !== COLUMN_ROLES.ID
+  ));
+  if (columns.length === 0) throw new Error('Descriptive statistics need at least one numeric column');
+
+  const allRows = dataset.rows.map((_, rowIndex) => rowIndex);
+  const groups = groupColumn ? groupRows(dataset, groupColumn.id) : [{ label: null, rows: allRows }];
+
+  const summaries = [];
+  const outliers = [];
+  const progress = runProgress(onProgress, columns.length * groups.length * BOOTSTRAPPED_STATISTICS.length);
+  columns.forEach(column => {
+    const vector = getNumericVector(dataset, column.id);
+    groups.forEach(group => {
+      const values = group.rows.map(rowIndex => vector[rowIndex]);
+      const stats = describe(values, { confidenceLevel });
+      const flagged = includeOutliers ? tukeyOutliers(values) : [];
+      flagged.forEach(outlier => outliers.push({
+        column: column.name,
+        group: group.label,
+        row: group.rows[outlier.index] + 1,
+        value: outlier.value,
+        severity: outlier.severity
+      }));
+      const intervals = resampling
+        ? BOOTSTRAPPED_STATISTICS.map((statistic, index) => ({
+          ...statistic,
+          ...bootstrap([finite(values)], statistic.compute, {
+            iterations: resampling.iterations,
+            confidenceLevel,
+            interval: resampling.interval,
+            random: resampling.random,
+            onProgress: progress(summaries.length * BOOTSTRAPPED_STATISTICS.length + index)
+          })
+        }))
+        : [];
+      summaries.push({ column, group: group.label, stats, outlierCount: flagged.length, intervals });
+    });
+  });
+
+  // Key findings: every statistic for a single summary, the headline ones otherwise
+  const numericalResults = {};
+  const units = {};
+  const single = summaries.length === 1;
+  summaries.forEach(({ column, group, stats, outlierCount, intervals }) => {
+    const prefix = single ? '' : `${column.name}${group !== null ? ` [${group}]` : ''}: `;
+    STATISTICS
+      .filter(statistic => single || HEADLINE_STATISTICS.includes(statistic.key))
+      .forEach(statistic => {
+        const key = `${prefix}${statistic.resultKey}`;
+        numericalResults[key] = statistic.key === 'mode' ? stats.mode : finiteOrNull(stats[statistic.key]);
+        const unit = statisticUnit(statistic.resultKey, column.unit);
+        if (unit) units[key] = unit;
+      });
+    if (includeOutliers) numericalResults[`${prefix}outliers`] = outlierCount;
+    intervals
+      .filter(interval => single || interval.key === 'mean')
+      .forEach(interval => {
+        ['lower', 'upper'].forEach(bound => {
+          const key = `${prefix}${interval.key}_boot_ci_${bound}`;
+          numericalResults[key] = finiteOrNull(interval[bound]);
+          if (column.unit) units[key] = column.unit;
+        });
+      });
+  });
+
+  const tables = [{
+    id: 'statistics',
+    title: 'Descriptive Statistics',
+    columns: [
+      { key: 'variable', label: 'Variable' },
+      ...(groupColumn ? [{ key: 'group', label: groupColumn.name }] : []),
+      ...STATISTICS.map(({ key, label }) => ({ key, label })),
+      ...(includeOutliers ? [{ key: 'outliers', label: 'Outliers' }] : [])
+    ],
+    rows: summaries.map(({ column, group, stats, outlierCount }) => ({
+      variable: columnLabel(column),
+      ...(groupColumn ? { group } : {}),
+      ...Object.fromEntries(STATISTICS.map(({ key }) => [key, key === 'mode' ? stats.mode : finiteOrNull(stats[key])])),
+      ...(includeOutliers ? { outliers: outlierCount } : {})
+    }))
+  }];
+  if (resampling) {
+    tables.push({
+      id: 'bootstrap',
+      title: `${bootstrapName(resampling.interval)} confidence intervals (${resampling.iterations} replicates, seed ${resampling.seed})`,
+      columns: [
+        { key: 'variable', label: 'Variable' },
+        ...(groupColumn ? [{ key: 'group', label: groupColumn.name }] : []),
+        { key: 'statistic', label: 'Statistic' },
+        { key: 'estimate', label: 'Estimate' },
+        { key: 'lower', label: `${Math.round(confidenceLevel * 100)}% CI lower` },
+        { key: 'upper', label: `${Math.round(confidenceLevel * 100)}% CI upper` },
+        { key: 'se', label: 'Bootstrap SE' },
+        { key: 'bias', label: 'Bias' }
+      ],
+      rows: summaries.flatMap(({ column, group, intervals }) => intervals.map(interval => ({
+        variable: columnLabel(column),
+        ...(groupColumn ? { group } : {}),
+        statistic: interval.label,
+        estimate: finiteOrNull(interval.estimate),
+        lower: finiteOrNull(interval.lower),
+        upper: finiteOrNull(interval.upper),
+        se: finiteOrNull(interval.standardError),
+        bias: finiteOrNull(interval.bias)
+      })))
+    });
+  }
+  if (outliers.length > 0) {
+    tables.push({
+      id: 'outliers',
+      title: 'Outliers (Tukey fences: mild beyond 1.5 × IQR, extreme beyond 3 × IQR)',
+      columns: [
+        { key: 'row', label: 'Row' },
+        { key: 'column', label: 'Variable' },
+        ...(groupColumn ? [{ key: 'group', label: groupColumn.name }] : []),
+        { key: 'value', label: 'Value' },
+        { key: 'severity', label: 'Severity' }
+      ],
+      rows: outliers
+    });
+  }
+
+  const level = `${Math.round(confidenceLevel * 100)}%`;
+  const lines = summaries.map(({ column, group, stats, outlierCount, intervals }) => {
+    const unit = column.unit ? ` ${column.unit}` : '';
+    const bootstrapText = intervals.length
+      ? `; ${bootstrapName(resampling.interval)} ${level} CI for the mean ${formatNumber(intervals[0].lower)} to ${formatNumber(intervals[0].upper)}, `
+        + `for the median ${formatNumber(intervals[1].lower)} to ${formatNumber(intervals[1].upper)}`
+      : '';
+    return `${columnLabel(column)}${group !== null ? ` [${group}]` : ''}: mean ${formatNumber(stats.mean)}${unit} `
+      + `(${level} CI ${formatNumber(stats.ciLower)} to ${formatNumber(stats.ciUpper)}), SD ${formatNumber(stats.sd)}, `
+      + `median ${formatNumber(stats.median)} (IQR ${formatNumber(stats.q1)} to ${formatNumber(stats.q3)}), `
+      + `n = ${stats.n}${stats.missing ? ` (${stats.missing} missing)` : ''}`
+      + (includeOutliers ? `, ${outlierCount} outlier${outlierCount !== 1 ? 's' : ''}` : '')
+      + bootstrapText
+      + '.';
+  });
+  const intro = `Descriptive statistics for ${columns.length} numeric column${columns.length !== 1 ? 's' : ''} `
+    + `over ${dataset.rows.length} rows${groupColumn ? `, grouped by ${groupColumn.name} (${groups.length} groups)` : ''}.`;
+
+  return {
+    textualSummary: [intro, ...lines, ...(resampling ? [resamplingDescription(resampling)] : [])].join('\n'),
+    numericalResults,
+    units,
+    tables,
+    outliers,
+    parameters: {
+      confidenceLevel,
+      includeOutliers,
+      groupColumn: groupColumn?.id || null,
+      ...(resampling ? { resampling: resamplingParameters(resampling) } : {})
+    }
+  };
+};
@@ -0,0 +1,936 @@
+/**
+ * hypothesisAnalysis.js
+ * The "hypothesis" analysis method: Student's, Welch's and paired t-tests,
+ * one-way ANOVA, chi-squared tests, and the Mann-Whitney U, Kruskal-Wallis
+ * and Wilcoxon signed-rank tests on the columns chosen in the method
+ * parameters, with post-hoc pairwise comparisons after ANOVA and
+ * Kruskal-Wallis. Every test reports checks of its assumptions and, when one
+ * fails, the test to use instead. Tests on numeric samples can add bootstrap
+ * intervals and permutation p-values that make no distributional assumptions.
+ */
+import { getColumn, getColumnValues } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { columnLabel } from '../data/units';
+import { finite, mean, variance, median } from '../stats/basic';
+import {
+  TAILS,
+  studentTTest,
+  welchTTest,
+  pairedTTest,
+  oneWayAnova,
+  chiSquareIndependence,
+  chiSquareGoodnessOfFit,
+  mannWhitneyU,
+  kruskalWallis,
+  wilcoxonSignedRank
+} from '../stats/hypothesis';
+import { tukeyHsd, gamesHowell, dunnett, dunn } from '../stats/posthoc';
+import { P_ADJUSTMENTS, P_ADJUSTMENT_NAMES } from '../stats/multipleTesting';
+import {
+  CHECK_STATUS,
+  normalityChecks,
+  varianceCheck,
+  groupSizeCheck,
+  expectedCountCheck,
+  qqChart,
+  assumptionSummary,
+  MAX_QQ_POINTS
+} from './assumptionChecks';
+import { qqPoints } from '../stats/assumptions';
+import { bootstrap, permutationTest, signFlipTest } from '../stats/resampling';
+import { finiteOrNull, formatNumber, formatPValue, groupRows } from './analysisHelpers';
+import {
+  resamplingSettings,
+  resamplingDescription,
+  resamplingParameters,
+  bootstrapName,
+  runProgress
+} from './resamplingSettings';
+
+export const TEST_TYPES = {
+  STUDENT_T: 't-test',
+  WELCH_T: 'welch-t-test',
+  PAIRED_T: 'paired-t-test',
+  CHI_SQUARED: 'chi-squared',
+  ANOVA: 'anova',
+  MANN_WHITNEY: 'mann-whitney',
+  KRUSKAL_WALLIS: 'kruskal-wallis',
+  WILCOXON: 'wilcoxon'
+};
+
+const TEST_NAMES = {
+  [TEST_TYPES.STUDENT_T]: "Student's t-test",
+  [TEST_TYPES.WELCH_T]: "Welch's t-test",
+  [TEST_TYPES.PAIRED_T]: 'Paired t-test',
+  [TEST_TYPES.CHI_SQUARED]: 'Chi-squared test',
+  [TEST_TYPES.ANOVA]: 'One-way ANOVA',
+  [TEST_TYPES.MANN_WHITNEY]: 'Mann-Whitney U test',
+  [TEST_TYPES.KRUSKAL_WALLIS]: 'Kruskal-Wallis test',
+  [TEST_TYPES.WILCOXON]: 'Wilcoxon signed-rank test'
+};
+
+export const POST_HOC_TESTS = {
+  AUTO: 'auto',
+  NONE: 'none',
+  TUKEY: 'tukey',
+  GAMES_HOWELL: 'games-howell',
+  DUNNETT: 'dunnett',
+  DUNN: 'dunn'
+};
+
+const POST_HOC_NAMES = {
+  [POST_HOC_TESTS.TUKEY]: 'Tukey HSD',
+  [POST_HOC_TESTS.GAMES_HOWELL]: 'Games-Howell',
+  [POST_HOC_TESTS.DUNNETT]: 'Dunnett',
+  [POST_HOC_TESTS.DUNN]: "Dunn's test"
+};
+
+// Fewest values per group (or pairs) each test runs with
+const MINIMUM_GROUP_SIZES = {
+  [TEST_TYPES.STUDENT_T]: 2,
+  [TEST_TYPES.WELCH_T]: 2,
+  [TEST_TYPES.PAIRED_T]: 2,
+  [TEST_TYPES.ANOVA]: 1,
+  [TEST_TYPES.MANN_WHITNEY]: 1,
+  [TEST_TYPES.KRUSKAL_WALLIS]: 1,
+  [TEST_TYPES.WILCOXON]: 2
+};
+
+// Rank-based test to fall back on when a parametric test's normality assumption fails
+const NONPARAMETRIC_ALTERNATIVES = {
+  [TEST_TYPES.STUDENT_T]: TEST_TYPES.MANN_WHITNEY,
+  [TEST_TYPES.WELCH_T]: TEST_TYPES.MANN_WHITNEY,
+  [TEST_TYPES.PAIRED_T]: TEST_TYPES.WILCOXON,
+  [TEST_TYPES.ANOVA]: TEST_TYPES.KRUSKAL_WALLIS
+};
+
+// Omnibus tests that are followed by pairwise comparisons, and their default post-hoc test
+const DEFAULT_POST_HOC = {
+  [TEST_TYPES.ANOVA]: POST_HOC_TESTS.TUKEY,
+  [TEST_TYPES.KRUSKAL_WALLIS]: POST_HOC_TESTS.DUNN
+};
+
+// Statistic resampled for each test on numeric samples: bootstrapped for an
+// interval (two-sample and paired designs) and permuted for a p-value
+const RESAMPLED_STATISTICS = {
+  [TEST_TYPES.STUDENT_T]: { label: 'Mean difference', design: 'groups', compute: (a, b) => mean(a) - mean(b) },
+  [TEST_TYPES.WELCH_T]: { label: 'Mean difference', design: 'groups', compute: (a, b) => mean(a) - mean(b) },
+  [TEST_TYPES.MANN_WHITNEY]: { label: 'Median difference', design: 'groups', compute: (a, b) => median(a) - median(b) },
+  [TEST_TYPES.PAIRED_T]: { label: 'Mean difference', design: 'paired', compute: mean },
+  [TEST_TYPES.WILCOXON]: { label: 'Median difference', design: 'paired', compute: median },
+  [TEST_TYPES.ANOVA]: { label: 'F', design: 'omnibus', compute: (...groups) => oneWayAnova(groups).statistic },
+  [TEST_TYPES.KRUSKAL_WALLIS]: { label: 'H', design: 'omnibus', compute: (...groups) => kruskalWallis(groups).statistic }
+};
+
+/**
+ * Look up a column parameter, failing with a message that names the parameter
+ * @returns {Object|null} Column, or null when the parameter is empty and optional
+ */
+const columnParameter = (dataset, columnId, label, required = true) => {
+  if (!columnId) {
+    if (required) throw new Error(`Choose a ${label.toLowerCase()} for this test`);
+    return null;
+  }
+  const column = getColumn(dataset, columnId);
+  if (!column) throw new Error(`${label} ${columnId} is not in the dataset`);
+  return column;
+};
+
+/**
+ * Numeric samples of the value column, one per group of the group column
+ * @returns {Array<{ label: string, values: Array<number> }>} Groups with at least one value
+ */
+const groupSamples = (dataset, groupColumn, valueColumn) => {
+  const vector = getNumericVector(dataset, valueColumn.id);
+  return groupRows(dataset, groupColumn.id)
+    .map(({ label, rows }) => ({ label, values: finite(rows.map(rowIndex => vector[rowIndex])) }))
+    .filter(group => group.values.length > 0);
+};
+
+/**
+ * Table of per-group sample statistics
+ * @returns {Object} Table
+ */
+const groupTable = (title, groupLabel, groups) => ({
+  id: 'groups',
+  title,
+  columns: [
+    { key: 'group', label: groupLabel },
+    { key: 'n', label: 'n' },
+    { key: 'mean', label: 'Mean' },
+    { key: 'sd', label: 'SD' },
+    { key: 'se', label: 'SE' },
+    { key: 'median', label: 'Median' }
+  ],
+  rows: groups.map(({ label, values }) => ({
+    group: label,
+    n: values.length,
+    mean: finiteOrNull(mean(values)),
+    sd: finiteOrNull(Math.sqrt(variance(values))),
+    se: finiteOrNull(Math.sqrt(variance(values) / values.length)),
+    median: finiteOrNull(median(values))
+  }))
+});
+
+/**
+ * Written conclusion for a p-value at level alpha
+ * @returns {string} Sentence
+ */
+const conclusion = (p, alpha) => (p < alpha
+  ? `${formatPValue(p)} is below α = ${alpha}, so the null hypothesis is rejected.`
+  : `${formatPValue(p)} is not below α = ${alpha}, so the null hypothesis cannot be rejected.`);
+
+/**
+ * Conventional label of an effect size (Cohen, 1988)
+ * @returns {string} 'negligible', 'small', 'medium' or 'large'
+ */
+const effectMagnitude = (value, [small, medium, large]) => {
+  const size = Math.abs(value);
+  if (!Number.isFinite(size) || size < small) return 'negligible';
+  if (size < medium) return 'small';
+  return size < large ? 'medium' : 'large';
+};
+
+/**
+ * Describe the alternative hypothesis of a two-sample comparison
+ * @returns {string} Text
+ */
+const alternativeText = (tails, first, second, statistic) => {
+  if (tails === TAILS.LEFT) return `${statistic} of ${first} is smaller than that of ${second}`;
+  if (tails === TAILS.RIGHT) return `${statistic} of ${first} is larger than that of ${second}`;
+  return `${statistic}s of ${first} and ${second} differ`;
+};
+
+/**
+ * Confidence interval description, for one- or two-sided intervals
+ * @returns {string} Text
+ */
+const intervalText = (level, lower, upper, unit) => {
+  const suffix = unit ? ` ${unit}` : '';
+  if (!Number.isFinite(lower)) return `${level} upper bound ${formatNumber(upper)}${suffix}`;
+  if (!Number.isFinite(upper)) return `${level} lower bound ${formatNumber(lower)}${suffix}`;
+  return `${level} CI ${formatNumber(lower)} to ${formatNumber(upper)}${suffix}`;
+};
+
+/**
+ * Numerical results and summary shared by the t-tests
+ */
+const tTestFindings = (result, unit, testType) => ({
+  numericalResults: {
+    test: TEST_NAMES[testType],
+    t_statistic: finiteOrNull(result.statistic),
+    degrees_of_freedom: finiteOrNull(result.df),
+    p_value: finiteOrNull(result.p),
+    mean_difference: finiteOrNull(result.estimate),
+    ci_lower: finiteOrNull(result.ciLower),
+    ci_upper: finiteOrNull(result.ciUpper),
+    effect_size: finiteOrNull(result.cohensD),
+    effect_size_measure: testType === TEST_TYPES.PAIRED_T ? "Cohen's d_z" : "Cohen's d",
+    power: finiteOrNull(result.power)
+  },
+  units: unit ? { mean_difference: unit, ci_lower: unit, ci_upper: unit } : {},
+  statisticText: `t(${formatNumber(result.df)}) = ${formatNumber(result.statistic)}`,
+  effectText: `Cohen's d${testType === TEST_TYPES.PAIRED_T ? '_z' : ''} = ${formatNumber(result.cohensD)} `
+    + `(${effectMagnitude(result.cohensD, [0.2, 0.5, 0.8])}), achieved power ${formatNumber(result.power)}.`
+});
+
+/**
+ * Student's or Welch's t-test between the two groups of the group column
+ */
+const twoSampleTTestResults = (dataset, params, testType) => {
+  const groupColumn = columnParameter(dataset, params.groupColumn, 'Group column');
+  const valueColumn = columnParameter(dataset, params.valueColumn, 'Value column');
+  const groups = groupSamples(dataset, groupColumn, valueColumn);
+  if (groups.length !== 2) {
+    throw new Error(`${TEST_NAMES[testType]} compares exactly two groups; ${groupColumn.name} has ${groups.length}. Use ANOVA for more than two.`);
+  }
+  const test = testType === TEST_TYPES.WELCH_T ? welchTTest : studentTTest;
+  const result = test(groups[0].values, groups[1].values, { alpha: params.alpha, tails: params.tails });
+  const comparison = `${groups[0].label} − ${groups[1].label}`;
+  const findings = tTestFindings(result, valueColumn.unit, testType);
+  const level = `${Math.round((1 - params.alpha) * 100)}%`;
+  return {
+    numericalResults: findings.numericalResults,
+    units: findings.units,
+    tables: [groupTable(`${columnLabel(valueColumn)} by ${groupColumn.name}`, groupColumn.name, groups)],
+    checkData: { samples: groups, valueLabel: columnLabel(valueColumn) },
+    summary: [
+      `${TEST_NAMES[testType]} of ${columnLabel(valueColumn)} between ${groups[0].label} (n = ${groups[0].values.length}) `
+        + `and ${groups[1].label} (n = ${groups[1].values.length}); H₁: the ${alternativeText(params.tails, groups[0].label, groups[1].label, 'mean')}.`,
+      `Mean difference (${comparison}) ${formatNumber(result.estimate)}${valueColumn.unit ? ` ${valueColumn.unit}` : ''}, `
+        + `${intervalText(level, result.ciLower, result.ciUpper, valueColumn.unit)}; ${findings.statisticText}.`,
+      conclusion(result.p, params.alpha),
+      findings.effectText
+    ]
+  };
+};
+
+/**
+ * Paired t-test between the value column and the second column
+ */
+const pairedTTestResults = (dataset, params) => {
+  const firstColumn = columnParameter(dataset, params.valueColumn, 'Value column');
+  const secondColumn = columnParameter(dataset, params.secondColumn, 'Second column');
+  if (firstColumn === secondColumn) throw new Error('A paired t-test needs two different columns');
+  const x = Array.from(getNumericVector(dataset, firstColumn.id));
+  const y = Array.from(getNumericVector(dataset, secondColumn.id));
+  const result = pairedTTest(x, y, { alpha: params.alpha, tails: params.tails });
+  const unit = firstColumn.unit && firstColumn.unit === secondColumn.unit ? firstColumn.unit : null;
+  const findings = tTestFindings(result, unit, TEST_TYPES.PAIRED_T);
+  const level = `${Math.round((1 - params.alpha) * 100)}%`;
+  const paired = x.map((value, i) => [value, y[i]]).filter(([a, b]) => Number.isFinite(a) && Number.isFinite(b));
+  const dropped = dataset.rows.length - paired.length;
+  return {
+    numericalResults: { ...findings.numericalResults, n_pairs: result.n },
+    units: findings.units,
+    tables: [groupTable('Paired measurements', 'Measurement', [
+      { label: columnLabel(firstColumn), values: paired.map(([a]) => a) },
+      { label: columnLabel(secondColumn), values: paired.map(([, b]) => b) },
+      { label: 'Difference', values: paired.map(([a, b]) => a - b) }
+    ])],
+    checkData: {
+      samples: [{ label: `${firstColumn.name} − ${secondColumn.name}`, values: paired.map(([a, b]) => a - b) }],
+      valueLabel: 'difference'
+    },
+    summary: [
+      `Paired t-test of ${columnLabel(firstColumn)} against ${columnLabel(secondColumn)} over ${result.n} pairs`
+        + `${dropped ? ` (${dropped} row${dropped !== 1 ? 's' : ''} with a missing value dropped)` : ''}; `
+        + `H₁: the ${alternativeText(params.tails, firstColumn.name, secondColumn.name, 'mean')}.`,
+      `Mean difference ${formatNumber(result.estimate)}${unit ? ` ${unit}` : ''}, `
+        + `${intervalText(level, result.ciLower, result.ciUpper, unit)}; ${findings.statisticText}.`,
+      conclusion(result.p, params.alpha),
+      findings.effectText
+    ]
+  };
+};
+
+/**
+ * One-way ANOVA of the value column across the groups of the group column
+ */
+const anovaResults = (dataset, params) => {
+  const groupColumn = columnParameter(dataset, params.groupColumn, 'Group column');
+  const valueColumn = columnParameter(dataset, params.valueColumn, 'Value column');
+  const groups = groupSamples(dataset, groupColumn, valueColumn);
+  const result = oneWayAnova(groups.map(group => group.values), { alpha: params.alpha });
+  const unit = valueColumn.unit;
+  return {
+    numericalResults: {
+      test: TEST_NAMES[TEST_TYPES.ANOVA],
+      f_statistic: finiteOrNull(result.statistic),
+      df_between: result.dfBetween,
+      df_within: result.dfWithin,
+      p_value: finiteOrNull(result.p),
+      effect_size: finiteOrNull(result.etaSquared),
+      effect_size_measure: 'η²',
+      omega_squared: finiteOrNull(result.omegaSquared),
+      power: finiteOrNull(result.power)
+    },
+    units: {},
+    checkData: { samples: groups, valueLabel: columnLabel(valueColumn) },
+    tables: [
+      groupTable(`${columnLabel(valueColumn)} by ${groupColumn.name}`, groupColumn.name, groups),
+      {
+        id: 'anova',
+        title: 'ANOVA Table',
+        columns: [
+          { key: 'source', label: 'Source' },
+          { key: 'ss', label: `Sum of squares${unit ? ` (${unit}²)` : ''}` },
+          { key: 'df', label: 'df' },
+          { key: 'ms', label: 'Mean square' },
+          { key: 'f', label: 'F' },
+          { key: 'p', label: 'p' }
+        ],
+        rows: [
+          { source: groupColumn.name, ss: result.ssBetween, df: result.dfBetween, ms: result.msBetween, f: finiteOrNull(result.statistic), p: finiteOrNull(result.p) },
+          { source: 'Residual', ss: result.ssWithin, df: result.dfWithin, ms: result.msWithin, f: null, p: null },
+          { source: 'Total', ss: result.ssBetween + result.ssWithin, df: result.dfBetween + result.dfWithin, ms: null, f: null, p: null }
+        ]
+      }
+    ],
+    summary: [
+      `One-way ANOVA of ${columnLabel(valueColumn)} across ${groups.length} groups of ${groupColumn.name}; `
+        + 'H₁: at least one group mean differs.'
+        + (params.tails !== TAILS.TWO ? ' The F test has no direction, so the test direction setting does not apply.' : ''),
+      `F(${result.dfBetween}, ${result.dfWithin}) = ${formatNumber(result.statistic)}.`,
+      conclusion(result.p, params.alpha),
+      `η² = ${formatNumber(result.etaSquared)} (${effectMagnitude(result.etaSquared, [0.01, 0.06, 0.14])}), `
+        + `ω² = ${formatNumber(result.omegaSquared)}, achieved power ${formatNumber(result.power)}.`
+    ]
+  };
+};
+
+/**
+ * Category labels of a column, in order of first appearance, with the label of each row
+ * @returns {{ labels: Array<string>, rowLabels: Array<string|null> }} Categories
+ */
+const categories = (dataset, column) => {
+  const rowLabels = getColumnValues(dataset, column.id).map(value => (value === null ? null : String(value)));
+  return { labels: [...new Set(rowLabels.filter(label => label !== null))], rowLabels };
+};
+
+/**
+ * Chi-squared test of independence between the group and second columns, or of
+ * goodness of fit to equal proportions when there is no second column
+ */
+const chiSquaredResults = (dataset, params) => {
+  const rowColumn = columnParameter(dataset, params.groupColumn, 'Group column');
+  const columnColumn = columnParameter(dataset, params.secondColumn, 'Second column', false);
+  const rowCategories = categories(dataset, rowColumn);
+  const directionNote = params.tails !== TAILS.TWO
+    ? ' The chi-squared statistic has no direction, so the test direction setting does not apply.'
+    : '';
+
+  if (!columnColumn) {
+    const observed = rowCategories.labels.map(label => rowCategories.rowLabels.filter(value => value === label).length);
+    const result = chiSquareGoodnessOfFit(observed, { alpha: params.alpha });
+    return {
+      numericalResults: {
+        test: 'Chi-squared goodness-of-fit test',
+        chi_squared: finiteOrNull(result.statistic),
+        degrees_of_freedom: result.df,
+        p_value: finiteOrNull(result.p),
+        n: result.n,
+        effect_size: finiteOrNull(result.cohensW),
+        effect_size_measure: "Cohen's w",
+        power: finiteOrNull(result.power)
+      },
+      units: {},
+      tables: [{
+        id: 'frequencies',
+        title: `Frequencies of ${rowColumn.name}`,
+        columns: [
+          { key: 'category', label: rowColumn.name },
+          { key: 'observed', label: 'Observed' },
+          { key: 'expected', label: 'Expected' }
+        ],
+        rows: rowCategories.labels.map((label, i) => ({ category: label, observed: observed[i], expected: result.expected[i] }))
+      }],
+      checkData: { expected: result.expected },
+      summary: [
+        `Chi-squared goodness-of-fit test of ${rowColumn.name} (${observed.length} categories, n = ${result.n}) `
+          + `against equal proportions.${directionNote}`,
+        `χ²(${result.df}) = ${formatNumber(result.statistic)}.`,
+        conclusion(result.p, params.alpha),
+        `Cohen's w = ${formatNumber(result.cohensW)} (${effectMagnitude(result.cohensW, [0.1, 0.3, 0.5])}), `
+          + `achieved power ${formatNumber(result.power)}.`
+      ]
+    };
+  }
+
+  if (columnColumn === rowColumn) throw new Error('A test of independence needs two different columns');
+  const columnCategories = categories(dataset, columnColumn);
+  const observed = rowCategories.labels.map(() => columnCategories.labels.map(() => 0));
+  rowCategories.rowLabels.forEach((rowLabel, rowIndex) => {
+    const columnLabelValue = columnCategories.rowLabels[rowIndex];
+    if (rowLabel === null || columnLabelValue === null) return;
+    observed[rowCategories.labels.indexOf(rowLabel)][columnCategories.labels.indexOf(columnLabelValue)] += 1;
+  });
+  const result = chiSquareIndependence(observed, { alpha: params.alpha });
+  const contingencyTable = (id, title, counts) => ({
+    id,
+    title,
+    columns: [
+      { key: 'category', label: `${rowColumn.name} \\ ${columnColumn.name}` },
+      ...columnCategories.labels.map((label, j) => ({ key: `c${j}`, label }))
+    ],
+    rows: rowCategories.labels.map((label, i) => ({
+      category: label,
+      ...Object.fromEntries(counts[i].map((count, j) => [`c${j}`, count]))
+    }))
+  });
+  return {
+    numericalResults: {
+      test: 'Chi-squared test of independence',
+      chi_squared: finiteOrNull(result.statistic),
+      degrees_of_freedom: result.df,
+      p_value: finiteOrNull(result.p),
+      n: result.n,
+      effect_size: finiteOrNull(result.cramersV),
+      effect_size_measure: "Cramér's V",
+      power: finiteOrNull(result.power)
+    },
+    units: {},
+    tables: [
+      contingencyTable('observed', 'Observed counts', observed),
+      contingencyTable('expected', 'Expected counts under independence', result.expected)
+    ],
+    checkData: { expected: result.expected.flat() },
+    summary: [
+      `Chi-squared test of independence between ${rowColumn.name} and ${columnColumn.name} `
+        + `(${rowCategories.labels.length} × ${columnCategories.labels.length} table, n = ${result.n}, `
+        + `no continuity correction).${directionNote}`,
+      `χ²(${result.df}) = ${formatNumber(result.statistic)}.`,
+      conclusion(result.p, params.alpha),
+      `Cramér's V = ${formatNumber(result.cramersV)}, achieved power ${formatNumber(result.power)}.`
+    ]
+  };
+};
+
+/**
+ * Mann-Whitney U test between the two groups of the group column
+ */
+const mannWhitneyResults = (dataset, params) => {
+  const groupColumn = columnParameter(dataset, params.groupColumn, 'Group column');
+  const valueColumn = columnParameter(dataset, params.valueColumn, 'Value column');
+  const groups = groupSamples(dataset, groupColumn, valueColumn);
+  if (groups.length !== 2) {
+    throw new Error(`The Mann-Whitney U test compares exactly two groups; ${groupColumn.name} has ${groups.length}.`);
+  }
+  const [first, second] = groups;
+  const result = mannWhitneyU(first.values, second.values, { alpha: params.alpha, tails: params.tails });
+  const unit = valueColumn.unit;
+  const level = `${Math.round((1 - params.alpha) * 100)}%`;
+  const table = groupTable(`${columnLabel(valueColumn)} by ${groupColumn.name}`, groupColumn.name, groups);
+  table.columns.push({ key: 'meanRank', label: 'Mean rank' });
+  table.rows[0].meanRank = result.meanRankX;
+  table.rows[1].meanRank = result.meanRankY;
+  return {
+    numericalResults: {
+      test: TEST_NAMES[TEST_TYPES.MANN_WHITNEY],
+      u_statistic: result.statistic,
+      z_score: finiteOrNull(result.z),
+      p_value: finiteOrNull(result.p),
+      location_shift: finiteOrNull(result.estimate),
+      ci_lower: finiteOrNull(result.ciLower),
+      ci_upper: finiteOrNull(result.ciUpper),
+      effect_size: finiteOrNull(result.rankBiserial),
+      effect_size_measure: 'Rank-biserial correlation',
+      power: finiteOrNull(result.power)
+    },
+    units: unit ? { location_shift: unit, ci_lower: unit, ci_upper: unit } : {},
+    tables: [table],
+    checkData: { samples: groups, valueLabel: columnLabel(valueColumn) },
+    summary: [
+      `Mann-Whitney U test of ${columnLabel(valueColumn)} between ${first.label} (n = ${first.values.length}) `
+        + `and ${second.label} (n = ${second.values.length}); H₁: the ${alternativeText(params.tails, first.label, second.label, 'distribution')}.`,
+      `U = ${formatNumber(result.statistic)}, z = ${formatNumber(result.z)} (normal approximation with tie and continuity corrections)`
+        + (Number.isFinite(result.estimate)
+          ? `; Hodges-Lehmann shift ${formatNumber(result.estimate)}${unit ? ` ${unit}` : ''}, ${intervalText(level, result.ciLower, result.ciUpper, unit)}.`
+          : '.'),
+      conclusion(result.p, params.alpha),
+      `Rank-biserial correlation = ${formatNumber(result.rankBiserial)} `
+        + `(${effectMagnitude(result.rankBiserial, [0.1, 0.3, 0.5])}), achieved power ${formatNumber(result.power)} `
+        + '(t-test power scaled by the asymptotic relative efficiency 3/π).'
+    ]
+  };
+};
+
+/**
+ * Kruskal-Wallis test of the value column across the groups of the group column
+ */
+const kruskalWallisResults = (dataset, params) => {
+  const groupColumn = columnParameter(dataset, params.groupColumn, 'Group column');
+  const valueColumn = columnParameter(dataset, params.valueColumn, 'Value column');
+  const groups = groupSamples(dataset, groupColumn, valueColumn);
+  const result = kruskalWallis(groups.map(group => group.values), { alpha: params.alpha });
+  const table = groupTable(`${columnLabel(valueColumn)} by ${groupColumn.name}`, groupColumn.name, groups);
+  table.columns.push({ key: 'meanRank', label: 'Mean rank' });
+  table.rows.forEach((row, i) => { row.meanRank = result.meanRanks[i]; });
+  return {
+    numericalResults: {
+      test: TEST_NAMES[TEST_TYPES.KRUSKAL_WALLIS],
+      h_statistic: finiteOrNull(result.statistic),
+      degrees_of_freedom: result.df,
+      p_value: finiteOrNull(result.p),
+      n: result.n,
+      effect_size: finiteOrNull(result.epsilonSquared),
+      effect_size_measure: 'ε²',
+      power: finiteOrNull(result.power)
+    },
+    units: {},
+    tables: [table],
+    checkData: { samples: groups, valueLabel: columnLabel(valueColumn) },
+    summary: [
+      `Kruskal-Wallis test of ${columnLabel(valueColumn)} across ${groups.length} groups of ${groupColumn.name} (n = ${result.n}); `
+        + 'H₁: at least one group tends to have larger values than another.'
+        + (params.tails !== TAILS.TWO ? ' The H statistic has no direction, so the test direction setting does not apply.' : ''),
+      `H(${result.df}) = ${formatNumber(result.statistic)} (chi-squared approximation, corrected for ties).`,
+      conclusion(result.p, params.alpha),
+      `ε² = ${formatNumber(result.epsilonSquared)} (${effectMagnitude(result.epsilonSquared, [0.01, 0.08, 0.26])}), `
+        + `approximate power ${formatNumber(result.power)}.`
+    ]
+  };
+};
+
+/**
+ * Wilcoxon signed-rank test between the value column and the second column
+ */
+const wilcoxonResults = (dataset, params) => {
+  const firstColumn = columnParameter(dataset, params.valueColumn, 'Value column');
+  const secondColumn = columnParameter(dataset, params.secondColumn, 'Second column');
+  if (firstColumn === secondColumn) throw new Error('A signed-rank test needs two different columns');
+  const x = Array.from(getNumericVector(dataset, firstColumn.id));
+  const y = Array.from(getNumericVector(dataset, secondColumn.id));
+  const result = wilcoxonSignedRank(x, y, { alpha: params.alpha, tails: params.tails });
+  const unit = firstColumn.unit && firstColumn.unit === secondColumn.unit ? firstColumn.unit : null;
+  const level = `${Math.round((1 - params.alpha) * 100)}%`;
+  const paired = x.map((value, i) => [value, y[i]]).filter(([a, b]) => Number.isFinite(a) && Number.isFinite(b));
+  const dropped = dataset.rows.length - paired.length;
+  const ties = result.n - result.nonZero;
+  return {
+    numericalResults: {
+      test: TEST_NAMES[TEST_TYPES.WILCOXON],
+      w_statistic: result.statistic,
+      z_score: finiteOrNull(result.z),
+      p_value: finiteOrNull(result.p),
+      n_pairs: result.n,
+      pseudo_median: finiteOrNull(result.estimate),
+      ci_lower: finiteOrNull(result.ciLower),
+      ci_upper: finiteOrNull(result.ciUpper),
+      effect_size: finiteOrNull(result.rankBiserial),
+      effect_size_measure: 'Matched-pairs rank-biserial correlation',
+      power: finiteOrNull(result.power)
+    },
+    units: unit ? { pseudo_median: unit, ci_lower: unit, ci_upper: unit } : {},
+    tables: [groupTable('Paired measurements', 'Measurement', [
+      { label: columnLabel(firstColumn), values: paired.map(([a]) => a) },
+      { label: columnLabel(secondColumn), values: paired.map(([, b]) => b) },
+      { label: 'Difference', values: paired.map(([a, b]) => a - b) }
+    ])],
+    checkData: {
+      samples: [{ label: `${firstColumn.name} − ${secondColumn.name}`, values: paired.map(([a, b]) => a - b) }],
+      valueLabel: 'difference'
+    },
+    summary: [
+      `Wilcoxon signed-rank test of ${columnLabel(firstColumn)} against ${columnLabel(secondColumn)} over ${result.n} pairs`
+        + `${dropped ? ` (${dropped} row${dropped !== 1 ? 's' : ''} with a missing value dropped)` : ''}; `
+        + `H₁: the ${alternativeText(params.tails, firstColumn.name, secondColumn.name, 'distribution')}.`,
+      `W₊ = ${formatNumber(result.statistic)}, z = ${formatNumber(result.z)} (normal approximation with tie and continuity corrections`
+        + `${ties ? `; ${ties} pair${ties !== 1 ? 's' : ''} with no difference left out` : ''})`
+        + (Number.isFinite(result.estimate)
+          ? `; Hodges-Lehmann pseudo-median ${formatNumber(result.estimate)}${unit ? ` ${unit}` : ''}, ${intervalText(level, result.ciLower, result.ciUpper, unit)}.`
+          : '.'),
+      conclusion(result.p, params.alpha),
+      `Matched-pairs rank-biserial correlation = ${formatNumber(result.rankBiserial)} `
+        + `(${effectMagnitude(result.rankBiserial, [0.1, 0.3, 0.5])}), achieved power ${formatNumber(result.power)} `
+        + '(paired t-test power scaled by the asymptotic relative efficiency 3/π).'
+    ]
+  };
+};
+
+/**
+ * Checks of the test's assumptions, and the test (or post-hoc comparisons) to
+ * switch to when one fails
+ * @returns {Object} { checks, recommendation ({ message, label, params } or null), qq, chart }
+ */
+const assumptionResults = (testType, { samples, expected, valueLabel }, params, postHoc) => {
+  if (expected) {
+    const checks = [expectedCountCheck(expected)];
+    const recommendation = checks[0].status === CHECK_STATUS.VIOLATED
+      ? {
+        message: expected.length === 4
+          ? "Use Fisher's exact test for this 2 × 2 table, or collect more data."
+          : 'Combine sparse categories or collect more data before relying on this test.',
+        label: null,
+        params: null
+      }
+      : null;
+    return { checks, recommendation, qq: [], chart: null };
+  }
+
+  const alternative = NONPARAMETRIC_ALTERNATIVES[testType];
+  const normality = alternative ? normalityChecks(samples, params.alpha) : [];
+  const variances = testType === TEST_TYPES.STUDENT_T || testType === TEST_TYPES.ANOVA ? [varianceCheck(samples, params.alpha)] : [];
+  const checks = [groupSizeCheck(samples, MINIMUM_GROUP_SIZES[testType]), ...normality, ...variances];
+
+  const nonNormal = normality.filter(check => check.status === CHECK_STATUS.VIOLATED).map(check => check.subject);
+  const unequalVariances = variances.some(check => check.status === CHECK_STATUS.VIOLATED);
+  let recommendation = null;
+  if (nonNormal.length) {
+    recommendation = {
+      message: `Normality is doubtful for ${nonNormal.join(', ')}, so use the ${TEST_NAMES[alternative]}, which compares ranks instead of means.`,
+      label: `Switch to the ${TEST_NAMES[alternative]}`,
+      params: { testType: alternative, ...(DEFAULT_POST_HOC[alternative] ? { postHoc: POST_HOC_TESTS.AUTO } : {}) }
+    };
+  } else if (unequalVariances && testType === TEST_TYPES.STUDENT_T) {
+    recommendation = {
+      message: `The groups' variances differ, so use ${TEST_NAMES[TEST_TYPES.WELCH_T]}, which does not assume equal variances.`,
+      label: `Switch to ${TEST_NAMES[TEST_TYPES.WELCH_T]}`,
+      params: { testType: TEST_TYPES.WELCH_T }
+    };
+  } else if (unequalVariances && testType === TEST_TYPES.ANOVA && postHoc !== POST_HOC_TESTS.GAMES_HOWELL) {
+    recommendation = {
+      message: 'The groups\' variances differ, so compare them with Games-Howell tests, which do not assume equal variances.',
+      label: 'Switch to Games-Howell comparisons',
+      params: { postHoc: POST_HOC_TESTS.GAMES_HOWELL }
+    };
+  }
+  return {
+    checks,
+    recommendation,
+    qq: normality.length ? samples.map(({ label, values }) => ({ label, points: qqPoints(values, { maxPoints: MAX_QQ_POINTS }) })) : [],
+    chart: normality.length ? qqChart(samples, valueLabel) : null
+  };
+};
+
+/**
+ * Bootstrap interval and permutation p-value of the test's statistic
+ * @returns {Object} { table, summary, numericalResults, units }
+ */
+const resamplingResults = (testType, { samples }, units, params, settings, onProgress) => {
+  const resampled = RESAMPLED_STATISTICS[testType];
+  if (!resampled) {
+    return {
+      table: null,
+      summary: [`Resampling does not apply to the ${TEST_NAMES[testType].toLowerCase()}, so none was run.`],
+      numericalResults: {},
+      units: {}
+    };
+  }
+  const { label, design, compute } = resampled;
+  const values = samples.map(sample => sample.values);
+  const quantity = design === 'groups' ? `${label} (${samples[0].label} − ${samples[1].label})` : label;
+  const unit = design === 'omnibus' ? null : units.ci_lower || null;
+  const options = { iterations: settings.iterations, random: settings.random };
+  // The F and H statistics grow with any difference between groups, so only large values count against H₀
+  const tails = design === 'omnibus' ? TAILS.RIGHT : params.tails;
+
+  const bootstrapped = settings.bootstrap && design !== 'omnibus';
+  const progress = runProgress(onProgress, (bootstrapped ? 1 : 0) + (settings.permutation ? 1 : 0));
+
+  const interval = bootstrapped
+    ? bootstrap(values, compute, {
+      ...options,
+      confidenceLevel: 1 - params.alpha,
+      interval: settings.interval,
+      onProgress: progress(0)
+    })
+    : null;
+  const permutationOptions = { ...options, tails, onProgress: progress(bootstrapped ? 1 : 0) };
+  const permutation = settings.permutation
+    ? design === 'paired'
+      ? signFlipTest(values[0], compute, permutationOptions)
+      : permutationTest(values, compute, permutationOptions)
+    : null;
+
+  const level = `${Math.round((1 - params.alpha) * 100)}%`;
+  const suffix = unit ? ` ${unit}` : '';
+  const rows = [
+    ...(interval ? [{
+      method: `${bootstrapName(interval.interval)} (${interval.replicates} replicates)`,
+      quantity,
+      estimate: finiteOrNull(interval.estimate),
+      ciLower: finiteOrNull(interval.lower),
+      ciUpper: finiteOrNull(interval.upper),
+      se: finiteOrNull(interval.standardError),
+      p: null
+    }] : []),
+    ...(permutation ? [{
+      method: `Permutation test (${permutation.permutations} ${design === 'paired' ? 'random sign flips' : 'random permutations'})`,
+      quantity,
+      estimate: finiteOrNull(permutation.statistic),
+      ciLower: null,
+      ciUpper: null,
+      se: null,
+      p: finiteOrNull(permutation.p)
+    }] : [])
+  ];
+
+  return {
+    table: rows.length ? {
+      id: 'resampling',
+      title: `Resampling (seed ${settings.seed})`,
+      columns: [
+        { key: 'method', label: 'Method' },
+        { key: 'quantity', label: 'Statistic' },
+        { key: 'estimate', label: `Estimate${unit ? ` (${unit})` : ''}` },
+        { key: 'ciLower', label: `${level} CI lower` },
+        { key: 'ciUpper', label: `${level} CI upper` },
+        { key: 'se', label: 'Bootstrap SE' },
+        { key: 'p', label: 'p' }
+      ],
+      rows
+    } : null,
+    summary: [
+      ...(interval
+        ? [`${bootstrapName(interval.interval)} ${level} CI for the ${quantity.charAt(0).toLowerCase()}${quantity.slice(1)}: `
+          + `${formatNumber(interval.lower)} to ${formatNumber(interval.upper)}${suffix}.`]
+        : []),
+      ...(permutation
+        ? [`Permutation test of ${design === 'omnibus' ? `the ${label} statistic` : `the ${label.toLowerCase()}`}: ${formatPValue(permutation.p)}`
+          + `, ${permutation.p < params.alpha ? 'significant' : 'not significant'} at α = ${params.alpha}.`]
+        : []),
+      ...(settings.bootstrap && design === 'omnibus'
+        ? [`${TEST_NAMES[testType]} gives no single estimate to bootstrap, so no interval was computed`
+          + `${settings.permutation ? '.' : '; choose permutation tests for a resampled p-value.'}`]
+        : []),
+      ...(rows.length ? [resamplingDescription({ ...settings, bootstrap: Boolean(interval), permutation: Boolean(permutation) })] : [])
+    ],
+    numericalResults: {
+      ...(interval ? { bootstrap_ci_lower: finiteOrNull(interval.lower), bootstrap_ci_upper: finiteOrNull(interval.upper) } : {}),
+      ...(permutation ? { permutation_p_value: finiteOrNull(permutation.p) } : {})
+    },
+    units: interval && unit ? { bootstrap_ci_lower: unit, bootstrap_ci_upper: unit } : {}
+  };
+};
+
+/**
+ * Pairwise comparisons of the groups after an ANOVA or Kruskal-Wallis test
+ * @returns {Object} { table, summary, numericalResults }
+ */
+const postHocResults = (dataset, params, postHoc, omnibusP) => {
+  const groupColumn = columnParameter(dataset, params.groupColumn, 'Group column');
+  const valueColumn = columnParameter(dataset, params.valueColumn, 'Value column');
+  const groups = groupSamples(dataset, groupColumn, valueColumn);
+  const samples = groups.map(group => group.values);
+  const unit = valueColumn.unit ? ` (${valueColumn.unit})` : '';
+  const level = `${Math.round((1 - params.alpha) * 100)}%`;
+
+  let result;
+  let adjustmentName = POST_HOC_NAMES[postHoc];
+  let control = null;
+  if (postHoc === POST_HOC_TESTS.TUKEY) {
+    result = tukeyHsd(samples, { alpha: params.alpha });
+  } else if (postHoc === POST_HOC_TESTS.GAMES_HOWELL) {
+    result = gamesHowell(samples, { alpha: params.alpha });
+  } else if (postHoc === POST_HOC_TESTS.DUNNETT) {
+    const wanted = String(params.controlGroup ?? '').trim();
+    control = wanted ? groups.findIndex(group => group.label === wanted) : 0;
+    if (control < 0) {
+      throw new Error(`Control group "${wanted}" is not a value of ${groupColumn.name} (${groups.map(group => group.label).join(', ')})`);
+    }
+    result = dunnett(samples, control, { alpha: params.alpha });
+  } else {
+    result = dunn(samples, { adjustment: params.pAdjustment });
+    adjustmentName = P_ADJUSTMENT_NAMES[params.pAdjustment];
+  }
+
+  const ranked = postHoc === POST_HOC_TESTS.DUNN;
+  const intervals = !ranked;
+  const statisticLabel = { [POST_HOC_TESTS.DUNNETT]: 't', [POST_HOC_TESTS.DUNN]: 'z' }[postHoc] || 'q';
+  const rows = result.comparisons.map(comparison => ({
+    comparison: `${groups[comparison.i].label} − ${groups[comparison.j].label}`,
+    difference: comparison.difference,
+    se: comparison.se,
+    statistic: comparison.statistic,
+    ...(intervals ? { ciLower: comparison.ciLower, ciUpper: comparison.ciUpper } : {}),
+    pRaw: finiteOrNull(comparison.pRaw),
+    p: finiteOrNull(comparison.p),
+    significant: comparison.p < params.alpha ? 'Yes' : 'No'
+  }));
+  const significant = rows.filter(row => row.significant === 'Yes');
+
+  const table = {
+    id: 'posthoc',
+    title: `${POST_HOC_NAMES[postHoc]} pairwise comparisons${control !== null ? ` against ${groups[control].label}` : ''}`,
+    columns: [
+      { key: 'comparison', label: 'Comparison' },
+      { key: 'difference', label: ranked ? 'Mean rank difference' : `Mean difference${unit}` },
+      { key: 'se', label: 'SE' },
+      { key: 'statistic', label: statisticLabel },
+      ...(intervals ? [
+        { key: 'ciLower', label: `${level} simultaneous CI lower` },
+        { key: 'ciUpper', label: `${level} simultaneous CI upper` }
+      ] : []),
+      { key: 'pRaw', label: 'p (unadjusted)' },
+      { key: 'p', label: `p (${adjustmentName})` },
+      { key: 'significant', label: `Significant at α = ${params.alpha}` }
+    ],
+    rows
+  };
+
+  const summary = [
+    `${POST_HOC_NAMES[postHoc]}${ranked ? ` with ${adjustmentName} adjustment` : ''}: `
+      + `${significant.length} of ${rows.length} comparison${rows.length !== 1 ? 's' : ''} significant at α = ${params.alpha}`
+      + (significant.length
+        ? ` (${significant.slice(0, 6).map(row => `${row.comparison}: ${formatPValue(row.p)}`).join('; ')}${significant.length > 6 ? '; …' : ''}).`
+        : '.'),
+    ...(omnibusP >= params.alpha ? ['The omnibus test was not significant, so these comparisons should be read with caution.'] : [])
+  ];
+  return {
+    table,
+    summary,
+    numericalResults: { post_hoc_test: POST_HOC_NAMES[postHoc], significant_comparisons: significant.length }
+  };
+};
+
+// Runner per test type; each returns results with the summary as a list of sentences
+const RUNNERS = {
+  [TEST_TYPES.STUDENT_T]: (dataset, params) => twoSampleTTestResults(dataset, params, TEST_TYPES.STUDENT_T),
+  [TEST_TYPES.WELCH_T]: (dataset, params) => twoSampleTTestResults(dataset, params, TEST_TYPES.WELCH_T),
+  [TEST_TYPES.PAIRED_T]: pairedTTestResults,
+  [TEST_TYPES.ANOVA]: anovaResults,
+  [TEST_TYPES.CHI_SQUARED]: chiSquaredResults,
+  [TEST_TYPES.MANN_WHITNEY]: mannWhitneyResults,
+  [TEST_TYPES.KRUSKAL_WALLIS]: kruskalWallisResults,
+  [TEST_TYPES.WILCOXON]: wilcoxonResults
+};
+
+/**
+ * Run the hypothesis test analysis
+ * @param {Object} dataset Dataset to test
+ * @param {Object} params Method parameters
+ * @param {string} [params.testType='t-test'] One of TEST_TYPES
+ * @param {string} [params.groupColumn] ID of the column defining the groups (or the first
+ *   categorical variable of a chi-squared test)
+ * @param {string} [params.valueColumn] ID of the numeric measurement column
+ * @param {string} [params.secondColumn] ID of the second measurement (paired t-test and signed-rank test) or
+ *   second categorical variable (chi-squared test of independence)
+ * @param {string} [params.significance='0.05'] Significance level α
+ * @param {string} [params.tails='two-tailed'] Test direction
+ * @param {string} [params.postHoc='auto'] One of POST_HOC_TESTS, after ANOVA or Kruskal-Wallis
+ * @param {string} [params.controlGroup] Group that Dunnett comparisons are made against (the first by default)
+ * @param {string} [params.pAdjustment='holm'] P-value adjustment for Dunn's comparisons
+ * @param {string} [params.resampling='none'] 'bootstrap', 'permutation' or 'both'
+ * @param {string|number} [params.resamplingIterations] Bootstrap replicates and permutations
+ * @param {string} [params.bootstrapInterval='bca'] 'percentile' or 'bca'
+ * @param {string|number} [params.seed] Seed of the resampling (a new one, recorded in the results, when empty)
+ * @param {Object} [context] Run context
+ * @param {Function} [context.onProgress] Called with the share of the resampling done (0 to 1)
+ * @returns {Object} Results: numericalResults, units, tables, assumptions ({ checks,
+ *   recommendation, qq }), charts (the Q-Q plot) and textualSummary
+ */
+export const runHypothesisAnalysis = (dataset, params = {}, { onProgress } = {}) => {
+  const testType = params.testType || TEST_TYPES.STUDENT_T;
+  const runner = RUNNERS[testType];
+  if (!runner) throw new Error(`Unknown test type: ${testType}`);
+  const alpha = Number(params.significance) || 0.05;
+  const tails = Object.values(TAILS).includes(params.tails) ? params.tails : TAILS.TWO;
+  const pAdjustment = Object.values(P_ADJUSTMENTS).includes(params.pAdjustment) ? params.pAdjustment : P_ADJUSTMENTS.HOLM;
+  const requested = Object.values(POST_HOC_TESTS).includes(params.postHoc) ? params.postHoc : POST_HOC_TESTS.AUTO;
+  const postHoc = !DEFAULT_POST_HOC[testType] || requested === POST_HOC_TESTS.NONE
+    ? null
+    : requested === POST_HOC_TESTS.AUTO ? DEFAULT_POST_HOC[testType] : requested;
+
+  const testParams = { ...params, alpha, tails, pAdjustment };
+  const { summary, checkData, ...results } = runner(dataset, testParams);
+  const { chart, ...assumptions } = assumptionResults(testType, checkData, testParams, postHoc);
+  const comparisons = postHoc ? postHocResults(dataset, testParams, postHoc, results.numericalResults.p_value) : null;
+  const settings = resamplingSettings(params);
+  const resampled = settings ? resamplingResults(testType, checkData, results.units, testParams, settings, onProgress) : null;
+  return {
+    textualSummary: [
+      ...summary,
+      ...(resampled ? resampled.summary : []),
+      assumptionSummary(assumptions.checks, assumptions.recommendation),
+      ...(comparisons ? comparisons.summary : [])
+    ].join('\n'),
+    ...results,
+    assumptions,
+    charts: chart ? { qq: chart } : {},
+    numericalResults: {
+      ...results.numericalResults,
+      alpha,
+      significant: results.numericalResults.p_value < alpha,
+      ...(resampled ? resampled.numericalResults : {}),
+      ...(comparisons ? comparisons.numericalResults : {})
+    },
+    units: { ...results.units, ...(resampled ? resampled.units : {}) },
+    tables: [
+      ...results.tables,
+      ...(resampled?.table ? [resampled.table] : []),
+      ...(comparisons ? [comparisons.table] : [])
+    ],
+    parameters: {
+      testType,
+      alpha,
+      tails,
+      groupColumn: params.groupColumn || null,
+      valueColumn: params.valueColumn || null,
+      secondColumn: params.secondColumn || null,
+      ...(postHoc ? { postHoc, ...(postHoc === POST_HOC_TESTS.DUNNETT ? { controlGroup: params.controlGroup || null } : {}) } : {}),
+      ...(postHoc === POST_HOC_TESTS.DUNN ? { pAdjustment } : {}),
+      ...(settings ? { resampling: resamplingParameters(settings) } : {})
+    }
+  };
+};
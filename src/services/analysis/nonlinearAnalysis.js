@@ -0,0 +1,394 @@
+/**
+ * nonlinearAnalysis.js
+ * The "nonlinear" analysis method: dose-response (4PL, 5PL), Michaelis-Menten,
+ * exponential and Hill curves fitted by Levenberg-Marquardt, with parameter
+ * estimates, standard errors and intervals, goodness of fit, and the fitted
+ * curves over the observations. With a group column every group gets its own
+ * curve in one global fit, and chosen parameters can be shared across groups;
+ * an extra-sum-of-squares F test then asks whether sharing them fits worse.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { columnLabel } from '../data/units';
+import { studentTQuantile, fSurvival } from '../stats/distributions';
+import { NONLINEAR_MODEL_TYPES, NONLINEAR_MODELS, nonlinearRegression } from '../stats/nonlinear';
+import { finiteOrNull, formatNumber, formatPValue, groupRows } from './analysisHelpers';
+
+// Points on each fitted curve
+const CURVE_POINTS = 100;
+
+// Colors of the groups, each group's curve drawn in the color of its points
+const GROUP_COLORS = ['#8b5cf6', '#0ea5e9', '#f59e0b', '#10b981', '#ef4444', '#ec4899', '#14b8a6', '#6366f1'];
+
+// Decades of positive dose from which dose-response curves are drawn on a log10 dose axis
+const LOG_AXIS_DECADES = 2;
+
+/**
+ * Smallest and largest of the values, by a loop (spreading one argument per
+ * row overflows the call stack on large files)
+ * @returns {{ min: number, max: number }} Range
+ */
+const valueRange = (values) => values.reduce(
+  (range, value) => ({ min: Math.min(range.min, value), max: Math.max(range.max, value) }),
+  { min: Infinity, max: -Infinity }
+);
+
+/**
+ * Key of a parameter in the numerical results, e.g. "Hill slope" → "hill_slope"
+ * @returns {string} Key
+ */
+const resultKey = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Unit of a parameter from the units of x and y
+ * @param {string|null} kind 'x', 'y', '1/x' or null
+ * @returns {string|null} Unit
+ */
+const parameterUnit = (kind, xColumn, yColumn) => {
+  if (kind === 'x') return xColumn.unit || null;
+  if (kind === 'y') return yColumn.unit || null;
+  if (kind === '1/x') return xColumn.unit ? `1/${xColumn.unit}` : null;
+  return null;
+};
+
+/**
+ * Indexes of the parameters to share across groups, from a comma-separated list of names
+ * @returns {Array<number>} Parameter indexes
+ */
+const sharedParameterIndexes = (model, text) => {
+  const names = String(text || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(names.map(name => {
+    // "EC50" names the logEC50 parameter, "Hill" the Hill slope
+    const index = model.parameters.findIndex(parameter => {
+      const label = parameter.toLowerCase();
+      return label === name || label === `log${name}` || label.startsWith(`${name} `);
+    });
+    if (index < 0) throw new Error(`${model.name} has no parameter "${name}"; its parameters are ${model.parameters.join(', ')}`);
+    return index;
+  }))];
+};
+
+/**
+ * Position of every group's parameters in the global parameter vector:
+ * shared parameters once, the others once per group
+ * @returns {Array<Array<number>>} Vector index of each group's parameter j
+ */
+const parameterLayout = (parameterCount, groupCount, shared) => {
+  let next = 0;
+  const sharedIndex = new Map(shared.map(j => [j, null]));
+  return Array.from({ length: groupCount }, () => Array.from({ length: parameterCount }, (_, j) => {
+    if (!sharedIndex.has(j)) return next++;
+    if (sharedIndex.get(j) === null) sharedIndex.set(j, next++);
+    return sharedIndex.get(j);
+  }));
+};
+
+/**
+ * Fit the model to every group at once
+ * @returns {Object} Fit of nonlinearRegression with the layout it used
+ */
+const globalFit = (model, groups, shared, start, confidenceLevel) => {
+  const layout = parameterLayout(model.parameters.length, groups.length, shared);
+  const initial = [];
+  layout.forEach((indexes, g) => indexes.forEach((index, j) => { initial[index] = start[g][j]; }));
+  const observations = groups.flatMap((group, g) => group.x.map((x, i) => ({ g, x, y: group.y[i] })));
+  const predict = theta => observations.map(({ g, x }) => model.predict(x, layout[g].map(index => theta[index])));
+  const fit = nonlinearRegression(predict, observations.map(observation => observation.y), initial, { confidenceLevel });
+  return { ...fit, layout, observations };
+};
+
+/**
+ * Run the nonlinear regression analysis
+ * @param {Object} dataset Dataset to model
+ * @param {Object} params Method parameters
+ * @param {string} [params.model='4pl'] '4pl', '5pl', 'michaelis-menten', 'exponential' or 'hill'
+ * @param {string} params.independentColumn ID of the x column (dose, concentration, time)
+ * @param {string} params.dependentColumn ID of the response column
+ * @param {string} [params.groupColumn] ID of a column splitting the data into one curve per group
+ * @param {string} [params.sharedParameters] Comma-separated names of the parameters shared by every group's curve
+ * @param {string} [params.confidenceInterval='0.95'] Confidence level of the parameter intervals
+ * @returns {Object} Results: numericalResults, units, tables, charts (fitted curves and residuals) and textualSummary
+ */
+export const runNonlinearAnalysis = (dataset, params = {}) => {
+  const modelType = Object.values(NONLINEAR_MODEL_TYPES).includes(params.model) ? params.model : NONLINEAR_MODEL_TYPES.FOUR_PL;
+  const model = NONLINEAR_MODELS[modelType];
+  const confidenceLevel = Number(params.confidenceInterval) || 0.95;
+  const level = `${Math.round(confidenceLevel * 100)}%`;
+
+  const xColumn = params.independentColumn ? getColumn(dataset, params.independentColumn) : null;
+  const yColumn = params.dependentColumn ? getColumn(dataset, params.dependentColumn) : null;
+  if (!xColumn) throw new Error('Choose the independent (x) column, e.g. dose, concentration or time');
+  if (!yColumn) throw new Error('Choose the dependent (response) column to fit');
+  if (xColumn === yColumn) throw new Error('The independent and dependent columns must differ');
+  [xColumn, yColumn].forEach(column => {
+    if (column.type !== COLUMN_TYPES.NUMERIC) throw new Error(`Column ${column.name} must be numeric`);
+  });
+  const groupColumn = params.groupColumn ? getColumn(dataset, params.groupColumn) : null;
+  if (params.groupColumn && !groupColumn) throw new Error(`Column ${params.groupColumn} is not in the dataset`);
+
+  const xAll = getNumericVector(dataset, xColumn.id);
+  const yAll = getNumericVector(dataset, yColumn.id);
+  const complete = rowIndex => Number.isFinite(xAll[rowIndex]) && Number.isFinite(yAll[rowIndex]);
+  const groups = (groupColumn ? groupRows(dataset, groupColumn.id) : [{ label: 'All data', rows: dataset.rows.map((_, i) => i) }])
+    .map(group => {
+      const rows = group.rows.filter(complete);
+      return { label: group.label, rows, x: rows.map(i => xAll[i]), y: rows.map(i => yAll[i]) };
+    })
+    .filter(group => group.rows.length > 0);
+  if (groups.length === 0) throw new Error(`No row has both ${xColumn.name} and ${yColumn.name}`);
+  if (model.nonNegativeX && groups.some(group => group.x.some(x => x < 0))) {
+    throw new Error(`${model.name} needs non-negative ${xColumn.name} values`);
+  }
+  const shared = groups.length > 1 ? sharedParameterIndexes(model, params.sharedParameters) : [];
+  const used = groups.reduce((total, group) => total + group.rows.length, 0);
+  const dropped = dataset.rows.length - used;
+
+  const pooledX = groups.flatMap(group => group.x);
+  const pooledY = groups.flatMap(group => group.y);
+  const pooledStart = model.start(pooledX, pooledY);
+  const start = groups.map(group => model.start(group.x, group.y).map((value, j) => (
+    shared.includes(j) || !Number.isFinite(value) ? pooledStart[j] : value
+  )));
+  const fit = globalFit(model, groups, shared, start, confidenceLevel);
+
+  // Extra-sum-of-squares F test of the shared parameters against separate fits
+  let sharingTest = null;
+  if (shared.length > 0) {
+    const estimates = fit.layout.map(indexes => indexes.map(index => fit.parameters[index].estimate));
+    try {
+      const separate = globalFit(model, groups, [], estimates, confidenceLevel);
+      const df1 = fit.dfResidual - separate.dfResidual;
+      const statistic = ((fit.rss - separate.rss) / df1) / (separate.rss / separate.dfResidual);
+      sharingTest = { statistic: Math.max(0, statistic), df1, df2: separate.dfResidual, p: fSurvival(Math.max(0, statistic), df1, separate.dfResidual) };
+    } catch (err) {
+      sharingTest = null;
+    }
+  }
+
+  const critical = studentTQuantile(1 - (1 - confidenceLevel) / 2, fit.dfResidual);
+  const groupLabel = (g, j) => (shared.includes(j) ? 'All groups (shared)' : groups[g].label);
+  const parameterRows = [];
+  const derivedRows = [];
+  const estimatesByGroup = groups.map(() => ({}));
+  groups.forEach((group, g) => {
+    model.parameters.forEach((name, j) => {
+      const estimate = fit.parameters[fit.layout[g][j]];
+      estimatesByGroup[g][name] = estimate;
+      // A shared parameter is listed once
+      if (shared.includes(j) && g > 0) return;
+      parameterRows.push({
+        group: groupLabel(g, j),
+        parameter: name,
+        estimate: finiteOrNull(estimate.estimate),
+        se: finiteOrNull(estimate.se),
+        statistic: finiteOrNull(estimate.statistic),
+        p: finiteOrNull(estimate.p),
+        ciLower: finiteOrNull(estimate.ciLower),
+        ciUpper: finiteOrNull(estimate.ciUpper),
+        unit: parameterUnit(model.units[j], xColumn, yColumn)
+      });
+    });
+    model.derived.forEach(derived => {
+      if (shared.includes(derived.parameter) && g > 0) return;
+      const base = fit.parameters[fit.layout[g][derived.parameter]];
+      const value = derived.value(base.estimate);
+      // Delta-method SE; the interval is the transformed interval of the parameter
+      const se = Math.abs(derived.derivative(base.estimate)) * base.se;
+      const ends = [derived.value(base.estimate - critical * base.se), derived.value(base.estimate + critical * base.se)].sort((a, b) => a - b);
+      const row = {
+        group: groupLabel(g, derived.parameter),
+        parameter: derived.label,
+        estimate: finiteOrNull(value),
+        se: finiteOrNull(se),
+        ciLower: finiteOrNull(ends[0]),
+        ciUpper: finiteOrNull(ends[1]),
+        unit: parameterUnit(derived.unit, xColumn, yColumn)
+      };
+      // An exponential's rate through zero has no doubling time or half-life to bound
+      if (modelType === NONLINEAR_MODEL_TYPES.EXPONENTIAL && base.ciLower < 0 && base.ciUpper > 0) row.ciUpper = null;
+      derivedRows.push(row);
+      estimatesByGroup[g][derived.label] = { estimate: value, ciLower: row.ciLower, ciUpper: row.ciUpper };
+    });
+  });
+
+  let offset = 0;
+  const groupFits = groups.map(group => {
+    const residuals = fit.residuals.slice(offset, offset + group.rows.length);
+    offset += group.rows.length;
+    const center = group.y.reduce((total, value) => total + value, 0) / group.y.length;
+    const tss = group.y.reduce((total, value) => total + (value - center) ** 2, 0);
+    const rss = residuals.reduce((total, value) => total + value * value, 0);
+    return { group: group.label, n: group.rows.length, rss, rSquared: finiteOrNull(tss > 0 ? 1 - rss / tss : NaN) };
+  });
+
+  const tables = [
+    {
+      id: 'parameters',
+      title: `${model.name} parameters: ${model.formula}`,
+      columns: [
+        ...(groups.length > 1 ? [{ key: 'group', label: 'Group' }] : []),
+        { key: 'parameter', label: 'Parameter' },
+        { key: 'estimate', label: 'Estimate' },
+        { key: 'se', label: 'SE' },
+        { key: 'statistic', label: 't' },
+        { key: 'p', label: 'p' },
+        { key: 'ciLower', label: `${level} CI lower` },
+        { key: 'ciUpper', label: `${level} CI upper` },
+        { key: 'unit', label: 'Unit' }
+      ],
+      rows: [...parameterRows, ...derivedRows]
+    },
+    {
+      id: 'fit',
+      title: 'Goodness of fit',
+      columns: [
+        { key: 'group', label: 'Group' },
+        { key: 'n', label: 'n' },
+        { key: 'rss', label: 'Residual sum of squares' },
+        { key: 'rSquared', label: 'R²' }
+      ],
+      rows: groupFits
+    },
+    {
+      id: 'residuals',
+      title: 'Fitted values and residuals',
+      columns: [
+        { key: 'row', label: 'Row' },
+        ...(groups.length > 1 ? [{ key: 'group', label: 'Group' }] : []),
+        { key: 'x', label: xColumn.name },
+        { key: 'observed', label: 'Observed' },
+        { key: 'fitted', label: 'Fitted' },
+        { key: 'residual', label: 'Residual' }
+      ],
+      rows: groups.flatMap(group => group.rows.map((rowIndex, i) => ({ row: rowIndex + 1, group: group.label, x: group.x[i] })))
+        .map((row, i) => ({ ...row, observed: fit.observations[i].y, fitted: fit.fitted[i], residual: fit.residuals[i] }))
+    }
+  ];
+
+  // Dose-response curves spanning decades of dose are drawn on a log10 dose axis (without zero doses)
+  const positive = valueRange(pooledX.filter(x => x > 0));
+  const pooled = valueRange(pooledX);
+  const fitted = valueRange(fit.fitted);
+  const logAxis = [NONLINEAR_MODEL_TYPES.FOUR_PL, NONLINEAR_MODEL_TYPES.FIVE_PL].includes(modelType)
+    && positive.max > positive.min && Math.log10(positive.max / positive.min) >= LOG_AXIS_DECADES;
+  const toAxis = x => (logAxis ? Math.log10(x) : x);
+  const axisMin = logAxis ? Math.log10(positive.min) : pooled.min;
+  const axisMax = logAxis ? Math.log10(positive.max) : pooled.max;
+  const curveX = Array.from({ length: CURVE_POINTS }, (_, i) => axisMin + ((axisMax - axisMin) * i) / (CURVE_POINTS - 1));
+  const withGroup = label => (groups.length > 1 ? ` (${label})` : '');
+  const charts = {
+    scatter: {
+      chartData: {
+        datasets: groups.flatMap((group, g) => {
+          const color = GROUP_COLORS[g % GROUP_COLORS.length];
+          const theta = fit.layout[g].map(index => fit.parameters[index].estimate);
+          return [
+            {
+              label: `Observed${withGroup(group.label)}`,
+              mode: 'markers',
+              color,
+              data: group.x.map((x, i) => ({ x: toAxis(x), y: group.y[i] })).filter(point => Number.isFinite(point.x))
+            },
+            {
+              label: `Fitted${withGroup(group.label)}`,
+              mode: 'line',
+              color,
+              data: curveX.map(value => ({ x: value, y: model.predict(logAxis ? 10 ** value : value, theta) }))
+            }
+          ];
+        })
+      },
+      xAxisLabel: logAxis ? `log10 ${columnLabel(xColumn)}` : columnLabel(xColumn),
+      yAxisLabel: columnLabel(yColumn),
+      dataColumns: [xColumn.name, yColumn.name, ...(groupColumn ? [groupColumn.name] : [])],
+      title: `${model.name} fit of ${yColumn.name}`
+    },
+    residuals: {
+      chartData: {
+        datasets: [
+          { label: 'Residuals', mode: 'markers', data: fit.fitted.map((value, i) => ({ x: value, y: fit.residuals[i] })) },
+          { label: 'Zero', mode: 'line', dashed: true, data: [{ x: fitted.min, y: 0 }, { x: fitted.max, y: 0 }] }
+        ]
+      },
+      xAxisLabel: `Fitted ${columnLabel(yColumn)}`,
+      yAxisLabel: `Residual${yColumn.unit ? ` (${yColumn.unit})` : ''}`,
+      dataColumns: [xColumn.name, yColumn.name],
+      title: 'Residuals against fitted values'
+    }
+  };
+
+  const sharedNames = shared.map(j => model.parameters[j]);
+  const describe = (estimate, unitKind) => {
+    const unit = parameterUnit(unitKind, xColumn, yColumn);
+    return `${formatNumber(estimate.estimate)}${unit ? ` ${unit}` : ''} (${level} CI ${formatNumber(estimate.ciLower)} to ${formatNumber(estimate.ciUpper)})`;
+  };
+  // The parameters people report: derived ones in place of the log-scale parameter they come from
+  const reported = [
+    ...model.parameters.map((name, j) => ({ name, unit: model.units[j], j })).filter(({ j }) => !model.derived.some(derived => derived.replaces && derived.parameter === j)),
+    ...model.derived.map(derived => ({ name: derived.label, unit: derived.unit, j: derived.parameter }))
+  ];
+  const listEstimates = (entries, g) => entries.map(({ name, unit }) => `${name} = ${describe(estimatesByGroup[g][name], unit)}`).join('; ');
+  const summary = [
+    `${model.name} fit of ${yColumn.name} on ${xColumn.name} by Levenberg-Marquardt `
+      + `(n = ${fit.n}${groups.length > 1 ? `, ${groups.length} groups by ${groupColumn.name}` : ''}`
+      + `${dropped ? `, ${dropped} row${dropped !== 1 ? 's' : ''} with missing values dropped` : ''}): ${model.formula}.`,
+    ...(sharedNames.length
+      ? [`Shared across groups: ${listEstimates(reported.filter(({ j }) => shared.includes(j)), 0)}.`]
+      : []),
+    ...groups.map((group, g) => `${groups.length > 1 ? `${group.label}: ` : ''}`
+      + `${listEstimates(reported.filter(({ j }) => !shared.includes(j)), g)}; R² = ${formatNumber(groupFits[g].rSquared)}.`),
+    `Goodness of fit: R² = ${formatNumber(fit.rSquared)} (adjusted ${formatNumber(fit.adjustedRSquared)}), `
+      + `residual standard error ${formatNumber(fit.sigma)}${yColumn.unit ? ` ${yColumn.unit}` : ''} on ${fit.dfResidual} df, AIC = ${formatNumber(fit.aic)}.`,
+    ...(sharingTest
+      ? [`Sharing ${sharedNames.join(', ')} ${sharingTest.p < 1 - confidenceLevel ? 'fits significantly worse than' : 'fits no worse than'} separate curves: `
+        + `F(${sharingTest.df1}, ${sharingTest.df2}) = ${formatNumber(sharingTest.statistic)}, ${formatPValue(sharingTest.p)}.`]
+      : []),
+    ...(logAxis && pooledX.some(x => x <= 0) ? ['Zero doses are fitted but left off the log10 dose axis of the chart.'] : []),
+    ...(!fit.converged ? [`The fit did not converge in ${fit.iterations} iterations; treat the estimates with caution.`] : []),
+    ...(!fit.identifiable ? ['Some parameters cannot be told apart by these data (the data do not cover enough of the curve), so their standard errors are missing.'] : [])
+  ];
+
+  const single = groups.length === 1;
+  const units = {};
+  if (single) {
+    reported.forEach(({ name, unit }) => {
+      const resolved = parameterUnit(unit, xColumn, yColumn);
+      if (resolved) units[resultKey(name)] = resolved;
+    });
+  }
+  if (yColumn.unit) units.residual_std_error = yColumn.unit;
+
+  return {
+    textualSummary: summary.join('\n'),
+    numericalResults: {
+      model: model.name,
+      n: fit.n,
+      groups: groups.length,
+      parameters: fit.parameters.length,
+      ...(single ? Object.fromEntries(reported.map(({ name }) => [resultKey(name), finiteOrNull(estimatesByGroup[0][name].estimate)])) : {}),
+      ...(sharedNames.length ? { shared_parameters: sharedNames.join(', ') } : {}),
+      r_squared: finiteOrNull(fit.rSquared),
+      adjusted_r_squared: finiteOrNull(fit.adjustedRSquared),
+      residual_sum_of_squares: finiteOrNull(fit.rss),
+      residual_std_error: finiteOrNull(fit.sigma),
+      df_residual: fit.dfResidual,
+      aic: finiteOrNull(fit.aic),
+      bic: finiteOrNull(fit.bic),
+      ...(sharingTest ? { sharing_f_statistic: finiteOrNull(sharingTest.statistic), sharing_p_value: finiteOrNull(sharingTest.p) } : {}),
+      converged: fit.converged,
+      iterations: fit.iterations
+    },
+    units,
+    tables,
+    charts,
+    parameters: {
+      model: modelType,
+      confidenceLevel,
+      independentColumn: xColumn.id,
+      dependentColumn: yColumn.id,
+      ...(groupColumn ? { groupColumn: groupColumn.id } : {}),
+      sharedParameters: sharedNames
+    }
+  };
+};
@@ -0,0 +1,236 @@
+/**
+ * pcaAnalysis.js
+ * The "pca" analysis method: principal components of the selected numeric
+ * columns with explained variance, loadings, per-row scores, sampling
+ * adequacy, and chart data for the score plot, biplot and scree plot.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn, getColumnValues } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { COLUMN_ROLES } from '../data/datasetEdits';
+import { columnLabel } from '../data/units';
+import { principalComponents, correlationOf, kaiserMeyerOlkin, bartlettSphericity } from '../stats/pca';
+import { finiteOrNull, formatNumber, formatPValue } from './analysisHelpers';
+
+/**
+ * Kaiser's verbal labels for KMO values
+ * @param {number} kmo KMO value
+ * @returns {string} Label
+ */
+const kmoLabel = (kmo) => {
+  if (kmo >= 0.9) return 'marvelous';
+  if (kmo >= 0.8) return 'meritorious';
+  if (kmo >= 0.7) return 'middling';
+  if (kmo >= 0.6) return 'mediocre';
+  return kmo >= 0.5 ? 'miserable' : 'unacceptable';
+};
+
+/**
+ * Run the principal component analysis
+ * @param {Object} dataset Dataset to analyze
+ * @param {Object} params Method parameters
+ * @param {number|string} [params.components=2] Number of components to keep
+ * @param {boolean} [params.standardize=true] Analyze the correlation rather than the covariance matrix
+ * @param {Array<string>} [params.columns] IDs of the numeric columns (all by default)
+ * @param {string} [params.groupColumn] ID of a categorical column to color the score plot by
+ * @returns {Object} Results: numericalResults, tables, components, charts and textualSummary
+ */
+export const runPcaAnalysis = (dataset, params = {}) => {
+  const standardize = params.standardize !== false;
+  const columns = Array.isArray(params.columns) && params.columns.length > 0
+    ? params.columns.map(columnId => {
+      const column = getColumn(dataset, columnId);
+      if (!column) throw new Error(`Column ${columnId} is not in the dataset`);
+      if (column.type !== COLUMN_TYPES.NUMERIC) throw new Error(`Column ${column.name} is not numeric`);
+      return column;
+    })
+    : dataset.columns.filter(column => column.type === COLUMN_TYPES.NUMERIC && column.role !== COLUMN_ROLES.ID);
+  if (columns.length < 2) throw new Error('Principal component analysis needs at least two numeric columns');
+  const groupColumn = params.groupColumn ? getColumn(dataset, params.groupColumn) : null;
+
+  // Listwise deletion: components are fitted on the rows complete in every column
+  const vectors = columns.map(column => getNumericVector(dataset, column.id));
+  const rowIndexes = dataset.rows.map((_, i) => i).filter(i => vectors.every(vector => Number.isFinite(vector[i])));
+  const rows = rowIndexes.map(i => vectors.map(vector => vector[i]));
+  if (rows.length <= columns.length) {
+    throw new Error(`Principal component analysis of ${columns.length} columns needs more than ${columns.length} complete rows (found ${rows.length})`);
+  }
+  const constant = columns.filter((_, j) => rows.every(row => row[j] === rows[0][j]));
+  if (constant.length > 0) throw new Error(`Column ${constant[0].name} has no variation`);
+
+  const requested = Math.round(Number(params.components)) || 2;
+  const k = Math.max(1, Math.min(requested, columns.length));
+  const pca = principalComponents(rows, { standardize, components: k });
+  const correlation = correlationOf(rows);
+  const kmo = kaiserMeyerOlkin(correlation);
+  const bartlett = bartlettSphericity(correlation, rows.length);
+  const labels = columns.map(column => columnLabel(column));
+  const componentLabels = Array.from({ length: k }, (_, c) => `PC${c + 1}`);
+  const groups = groupColumn ? getColumnValues(dataset, groupColumn.id) : null;
+  const dropped = dataset.rows.length - rows.length;
+
+  const scoreRows = rowIndexes.map((rowIndex, i) => ({
+    row: rowIndex + 1,
+    ...(groupColumn ? { group: groups[rowIndex] === null ? null : String(groups[rowIndex]) } : {}),
+    ...Object.fromEntries(componentLabels.map((label, c) => [label, pca.scores[i][c]]))
+  }));
+
+  const numericalResults = {
+    variables: columns.length,
+    n: rows.length,
+    standardized: standardize,
+    components: k,
+    ...Object.fromEntries(componentLabels.map((_, c) => [`component_${c + 1}`, pca.proportions[c]])),
+    total_explained_variance: pca.cumulative[k - 1],
+    kaiser_meyer_olkin: kmo ? finiteOrNull(kmo.overall) : null,
+    bartlett_chi2: finiteOrNull(bartlett.statistic),
+    bartlett_df: bartlett.df,
+    bartlett_p_value: finiteOrNull(bartlett.p)
+  };
+
+  const tables = [
+    {
+      id: 'variance',
+      title: 'Explained variance',
+      columns: [
+        { key: 'component', label: 'Component' },
+        { key: 'eigenvalue', label: 'Eigenvalue' },
+        { key: 'percent', label: '% of variance' },
+        { key: 'cumulative', label: 'Cumulative %' }
+      ],
+      rows: pca.eigenvalues.map((eigenvalue, c) => ({
+        component: `PC${c + 1}`,
+        eigenvalue,
+        percent: pca.proportions[c] * 100,
+        cumulative: pca.cumulative[c] * 100
+      }))
+    },
+    {
+      id: 'loadings',
+      title: 'Loadings (eigenvector coefficients)',
+      columns: [
+        { key: 'variable', label: 'Variable' },
+        ...componentLabels.map(label => ({ key: label, label })),
+        ...(kmo ? [{ key: 'msa', label: 'KMO (MSA)' }] : [])
+      ],
+      rows: labels.map((label, j) => ({
+        variable: label,
+        ...Object.fromEntries(componentLabels.map((component, c) => [component, pca.loadings[j][c]])),
+        ...(kmo ? { msa: finiteOrNull(kmo.perVariable[j]) } : {})
+      }))
+    },
+    {
+      id: 'correlations',
+      title: 'Correlations between variables and components',
+      columns: [{ key: 'variable', label: 'Variable' }, ...componentLabels.map(label => ({ key: label, label }))],
+      rows: labels.map((label, j) => ({
+        variable: label,
+        ...Object.fromEntries(componentLabels.map((component, c) => [component, pca.correlations[j][c]]))
+      }))
+    },
+    {
+      id: 'scores',
+      title: 'Component scores',
+      columns: [
+        { key: 'row', label: 'Row' },
+        ...(groupColumn ? [{ key: 'group', label: groupColumn.name }] : []),
+        ...componentLabels.map(label => ({ key: label, label }))
+      ],
+      rows: scoreRows
+    }
+  ];
+
+  // Score plot and biplot need two components; the scree plot shows every eigenvalue
+  const charts = {};
+  const axisLabel = c => `PC${c + 1} (${formatNumber(pca.proportions[c] * 100)}%)`;
+  if (k >= 2) {
+    const groupLabels = groupColumn ? [...new Set(scoreRows.map(row => row.group).filter(group => group !== null))] : [];
+    const pointsOf = rowsOfGroup => rowsOfGroup.map(row => ({ x: row.PC1, y: row.PC2 }));
+    const scoreDatasets = groupColumn
+      ? groupLabels.map(label => ({ label, mode: 'markers', data: pointsOf(scoreRows.filter(row => row.group === label)) }))
+      : [{ label: 'Observations', mode: 'markers', data: pointsOf(scoreRows) }];
+    charts.scatter = {
+      chartData: { datasets: scoreDatasets },
+      xAxisLabel: axisLabel(0),
+      yAxisLabel: axisLabel(1),
+      dataColumns: columns.map(column => column.name),
+      title: 'PCA score plot'
+    };
+
+    // Loading arrows scaled to the spread of the scores
+    const maxScore = scoreRows.reduce((max, row) => Math.max(max, Math.abs(row.PC1), Math.abs(row.PC2)), 0);
+    const maxLoading = Math.max(...pca.loadings.map(loading => Math.hypot(loading[0], loading[1])));
+    const scale = maxLoading > 0 ? (0.8 * maxScore) / maxLoading : 1;
+    charts.biplot = {
+      chartData: {
+        datasets: [
+          { label: 'Observations', mode: 'markers', data: pointsOf(scoreRows) },
+          ...labels.map((label, j) => ({
+            label,
+            mode: 'line',
+            data: [{ x: 0, y: 0 }, { x: pca.loadings[j][0] * scale, y: pca.loadings[j][1] * scale }]
+          }))
+        ]
+      },
+      xAxisLabel: axisLabel(0),
+      yAxisLabel: axisLabel(1),
+      dataColumns: columns.map(column => column.name),
+      title: 'PCA biplot (loadings scaled to the scores)'
+    };
+  }
+  charts.scree = {
+    chartData: {
+      datasets: [
+        { label: 'Eigenvalue', data: pca.eigenvalues.map((value, c) => ({ x: c + 1, y: value })) },
+        ...(standardize ? [{
+          label: 'Kaiser criterion (eigenvalue 1)',
+          mode: 'line',
+          dashed: true,
+          data: [{ x: 1, y: 1 }, { x: columns.length, y: 1 }]
+        }] : [])
+      ]
+    },
+    xAxisLabel: 'Component',
+    yAxisLabel: 'Eigenvalue',
+    dataColumns: columns.map(column => column.name),
+    title: 'Scree plot'
+  };
+
+  const aboveOne = pca.eigenvalues.filter(value => value > 1).length;
+  const summary = [
+    `Principal component analysis of ${columns.length} columns on the ${standardize ? 'correlation' : 'covariance'} matrix `
+      + `(n = ${rows.length}${dropped ? `, ${dropped} row${dropped !== 1 ? 's' : ''} with missing values dropped` : ''}).`,
+    `${k} component${k !== 1 ? 's explain' : ' explains'} ${formatNumber(pca.cumulative[k - 1] * 100)}% of the total variance `
+      + `(${componentLabels.map((label, c) => `${label} ${formatNumber(pca.proportions[c] * 100)}%`).join(', ')}).`
+      + (requested > columns.length ? ` Only ${columns.length} components exist for ${columns.length} columns.` : ''),
+    ...componentLabels.slice(0, 3).map((label, c) => {
+      const strongest = labels
+        .map((variable, j) => ({ variable, loading: pca.loadings[j][c] }))
+        .sort((a, b) => Math.abs(b.loading) - Math.abs(a.loading))
+        .slice(0, 2);
+      return `${label} is loaded most by ${strongest.map(({ variable, loading }) => `${variable} (${formatNumber(loading)})`).join(' and ')}.`;
+    }),
+    ...(standardize ? [`${aboveOne} component${aboveOne !== 1 ? 's have' : ' has'} an eigenvalue above 1 (Kaiser criterion).`] : []),
+    kmo
+      ? `Sampling adequacy: KMO = ${formatNumber(kmo.overall)} (${kmoLabel(kmo.overall)}); `
+        + `Bartlett's test of sphericity χ²(${bartlett.df}) = ${formatNumber(bartlett.statistic)}, ${formatPValue(bartlett.p)}.`
+      : 'The correlation matrix is singular (some columns are exact combinations of others), so KMO cannot be computed.'
+  ];
+
+  return {
+    textualSummary: summary.join('\n'),
+    numericalResults,
+    units: {},
+    tables,
+    components: {
+      labels: componentLabels,
+      variables: labels,
+      eigenvalues: pca.eigenvalues,
+      proportions: pca.proportions,
+      loadings: pca.loadings,
+      scores: scoreRows
+    },
+    charts,
+    parameters: { components: k, standardize, columns: columns.map(column => column.id), groupColumn: groupColumn?.id || null }
+  };
+};
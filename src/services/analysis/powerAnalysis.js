@@ -0,0 +1,196 @@
+/**
+ * powerAnalysis.js
+ * Sample size planning before data are collected: solves a design's power
+ * calculation for the sample size, the power or the minimum detectable
+ * effect, draws the power curves around the plan, and writes the sentence
+ * that justifies the sample size in the protocol.
+ */
+import {
+  POWER_DESIGNS,
+  EFFECT_SIZES,
+  cohensH,
+  proportionFromH,
+  designGroups,
+  designPower,
+  sampleSizeForPower,
+  minimumDetectableEffect,
+  powerCurve
+} from '../stats/power';
+import { finiteOrNull, formatNumber } from './analysisHelpers';
+
+export const SOLVE_FOR = {
+  SAMPLE_SIZE: 'n',
+  POWER: 'power',
+  EFFECT: 'effect'
+};
+
+// Designs offered for planning, with the test they plan for and what one unit of their sample size is
+export const DESIGN_OPTIONS = [
+  { id: POWER_DESIGNS.TWO_SAMPLE_T, name: 'Two-sample t test', test: 'a two-sample t test', unit: 'per group', description: 'Compare the means of two independent groups' },
+  { id: POWER_DESIGNS.PAIRED_T, name: 'Paired t test', test: 'a paired t test', unit: 'pairs', description: 'Compare two measurements on the same subjects' },
+  { id: POWER_DESIGNS.ONE_SAMPLE_T, name: 'One-sample t test', test: 'a one-sample t test', unit: 'observations', description: 'Compare a mean against a reference value' },
+  { id: POWER_DESIGNS.ANOVA, name: 'One-way ANOVA', test: 'a one-way ANOVA', unit: 'per group', description: 'Compare the means of three or more groups' },
+  { id: POWER_DESIGNS.TWO_PROPORTIONS, name: 'Two proportions', test: 'a test of two proportions', unit: 'per group', description: 'Compare a rate or proportion between two groups' },
+  { id: POWER_DESIGNS.CORRELATION, name: 'Correlation', test: 'a test of correlation', unit: 'observations', description: 'Detect a correlation between two variables' }
+];
+
+// Effects, relative to the planned one, of the extra power curves that show how sensitive the plan is
+const SENSITIVITY_FACTORS = [0.75, 1.25];
+
+/**
+ * The test's tails and significance level, as "two-tailed, α = 0.05" (an F test has no tails)
+ * @returns {string} Text
+ */
+const testSettings = (design, oneTailed, alpha) => (
+  `${design === POWER_DESIGNS.ANOVA ? '' : `${oneTailed ? 'one' : 'two'}-tailed, `}α = ${formatNumber(alpha)}`
+);
+
+/**
+ * Cohen's label of an effect size
+ * @param {string} design One of POWER_DESIGNS
+ * @param {number} effect Effect size
+ * @returns {string} 'small', 'medium', 'large' or 'very small'
+ */
+const effectLabel = (design, effect) => {
+  const { small, medium, large } = EFFECT_SIZES[design];
+  const size = Math.abs(effect);
+  if (size >= large) return 'large';
+  if (size >= medium) return 'medium';
+  return size >= small ? 'small' : 'very small';
+};
+
+/**
+ * Power curves over the sample size at the planned effect and either side of it
+ * @returns {Object} Chart { chartData, xAxisLabel, yAxisLabel, dataColumns, title }
+ */
+const powerCurveChart = (design, { effect, n, power, alpha, oneTailed, groups, unit }) => {
+  const { symbol } = EFFECT_SIZES[design];
+  const maxN = Math.max(10, Math.ceil(n * 2));
+  const curve = (factor) => {
+    const curveEffect = design === POWER_DESIGNS.CORRELATION ? Math.min(effect * factor, 0.999) : effect * factor;
+    return {
+      label: `${symbol} = ${formatNumber(curveEffect)}`,
+      mode: 'line',
+      dashed: factor !== 1,
+      data: powerCurve(design, { effect: curveEffect, maxN, alpha, oneTailed, groups }).map(point => ({ x: point.n, y: point.power }))
+    };
+  };
+  return {
+    chartData: {
+      datasets: [
+        curve(1),
+        ...SENSITIVITY_FACTORS.map(curve),
+        { label: `Power ${formatNumber(power * 100)}%`, mode: 'line', dashed: true, color: '#9ca3af', data: [{ x: 0, y: power }, { x: maxN, y: power }] },
+        { label: 'Planned sample size', mode: 'markers', color: '#dc2626', data: [{ x: n, y: designPower(design, { effect, n, alpha, oneTailed, groups }) }] }
+      ]
+    },
+    xAxisLabel: `Sample size (${unit})`,
+    yAxisLabel: 'Power',
+    dataColumns: [],
+    title: `Power curves (${testSettings(design, oneTailed, alpha)})`
+  };
+};
+
+/**
+ * The sentence that justifies a planned sample size
+ * @param {Object} plan Plan returned by planSampleSize
+ * @returns {string} Justification
+ */
+export const sampleSizeJustification = (plan) => {
+  const option = DESIGN_OPTIONS.find(entry => entry.id === plan.design);
+  const { name } = EFFECT_SIZES[plan.design];
+  const test = `${option.test}${plan.design === POWER_DESIGNS.ANOVA ? ` of ${plan.groups} groups` : ''}`
+    + ` (${testSettings(plan.design, plan.oneTailed, plan.alpha)})`;
+  const size = `${plan.nPerGroup} ${option.unit}${plan.groups > 1 ? ` (${plan.totalN} in total)` : ''}`;
+  const proportions = plan.p1 !== null && plan.p2 !== null ? `, a change in proportion from ${formatNumber(plan.p1)} to ${formatNumber(plan.p2)}` : '';
+  const effect = `${name} = ${formatNumber(plan.effect)} (${effectLabel(plan.design, plan.effect)}${proportions})`;
+  const power = `${formatNumber(plan.power * 100)}%`;
+
+  if (plan.solveFor === SOLVE_FOR.POWER) {
+    return `With ${size}, ${test} has ${power} power to detect an effect of ${effect}.`;
+  }
+  if (plan.solveFor === SOLVE_FOR.EFFECT) {
+    return `With ${size}, the smallest effect ${test} detects with ${power} power is ${effect}.`;
+  }
+  return `A sample of ${size} gives ${test} ${power} power to detect an effect of ${effect}`
+    + `${plan.achievedPower > plan.power ? `; its achieved power is ${formatNumber(plan.achievedPower * 100)}%` : ''}.`;
+};
+
+/**
+ * Plan a study's sample size
+ * @param {Object} params Plan parameters
+ * @param {string} [params.design='two-sample-t'] One of POWER_DESIGNS
+ * @param {string} [params.solveFor='n'] One of SOLVE_FOR
+ * @param {string|number} [params.alpha='0.05'] Significance level
+ * @param {string|number} [params.power='0.8'] Target power (when not solving for it)
+ * @param {string|number} [params.effect] Standardized effect size (when not solving for it)
+ * @param {string|number} [params.n] Sample size per group (when not solving for it)
+ * @param {string|number} [params.groups='3'] Number of groups of an ANOVA
+ * @param {boolean} [params.oneTailed=false] One-tailed test
+ * @param {string|number} [params.p1] Two proportions: baseline proportion
+ * @param {string|number} [params.p2] Two proportions: expected proportion, giving the effect as Cohen's h
+ * @returns {Object} Plan: design, solveFor, alpha, power, achievedPower, effect, effectMeasure, nPerGroup,
+ *   groups, totalN, oneTailed, p1, p2, justification and chart (the power curves)
+ */
+export const planSampleSize = (params = {}) => {
+  const design = Object.values(POWER_DESIGNS).includes(params.design) ? params.design : POWER_DESIGNS.TWO_SAMPLE_T;
+  const solveFor = Object.values(SOLVE_FOR).includes(params.solveFor) ? params.solveFor : SOLVE_FOR.SAMPLE_SIZE;
+  const alpha = Number(params.alpha ?? 0.05);
+  const oneTailed = Boolean(params.oneTailed);
+  const groups = designGroups(design, Number(params.groups) || 3);
+  if (!(alpha > 0 && alpha < 0.5)) throw new Error('The significance level must be between 0 and 0.5');
+
+  const p1 = design === POWER_DESIGNS.TWO_PROPORTIONS && params.p1 !== undefined && params.p1 !== '' ? Number(params.p1) : null;
+  if (p1 !== null && !(p1 > 0 && p1 < 1)) throw new Error('The baseline proportion must be between 0 and 1');
+  let effect = Number(params.effect);
+  let p2 = null;
+  if (p1 !== null && solveFor !== SOLVE_FOR.EFFECT) {
+    p2 = Number(params.p2);
+    if (!(p2 > 0 && p2 < 1)) throw new Error('The expected proportion must be between 0 and 1');
+    effect = Math.abs(cohensH(p1, p2));
+  }
+
+  let power = Number(params.power ?? 0.8);
+  let n = Math.round(Number(params.n));
+  if (solveFor !== SOLVE_FOR.POWER && !(power > 0 && power < 1)) throw new Error('The target power must be between 0 and 1');
+  if (solveFor !== SOLVE_FOR.EFFECT) {
+    if (!(effect > 0)) throw new Error('The effect size must be greater than 0');
+    if (design === POWER_DESIGNS.CORRELATION && effect >= 1) throw new Error('The correlation must be below 1');
+  }
+  if (solveFor !== SOLVE_FOR.SAMPLE_SIZE && !(n > 0)) throw new Error('The sample size must be a positive whole number');
+
+  const settings = { alpha, oneTailed, groups };
+  if (solveFor === SOLVE_FOR.SAMPLE_SIZE) {
+    n = sampleSizeForPower(design, { ...settings, effect, power });
+    if (!Number.isFinite(n)) throw new Error('No practical sample size reaches that power; plan for a larger effect');
+  } else if (solveFor === SOLVE_FOR.POWER) {
+    power = designPower(design, { ...settings, effect, n });
+    if (!Number.isFinite(power)) throw new Error(`The sample size is too small for a ${DESIGN_OPTIONS.find(option => option.id === design).name.toLowerCase()}`);
+  } else {
+    effect = minimumDetectableEffect(design, { ...settings, n, power });
+    if (!Number.isFinite(effect)) throw new Error('No effect is detectable with that power at this sample size');
+    if (p1 !== null) p2 = finiteOrNull(proportionFromH(p1, effect));
+  }
+
+  const unit = DESIGN_OPTIONS.find(option => option.id === design).unit;
+  const plan = {
+    design,
+    solveFor,
+    alpha,
+    power,
+    achievedPower: designPower(design, { ...settings, effect, n }),
+    effect,
+    effectMeasure: EFFECT_SIZES[design].name,
+    nPerGroup: n,
+    groups,
+    totalN: n * groups,
+    oneTailed,
+    p1,
+    p2
+  };
+  return {
+    ...plan,
+    justification: sampleSizeJustification(plan),
+    chart: powerCurveChart(design, { effect, n, power, alpha, oneTailed, groups, unit })
+  };
+};
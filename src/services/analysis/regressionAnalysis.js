@@ -0,0 +1,365 @@
+/**
+ * regressionAnalysis.js
+ * The "regression" analysis method: linear (simple or multiple), polynomial
+ * and logistic models of a dependent column on the chosen independent
+ * columns, with coefficient inference (the terms' p-values adjusted as one
+ * family of tests), model tests, diagnostics and chart data for the fitted
+ * line and residual plots.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn, getColumnValues } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { COLUMN_ROLES } from '../data/datasetEdits';
+import { columnLabel } from '../data/units';
+import { linearRegression, logisticRegression } from '../stats/regression';
+import { P_ADJUSTMENTS, P_ADJUSTMENT_NAMES, adjustPValues } from '../stats/multipleTesting';
+import { finiteOrNull, formatNumber, formatPValue } from './analysisHelpers';
+
+export const REGRESSION_TYPES = {
+  LINEAR: 'linear',
+  POLYNOMIAL: 'polynomial',
+  LOGISTIC: 'logistic'
+};
+
+// Points on the fitted curve drawn over the observations
+const CURVE_POINTS = 100;
+
+const SUPERSCRIPTS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+/**
+ * Numeric values of a predictor or outcome column; booleans count as 0 and 1
+ * @returns {Array<number>} Values, NaN where missing
+ */
+const numericValues = (dataset, column) => (column.type === COLUMN_TYPES.BOOLEAN
+  ? getColumnValues(dataset, column.id).map(value => (value === null ? NaN : Number(value)))
+  : Array.from(getNumericVector(dataset, column.id)));
+
+/**
+ * Code a two-level outcome as 0/1
+ * @returns {{ values: Array<number>, event: string, reference: string }} Coded values (NaN where
+ *   missing) and the labels of the levels coded 1 and 0
+ */
+const binaryOutcome = (dataset, column) => {
+  if (column.type === COLUMN_TYPES.BOOLEAN) {
+    return { values: numericValues(dataset, column), event: 'true', reference: 'false' };
+  }
+  const raw = column.type === COLUMN_TYPES.NUMERIC
+    ? Array.from(getNumericVector(dataset, column.id)).map(value => (Number.isFinite(value) ? String(value) : null))
+    : getColumnValues(dataset, column.id).map(value => (value === null ? null : String(value)));
+  const levels = [...new Set(raw.filter(value => value !== null))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  if (levels.length !== 2) {
+    throw new Error(`Logistic regression needs an outcome with exactly two values; ${column.name} has ${levels.length}`);
+  }
+  return { values: raw.map(value => (value === null ? NaN : value === levels[1] ? 1 : 0)), event: levels[1], reference: levels[0] };
+};
+
+/**
+ * Unit of a coefficient: outcome unit per predictor unit (to the term's power)
+ * @returns {string|null} Unit
+ */
+const coefficientUnit = (outcomeUnit, predictorUnit, power = 1) => {
+  if (!predictorUnit) return outcomeUnit || null;
+  const per = `${predictorUnit}${power > 1 ? SUPERSCRIPTS[power] : ''}`;
+  return outcomeUnit ? `${outcomeUnit}/${per}` : `1/${per}`;
+};
+
+/**
+ * Evenly spaced values across a range
+ * @returns {Array<number>} Grid
+ */
+const grid = (min, max) => Array.from({ length: CURVE_POINTS }, (_, i) => min + ((max - min) * i) / (CURVE_POINTS - 1));
+
+/**
+ * Model terms from the chosen predictors: each column, or the powers of one column
+ * @returns {Array<{ label: string, column: Object, power: number }>} Terms in design-matrix order
+ */
+const modelTerms = (regressionType, predictors, degree) => {
+  if (regressionType !== REGRESSION_TYPES.POLYNOMIAL) return predictors.map(column => ({ label: column.name, column, power: 1 }));
+  return Array.from({ length: degree }, (_, i) => ({
+    label: i === 0 ? predictors[0].name : `${predictors[0].name}${SUPERSCRIPTS[i + 1]}`,
+    column: predictors[0],
+    power: i + 1
+  }));
+};
+
+/**
+ * Run the regression analysis
+ * @param {Object} dataset Dataset to model
+ * @param {Object} params Method parameters
+ * @param {string} [params.regressionType='linear'] 'linear', 'polynomial' or 'logistic'
+ * @param {string} params.dependentColumn ID of the outcome column
+ * @param {Array<string>} [params.independentColumns] IDs of the predictor columns (every other
+ *   numeric column by default; polynomial models use the first)
+ * @param {number|string} [params.polynomialDegree=2] Degree of the polynomial
+ * @param {string} [params.confidenceInterval='0.95'] Confidence level of the coefficient intervals
+ * @param {string} [params.pAdjustment='holm'] Adjustment of the terms' p-values (not the intercept's) for multiple testing
+ * @returns {Object} Results: numericalResults, units, tables, charts and textualSummary
+ */
+export const runRegressionAnalysis = (dataset, params = {}) => {
+  const regressionType = Object.values(REGRESSION_TYPES).includes(params.regressionType) ? params.regressionType : REGRESSION_TYPES.LINEAR;
+  const confidenceLevel = Number(params.confidenceInterval) || 0.95;
+  const pAdjustment = Object.values(P_ADJUSTMENTS).includes(params.pAdjustment) ? params.pAdjustment : P_ADJUSTMENTS.HOLM;
+  const adjusted = pAdjustment !== P_ADJUSTMENTS.NONE;
+  const degree = Math.round(Number(params.polynomialDegree)) || 2;
+  if (regressionType === REGRESSION_TYPES.POLYNOMIAL && (degree < 2 || degree > 9)) {
+    throw new Error('The polynomial degree must be between 2 and 9');
+  }
+
+  const outcome = params.dependentColumn ? getColumn(dataset, params.dependentColumn) : null;
+  if (!outcome) throw new Error('Choose the dependent column to model');
+  const requested = Array.isArray(params.independentColumns) && params.independentColumns.length > 0
+    ? params.independentColumns.map(columnId => {
+      const column = getColumn(dataset, columnId);
+      if (!column) throw new Error(`Column ${columnId} is not in the dataset`);
+      return column;
+    })
+    : dataset.columns.filter(column => column.type === COLUMN_TYPES.NUMERIC && column.role !== COLUMN_ROLES.ID);
+  const predictors = requested.filter(column => column !== outcome);
+  if (predictors.length === 0) throw new Error('Choose at least one independent column other than the dependent column');
+  predictors.forEach(column => {
+    if (![COLUMN_TYPES.NUMERIC, COLUMN_TYPES.BOOLEAN].includes(column.type)) {
+      throw new Error(`Independent column ${column.name} must be numeric or true/false`);
+    }
+  });
+  const usedPredictors = regressionType === REGRESSION_TYPES.POLYNOMIAL ? predictors.slice(0, 1) : predictors;
+  const terms = modelTerms(regressionType, usedPredictors, degree);
+
+  const logistic = regressionType === REGRESSION_TYPES.LOGISTIC;
+  const coded = logistic ? binaryOutcome(dataset, outcome) : null;
+  if (!logistic && outcome.type !== COLUMN_TYPES.NUMERIC) {
+    throw new Error(`The dependent column of a ${regressionType} regression must be numeric; use logistic regression for a two-level outcome`);
+  }
+  const yAll = logistic ? coded.values : numericValues(dataset, outcome);
+  const predictorValues = usedPredictors.map(column => numericValues(dataset, column));
+
+  // Listwise deletion of rows missing the outcome or any predictor
+  const rowIndexes = yAll.map((_, i) => i).filter(i => Number.isFinite(yAll[i]) && predictorValues.every(values => Number.isFinite(values[i])));
+  const termValue = (term, i) => predictorValues[usedPredictors.indexOf(term.column)][i] ** term.power;
+  const x = rowIndexes.map(i => terms.map(term => termValue(term, i)));
+  const y = rowIndexes.map(i => yAll[i]);
+  const dropped = dataset.rows.length - rowIndexes.length;
+
+  const fit = logistic ? logisticRegression(x, y, { confidenceLevel }) : linearRegression(x, y, { confidenceLevel });
+  const termLabels = ['(Intercept)', ...terms.map(term => term.label)];
+  const level = `${Math.round(confidenceLevel * 100)}%`;
+  const outcomeName = logistic ? `${outcome.name} = ${coded.event}` : columnLabel(outcome);
+  // The terms form the family of tests; the intercept is not tested against anything of interest
+  const adjustedP = [null, ...adjustPValues(fit.coefficients.slice(1).map(coefficient => finiteOrNull(coefficient.p)), pAdjustment)];
+
+  const coefficientTable = {
+    id: 'coefficients',
+    title: 'Coefficients',
+    columns: [
+      { key: 'term', label: 'Term' },
+      { key: 'estimate', label: logistic ? 'Estimate (log odds)' : 'Estimate' },
+      { key: 'se', label: 'SE' },
+      { key: 'statistic', label: logistic ? 'z' : 't' },
+      ...(adjusted
+        ? [{ key: 'p', label: 'p (unadjusted)' }, { key: 'pAdjusted', label: `p (${P_ADJUSTMENT_NAMES[pAdjustment]})` }]
+        : [{ key: 'p', label: 'p' }]),
+      { key: 'ciLower', label: `${level} CI lower` },
+      { key: 'ciUpper', label: `${level} CI upper` },
+      ...(logistic
+        ? [{ key: 'oddsRatio', label: 'Odds ratio' }, { key: 'oddsRatioLower', label: 'OR CI lower' }, { key: 'oddsRatioUpper', label: 'OR CI upper' }]
+        : [{ key: 'unit', label: 'Unit' }])
+    ],
+    rows: fit.coefficients.map((coefficient, j) => ({
+      term: termLabels[j],
+      ...Object.fromEntries(Object.entries(coefficient).map(([key, value]) => [key, finiteOrNull(value)])),
+      ...(adjusted ? { pAdjusted: adjustedP[j] } : {}),
+      ...(logistic ? {} : {
+        unit: j === 0 ? outcome.unit || null : coefficientUnit(outcome.unit, terms[j - 1].column.unit, terms[j - 1].power)
+      })
+    }))
+  };
+
+  const observationTable = {
+    id: 'residuals',
+    title: 'Fitted values and residuals',
+    columns: logistic
+      ? [
+        { key: 'row', label: 'Row' },
+        { key: 'observed', label: `Observed (${coded.event} = 1)` },
+        { key: 'fitted', label: 'Fitted probability' },
+        { key: 'residual', label: 'Residual' },
+        { key: 'devianceResidual', label: 'Deviance residual' }
+      ]
+      : [
+        { key: 'row', label: 'Row' },
+        { key: 'observed', label: 'Observed' },
+        { key: 'fitted', label: 'Fitted' },
+        { key: 'residual', label: 'Residual' },
+        { key: 'standardizedResidual', label: 'Standardized residual' },
+        { key: 'leverage', label: 'Leverage' },
+        { key: 'cooksDistance', label: "Cook's distance" }
+      ],
+    rows: rowIndexes.map((rowIndex, i) => ({
+      row: rowIndex + 1,
+      observed: y[i],
+      fitted: fit.fitted[i],
+      residual: fit.residuals[i],
+      ...(logistic
+        ? { devianceResidual: finiteOrNull(fit.devianceResiduals[i]) }
+        : {
+          standardizedResidual: finiteOrNull(fit.standardizedResiduals[i]),
+          leverage: finiteOrNull(fit.leverage[i]),
+          cooksDistance: finiteOrNull(fit.cooksDistance[i])
+        })
+    }))
+  };
+
+  // Fitted line over the observations for one predictor, observed against fitted otherwise
+  // Ranges by reduce: spreading a value per row overflows the call stack on large files
+  const fittedMin = fit.fitted.reduce((min, value) => Math.min(min, value), Infinity);
+  const fittedMax = fit.fitted.reduce((max, value) => Math.max(max, value), -Infinity);
+  const charts = {};
+  if (usedPredictors.length === 1) {
+    const xs = rowIndexes.map(i => predictorValues[0][i]);
+    const min = xs.reduce((lowest, value) => Math.min(lowest, value), Infinity);
+    const max = xs.reduce((highest, value) => Math.max(highest, value), -Infinity);
+    const predict = value => {
+      const eta = fit.coefficients.reduce((total, coefficient, j) => (
+        total + coefficient.estimate * (j === 0 ? 1 : value ** terms[j - 1].power)
+      ), 0);
+      return logistic ? 1 / (1 + Math.exp(-eta)) : eta;
+    };
+    charts.scatter = {
+      chartData: {
+        datasets: [
+          { label: 'Observed', mode: 'markers', data: xs.map((value, i) => ({ x: value, y: y[i] })) },
+          { label: logistic ? 'Fitted probability' : 'Fitted', mode: 'line', data: grid(min, max).map(value => ({ x: value, y: predict(value) })) }
+        ]
+      },
+      xAxisLabel: columnLabel(usedPredictors[0]),
+      yAxisLabel: logistic ? `P(${outcomeName})` : columnLabel(outcome),
+      dataColumns: [usedPredictors[0].name, outcome.name],
+      title: `Fitted ${regressionType} model of ${outcome.name}`
+    };
+  } else {
+    charts.scatter = {
+      chartData: {
+        datasets: [
+          { label: 'Observations', mode: 'markers', data: fit.fitted.map((value, i) => ({ x: value, y: y[i] })) },
+          { label: 'Observed = fitted', mode: 'line', dashed: true, data: [{ x: fittedMin, y: fittedMin }, { x: fittedMax, y: fittedMax }] }
+        ]
+      },
+      xAxisLabel: `Fitted ${columnLabel(outcome)}`,
+      yAxisLabel: `Observed ${columnLabel(outcome)}`,
+      dataColumns: [outcome.name, ...usedPredictors.map(column => column.name)],
+      title: `Observed against fitted ${outcome.name}`
+    };
+  }
+  const plottedResiduals = logistic ? fit.devianceResiduals : fit.residuals;
+  charts.residuals = {
+    chartData: {
+      datasets: [
+        { label: 'Residuals', mode: 'markers', data: fit.fitted.map((value, i) => ({ x: value, y: plottedResiduals[i] })) },
+        { label: 'Zero', mode: 'line', dashed: true, data: [{ x: fittedMin, y: 0 }, { x: fittedMax, y: 0 }] }
+      ]
+    },
+    xAxisLabel: logistic ? 'Fitted probability' : `Fitted ${columnLabel(outcome)}`,
+    yAxisLabel: logistic ? 'Deviance residual' : `Residual${outcome.unit ? ` (${outcome.unit})` : ''}`,
+    dataColumns: [outcome.name, ...usedPredictors.map(column => column.name)],
+    title: 'Residuals against fitted values'
+  };
+
+  const modelName = {
+    [REGRESSION_TYPES.LINEAR]: usedPredictors.length > 1 ? 'Multiple linear regression' : 'Linear regression',
+    [REGRESSION_TYPES.POLYNOMIAL]: `Polynomial regression (degree ${degree})`,
+    [REGRESSION_TYPES.LOGISTIC]: 'Logistic regression'
+  }[regressionType];
+  const intro = `${modelName} of ${outcomeName} on ${usedPredictors.map(column => column.name).join(', ')} `
+    + `(n = ${fit.n}${dropped ? `, ${dropped} row${dropped !== 1 ? 's' : ''} with missing values dropped` : ''}).`
+    + (regressionType === REGRESSION_TYPES.POLYNOMIAL && predictors.length > 1
+      ? ` Only the first independent column (${usedPredictors[0].name}) enters a polynomial model.`
+      : '');
+  const significantTerms = fit.coefficients.slice(1)
+    .map((coefficient, j) => ({ ...coefficient, label: termLabels[j + 1], pAdjusted: adjustedP[j + 1] }))
+    .filter(coefficient => coefficient.pAdjusted !== null && coefficient.pAdjusted < 1 - confidenceLevel);
+  const adjustmentText = adjusted && terms.length > 1 ? ` after ${P_ADJUSTMENT_NAMES[pAdjustment]} adjustment for ${terms.length} terms` : '';
+  const termsLine = significantTerms.length
+    ? `Terms significant at α = ${formatNumber(1 - confidenceLevel)}${adjustmentText}: ${significantTerms.map(term => `${term.label} (${formatNumber(term.estimate)}, `
+      + `${formatPValue(term.p)}${adjusted && terms.length > 1 ? `, adjusted ${formatPValue(term.pAdjusted)}` : ''})`).join(', ')}.`
+    : `No term is significant at α = ${formatNumber(1 - confidenceLevel)}${adjustmentText}.`;
+
+  if (logistic) {
+    return {
+      textualSummary: [
+        intro,
+        `The model ${fit.lrP < 1 - confidenceLevel ? 'improves' : 'does not significantly improve'} on the intercept-only model: `
+          + `likelihood-ratio χ²(${fit.dfModel}) = ${formatNumber(fit.lrStatistic)}, ${formatPValue(fit.lrP)}; `
+          + `McFadden R² = ${formatNumber(fit.mcFaddenR2)}, AIC = ${formatNumber(fit.aic)}.`,
+        termsLine,
+        ...(!fit.converged ? [`The fit did not converge in ${fit.iterations} iterations.`] : []),
+        ...(fit.separation ? ['Some fitted probabilities are 0 or 1: the outcome is (nearly) perfectly separated by the predictors, so coefficients and standard errors are unreliable.'] : [])
+      ].join('\n'),
+      numericalResults: {
+        model: modelName,
+        event: coded.event,
+        n: fit.n,
+        events: y.filter(value => value === 1).length,
+        likelihood_ratio_chi2: finiteOrNull(fit.lrStatistic),
+        df_model: fit.dfModel,
+        p_value: finiteOrNull(fit.lrP),
+        mcfadden_r_squared: finiteOrNull(fit.mcFaddenR2),
+        deviance: finiteOrNull(fit.deviance),
+        null_deviance: finiteOrNull(fit.nullDeviance),
+        aic: finiteOrNull(fit.aic),
+        bic: finiteOrNull(fit.bic),
+        converged: fit.converged
+      },
+      units: {},
+      tables: [coefficientTable, observationTable],
+      charts,
+      parameters: { regressionType, confidenceLevel, pAdjustment, dependentColumn: outcome.id, independentColumns: usedPredictors.map(column => column.id) }
+    };
+  }
+
+  const simple = regressionType === REGRESSION_TYPES.LINEAR && usedPredictors.length === 1;
+  const units = {};
+  if (outcome.unit) {
+    units.residual_std_error = outcome.unit;
+    if (simple) units.intercept = outcome.unit;
+  }
+  const slopeUnit = simple ? coefficientUnit(outcome.unit, usedPredictors[0].unit) : null;
+  if (slopeUnit) units.coefficient = slopeUnit;
+
+  return {
+    textualSummary: [
+      intro,
+      ...(simple
+        ? [`Fitted line: ${outcome.name} = ${formatNumber(fit.coefficients[0].estimate)} + ${formatNumber(fit.coefficients[1].estimate)} × ${usedPredictors[0].name} `
+          + `(slope ${level} CI ${formatNumber(fit.coefficients[1].ciLower)} to ${formatNumber(fit.coefficients[1].ciUpper)}${slopeUnit ? ` ${slopeUnit}` : ''}).`]
+        : []),
+      `R² = ${formatNumber(fit.rSquared)} (adjusted ${formatNumber(fit.adjustedRSquared)}): the model explains ${formatNumber(fit.rSquared * 100)}% of the variance. `
+        + `F(${fit.dfModel}, ${fit.dfResidual}) = ${formatNumber(fit.fStatistic)}, ${formatPValue(fit.fP)}; `
+        + `residual standard error ${formatNumber(fit.sigma)}${outcome.unit ? ` ${outcome.unit}` : ''}, AIC = ${formatNumber(fit.aic)}.`,
+      termsLine
+    ].join('\n'),
+    numericalResults: {
+      model: modelName,
+      n: fit.n,
+      ...(simple ? { intercept: fit.coefficients[0].estimate, coefficient: fit.coefficients[1].estimate } : {}),
+      r_squared: finiteOrNull(fit.rSquared),
+      adjusted_r_squared: finiteOrNull(fit.adjustedRSquared),
+      f_statistic: finiteOrNull(fit.fStatistic),
+      df_model: fit.dfModel,
+      df_residual: fit.dfResidual,
+      p_value: finiteOrNull(fit.fP),
+      residual_std_error: finiteOrNull(fit.sigma),
+      aic: finiteOrNull(fit.aic),
+      bic: finiteOrNull(fit.bic)
+    },
+    units,
+    tables: [coefficientTable, observationTable],
+    charts,
+    parameters: {
+      regressionType,
+      confidenceLevel,
+      pAdjustment,
+      ...(regressionType === REGRESSION_TYPES.POLYNOMIAL ? { polynomialDegree: degree } : {}),
+      dependentColumn: outcome.id,
+      independentColumns: usedPredictors.map(column => column.id)
+    }
+  };
+};
@@ -0,0 +1,113 @@
+/**
+ * resamplingSettings.js
+ * Resampling options shared by the descriptive, hypothesis and correlation
+ * methods: whether to bootstrap and/or run permutation tests, how many
+ * iterations, which bootstrap interval, and the seed. A run without a seed
+ * gets a new one, which is recorded with the results so the run can be
+ * reproduced exactly.
+ */
+import { BOOTSTRAP_INTERVALS } from '../stats/resampling';
+import { createRandom, randomSeed } from '../stats/random';
+
+export const RESAMPLING_MODES = {
+  NONE: 'none',
+  BOOTSTRAP: 'bootstrap',
+  PERMUTATION: 'permutation',
+  BOTH: 'both'
+};
+
+export const DEFAULT_ITERATIONS = 2000;
+export const MIN_ITERATIONS = 100;
+export const MAX_ITERATIONS = 100000;
+
+const INTERVAL_NAMES = {
+  [BOOTSTRAP_INTERVALS.PERCENTILE]: 'percentile',
+  [BOOTSTRAP_INTERVALS.BCA]: 'BCa'
+};
+
+/**
+ * Whether the method parameters ask for resampling
+ * @param {Object} params Method parameters
+ * @returns {boolean} True when bootstrap or permutation runs are requested
+ */
+const usesResampling = (params = {}) => (
+  Object.values(RESAMPLING_MODES).includes(params.resampling) && params.resampling !== RESAMPLING_MODES.NONE
+);
+
+/**
+ * Read the resampling parameters
+ * @param {Object} params Method parameters
+ * @param {string} [params.resampling='none'] One of RESAMPLING_MODES
+ * @param {string|number} [params.resamplingIterations=2000] Bootstrap replicates and permutations
+ * @param {string} [params.bootstrapInterval='bca'] One of BOOTSTRAP_INTERVALS
+ * @param {string|number} [params.seed] Seed of the random number generator (a new one when empty)
+ * @returns {Object|null} { mode, bootstrap, permutation, iterations, interval, seed, random },
+ *   or null when no resampling is requested
+ */
+export const resamplingSettings = (params = {}) => {
+  if (!usesResampling(params)) return null;
+  const mode = params.resampling;
+  const requested = Math.round(Number(params.resamplingIterations));
+  const iterations = Number.isFinite(requested) && requested > 0
+    ? Math.min(MAX_ITERATIONS, Math.max(MIN_ITERATIONS, requested))
+    : DEFAULT_ITERATIONS;
+  const interval = Object.values(BOOTSTRAP_INTERVALS).includes(params.bootstrapInterval)
+    ? params.bootstrapInterval
+    : BOOTSTRAP_INTERVALS.BCA;
+  const seed = params.seed !== undefined && params.seed !== null && params.seed !== '' && Number.isFinite(Number(params.seed))
+    ? Math.floor(Number(params.seed))
+    : randomSeed();
+  return {
+    mode,
+    bootstrap: mode === RESAMPLING_MODES.BOOTSTRAP || mode === RESAMPLING_MODES.BOTH,
+    permutation: mode === RESAMPLING_MODES.PERMUTATION || mode === RESAMPLING_MODES.BOTH,
+    iterations,
+    interval,
+    seed,
+    random: createRandom(seed)
+  };
+};
+
+/**
+ * Name of a bootstrap interval, e.g. "BCa bootstrap"
+ * @param {string} interval One of BOOTSTRAP_INTERVALS
+ * @returns {string} Name
+ */
+export const bootstrapName = (interval) => `${INTERVAL_NAMES[interval]} bootstrap`;
+
+/**
+ * Sentence describing the resampling run, for the written summary
+ * @param {Object} settings Settings from resamplingSettings
+ * @returns {string} Sentence
+ */
+export const resamplingDescription = (settings) => {
+  const parts = [
+    ...(settings.bootstrap ? [`${bootstrapName(settings.interval)} intervals from ${settings.iterations} replicates`] : []),
+    ...(settings.permutation ? [`permutation tests with ${settings.iterations} random permutations`] : [])
+  ];
+  const text = parts.join(' and ');
+  return `Resampling: ${text}, seed ${settings.seed} (re-run with this seed to reproduce the results exactly).`;
+};
+
+/**
+ * Split progress reporting over several resampling runs of equal length
+ * @param {Function} [onProgress] Called with the share of all runs done (0 to 1)
+ * @param {number} runs Number of runs
+ * @returns {Function} Given a run's index, the progress callback of that run
+ *   (undefined when there is no onProgress)
+ */
+export const runProgress = (onProgress, runs) => (index) => (
+  onProgress ? (fraction) => onProgress((index + fraction) / runs) : undefined
+);
+
+/**
+ * Resampling settings as recorded with the results
+ * @param {Object|null} settings Settings from resamplingSettings
+ * @returns {Object|null} { mode, iterations, interval, seed }, or null without resampling
+ */
+export const resamplingParameters = (settings) => (settings ? {
+  mode: settings.mode,
+  iterations: settings.iterations,
+  ...(settings.bootstrap ? { interval: settings.interval } : {}),
+  seed: settings.seed
+} : null);
@@ -0,0 +1,285 @@
+/**
+ * survivalAnalysis.js
+ * The "survival" analysis method for time-to-event data such as animal
+ * studies and cell-viability time courses: Kaplan-Meier curves with
+ * confidence bands and median survival per group, the log-rank and
+ * Gehan-Breslow (Wilcoxon) tests between groups, and a Cox proportional
+ * hazards model giving each group's hazard ratio against the first group.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn, getColumnValues } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { columnLabel } from '../data/units';
+import { SURVIVAL_TEST_WEIGHTS, kaplanMeier, survivalDifferenceTest, coxRegression } from '../stats/survival';
+import { finiteOrNull, formatNumber, formatPValue, groupRows } from './analysisHelpers';
+
+// Colors of the groups' curves, each group's band and censoring marks drawn in the color of its curve
+const GROUP_COLORS = ['#4f46e5', '#0ea5e9', '#f59e0b', '#10b981', '#ef4444', '#ec4899', '#14b8a6', '#8b5cf6'];
+
+/**
+ * Event indicator of every row: 1 for an event, 0 for a censored time, null when missing
+ * @returns {Array<number|null>} Indicators
+ */
+const eventIndicators = (dataset, column) => {
+  if (column.type === COLUMN_TYPES.BOOLEAN) {
+    return getColumnValues(dataset, column.id).map(value => (value === null ? null : Number(Boolean(value))));
+  }
+  const values = getNumericVector(dataset, column.id);
+  if (values.some(value => Number.isFinite(value) && value !== 0 && value !== 1)) {
+    throw new Error(`Column ${column.name} must be 1 for an event (e.g. death) and 0 for a censored observation`);
+  }
+  return Array.from(values, value => (Number.isFinite(value) ? value : null));
+};
+
+/**
+ * Step-curve data of one group's Kaplan-Meier estimate, starting at S = 1 at time 0
+ * @returns {Object} Series { label, color, data, lower, upper, censored }
+ */
+const survivalSeries = (label, estimate, color) => {
+  const start = { x: 0, y: 1 };
+  const withStart = points => (estimate.steps[0]?.time > 0 ? [start, ...points] : points);
+  return {
+    label,
+    color,
+    data: withStart(estimate.steps.map(step => ({ x: step.time, y: step.survival }))),
+    lower: withStart(estimate.steps.map(step => ({ x: step.time, y: step.lower }))),
+    upper: withStart(estimate.steps.map(step => ({ x: step.time, y: step.upper }))),
+    censored: estimate.steps.filter(step => step.censored > 0).map(step => ({ x: step.time, y: step.survival }))
+  };
+};
+
+/**
+ * Median survival with its interval, e.g. "31 d (95% CI 13 to not reached)"
+ * @returns {string} Text
+ */
+const describeMedian = (estimate, unit, level) => {
+  const time = value => (value === null ? 'not reached' : `${formatNumber(value)}${unit ? ` ${unit}` : ''}`);
+  return `${time(estimate.median)} (${level} CI ${time(estimate.medianLower)} to ${time(estimate.medianUpper)})`;
+};
+
+/**
+ * Run the survival analysis
+ * @param {Object} dataset Dataset to analyze, one row per subject
+ * @param {Object} params Method parameters
+ * @param {string} params.timeColumn ID of the numeric follow-up time column
+ * @param {string} params.eventColumn ID of the event column: 1 (or true) for an event, 0 (or false) when censored
+ * @param {string} [params.groupColumn] ID of the column defining the groups to compare
+ * @param {string} [params.confidenceInterval='0.95'] Confidence level of the survival bands, medians and hazard ratios
+ * @returns {Object} Results: textualSummary, numericalResults, units, tables, charts (the survival curves) and parameters
+ */
+export const runSurvivalAnalysis = (dataset, params = {}) => {
+  const confidenceLevel = Number(params.confidenceInterval) || 0.95;
+  const level = `${Math.round(confidenceLevel * 100)}%`;
+  const alpha = 1 - confidenceLevel;
+
+  const timeColumn = params.timeColumn ? getColumn(dataset, params.timeColumn) : null;
+  const eventColumn = params.eventColumn ? getColumn(dataset, params.eventColumn) : null;
+  if (!timeColumn) throw new Error('Choose the time column: follow-up time until the event or censoring');
+  if (!eventColumn) throw new Error('Choose the event column: 1 for an event, 0 for a censored observation');
+  if (timeColumn === eventColumn) throw new Error('The time and event columns must differ');
+  if (timeColumn.type !== COLUMN_TYPES.NUMERIC) throw new Error(`Column ${timeColumn.name} must be numeric`);
+  if (![COLUMN_TYPES.NUMERIC, COLUMN_TYPES.BOOLEAN].includes(eventColumn.type)) {
+    throw new Error(`Column ${eventColumn.name} must be numeric (1 = event, 0 = censored) or true/false`);
+  }
+  const groupColumn = params.groupColumn ? getColumn(dataset, params.groupColumn) : null;
+  if (params.groupColumn && !groupColumn) throw new Error(`Column ${params.groupColumn} is not in the dataset`);
+
+  const timesAll = getNumericVector(dataset, timeColumn.id);
+  const eventsAll = eventIndicators(dataset, eventColumn);
+  const complete = rowIndex => Number.isFinite(timesAll[rowIndex]) && eventsAll[rowIndex] !== null;
+  const groups = (groupColumn ? groupRows(dataset, groupColumn.id) : [{ label: 'All subjects', rows: dataset.rows.map((_, i) => i) }])
+    .map(group => ({ label: group.label, rows: group.rows.filter(complete) }))
+    .filter(group => group.rows.length > 0);
+  if (groups.length === 0) throw new Error(`No row has both ${timeColumn.name} and ${eventColumn.name}`);
+  if (groups.some(group => group.rows.some(i => timesAll[i] < 0))) throw new Error(`Column ${timeColumn.name} must not be negative`);
+  const used = groups.reduce((total, group) => total + group.rows.length, 0);
+  const dropped = dataset.rows.length - used;
+
+  const unit = timeColumn.unit || null;
+  const estimates = groups.map(group => kaplanMeier(
+    group.rows.map(i => timesAll[i]),
+    group.rows.map(i => eventsAll[i]),
+    { confidenceLevel }
+  ));
+  const totalEvents = estimates.reduce((total, estimate) => total + estimate.events, 0);
+  if (totalEvents === 0) throw new Error(`No events: every value of ${eventColumn.name} is censored (0)`);
+
+  // Between-group comparisons
+  const pooledTimes = groups.flatMap(group => group.rows.map(i => timesAll[i]));
+  const pooledEvents = groups.flatMap(group => group.rows.map(i => eventsAll[i]));
+  const groupIndex = groups.flatMap((group, g) => group.rows.map(() => g));
+  const compared = groups.length > 1;
+  const logRank = compared ? survivalDifferenceTest(pooledTimes, pooledEvents, groupIndex, { weights: SURVIVAL_TEST_WEIGHTS.LOG_RANK }) : null;
+  const wilcoxon = compared ? survivalDifferenceTest(pooledTimes, pooledEvents, groupIndex, { weights: SURVIVAL_TEST_WEIGHTS.WILCOXON }) : null;
+  const cox = compared
+    ? coxRegression(pooledTimes, pooledEvents, groupIndex.map(g => groups.slice(1).map((_, j) => (g === j + 1 ? 1 : 0))), { confidenceLevel })
+    : null;
+  const withoutEvents = groups.filter((_, g) => estimates[g].events === 0).map(group => group.label);
+
+  const tables = [
+    {
+      id: 'medians',
+      title: 'Median survival',
+      columns: [
+        { key: 'group', label: 'Group' },
+        { key: 'n', label: 'n' },
+        { key: 'events', label: 'Events' },
+        { key: 'censored', label: 'Censored' },
+        { key: 'median', label: `Median${unit ? ` (${unit})` : ''}` },
+        { key: 'lower', label: `${level} CI lower` },
+        { key: 'upper', label: `${level} CI upper` }
+      ],
+      rows: groups.map((group, g) => ({
+        group: group.label,
+        n: estimates[g].n,
+        events: estimates[g].events,
+        censored: estimates[g].n - estimates[g].events,
+        median: estimates[g].median,
+        lower: estimates[g].medianLower,
+        upper: estimates[g].medianUpper
+      }))
+    },
+    {
+      id: 'kaplanMeier',
+      title: `Kaplan-Meier estimates (${level} log-log confidence intervals)`,
+      columns: [
+        ...(compared ? [{ key: 'group', label: 'Group' }] : []),
+        { key: 'time', label: columnLabel(timeColumn) },
+        { key: 'atRisk', label: 'At risk' },
+        { key: 'events', label: 'Events' },
+        { key: 'censored', label: 'Censored' },
+        { key: 'survival', label: 'Survival' },
+        { key: 'se', label: 'SE' },
+        { key: 'lower', label: `${level} CI lower` },
+        { key: 'upper', label: `${level} CI upper` }
+      ],
+      rows: groups.flatMap((group, g) => estimates[g].steps.map(step => ({ group: group.label, ...step })))
+    }
+  ];
+  if (compared) {
+    tables.push(
+      {
+        id: 'tests',
+        title: 'Tests of equal survival',
+        columns: [
+          { key: 'test', label: 'Test' },
+          { key: 'statistic', label: 'χ²' },
+          { key: 'df', label: 'df' },
+          { key: 'p', label: 'p' }
+        ],
+        rows: [
+          { test: 'Log-rank', statistic: finiteOrNull(logRank.statistic), df: logRank.df, p: finiteOrNull(logRank.p) },
+          { test: 'Gehan-Breslow (Wilcoxon)', statistic: finiteOrNull(wilcoxon.statistic), df: wilcoxon.df, p: finiteOrNull(wilcoxon.p) },
+          { test: 'Cox likelihood ratio', statistic: finiteOrNull(cox.likelihoodRatio.statistic), df: cox.likelihoodRatio.df, p: finiteOrNull(cox.likelihoodRatio.p) }
+        ]
+      },
+      {
+        id: 'events',
+        title: 'Observed and expected events (log-rank)',
+        columns: [
+          { key: 'group', label: 'Group' },
+          { key: 'observed', label: 'Observed' },
+          { key: 'expected', label: 'Expected' },
+          { key: 'ratio', label: 'Observed / expected' }
+        ],
+        rows: groups.map((group, g) => ({
+          group: group.label,
+          observed: logRank.observed[g],
+          expected: logRank.expected[g],
+          ratio: finiteOrNull(logRank.observed[g] / logRank.expected[g])
+        }))
+      },
+      {
+        id: 'cox',
+        title: `Cox proportional hazards (reference: ${groups[0].label})`,
+        columns: [
+          { key: 'group', label: 'Group' },
+          { key: 'coefficient', label: 'Coefficient (log HR)' },
+          { key: 'se', label: 'SE' },
+          { key: 'z', label: 'z' },
+          { key: 'p', label: 'p' },
+          { key: 'hazardRatio', label: 'Hazard ratio' },
+          { key: 'lower', label: `${level} CI lower` },
+          { key: 'upper', label: `${level} CI upper` }
+        ],
+        rows: cox.coefficients.map((coefficient, j) => ({
+          group: `${groups[j + 1].label} vs ${groups[0].label}`,
+          coefficient: finiteOrNull(coefficient.estimate),
+          se: finiteOrNull(coefficient.se),
+          z: finiteOrNull(coefficient.statistic),
+          p: finiteOrNull(coefficient.p),
+          hazardRatio: finiteOrNull(coefficient.hazardRatio),
+          lower: finiteOrNull(coefficient.lower),
+          upper: finiteOrNull(coefficient.upper)
+        }))
+      }
+    );
+  }
+
+  const charts = {
+    survival: {
+      chartData: {
+        datasets: groups.map((group, g) => survivalSeries(group.label, estimates[g], GROUP_COLORS[g % GROUP_COLORS.length]))
+      },
+      xAxisLabel: columnLabel(timeColumn),
+      yAxisLabel: 'Survival probability',
+      dataColumns: [timeColumn.name, eventColumn.name, ...(groupColumn ? [groupColumn.name] : [])],
+      title: `Kaplan-Meier survival${groupColumn ? ` by ${groupColumn.name}` : ''} (${level} confidence bands, + censored)`
+    }
+  };
+
+  const summary = [
+    `Kaplan-Meier survival over ${timeColumn.name} with ${eventColumn.name} as the event `
+      + `(n = ${used}, ${totalEvents} event${totalEvents !== 1 ? 's' : ''}${compared ? `, ${groups.length} groups by ${groupColumn.name}` : ''}`
+      + `${dropped ? `, ${dropped} row${dropped !== 1 ? 's' : ''} with missing values dropped` : ''}).`,
+    ...groups.map((group, g) => `${compared ? `${group.label}: median` : 'Median'} survival ${describeMedian(estimates[g], unit, level)}; `
+      + `${estimates[g].events} of ${estimates[g].n} had the event.`)
+  ];
+  if (compared) {
+    summary.push(
+      `Log-rank test: χ²(${logRank.df}) = ${formatNumber(logRank.statistic)}, ${formatPValue(logRank.p)}; `
+        + `Gehan-Breslow (Wilcoxon) test: χ²(${wilcoxon.df}) = ${formatNumber(wilcoxon.statistic)}, ${formatPValue(wilcoxon.p)}. `
+        + `Survival ${logRank.p < alpha ? 'differs' : 'does not differ significantly'} between the groups at α = ${formatNumber(alpha)}.`,
+      ...cox.coefficients.map((coefficient, j) => `Cox hazard ratio of ${groups[j + 1].label} vs ${groups[0].label}: `
+        + `${formatNumber(coefficient.hazardRatio)} (${level} CI ${formatNumber(coefficient.lower)} to ${formatNumber(coefficient.upper)}), ${formatPValue(coefficient.p)}.`),
+      ...(withoutEvents.length
+        ? [`${withoutEvents.join(', ')} had no events, so ${withoutEvents.length > 1 ? 'their' : 'its'} hazard ratio is not estimable and tends to zero or infinity.`]
+        : []),
+      ...(!cox.converged ? [`The Cox model did not converge in ${cox.iterations} iterations; treat its hazard ratios with caution.`] : [])
+    );
+  }
+
+  const single = groups.length === 1;
+  const twoGroups = groups.length === 2;
+  return {
+    textualSummary: summary.join('\n'),
+    numericalResults: {
+      n: used,
+      events: totalEvents,
+      groups: groups.length,
+      ...(single ? { median_survival: estimates[0].median, median_ci_lower: estimates[0].medianLower, median_ci_upper: estimates[0].medianUpper } : {}),
+      ...(compared ? {
+        log_rank_chi_square: finiteOrNull(logRank.statistic),
+        log_rank_p_value: finiteOrNull(logRank.p),
+        wilcoxon_chi_square: finiteOrNull(wilcoxon.statistic),
+        wilcoxon_p_value: finiteOrNull(wilcoxon.p),
+        cox_likelihood_ratio: finiteOrNull(cox.likelihoodRatio.statistic),
+        cox_p_value: finiteOrNull(cox.likelihoodRatio.p)
+      } : {}),
+      ...(twoGroups ? {
+        hazard_ratio: finiteOrNull(cox.coefficients[0].hazardRatio),
+        hazard_ratio_ci_lower: finiteOrNull(cox.coefficients[0].lower),
+        hazard_ratio_ci_upper: finiteOrNull(cox.coefficients[0].upper)
+      } : {})
+    },
+    units: single && unit ? { median_survival: unit, median_ci_lower: unit, median_ci_upper: unit } : {},
+    tables,
+    charts,
+    parameters: {
+      timeColumn: timeColumn.id,
+      eventColumn: eventColumn.id,
+      ...(groupColumn ? { groupColumn: groupColumn.id } : {}),
+      confidenceLevel
+    }
+  };
+};
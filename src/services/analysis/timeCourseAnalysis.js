@@ -0,0 +1,325 @@
+/**
+ * timeCourseAnalysis.js
+ * The "timecourse" analysis method: every measured series, within every
+ * group, is treated as a curve over time. Replicates at the same time are
+ * averaged, the curve is optionally smoothed (moving average or LOESS) and
+ * baseline-subtracted, and its area under the curve, initial rate, peak and
+ * time to peak are reported, with lag phase, maximum growth rate and
+ * carrying capacity for growth curves. The processed curves feed the line chart.
+ */
+import { COLUMN_TYPES } from '../data/schemaInference';
+import { getColumn, getColumnValues } from '../data/dataset';
+import { getNumericVector } from '../data/columnar';
+import { columnLabel } from '../data/units';
+import { movingAverage, loess, trapezoidArea, initialRate, peak, growthParameters } from '../stats/timeCourse';
+import { finiteOrNull, formatNumber, groupRows } from './analysisHelpers';
+
+export const SMOOTHING_METHODS = {
+  NONE: 'none',
+  MOVING_AVERAGE: 'moving-average',
+  LOESS: 'loess'
+};
+
+export const BASELINE_METHODS = {
+  NONE: 'none',
+  FIRST: 'first',
+  MINIMUM: 'minimum'
+};
+
+// Colors of the curves, each curve's raw points drawn in the color of its line
+const CURVE_COLORS = ['#0ea5e9', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#6366f1'];
+
+const HOUR = 3600000;
+
+/**
+ * Key of a curve in the numerical results, e.g. "OD600 (Strain A)" → "od600_strain_a"
+ * @returns {string} Key
+ */
+const curveKey = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Times of every row: numeric values as they are, dates and times of day as
+ * hours elapsed since the earliest one
+ * @returns {{ times: Array<number>, unit: string|null, elapsed: boolean }} Times
+ */
+const rowTimes = (dataset, column) => {
+  if (column.type !== COLUMN_TYPES.DATETIME) {
+    return { times: Array.from(getNumericVector(dataset, column.id)), unit: column.unit || null, elapsed: false };
+  }
+  const stamps = getColumnValues(dataset, column.id).map(value => (typeof value === 'number' ? value : NaN));
+  const first = stamps.reduce((min, value) => (Number.isFinite(value) ? Math.min(min, value) : min), Infinity);
+  return { times: stamps.map(value => (value - first) / HOUR), unit: 'h', elapsed: true };
+};
+
+/**
+ * Points of one curve in time order, replicates at the same time averaged
+ * @returns {{ x: Array<number>, y: Array<number>, replicates: number }} Curve
+ */
+const curvePoints = (rows, times, values) => {
+  const byTime = new Map();
+  rows.forEach(i => {
+    if (!Number.isFinite(times[i]) || !Number.isFinite(values[i])) return;
+    if (!byTime.has(times[i])) byTime.set(times[i], []);
+    byTime.get(times[i]).push(values[i]);
+  });
+  const x = [...byTime.keys()].sort((a, b) => a - b);
+  return {
+    x,
+    y: x.map(time => byTime.get(time).reduce((total, value) => total + value, 0) / byTime.get(time).length),
+    replicates: [...byTime.values()].filter(list => list.length > 1).length
+  };
+};
+
+/**
+ * Smooth a curve
+ * @returns {Array<number>} Smoothed values
+ */
+const smooth = (x, y, method, window) => {
+  if (method === SMOOTHING_METHODS.MOVING_AVERAGE) return movingAverage(y, window);
+  if (method === SMOOTHING_METHODS.LOESS) return loess(x, y, window);
+  return y;
+};
+
+/**
+ * Level subtracted from a curve as its baseline
+ * @returns {number} Baseline
+ */
+const baselineOf = (y, method) => {
+  if (method === BASELINE_METHODS.FIRST) return y[0];
+  if (method === BASELINE_METHODS.MINIMUM) return y.reduce((min, value) => Math.min(min, value), Infinity);
+  return 0;
+};
+
+/**
+ * Run the time-course analysis
+ * @param {Object} dataset Dataset to analyze (long format: one row per time point)
+ * @param {Object} params Method parameters
+ * @param {string} params.timeColumn ID of the numeric or date/time column giving each measurement's time
+ * @param {Array<string>} [params.valueColumns] IDs of the numeric series to analyze (every numeric column by default)
+ * @param {string} [params.groupColumn] ID of the column splitting each series into one curve per group
+ * @param {string} [params.smoothing='none'] One of SMOOTHING_METHODS
+ * @param {string|number} [params.smoothingWindow=5] Points per moving-average window or LOESS neighbourhood
+ * @param {string} [params.baseline='none'] One of BASELINE_METHODS, subtracted after smoothing
+ * @param {string|number} [params.initialPoints=3] Points at the start of each curve fitted for the initial rate
+ * @param {boolean} [params.growthCurves=false] Also estimate lag phase, maximum growth rate and carrying capacity
+ * @returns {Object} Results: textualSummary, numericalResults, units, tables, charts (the line chart) and parameters
+ */
+export const runTimeCourseAnalysis = (dataset, params = {}) => {
+  const smoothing = Object.values(SMOOTHING_METHODS).includes(params.smoothing) ? params.smoothing : SMOOTHING_METHODS.NONE;
+  const baseline = Object.values(BASELINE_METHODS).includes(params.baseline) ? params.baseline : BASELINE_METHODS.NONE;
+  const window = Math.max(2, Math.round(Number(params.smoothingWindow) || 5));
+  const firstPoints = Math.max(2, Math.round(Number(params.initialPoints) || 3));
+  const growthCurves = params.growthCurves === true || params.growthCurves === 'true';
+
+  const timeColumn = params.timeColumn ? getColumn(dataset, params.timeColumn) : null;
+  if (!timeColumn) throw new Error('Choose the time column');
+  if (![COLUMN_TYPES.NUMERIC, COLUMN_TYPES.DATETIME].includes(timeColumn.type)) {
+    throw new Error(`Column ${timeColumn.name} must be numeric or a date/time`);
+  }
+  const requested = Array.isArray(params.valueColumns) && params.valueColumns.length
+    ? params.valueColumns.map(id => {
+      const column = getColumn(dataset, id);
+      if (!column) throw new Error(`Column ${id} is not in the dataset`);
+      return column;
+    })
+    : dataset.columns.filter(column => column.type === COLUMN_TYPES.NUMERIC && column.role !== 'id');
+  const groupColumn = params.groupColumn ? getColumn(dataset, params.groupColumn) : null;
+  if (params.groupColumn && !groupColumn) throw new Error(`Column ${params.groupColumn} is not in the dataset`);
+  const valueColumns = requested.filter(column => column !== timeColumn && column !== groupColumn);
+  if (valueColumns.length === 0) throw new Error('Choose at least one numeric column measured over time');
+  valueColumns.forEach(column => {
+    if (column.type !== COLUMN_TYPES.NUMERIC) throw new Error(`Column ${column.name} must be numeric`);
+  });
+
+  const { times, unit: timeUnit, elapsed } = rowTimes(dataset, timeColumn);
+  const groups = groupColumn ? groupRows(dataset, groupColumn.id) : [{ label: null, rows: dataset.rows.map((_, i) => i) }];
+  const timeLabel = elapsed ? 'Time since first measurement (h)' : columnLabel(timeColumn);
+
+  // One curve per series and group
+  const curves = valueColumns.flatMap(column => {
+    const values = getNumericVector(dataset, column.id);
+    return groups.map(group => {
+      const points = curvePoints(group.rows, times, values);
+      return { column, group: group.label, ...points };
+    });
+  }).filter(curve => curve.x.length >= 2);
+  if (curves.length === 0) throw new Error('No series has two or more time points with values');
+
+  const analyzed = curves.map(curve => {
+    const name = `${curve.column.name}${curve.group !== null ? ` (${curve.group})` : ''}`;
+    const smoothed = smooth(curve.x, curve.y, smoothing, window);
+    const level = baselineOf(smoothed, baseline);
+    const processed = smoothed.map(value => value - level);
+    const top = peak(curve.x, processed);
+    const logScale = processed.every(value => value > 0);
+    return {
+      ...curve,
+      name,
+      processed,
+      baselineLevel: level,
+      auc: trapezoidArea(curve.x, processed),
+      initialRate: initialRate(curve.x, processed, firstPoints),
+      peakValue: top.value,
+      timeToPeak: top.time,
+      growth: growthCurves ? growthParameters(curve.x, processed, { window: Math.max(3, window), logScale }) : null,
+      logScale
+    };
+  });
+
+  // Units of the results, from the units of the series and of time
+  const rateUnit = yUnit => (yUnit && timeUnit ? `${yUnit}/${timeUnit}` : null);
+  const areaUnit = yUnit => (yUnit && timeUnit ? `${yUnit}·${timeUnit}` : null);
+  const growthUnit = (curve) => (curve.logScale ? (timeUnit ? `1/${timeUnit}` : null) : rateUnit(curve.column.unit));
+  const withUnit = (value, unitText) => `${formatNumber(value)}${unitText ? ` ${unitText}` : ''}`;
+
+  const metricsColumns = [
+    { key: 'series', label: 'Series' },
+    ...(groupColumn ? [{ key: 'group', label: groupColumn.name }] : []),
+    { key: 'points', label: 'Time points' },
+    { key: 'auc', label: 'AUC' },
+    { key: 'initialRate', label: `Initial rate (first ${firstPoints} points)` },
+    { key: 'peak', label: 'Peak' },
+    { key: 'timeToPeak', label: `Time to peak${timeUnit ? ` (${timeUnit})` : ''}` },
+    ...(growthCurves ? [
+      { key: 'lag', label: `Lag phase${timeUnit ? ` (${timeUnit})` : ''}` },
+      { key: 'maxGrowthRate', label: 'Max growth rate' },
+      { key: 'doublingTime', label: `Doubling time${timeUnit ? ` (${timeUnit})` : ''}` },
+      { key: 'capacity', label: 'Carrying capacity' }
+    ] : [])
+  ];
+  const tables = [
+    {
+      id: 'metrics',
+      title: 'Curve metrics',
+      columns: metricsColumns,
+      rows: analyzed.map(curve => ({
+        series: curve.column.name,
+        group: curve.group,
+        points: curve.x.length,
+        auc: finiteOrNull(curve.auc),
+        initialRate: finiteOrNull(curve.initialRate),
+        peak: finiteOrNull(curve.peakValue),
+        timeToPeak: finiteOrNull(curve.timeToPeak),
+        lag: finiteOrNull(curve.growth?.lag),
+        maxGrowthRate: finiteOrNull(curve.growth?.maxRate),
+        doublingTime: finiteOrNull(curve.growth?.doublingTime),
+        capacity: finiteOrNull(curve.growth?.capacity)
+      }))
+    },
+    {
+      id: 'curves',
+      title: 'Processed curves',
+      columns: [
+        { key: 'series', label: 'Series' },
+        ...(groupColumn ? [{ key: 'group', label: groupColumn.name }] : []),
+        { key: 'time', label: timeLabel },
+        { key: 'observed', label: 'Observed (mean)' },
+        { key: 'processed', label: 'Processed' }
+      ],
+      rows: analyzed.flatMap(curve => curve.x.map((time, i) => ({
+        series: curve.column.name,
+        group: curve.group,
+        time,
+        observed: curve.y[i],
+        processed: curve.processed[i]
+      })))
+    }
+  ];
+
+  const processing = smoothing !== SMOOTHING_METHODS.NONE || baseline !== BASELINE_METHODS.NONE;
+  const units = new Set(valueColumns.map(column => column.unit || ''));
+  const [sharedUnit] = units;
+  const charts = {
+    line: {
+      chartData: {
+        datasets: analyzed.flatMap((curve, c) => {
+          const color = CURVE_COLORS[c % CURVE_COLORS.length];
+          const line = { label: curve.name, color, data: curve.x.map((x, i) => ({ x, y: curve.processed[i] })) };
+          // Raw points are shifted by the same baseline, so they sit around the smoothed line
+          return processing
+            ? [
+              { ...line, mode: 'line' },
+              { label: `${curve.name} (observed)`, mode: 'markers', color, data: curve.x.map((x, i) => ({ x, y: curve.y[i] - curve.baselineLevel })) }
+            ]
+            : [line];
+        })
+      },
+      xAxisLabel: timeLabel,
+      yAxisLabel: `${baseline !== BASELINE_METHODS.NONE ? 'Change from baseline' : (valueColumns.length === 1 ? valueColumns[0].name : 'Value')}`
+        + `${units.size === 1 && sharedUnit ? ` (${sharedUnit})` : ''}`,
+      dataColumns: [timeColumn.name, ...valueColumns.map(column => column.name), ...(groupColumn ? [groupColumn.name] : [])],
+      title: `Time course${smoothing !== SMOOTHING_METHODS.NONE ? `, ${smoothing === SMOOTHING_METHODS.LOESS ? 'LOESS' : 'moving-average'} smoothed` : ''}`
+        + `${baseline !== BASELINE_METHODS.NONE ? ', baseline subtracted' : ''}`
+    }
+  };
+
+  const steps = [
+    ...(smoothing === SMOOTHING_METHODS.MOVING_AVERAGE ? [`smoothed by a ${window}-point moving average`] : []),
+    ...(smoothing === SMOOTHING_METHODS.LOESS ? [`smoothed by LOESS over ${window} neighbouring points`] : []),
+    ...(baseline === BASELINE_METHODS.FIRST ? ['baseline-subtracted (first value)'] : []),
+    ...(baseline === BASELINE_METHODS.MINIMUM ? ['baseline-subtracted (minimum)'] : [])
+  ];
+  const replicated = analyzed.reduce((total, curve) => total + curve.replicates, 0);
+  const summary = [
+    `Time-course analysis of ${analyzed.length} curve${analyzed.length !== 1 ? 's' : ''} over ${timeColumn.name}`
+      + `${groupColumn ? ` (${valueColumns.length} series × groups of ${groupColumn.name})` : ''}`
+      + `${steps.length ? `, ${steps.join(' and ')}` : ''}.`,
+    ...(elapsed ? [`Times are hours since the first measurement (${timeColumn.name}).`] : []),
+    ...(replicated ? [`Replicate measurements at the same time were averaged (${replicated} time point${replicated !== 1 ? 's' : ''}).`] : []),
+    ...analyzed.map(curve => {
+      const parts = [
+        `AUC ${withUnit(curve.auc, areaUnit(curve.column.unit))}`,
+        `initial rate ${withUnit(curve.initialRate, rateUnit(curve.column.unit))}`,
+        `peak ${withUnit(curve.peakValue, curve.column.unit)} at ${withUnit(curve.timeToPeak, timeUnit)}`
+      ];
+      if (growthCurves) {
+        parts.push(curve.growth
+          ? `lag ${withUnit(curve.growth.lag, timeUnit)}, max ${curve.logScale ? 'specific ' : ''}growth rate ${withUnit(curve.growth.maxRate, growthUnit(curve))}`
+            + `${curve.logScale ? ` (doubling time ${withUnit(curve.growth.doublingTime, timeUnit)})` : ''}, carrying capacity ${withUnit(curve.growth.capacity, curve.column.unit)}`
+          : 'no growth phase found');
+      }
+      return `${curve.name}: ${parts.join('; ')}.`;
+    }),
+    ...(growthCurves && analyzed.some(curve => curve.growth && !curve.logScale)
+      ? ['Curves with values of zero or below get an absolute growth rate (slope) instead of a specific (log-scale) one; baseline subtraction sets the first value to zero.']
+      : [])
+  ];
+
+  const numericalResults = { curves: analyzed.length };
+  const resultUnits = {};
+  analyzed.forEach(curve => {
+    const prefix = analyzed.length > 1 ? `${curveKey(curve.name)}_` : '';
+    const add = (key, value, unitText) => {
+      numericalResults[`${prefix}${key}`] = finiteOrNull(value);
+      if (unitText) resultUnits[`${prefix}${key}`] = unitText;
+    };
+    add('auc', curve.auc, areaUnit(curve.column.unit));
+    add('initial_rate', curve.initialRate, rateUnit(curve.column.unit));
+    add('peak_value', curve.peakValue, curve.column.unit);
+    add('time_to_peak', curve.timeToPeak, timeUnit);
+    if (curve.growth) {
+      add('lag_time', curve.growth.lag, timeUnit);
+      add('max_growth_rate', curve.growth.maxRate, growthUnit(curve));
+      if (curve.logScale) add('doubling_time', curve.growth.doublingTime, timeUnit);
+      add('carrying_capacity', curve.growth.capacity, curve.column.unit);
+    }
+  });
+
+  return {
+    textualSummary: summary.join('\n'),
+    numericalResults,
+    units: resultUnits,
+    tables,
+    charts,
+    parameters: {
+      timeColumn: timeColumn.id,
+      valueColumns: valueColumns.map(column => column.id),
+      ...(groupColumn ? { groupColumn: groupColumn.id } : {}),
+      smoothing,
+      smoothingWindow: window,
+      baseline,
+      initialPoints: firstPoints,
+      growthCurves
+    }
+  };
+};
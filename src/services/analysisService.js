@@ -1,11 +1,116 @@
 /**
  * analysisService.js
- * Service for handling data analysis operations and API calls
+ * Service for handling data analysis operations and API calls. Analyses run
+ * as jobs: each is queued, run in a Web Worker when one is free, reports its
+ * progress and can be cancelled. Jobs and their results are kept for the rest
+ * of the session, so they can be picked up again by job ID after leaving the page.
  */
+import { columnLabel, resultUnits } from './data/units';
+import { runDescriptiveAnalysis } from './analysis/descriptiveAnalysis';
+import { runHypothesisAnalysis } from './analysis/hypothesisAnalysis';
+import { runAnovaAnalysis } from './analysis/anovaAnalysis';
+import { runCorrelationAnalysis } from './analysis/correlationAnalysis';
+import { runRegressionAnalysis } from './analysis/regressionAnalysis';
+import { runNonlinearAnalysis } from './analysis/nonlinearAnalysis';
+import { runSurvivalAnalysis } from './analysis/survivalAnalysis';
+import { runTimeCourseAnalysis } from './analysis/timeCourseAnalysis';
+import { runPcaAnalysis } from './analysis/pcaAnalysis';
+import { runClusterAnalysis } from './analysis/clusterAnalysis';
+import { DEFAULT_ITERATIONS, MIN_ITERATIONS, MAX_ITERATIONS } from './analysis/resamplingSettings';
+import { toColumnar, getTransferList } from './data/columnar';
 
-// Helper function to generate mock IDs
+// Helper function to generate job IDs
 const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses a job does not leave
+const FINISHED_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+const CANCELLED_MESSAGE = 'The analysis was cancelled';
+
+// Jobs running at once; one core is left to the page
+const MAX_CONCURRENT_JOBS = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+// Analysis jobs created in this session, keyed by job ID
+const analysisJobs = new Map();
+
+// IDs of the jobs waiting for a free worker, oldest first
+const jobQueue = [];
+
+// Functions called with the job list whenever a job changes
+const jobListeners = new Set();
+
+// Correction for multiple testing, offered by every method that runs a family of tests
+const P_ADJUSTMENT_PARAMETER = {
+  id: 'pAdjustment',
+  name: 'Multiple Testing Correction',
+  type: 'select',
+  description: 'Adjustment of the p-values of each family of tests in the run (pairwise comparisons, correlation pairs, model coefficients); raw and adjusted p-values are shown side by side',
+  default: 'holm',
+  options: [
+    { value: 'holm', label: 'Holm (family-wise error)' },
+    { value: 'bonferroni', label: 'Bonferroni (family-wise error)' },
+    { value: 'bh', label: 'Benjamini-Hochberg (false discovery rate)' },
+    { value: 'none', label: 'None' }
+  ]
+};
+
+// Bootstrap and permutation options, offered by the methods that can resample
+// (the resampling mode parameter itself differs per method)
+const RESAMPLING_PARAMETERS = [
+  {
+    id: 'resamplingIterations',
+    name: 'Resampling Iterations',
+    type: 'number',
+    description: `Bootstrap replicates and random permutations to draw (${MIN_ITERATIONS} to ${MAX_ITERATIONS}); more give steadier intervals and p-values but take longer`,
+    default: DEFAULT_ITERATIONS,
+    min: MIN_ITERATIONS,
+    max: MAX_ITERATIONS,
+    step: 100,
+    hint: 'Only applicable with resampling'
+  },
+  {
+    id: 'bootstrapInterval',
+    name: 'Bootstrap Interval',
+    type: 'select',
+    description: 'BCa corrects the percentile interval for bias and skewness of the bootstrap distribution',
+    default: 'bca',
+    options: [
+      { value: 'bca', label: 'BCa (bias-corrected and accelerated)' },
+      { value: 'percentile', label: 'Percentile' }
+    ],
+    hint: 'Only applicable with bootstrap resampling'
+  },
+  {
+    id: 'seed',
+    name: 'Random Seed',
+    type: 'number',
+    description: 'Seed of the random resampling; leave empty for a new seed, which is recorded with the results so the run can be reproduced exactly',
+    hint: 'Only applicable with resampling'
+  }
+];
+
+// Runner of each analysis method, called with (dataset, params, context) and returning the results
+const ANALYSIS_RUNNERS = {
+  descriptive: runDescriptiveAnalysis,
+  hypothesis: runHypothesisAnalysis,
+  anova: runAnovaAnalysis,
+  correlation: runCorrelationAnalysis,
+  regression: runRegressionAnalysis,
+  nonlinear: runNonlinearAnalysis,
+  survival: runSurvivalAnalysis,
+  timecourse: runTimeCourseAnalysis,
+  pca: runPcaAnalysis,
+  cluster: runClusterAnalysis
+};
+
 /**
  * Get available analysis methods for use in the application
  * @returns {Promise<Array>} Array of analysis method objects
@@ -37,7 +142,27 @@ const getAvailableAnalysisMethods = async () => {
             { value: '0.95', label: '95%' },
             { value: '0.99', label: '99%' }
           ]
-        }
+        },
+        {
+          id: 'groupColumn',
+          name: 'Group By',
+          type: 'column',
+          description: 'Optional categorical column; statistics are then computed for each of its groups',
+          columnTypes: ['categorical', 'boolean', 'text'],
+          role: 'group'
+        },
+        {
+          id: 'resampling',
+          name: 'Resampling',
+          type: 'select',
+          description: 'Bootstrap confidence intervals for the mean, median and standard deviation, which do not assume normally distributed data',
+          default: 'none',
+          options: [
+            { value: 'none', label: 'None' },
+            { value: 'bootstrap', label: 'Bootstrap confidence intervals' }
+          ]
+        },
+        ...RESAMPLING_PARAMETERS
       ]
     },
     {
@@ -52,13 +177,42 @@ const getAvailableAnalysisMethods = async () => {
           description: 'Type of statistical test to perform',
           default: 't-test',
           options: [
-            { value: 't-test', label: 'T-Test' },
+            { value: 't-test', label: "Student's T-Test (equal variances)" },
+            { value: 'welch-t-test', label: "Welch's T-Test (unequal variances)" },
+            { value: 'paired-t-test', label: 'Paired T-Test' },
             { value: 'chi-squared', label: 'Chi-Squared Test' },
             { value: 'anova', label: 'ANOVA' },
-            { value: 'mann-whitney', label: 'Mann-Whitney U Test' }
+            { value: 'mann-whitney', label: 'Mann-Whitney U Test' },
+            { value: 'kruskal-wallis', label: 'Kruskal-Wallis Test' },
+            { value: 'wilcoxon', label: 'Wilcoxon Signed-Rank Test (paired)' }
           ],
           required: true
         },
+        {
+          id: 'groupColumn',
+          name: 'Group Column',
+          type: 'column',
+          description: 'Column whose values define the groups being compared (long format: one row per measurement). For a chi-squared test, the first categorical variable. Not used by the paired tests.',
+          columnTypes: ['categorical', 'boolean', 'text'],
+          role: 'group',
+          autoSelect: true
+        },
+        {
+          id: 'valueColumn',
+          name: 'Value Column',
+          type: 'column',
+          description: 'Column holding the measured values (the first measurement for a paired test). Not used by the chi-squared test.',
+          columnTypes: ['numeric'],
+          role: 'value',
+          autoSelect: true
+        },
+        {
+          id: 'secondColumn',
+          name: 'Second Column',
+          type: 'column',
+          description: 'Second measurement of each row for a paired test (t-test or Wilcoxon signed-rank), or the second categorical variable for a chi-squared test of independence (leave empty for a goodness-of-fit test)',
+          columnTypes: ['numeric', 'categorical', 'boolean', 'text']
+        },
         {
           id: 'significance',
           name: 'Significance Level (α)',
@@ -82,6 +236,134 @@ const getAvailableAnalysisMethods = async () => {
             { value: 'left-tailed', label: 'Left-tailed' },
             { value: 'right-tailed', label: 'Right-tailed' }
           ]
+        },
+        {
+          id: 'postHoc',
+          name: 'Post-hoc Comparisons',
+          type: 'select',
+          description: 'Pairwise comparisons of the groups after ANOVA or Kruskal-Wallis',
+          default: 'auto',
+          options: [
+            { value: 'auto', label: 'Automatic (Tukey after ANOVA, Dunn after Kruskal-Wallis)' },
+            { value: 'tukey', label: 'Tukey HSD' },
+            { value: 'games-howell', label: 'Games-Howell (unequal variances)' },
+            { value: 'dunnett', label: 'Dunnett (each group vs. control)' },
+            { value: 'dunn', label: 'Dunn (rank-based)' },
+            { value: 'none', label: 'None' }
+          ],
+          hint: 'Only applicable for ANOVA and Kruskal-Wallis'
+        },
+        {
+          id: 'controlGroup',
+          name: 'Control Group',
+          type: 'text',
+          description: 'Value of the group column that Dunnett comparisons are made against (the first group when empty)',
+          hint: 'Only applicable for Dunnett comparisons'
+        },
+        P_ADJUSTMENT_PARAMETER,
+        {
+          id: 'resampling',
+          name: 'Resampling',
+          type: 'select',
+          description: 'Assumption-free inference alongside the test: a bootstrap interval for the difference (mean or median) and a permutation p-value for the test',
+          default: 'none',
+          options: [
+            { value: 'none', label: 'None' },
+            { value: 'bootstrap', label: 'Bootstrap confidence interval' },
+            { value: 'permutation', label: 'Permutation test' },
+            { value: 'both', label: 'Bootstrap and permutation test' }
+          ],
+          hint: 'Not applicable for chi-squared tests'
+        },
+        ...RESAMPLING_PARAMETERS
+      ]
+    },
+    {
+      id: 'anova',
+      name: 'Factorial & Repeated-Measures ANOVA',
+      description: 'Two-way and N-way ANOVA with interactions, or repeated-measures ANOVA with sphericity corrections',
+      parameters: [
+        {
+          id: 'design',
+          name: 'Design',
+          type: 'select',
+          description: 'Factorial: every factor varies between subjects. Repeated measures: every subject is measured at each combination of the factors',
+          default: 'factorial',
+          options: [
+            { value: 'factorial', label: 'Factorial (between-subjects)' },
+            { value: 'repeated-measures', label: 'Repeated measures (within-subject)' }
+          ],
+          required: true
+        },
+        {
+          id: 'valueColumn',
+          name: 'Value Column',
+          type: 'column',
+          description: 'Column holding the measured values (long format: one row per measurement)',
+          columnTypes: ['numeric'],
+          role: 'value',
+          required: true
+        },
+        {
+          id: 'factorColumns',
+          name: 'Factors',
+          type: 'columns',
+          description: 'Columns whose levels define the design, e.g. temperature and catalyst; the first factor goes along the axis of the chart. A numeric column such as a temperature setting can be used once its type is set to categorical in the cleaning step',
+          columnTypes: ['categorical', 'boolean', 'text']
+        },
+        {
+          id: 'subjectColumn',
+          name: 'Subject Column',
+          type: 'column',
+          description: 'Column identifying the subject each measurement belongs to',
+          columnTypes: ['id', 'categorical', 'text', 'numeric'],
+          role: 'id',
+          hint: 'Only applicable to repeated measures'
+        },
+        {
+          id: 'sumOfSquares',
+          name: 'Sums of Squares',
+          type: 'select',
+          description: 'Type III tests each effect after every other term (the usual choice with interactions); Type II tests each effect after the terms that do not contain it, and is more powerful when there is no interaction. They agree for balanced designs',
+          default: 'type-3',
+          options: [
+            { value: 'type-3', label: 'Type III' },
+            { value: 'type-2', label: 'Type II' }
+          ],
+          hint: 'Only applicable to factorial designs'
+        },
+        {
+          id: 'interactions',
+          name: 'Include Interactions',
+          type: 'checkbox',
+          description: 'Test every interaction between the factors as well as their main effects',
+          default: true
+        },
+        {
+          id: 'sphericityCorrection',
+          name: 'Sphericity Correction',
+          type: 'select',
+          description: "Correction of the degrees of freedom of within-subject effects when the variances of the differences between levels are unequal. Automatic applies Greenhouse-Geisser when Mauchly's test rejects sphericity",
+          default: 'auto',
+          options: [
+            { value: 'auto', label: "Automatic (by Mauchly's test)" },
+            { value: 'greenhouse-geisser', label: 'Greenhouse-Geisser' },
+            { value: 'huynh-feldt', label: 'Huynh-Feldt' },
+            { value: 'none', label: 'None' }
+          ],
+          hint: 'Only applicable to repeated measures'
+        },
+        {
+          id: 'significance',
+          name: 'Significance Level (α)',
+          type: 'select',
+          description: 'Threshold probability for rejecting the null hypothesis',
+          default: '0.05',
+          options: [
+            { value: '0.01', label: '0.01 (1%)' },
+            { value: '0.05', label: '0.05 (5%)' },
+            { value: '0.10', label: '0.10 (10%)' }
+          ]
         }
       ]
     },
@@ -103,13 +385,58 @@ const getAvailableAnalysisMethods = async () => {
           ],
           required: true
         },
+        {
+          id: 'columns',
+          name: 'Variables',
+          type: 'columns',
+          description: 'Numeric columns to correlate; every pair of them is tested',
+          columnTypes: ['numeric']
+        },
+        {
+          id: 'missingData',
+          name: 'Missing Data',
+          type: 'select',
+          description: 'Pairwise deletion uses every row complete for each pair; listwise deletion only rows complete in every selected column, so all pairs share one sample',
+          default: 'pairwise',
+          options: [
+            { value: 'pairwise', label: 'Pairwise deletion' },
+            { value: 'listwise', label: 'Listwise deletion' }
+          ]
+        },
+        {
+          id: 'confidenceInterval',
+          name: 'Confidence Interval',
+          type: 'select',
+          description: 'Confidence level of the interval around each coefficient; one minus it is the significance level',
+          default: '0.95',
+          options: [
+            { value: '0.90', label: '90%' },
+            { value: '0.95', label: '95%' },
+            { value: '0.99', label: '99%' }
+          ]
+        },
         {
           id: 'visualizeMatrix',
           name: 'Visualize Correlation Matrix',
           type: 'checkbox',
           description: 'Generate a heatmap visualization of the correlation matrix',
           default: true
-        }
+        },
+        P_ADJUSTMENT_PARAMETER,
+        {
+          id: 'resampling',
+          name: 'Resampling',
+          type: 'select',
+          description: 'Bootstrap confidence intervals (resampling rows) and permutation p-values (shuffling one variable against the other) for every pair',
+          default: 'none',
+          options: [
+            { value: 'none', label: 'None' },
+            { value: 'bootstrap', label: 'Bootstrap confidence intervals' },
+            { value: 'permutation', label: 'Permutation tests' },
+            { value: 'both', label: 'Bootstrap and permutation tests' }
+          ]
+        },
+        ...RESAMPLING_PARAMETERS
       ]
     },
     {
@@ -124,12 +451,28 @@ const getAvailableAnalysisMethods = async () => {
           description: 'Type of regression model to fit',
           default: 'linear',
           options: [
-            { value: 'linear', label: 'Linear Regression' },
+            { value: 'linear', label: 'Linear / Multiple Regression' },
             { value: 'polynomial', label: 'Polynomial Regression' },
             { value: 'logistic', label: 'Logistic Regression' },
           ],
           required: true
         },
+        {
+          id: 'dependentColumn',
+          name: 'Dependent Variable',
+          type: 'column',
+          description: 'Column to model: numeric for linear and polynomial regression, two-valued for logistic regression',
+          columnTypes: ['numeric', 'boolean', 'categorical'],
+          role: 'value',
+          required: true
+        },
+        {
+          id: 'independentColumns',
+          name: 'Independent Variables',
+          type: 'columns',
+          description: 'Predictor columns (numeric or true/false). Several make a multiple regression; a polynomial model uses the first.',
+          columnTypes: ['numeric', 'boolean']
+        },
         {
           id: 'polynomialDegree',
           name: 'Polynomial Degree',
@@ -140,6 +483,210 @@ const getAvailableAnalysisMethods = async () => {
           max: 5,
           step: 1,
           hint: 'Only applicable for polynomial regression'
+        },
+        {
+          id: 'confidenceInterval',
+          name: 'Confidence Interval',
+          type: 'select',
+          description: 'Confidence level of the interval around each coefficient; one minus it is the significance level',
+          default: '0.95',
+          options: [
+            { value: '0.90', label: '90%' },
+            { value: '0.95', label: '95%' },
+            { value: '0.99', label: '99%' }
+          ]
+        },
+        P_ADJUSTMENT_PARAMETER
+      ]
+    },
+    {
+      id: 'nonlinear',
+      name: 'Nonlinear Curve Fitting',
+      description: 'Fit dose-response, enzyme kinetics, exponential and Hill curves',
+      parameters: [
+        {
+          id: 'model',
+          name: 'Model',
+          type: 'select',
+          description: 'Curve to fit by Levenberg-Marquardt nonlinear least squares',
+          default: '4pl',
+          options: [
+            { value: '4pl', label: 'Four-parameter logistic (4PL, EC50/IC50)' },
+            { value: '5pl', label: 'Five-parameter logistic (5PL, asymmetric)' },
+            { value: 'michaelis-menten', label: 'Michaelis-Menten (Vmax, Km)' },
+            { value: 'exponential', label: 'Exponential growth / decay' },
+            { value: 'hill', label: 'Hill equation' }
+          ],
+          required: true
+        },
+        {
+          id: 'independentColumn',
+          name: 'X Variable',
+          type: 'column',
+          description: 'Dose, concentration or time; dose-response and kinetic models need values of zero or more',
+          columnTypes: ['numeric'],
+          required: true
+        },
+        {
+          id: 'dependentColumn',
+          name: 'Response Variable',
+          type: 'column',
+          description: 'Numeric response to fit the curve to',
+          columnTypes: ['numeric'],
+          role: 'value',
+          required: true
+        },
+        {
+          id: 'groupColumn',
+          name: 'Group By',
+          type: 'column',
+          description: 'Optional column giving each group (e.g. compound or condition) its own curve',
+          columnTypes: ['categorical', 'boolean', 'text'],
+          role: 'group'
+        },
+        {
+          id: 'sharedParameters',
+          name: 'Shared Parameters',
+          type: 'text',
+          description: 'Comma-separated parameters every group\'s curve shares, e.g. "Bottom, Top, Hill slope"; an F test compares the fit against separate curves',
+          hint: 'Only applicable with a group column'
+        },
+        {
+          id: 'confidenceInterval',
+          name: 'Confidence Interval',
+          type: 'select',
+          description: 'Confidence level of the interval around each parameter',
+          default: '0.95',
+          options: [
+            { value: '0.90', label: '90%' },
+            { value: '0.95', label: '95%' },
+            { value: '0.99', label: '99%' }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'survival',
+      name: 'Survival Analysis',
+      description: 'Kaplan-Meier curves, log-rank and Wilcoxon tests, and Cox hazard ratios for time-to-event data',
+      parameters: [
+        {
+          id: 'timeColumn',
+          name: 'Time Column',
+          type: 'column',
+          description: 'Follow-up time of each subject: until the event, or until it was last seen without the event (censored)',
+          columnTypes: ['numeric'],
+          required: true
+        },
+        {
+          id: 'eventColumn',
+          name: 'Event Column',
+          type: 'column',
+          description: 'Whether the event (e.g. death) was observed: 1 or true for an event, 0 or false for a censored observation',
+          columnTypes: ['numeric', 'boolean'],
+          required: true
+        },
+        {
+          id: 'groupColumn',
+          name: 'Group Column',
+          type: 'column',
+          description: 'Optional column defining the groups to compare (e.g. treatment); the first group is the reference of the hazard ratios',
+          columnTypes: ['categorical', 'boolean', 'text'],
+          role: 'group'
+        },
+        {
+          id: 'confidenceInterval',
+          name: 'Confidence Interval',
+          type: 'select',
+          description: 'Confidence level of the survival bands, median survival and hazard ratios',
+          default: '0.95',
+          options: [
+            { value: '0.90', label: '90%' },
+            { value: '0.95', label: '95%' },
+            { value: '0.99', label: '99%' }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'timecourse',
+      name: 'Time Course & Kinetics',
+      description: 'Area under the curve, initial rate, time to peak and growth parameters of measurements over time',
+      parameters: [
+        {
+          id: 'timeColumn',
+          name: 'Time Column',
+          type: 'column',
+          description: 'Time of each measurement: a number (e.g. minutes) or a date/time, which is counted in hours from the first measurement',
+          columnTypes: ['numeric', 'datetime'],
+          role: 'time',
+          required: true
+        },
+        {
+          id: 'valueColumns',
+          name: 'Series',
+          type: 'columns',
+          description: 'Numeric columns measured over time; each becomes a curve (the time column is left out)',
+          columnTypes: ['numeric']
+        },
+        {
+          id: 'groupColumn',
+          name: 'Group Column',
+          type: 'column',
+          description: 'Optional column giving each group (e.g. strain or well) its own curve of every series',
+          columnTypes: ['categorical', 'boolean', 'text'],
+          role: 'group'
+        },
+        {
+          id: 'smoothing',
+          name: 'Smoothing',
+          type: 'select',
+          description: 'Smooth each curve before its metrics are computed; the observed points are still drawn',
+          default: 'none',
+          options: [
+            { value: 'none', label: 'None' },
+            { value: 'moving-average', label: 'Moving average' },
+            { value: 'loess', label: 'LOESS (local linear)' }
+          ]
+        },
+        {
+          id: 'smoothingWindow',
+          name: 'Smoothing Window (points)',
+          type: 'number',
+          description: 'Points in each moving-average window or LOESS neighbourhood; also the window of the growth-rate fit',
+          default: 5,
+          min: 2,
+          max: 50,
+          step: 1
+        },
+        {
+          id: 'baseline',
+          name: 'Baseline Subtraction',
+          type: 'select',
+          description: 'Level subtracted from each (smoothed) curve, so areas and peaks are measured from it',
+          default: 'none',
+          options: [
+            { value: 'none', label: 'None' },
+            { value: 'first', label: 'First value' },
+            { value: 'minimum', label: 'Minimum value' }
+          ]
+        },
+        {
+          id: 'initialPoints',
+          name: 'Initial Rate Points',
+          type: 'number',
+          description: 'Points at the start of each curve fitted by a straight line for the initial rate (slope)',
+          default: 3,
+          min: 2,
+          max: 20,
+          step: 1
+        },
+        {
+          id: 'growthCurves',
+          name: 'Growth Curve Parameters',
+          type: 'checkbox',
+          description: 'Estimate the lag phase, maximum (specific) growth rate, doubling time and carrying capacity from the steepest part of each curve',
+          default: false
         }
       ]
     },
@@ -164,6 +711,21 @@ const getAvailableAnalysisMethods = async () => {
           type: 'checkbox',
           description: 'Standardize data before analysis (recommended)',
           default: true
+        },
+        {
+          id: 'columns',
+          name: 'Variables',
+          type: 'columns',
+          description: 'Numeric columns to analyze; rows missing any of them are left out',
+          columnTypes: ['numeric']
+        },
+        {
+          id: 'groupColumn',
+          name: 'Color By',
+          type: 'column',
+          description: 'Optional categorical column used to color the score plot',
+          columnTypes: ['categorical', 'boolean', 'text'],
+          role: 'group'
         }
       ]
     },
@@ -194,6 +756,55 @@ const getAvailableAnalysisMethods = async () => {
           min: 2,
           max: 10,
           step: 1
+        },
+        {
+          id: 'linkage',
+          name: 'Linkage',
+          type: 'select',
+          description: 'How the distance between two clusters is measured (Hierarchical)',
+          default: 'ward',
+          options: [
+            { value: 'ward', label: "Ward's (minimum variance)" },
+            { value: 'complete', label: 'Complete (farthest points)' },
+            { value: 'average', label: 'Average (UPGMA)' },
+            { value: 'single', label: 'Single (nearest points)' }
+          ],
+          hint: 'Only applicable for hierarchical clustering'
+        },
+        {
+          id: 'eps',
+          name: 'Neighborhood Radius (eps)',
+          type: 'number',
+          description: 'Distance within which points count as neighbors (DBSCAN); in standard deviations when data are standardized',
+          default: 0.5,
+          min: 0.01,
+          step: 0.05,
+          hint: 'Only applicable for DBSCAN'
+        },
+        {
+          id: 'minPoints',
+          name: 'Minimum Points',
+          type: 'number',
+          description: 'Neighbors (including the point itself) a core point needs within eps (DBSCAN)',
+          default: 5,
+          min: 1,
+          max: 100,
+          step: 1,
+          hint: 'Only applicable for DBSCAN'
+        },
+        {
+          id: 'standardize',
+          name: 'Standardize Data',
+          type: 'checkbox',
+          description: 'Cluster on z-scores so columns with large values do not dominate (recommended)',
+          default: true
+        },
+        {
+          id: 'columns',
+          name: 'Variables',
+          type: 'columns',
+          description: 'Numeric columns to cluster on; rows missing any of them get no cluster',
+          columnTypes: ['numeric']
         }
       ]
     }
@@ -201,140 +812,363 @@ const getAvailableAnalysisMethods = async () => {
 };
 
 /**
- * Create a new analysis job
- * @param {Object} params Parameters for the analysis job
- * @returns {Promise<Object>} Job object with ID and status
+ * Run an analysis method on a dataset on the calling thread
+ * @param {string} methodId Analysis method ID
+ * @param {Object} dataset Dataset to analyze
+ * @param {Object} params Method parameters
+ * @param {Object} [context] Run context
+ * @param {Function} [context.onProgress] Called with the share of the work done (0 to 1), by methods that can tell
+ * @returns {Object} Results of the method's runner
  */
-const createAnalysisJob = async (params) => {
-  // In a real implementation, this would make an API call
-  // For now, we'll simulate creating a job
-  const analysisId = generateId();
-  
-  return {
-    analysisId,
-    status: 'queued',
-    params
-  };
+const runAnalysis = (methodId, dataset, params, context = {}) => {
+  const runner = ANALYSIS_RUNNERS[methodId];
+  if (!runner) throw new Error(`Unknown analysis method: ${methodId}`);
+  return runner(dataset, params, context);
 };
 
 /**
- * Get the results of an analysis job
- * @param {string} analysisId ID of the analysis job
- * @returns {Promise<Object>} Analysis results
+ * Run an analysis in a Web Worker, so long computations such as resampling do
+ * not block the page. The dataset is sent in columnar form with its numeric
+ * buffers transferred. Falls back to running on the page where workers are unavailable.
+ * @param {string} methodId Analysis method ID
+ * @param {Object} dataset Dataset to analyze
+ * @param {Object} params Method parameters
+ * @param {Object} [progress] Progress reporting and cancellation
+ * @param {Function} [progress.onProgress] Called with the share of the work done (0 to 1)
+ * @param {AbortSignal} [progress.signal] Stops the worker when aborted
+ * @returns {Promise<Object>} Results of the method's runner
  */
-const getAnalysisResults = async (analysisId) => {
-  // In a real implementation, this would fetch results from an API
-  // For now, we'll return mock results based on a delay
-  
-  // Mock results based on different analysis types
-  const mockResults = {
-    descriptive: {
-      id: analysisId,
-      jobId: `job-${analysisId}`,
-      textualSummary: "The dataset shows a central tendency with mean values around 42.3 (SD=12.8). Distribution analysis reveals data is approximately normally distributed with slight positive skew (0.34). Outlier detection identified 3 data points exceeding 3 standard deviations from the mean. The dataset contains comprehensive measures across 250 samples with 7 distinct variables.",
-      numericalResults: {
-        mean: 42.31,
-        median: 41.2,
-        mode: 40.0,
-        std_dev: 12.83,
-        variance: 164.61,
-        min: 15.7,
-        max: 89.4,
-        range: 73.7,
-        skewness: 0.34,
-        kurtosis: -0.28,
-        outliers: 3
-      }
-    },
-    hypothesis: {
-      id: analysisId,
-      jobId: `job-${analysisId}`,
-      textualSummary: "The t-test results (t=2.78, df=248) indicate a statistically significant difference between the experimental and control groups (p=0.0059). With a confidence level of 95%, we reject the null hypothesis. The effect size (Cohen's d=0.35) suggests a small to moderate practical significance.",
-      numericalResults: {
-        t_statistic: 2.78,
-        p_value: 0.0059,
-        degrees_of_freedom: 248,
-        confidence_interval: [0.8, 5.3],
-        effect_size: 0.35,
-        power: 0.78
-      }
-    },
-    correlation: {
-      id: analysisId,
-      jobId: `job-${analysisId}`,
-      textualSummary: "Pearson correlation analysis reveals significant positive correlations between variables A and B (r=0.72, p<0.001), suggesting a strong relationship. Variables C and D show a moderate negative correlation (r=-0.48, p<0.001). No significant correlation was found between variables A and C (r=0.11, p=0.087).",
-      numericalResults: {
-        variable_1: "Variable A",
-        variable_2: "Variable B",
-        correlation_coefficient: 0.724,
-        p_value: 0.0004,
-        sample_size: 250,
-        r_squared: 0.524
-      }
-    },
-    regression: {
-      id: analysisId,
-      jobId: `job-${analysisId}`,
-      textualSummary: "The linear regression model demonstrates a significant relationship (F(1,248)=42.3, p<0.001) with R²=0.63, indicating that 63% of the variance in the dependent variable is explained by the predictors. The model's equation is y = 12.4 + 1.8x with standard error of 0.28.",
-      numericalResults: {
-        coefficient: 1.83,
-        intercept: 12.41,
-        r_squared: 0.63,
-        adjusted_r_squared: 0.62,
-        f_statistic: 42.31,
-        p_value: 0.0001,
-        std_error: 0.28
-      }
-    },
-    pca: {
-      id: analysisId,
-      jobId: `job-${analysisId}`,
-      textualSummary: "Principal Component Analysis extracted 2 components explaining 78% of the total variance. Component 1 accounts for 52% of the variance and is most heavily loaded by variables X and Y, while Component 2 explains 26% of the variance and is associated primarily with variables Z and W.",
-      numericalResults: {
-        component_1: 0.52,
-        component_2: 0.26,
-        component_3: 0.13,
-        total_explained_variance: 0.78,
-        kaiser_meyer_olkin: 0.82
+const runAnalysisInWorker = (methodId, dataset, params, { onProgress, signal } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve().then(() => runAnalysis(methodId, dataset, params, { onProgress }));
+  }
+  if (signal?.aborted) {
+    return Promise.reject(new Error(CANCELLED_MESSAGE));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./analysis/analysisWorker.js', import.meta.url), { type: 'module' });
+
+    const handleAbort = () => {
+      worker.terminate();
+      reject(new Error(CANCELLED_MESSAGE));
+    };
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.progress);
+        return;
       }
-    },
-    cluster: {
-      id: analysisId,
-      jobId: `job-${analysisId}`,
-      textualSummary: "K-means clustering identified 3 distinct clusters in the dataset. Cluster 1 (n=78) shows high values in variables A and B. Cluster 2 (n=95) is characterized by moderate values across all variables. Cluster 3 (n=77) exhibits low values in variables A and B but high values in variable C.",
-      numericalResults: {
-        cluster_id: [1, 2, 3],
-        cluster_sizes: [78, 95, 77],
-        centroid_x: [12.4, 45.2, 78.9],
-        centroid_y: [34.2, 28.7, 15.4],
-        inertia: 423.7,
-        silhouette_score: 0.68
+      finish();
+      if (data.type === 'result') resolve(data.results);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      finish();
+      console.error('Error in analysis worker:', event.message);
+      reject(new Error(event.message || 'the analysis could not be run'));
+    };
+
+    if (signal) signal.addEventListener('abort', handleAbort);
+    const columnar = toColumnar(dataset);
+    worker.postMessage({ methodId, dataset: columnar, params }, getTransferList(columnar));
+  });
+};
+
+/**
+ * Public view of a job
+ * @returns {Object} { id, methodId, status, progress, error, createdAt, startedAt, finishedAt, request }
+ */
+const jobSnapshot = (job) => ({
+  id: job.id,
+  methodId: job.request.methodId,
+  status: job.status,
+  progress: job.progress,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  request: job.request
+});
+
+/**
+ * List the analysis jobs of this session
+ * @returns {Array<Object>} Jobs, newest first (see getAnalysisJob)
+ */
+const listAnalysisJobs = () => [...analysisJobs.values()].reverse().map(jobSnapshot);
+
+/**
+ * Tell the job listeners that a job changed
+ */
+const notifyJobListeners = () => {
+  const jobs = listAnalysisJobs();
+  jobListeners.forEach(listener => listener(jobs));
+};
+
+/**
+ * Record the outcome of a job, settle everyone waiting for its results and
+ * start the next queued job
+ */
+const finishJob = (job, changes) => {
+  if (FINISHED_STATUSES.includes(job.status)) return;
+  Object.assign(job, changes, { finishedAt: new Date().toISOString() });
+  job.waiters.forEach(({ resolve, reject }) => {
+    if (job.status === JOB_STATUS.SUCCEEDED) resolve(job.results);
+    else reject(new Error(job.status === JOB_STATUS.CANCELLED ? CANCELLED_MESSAGE : job.error));
+  });
+  job.waiters = [];
+  notifyJobListeners();
+  startQueuedJobs();
+};
+
+/**
+ * Run a job in a worker; a job without a dataset fails
+ */
+const runJob = (job) => {
+  Object.assign(job, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() });
+  notifyJobListeners();
+
+  const { methodId, dataset, params } = job.request;
+  const { signal } = job.controller;
+  const run = dataset
+    ? runAnalysisInWorker(methodId, dataset, params, {
+      onProgress: (progress) => {
+        job.progress = progress;
+        notifyJobListeners();
+      },
+      signal
+    })
+    : Promise.reject(new Error('No dataset to analyze'));
+
+  run
+    .then(results => {
+      // Runs on the page cannot be stopped part way, so a cancelled one is discarded when it ends
+      if (signal.aborted) finishJob(job, { status: JOB_STATUS.CANCELLED });
+      else finishJob(job, { status: JOB_STATUS.SUCCEEDED, progress: 1, results: { id: job.id, jobId: job.id, methodId, ...results } });
+    })
+    .catch(error => {
+      if (signal.aborted) {
+        finishJob(job, { status: JOB_STATUS.CANCELLED });
+        return;
       }
-    }
+      console.error('Error running analysis:', error);
+      finishJob(job, { status: JOB_STATUS.FAILED, error: error.message });
+    });
+};
+
+/**
+ * Start queued jobs while fewer than MAX_CONCURRENT_JOBS are running
+ */
+const startQueuedJobs = () => {
+  const running = () => [...analysisJobs.values()].filter(job => job.status === JOB_STATUS.RUNNING).length;
+  while (jobQueue.length > 0 && running() < MAX_CONCURRENT_JOBS) {
+    runJob(analysisJobs.get(jobQueue.shift()));
+  }
+};
+
+/**
+ * Create a new analysis job. It is queued and starts as soon as a worker is free.
+ * @param {Object} params Parameters for the analysis job: methodId, params (the method
+ *   parameters) and dataset, plus anything to keep with the job (e.g. the cleaning recipe)
+ * @returns {Promise<Object>} Job (see getAnalysisJob)
+ */
+const createAnalysisJob = async (params) => {
+  const job = {
+    id: generateId(),
+    request: params,
+    status: JOB_STATUS.QUEUED,
+    progress: null,
+    error: null,
+    results: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController(),
+    waiters: []
   };
-  
-  // Extract the analysis type from the ID (in a real app, you'd fetch this)
-  const analysisType = analysisId.includes('descriptive') ? 'descriptive' :
-                      analysisId.includes('hypothesis') ? 'hypothesis' :
-                      analysisId.includes('correlation') ? 'correlation' :
-                      analysisId.includes('regression') ? 'regression' :
-                      analysisId.includes('pca') ? 'pca' :
-                      'cluster';
-  
-  return mockResults[analysisType] || mockResults.descriptive;
+  analysisJobs.set(job.id, job);
+  jobQueue.push(job.id);
+  notifyJobListeners();
+  startQueuedJobs();
+  return jobSnapshot(job);
+};
+
+/**
+ * Get an analysis job by ID
+ * @param {string} jobId Job ID
+ * @returns {Object|null} { id, methodId, status (one of JOB_STATUS), progress (share done from 0 to 1,
+ *   null when the method does not report it), error, createdAt, startedAt, finishedAt, request
+ *   (the parameters the job was created with) }, or null for an unknown ID
+ */
+const getAnalysisJob = (jobId) => {
+  const job = analysisJobs.get(jobId);
+  return job ? jobSnapshot(job) : null;
+};
+
+/**
+ * Follow the analysis jobs
+ * @param {Function} listener Called with the job list (see listAnalysisJobs) whenever a job changes
+ * @returns {Function} Stops the listener
+ */
+const subscribeToAnalysisJobs = (listener) => {
+  jobListeners.add(listener);
+  return () => jobListeners.delete(listener);
+};
+
+/**
+ * Cancel a queued or running job; a running job's worker is stopped
+ * @param {string} jobId Job ID
+ * @returns {boolean} False when the job is unknown or already finished
+ */
+const cancelAnalysisJob = (jobId) => {
+  const job = analysisJobs.get(jobId);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return false;
+  job.controller.abort();
+  if (job.status === JOB_STATUS.QUEUED) {
+    jobQueue.splice(jobQueue.indexOf(jobId), 1);
+    finishJob(job, { status: JOB_STATUS.CANCELLED });
+  }
+  return true;
+};
+
+/**
+ * Forget a finished job and its results
+ * @param {string} jobId Job ID
+ * @returns {boolean} False when the job is unknown or still queued or running
+ */
+const removeAnalysisJob = (jobId) => {
+  const job = analysisJobs.get(jobId);
+  if (!job || !FINISHED_STATUSES.includes(job.status)) return false;
+  analysisJobs.delete(jobId);
+  notifyJobListeners();
+  return true;
+};
+
+/**
+ * Get the results of an analysis job, waiting for it to finish if needed
+ * @param {string} jobId ID of the analysis job
+ * @returns {Promise<Object>} Analysis results; rejects when the job failed or was cancelled
+ */
+const getAnalysisResults = async (jobId) => {
+  const job = analysisJobs.get(jobId);
+  if (!job) throw new Error(`There is no analysis job ${jobId}`);
+  if (job.status === JOB_STATUS.SUCCEEDED) return job.results;
+  if (job.status === JOB_STATUS.FAILED) throw new Error(job.error);
+  if (job.status === JOB_STATUS.CANCELLED) throw new Error(CANCELLED_MESSAGE);
+  return new Promise((resolve, reject) => job.waiters.push({ resolve, reject }));
+};
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value Cell value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a numerical result for the text report
+ * @param {*} value Result value
+ * @param {string} [unit] Unit of the value
+ * @returns {string} Display text
+ */
+const formatResult = (value, unit) => {
+  if (value === null || value === undefined) return 'n/a';
+  const text = typeof value === 'number' ? String(Number(value.toPrecision(6))) : typeof value === 'string' ? value : JSON.stringify(value);
+  return unit ? `${text} ${unit}` : text;
 };
 
 /**
  * Export analysis results in the specified format
- * @param {string} analysisId ID of the analysis job
- * @param {string} format Export format (pdf, csv, etc.)
- * @returns {Promise<Object>} Object with download URL
+ * @param {Object} results Analysis results
+ * @param {string} format Export format: 'csv' for the key findings as a table, 'txt' for a report
+ * @param {Object} [context] What the results describe
+ * @param {string} [context.methodName] Name of the analysis method
+ * @param {Object} [context.dataset] Dataset the analysis ran on, for column units
+ * @param {Array<string>} [context.preparationSteps] Data preparation steps, in order
+ * @returns {Promise<Object>} { fileName, mimeType, content, format }
  */
-const exportAnalysisResults = async (analysisId, format = 'pdf') => {
-  // In a real implementation, this would generate files and return URLs
-  // For now, we'll return a mock URL
+const exportAnalysisResults = async (results, format = 'txt', { methodName = 'Analysis', dataset = null, preparationSteps = [] } = {}) => {
+  if (!results) throw new Error('There are no results to export');
+  const units = resultUnits(results, dataset);
+  const findings = Object.entries(results.numericalResults || {});
+  const baseName = `${methodName.toLowerCase().replace(/[^a-z0-9]+/g, '_')}_results`;
+
+  if (format === 'csv') {
+    const lines = [['Result', 'Value', 'Unit'].join(',')];
+    findings.forEach(([key, value]) => {
+      lines.push([key, value, units[key]].map(csvField).join(','));
+    });
+    // Result tables follow the key findings, each under its title
+    (results.tables || []).forEach(table => {
+      lines.push('', csvField(table.title), table.columns.map(column => csvField(column.label)).join(','));
+      table.rows.forEach(row => lines.push(table.columns.map(column => csvField(row[column.key])).join(',')));
+    });
+    if (results.assumptions?.checks.length) {
+      lines.push('', 'Assumption checks', ['Assumption', 'Tested on', 'Check', 'Statistic', 'Value', 'p', 'Result', 'Detail'].join(','));
+      results.assumptions.checks.forEach(check => lines.push([
+        check.assumption, check.subject, check.test, check.statisticLabel, check.statistic, check.p, check.status, check.detail
+      ].map(csvField).join(',')));
+      if (results.assumptions.recommendation) lines.push(csvField(results.assumptions.recommendation.message));
+    }
+    return {
+      fileName: `${baseName}.csv`,
+      mimeType: 'text/csv',
+      content: `${lines.join('\r\n')}\r\n`,
+      format
+    };
+  }
+
+  if (format !== 'txt') {
+    console.error('Unsupported export format:', format);
+    throw new Error(`Cannot export results as ${format}`);
+  }
+
+  const lines = [`${methodName} Results`, ''];
+  if (dataset) {
+    lines.push(`Data: ${dataset.name} (${dataset.rows.length} rows)`);
+    lines.push(`Columns: ${dataset.columns.map(columnLabel).join(', ')}`, '');
+  }
+  if (results.textualSummary) lines.push('Summary', results.textualSummary, '');
+  if (findings.length > 0) {
+    lines.push('Key Findings');
+    findings.forEach(([key, value]) => lines.push(`  ${key.replace(/_/g, ' ')}: ${formatResult(value, units[key])}`));
+    lines.push('');
+  }
+  (results.tables || []).forEach(table => {
+    lines.push(table.title);
+    table.rows.forEach(row => {
+      lines.push(`  ${table.columns.map(column => `${column.label}: ${formatResult(row[column.key])}`).join(', ')}`);
+    });
+    lines.push('');
+  });
+  if (results.assumptions?.checks.length) {
+    lines.push('Assumption Checks');
+    results.assumptions.checks.forEach(check => {
+      const statistic = check.statistic !== null ? `, ${check.statisticLabel} = ${formatResult(check.statistic)}` : '';
+      const p = check.p !== null ? `, p = ${formatResult(check.p)}` : '';
+      lines.push(`  ${check.assumption} (${check.subject}): ${check.status}, ${check.test}${statistic}${p}. ${check.detail}`);
+    });
+    if (results.assumptions.recommendation) lines.push(`  Recommendation: ${results.assumptions.recommendation.message}`);
+    lines.push('');
+  }
+  if (preparationSteps.length > 0) {
+    lines.push('Data Preparation');
+    preparationSteps.forEach((step, index) => lines.push(`  ${index + 1}. ${step}`));
+    lines.push('');
+  }
+
   return {
-    downloadUrl: `#mock-download-${analysisId}.${format}`,
+    fileName: `${baseName}.txt`,
+    mimeType: 'text/plain',
+    content: lines.join('\n'),
     format
   };
 };
@@ -342,6 +1176,13 @@ const exportAnalysisResults = async (analysisId, format = 'pdf') => {
 export default {
   getAvailableAnalysisMethods,
   createAnalysisJob,
+  getAnalysisJob,
+  listAnalysisJobs,
+  subscribeToAnalysisJobs,
+  cancelAnalysisJob,
+  removeAnalysisJob,
   getAnalysisResults,
+  runAnalysis,
+  runAnalysisInWorker,
   exportAnalysisResults
 };
\ No newline at end of file
@@ -0,0 +1,615 @@
+/**
+ * cleaningRecipe.js
+ * Data cleaning as an ordered recipe of steps (missing values, row filters,
+ * outliers, transforms, unit conversions, reshaping between wide and long
+ * layouts, columns added from analysis results). A recipe is plain JSON: replaying it on the same raw
+ * file always regenerates the same cleaned dataset, and its steps can be
+ * written out as text for the methods section of a report.
+ *
+ * Statistics a step needs (means, quartiles, ...) are computed when the step
+ * runs, from the data as left by the previous steps.
+ */
+import { COLUMN_TYPES, coerceValue, inferColumnType, isMissing } from './schemaInference';
+import { summarizeColumn } from './dataset';
+import { convertValue } from './units';
+import { COLUMN_ROLES } from './datasetEdits';
+import { finite, mean, median, standardDeviation, sortAscending, quantileSorted } from '../stats/basic';
+
+export const CLEANING_OPERATIONS = {
+  DROP_MISSING: 'dropMissing',
+  IMPUTE: 'impute',
+  FILTER: 'filter',
+  OUTLIERS: 'outliers',
+  TRANSFORM: 'transform',
+  CONVERT_UNIT: 'convertUnit',
+  MELT: 'melt',
+  PIVOT: 'pivot',
+  ADD_COLUMN: 'addColumn'
+};
+
+// Operations that change the table's layout rather than its values
+export const RESHAPE_OPERATIONS = [CLEANING_OPERATIONS.MELT, CLEANING_OPERATIONS.PIVOT];
+
+export const IMPUTE_METHODS = ['mean', 'median', 'constant'];
+
+export const FILTER_OPERATORS = {
+  eq: 'equals',
+  neq: 'does not equal',
+  gt: 'is greater than',
+  gte: 'is at least',
+  lt: 'is less than',
+  lte: 'is at most',
+  contains: 'contains',
+  missing: 'is missing',
+  notMissing: 'is not missing'
+};
+
+export const OUTLIER_RULES = {
+  iqr: 'Tukey fences (k × IQR)',
+  zscore: 'z-score (k × SD)',
+  percentile: 'percentiles (k% per tail)'
+};
+
+// How a pivot combines several values that land in the same cell
+export const PIVOT_AGGREGATES = {
+  mean: 'Mean',
+  median: 'Median',
+  sum: 'Sum',
+  count: 'Count',
+  first: 'First value'
+};
+
+export const TRANSFORMS = {
+  log: 'Natural log',
+  log10: 'Log base 10',
+  sqrt: 'Square root',
+  zscore: 'z-score',
+  minmax: 'Min-max (0 to 1)'
+};
+
+// Helper function to generate step IDs
+const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Create a recipe step
+ * @param {string} operation One of CLEANING_OPERATIONS
+ * @param {Object} params Step parameters
+ * @returns {Object} Step
+ */
+export const createStep = (operation, params) => {
+  if (!Object.values(CLEANING_OPERATIONS).includes(operation)) {
+    throw new Error(`Unknown cleaning operation: ${operation}`);
+  }
+  return { id: generateId(), operation, ...params };
+};
+
+/**
+ * Get a column's position, failing loudly when a step refers to a column
+ * the dataset does not have (e.g. after the file changed)
+ * @returns {number} Column index
+ */
+const requireColumn = (dataset, columnId) => {
+  const index = dataset.columns.findIndex(column => column.id === columnId);
+  if (index < 0) throw new Error(`Column ${columnId} is not in the dataset`);
+  return index;
+};
+
+/**
+ * Read a column's typed values
+ * @returns {Array<*>} Typed values
+ */
+const typedValues = (dataset, index) => dataset.rows.map(row => (
+  coerceValue(row[index], dataset.columns[index], dataset.source?.decimalSeparator)
+));
+
+/**
+ * Require a numeric column for steps that compute with its values
+ */
+const requireNumeric = (dataset, index, operation) => {
+  if (dataset.columns[index].type !== COLUMN_TYPES.NUMERIC) {
+    throw new Error(`${operation} needs a numeric column; "${dataset.columns[index].name}" is ${dataset.columns[index].type}`);
+  }
+};
+
+/**
+ * Return a dataset with replaced rows/columns and refreshed column counts
+ */
+const withRows = (dataset, rows, columns = dataset.columns) => ({
+  ...dataset,
+  rows,
+  columns: columns.map((column, index) => ({ ...column, ...summarizeColumn(rows.map(row => row[index])) }))
+});
+
+const dropMissing = (dataset, step) => {
+  const indexes = step.columnIds?.length
+    ? step.columnIds.map(columnId => requireColumn(dataset, columnId))
+    : dataset.columns.map((_, index) => index);
+  const rows = dataset.rows.filter(row => indexes.every(index => !isMissing(row[index])));
+  return { dataset: withRows(dataset, rows), changed: dataset.rows.length - rows.length };
+};
+
+const impute = (dataset, step) => {
+  const index = requireColumn(dataset, step.columnId);
+  let fill = step.value;
+
+  if (step.method !== 'constant') {
+    requireNumeric(dataset, index, 'Imputation');
+    const values = finite(typedValues(dataset, index));
+    if (values.length === 0) throw new Error(`"${dataset.columns[index].name}" has no values to impute from`);
+    fill = step.method === 'median' ? median(values) : mean(values);
+  }
+
+  let changed = 0;
+  const rows = dataset.rows.map(row => {
+    if (!isMissing(row[index])) return row;
+    changed += 1;
+    const copy = [...row];
+    copy[index] = fill;
+    return copy;
+  });
+  return { dataset: withRows(dataset, rows), changed, detail: { fill } };
+};
+
+const filterRows = (dataset, step) => {
+  const index = requireColumn(dataset, step.columnId);
+  const column = dataset.columns[index];
+  const decimalSeparator = dataset.source?.decimalSeparator;
+  const target = coerceValue(step.value, column, decimalSeparator);
+  const values = typedValues(dataset, index);
+
+  const keep = values.map(value => {
+    switch (step.operator) {
+      case 'missing': return value === null;
+      case 'notMissing': return value !== null;
+      case 'contains': return value !== null && String(value).toLowerCase().includes(String(step.value ?? '').toLowerCase());
+      case 'eq': return value !== null && value === target;
+      case 'neq': return value === null || value !== target;
+      case 'gt': return value !== null && target !== null && value > target;
+      case 'gte': return value !== null && target !== null && value >= target;
+      case 'lt': return value !== null && target !== null && value < target;
+      case 'lte': return value !== null && target !== null && value <= target;
+      default: throw new Error(`Unknown filter operator: ${step.operator}`);
+    }
+  });
+
+  const rows = dataset.rows.filter((_, rowIndex) => keep[rowIndex]);
+  return { dataset: withRows(dataset, rows), changed: dataset.rows.length - rows.length };
+};
+
+/**
+ * Lower and upper limits outside which values count as outliers
+ * @returns {{ lower: number, upper: number }} Limits
+ */
+const outlierLimits = (values, rule, threshold) => {
+  const sorted = sortAscending(values);
+  if (rule === 'zscore') {
+    const m = mean(values);
+    const sd = standardDeviation(values);
+    return { lower: m - threshold * sd, upper: m + threshold * sd };
+  }
+  if (rule === 'percentile') {
+    return { lower: quantileSorted(sorted, threshold / 100), upper: quantileSorted(sorted, 1 - threshold / 100) };
+  }
+  const q1 = quantileSorted(sorted, 0.25);
+  const q3 = quantileSorted(sorted, 0.75);
+  return { lower: q1 - threshold * (q3 - q1), upper: q3 + threshold * (q3 - q1) };
+};
+
+const handleOutliers = (dataset, step) => {
+  const index = requireColumn(dataset, step.columnId);
+  requireNumeric(dataset, index, 'Outlier handling');
+  const values = typedValues(dataset, index);
+  const { lower, upper } = outlierLimits(finite(values), step.rule, Number(step.threshold));
+  const isOutlier = (value) => value !== null && (value < lower || value > upper);
+
+  if (step.action === 'exclude') {
+    const rows = dataset.rows.filter((_, rowIndex) => !isOutlier(values[rowIndex]));
+    return { dataset: withRows(dataset, rows), changed: dataset.rows.length - rows.length, detail: { lower, upper } };
+  }
+
+  let changed = 0;
+  const rows = dataset.rows.map((row, rowIndex) => {
+    const value = values[rowIndex];
+    if (!isOutlier(value)) return row;
+    changed += 1;
+    const copy = [...row];
+    copy[index] = Math.min(Math.max(value, lower), upper);
+    return copy;
+  });
+  return { dataset: withRows(dataset, rows), changed, detail: { lower, upper } };
+};
+
+/**
+ * Build the function that transforms one value
+ * @returns {Function} Value transform returning null when undefined
+ */
+const transformFunction = (method, values) => {
+  switch (method) {
+    case 'log': return value => (value > 0 ? Math.log(value) : null);
+    case 'log10': return value => (value > 0 ? Math.log10(value) : null);
+    case 'sqrt': return value => (value >= 0 ? Math.sqrt(value) : null);
+    case 'zscore': {
+      const m = mean(values);
+      const sd = standardDeviation(values);
+      return value => (sd > 0 ? (value - m) / sd : null);
+    }
+    case 'minmax': {
+      const sorted = sortAscending(values);
+      const min = sorted[0];
+      const span = sorted[sorted.length - 1] - min;
+      return value => (span > 0 ? (value - min) / span : null);
+    }
+    default:
+      throw new Error(`Unknown transform: ${method}`);
+  }
+};
+
+const transform = (dataset, step) => {
+  const index = requireColumn(dataset, step.columnId);
+  requireNumeric(dataset, index, 'Transforms');
+  const values = typedValues(dataset, index);
+  const apply = transformFunction(step.method, finite(values));
+
+  let undefinedCount = 0;
+  const transformed = values.map(value => {
+    if (value === null) return null;
+    const result = apply(value);
+    if (result === null) undefinedCount += 1;
+    return result;
+  });
+
+  const changed = transformed.filter(value => value !== null).length;
+  const source = dataset.columns[index];
+  if (step.newColumn) {
+    const baseName = `${step.method}(${source.name})`;
+    const taken = new Set(dataset.columns.map(column => column.name));
+    let name = baseName;
+    for (let n = 2; taken.has(name); n += 1) name = `${baseName} (${n})`;
+
+    const columns = [...dataset.columns, { id: `${source.id}_${step.method}_${step.id}`, name, type: COLUMN_TYPES.NUMERIC, derivedFrom: source.id }];
+    const rows = dataset.rows.map((row, rowIndex) => [...row, transformed[rowIndex]]);
+    return { dataset: withRows(dataset, rows, columns), changed, detail: { undefinedCount } };
+  }
+
+  // Transformed values are no longer in the column's unit
+  const rows = dataset.rows.map((row, rowIndex) => {
+    const copy = [...row];
+    copy[index] = transformed[rowIndex];
+    return copy;
+  });
+  const columns = dataset.columns.map((column, columnIndex) => {
+    if (columnIndex !== index) return column;
+    const { unit, ...rest } = column;
+    return rest;
+  });
+  return { dataset: withRows(dataset, rows, columns), changed, detail: { undefinedCount } };
+};
+
+const convertUnit = (dataset, step) => {
+  const index = requireColumn(dataset, step.columnId);
+  requireNumeric(dataset, index, 'Unit conversion');
+  const from = dataset.columns[index].unit;
+  if (!from) throw new Error(`"${dataset.columns[index].name}" has no unit to convert from`);
+
+  const values = typedValues(dataset, index);
+  const rows = dataset.rows.map((row, rowIndex) => {
+    const copy = [...row];
+    copy[index] = values[rowIndex] === null ? row[index] : convertValue(values[rowIndex], from, step.unit);
+    return copy;
+  });
+  const columns = dataset.columns.map((column, columnIndex) => (
+    columnIndex === index ? { ...column, unit: step.unit } : column
+  ));
+  return {
+    dataset: withRows(dataset, rows, columns),
+    changed: values.filter(value => value !== null).length,
+    detail: { from, to: step.unit }
+  };
+};
+
+/**
+ * Pick a column name that is not taken yet, adding " (2)", " (3)", ...
+ * @returns {string} Unique name
+ */
+const uniqueName = (baseName, taken) => {
+  let name = baseName;
+  for (let n = 2; taken.has(name); n += 1) name = `${baseName} (${n})`;
+  taken.add(name);
+  return name;
+};
+
+/**
+ * Remove analysis roles from columns, so a reshaped column can take them over
+ * @returns {Array<Object>} Columns without the given roles
+ */
+const withoutRoles = (columns, roles) => columns.map(column => {
+  if (!roles.includes(column.role)) return column;
+  const { role, ...rest } = column;
+  return rest;
+});
+
+// Wide to long: every value column becomes rows of (variable, value), next to
+// the ID columns. The variable column is the group (or time, when the column
+// names are numbers or dates) and the value column is the measurement.
+const melt = (dataset, step) => {
+  const idIndexes = (step.idColumnIds || []).map(columnId => requireColumn(dataset, columnId));
+  const valueIndexes = step.valueColumnIds?.length
+    ? step.valueColumnIds.map(columnId => requireColumn(dataset, columnId))
+    : dataset.columns.map((_, index) => index).filter(index => !idIndexes.includes(index));
+  if (valueIndexes.length === 0) throw new Error('Melting needs at least one value column');
+  if (valueIndexes.some(index => idIndexes.includes(index))) {
+    throw new Error('A column cannot be both an ID column and a value column');
+  }
+
+  const valueColumns = valueIndexes.map(index => dataset.columns[index]);
+  const rows = dataset.rows.flatMap(row => valueIndexes.map((index, position) => [
+    ...idIndexes.map(idIndex => row[idIndex]),
+    valueColumns[position].name,
+    row[index]
+  ]));
+
+  const decimalSeparator = dataset.source?.decimalSeparator;
+  const taken = new Set(idIndexes.map(index => dataset.columns[index].name));
+  const variableName = uniqueName(step.variableName || 'Variable', taken);
+  const valueName = uniqueName(step.valueName || 'Value', taken);
+
+  const variableType = inferColumnType(variableName, valueColumns.map(column => column.name), '.');
+  const ordered = [COLUMN_TYPES.NUMERIC, COLUMN_TYPES.DATETIME].includes(variableType.type);
+  const variableColumn = {
+    id: `melt_variable_${step.id}`,
+    name: variableName,
+    ...(ordered ? variableType : { type: COLUMN_TYPES.CATEGORICAL }),
+    role: ordered ? COLUMN_ROLES.TIME : COLUMN_ROLES.GROUP
+  };
+
+  // Values keep their columns' type (and unit) when all value columns agree
+  const types = new Set(valueColumns.map(column => column.type));
+  const units = new Set(valueColumns.map(column => column.unit || ''));
+  const [unit] = units;
+  const valueType = types.size === 1
+    ? { type: valueColumns[0].type, ...(valueColumns[0].dateOrder ? { dateOrder: valueColumns[0].dateOrder } : {}), ...(valueColumns[0].timeOnly ? { timeOnly: true } : {}) }
+    : inferColumnType(valueName, rows.map(row => row[row.length - 1]), decimalSeparator);
+  const valueColumn = {
+    id: `melt_value_${step.id}`,
+    name: valueName,
+    ...valueType,
+    ...(units.size === 1 && unit ? { unit } : {}),
+    role: COLUMN_ROLES.VALUE
+  };
+
+  const columns = [
+    ...withoutRoles(idIndexes.map(index => dataset.columns[index]), [variableColumn.role, COLUMN_ROLES.VALUE]),
+    variableColumn,
+    valueColumn
+  ];
+  return {
+    dataset: withRows(dataset, rows, columns),
+    changed: rows.length,
+    detail: { valueColumns: valueColumns.map(column => column.name) }
+  };
+};
+
+/**
+ * Combine the values that land in one pivot cell
+ * @returns {*} Cell value
+ */
+const aggregateValues = (values, aggregate) => {
+  const present = values.filter(value => value !== null);
+  if (aggregate === 'count') return present.length;
+  if (present.length === 0) return null;
+  switch (aggregate) {
+    case 'first': return present[0];
+    case 'sum': return present.reduce((total, value) => total + value, 0);
+    case 'median': return median(present);
+    case 'mean': return mean(present);
+    default: throw new Error(`Unknown pivot aggregate: ${aggregate}`);
+  }
+};
+
+// Long to wide: one new column per distinct value of the names column, one
+// row per combination of the index columns. Without index columns, the n-th
+// value of each name goes to row n (e.g. replicates listed under each group).
+const pivot = (dataset, step) => {
+  const indexIndexes = (step.indexColumnIds || []).map(columnId => requireColumn(dataset, columnId));
+  const namesIndex = requireColumn(dataset, step.namesColumnId);
+  const valuesIndex = requireColumn(dataset, step.valuesColumnId);
+  if (namesIndex === valuesIndex || indexIndexes.includes(namesIndex) || indexIndexes.includes(valuesIndex)) {
+    throw new Error('The index, names and values columns must all be different');
+  }
+
+  const aggregate = step.aggregate || 'first';
+  const valuesColumn = dataset.columns[valuesIndex];
+  if (!['first', 'count'].includes(aggregate)) requireNumeric(dataset, valuesIndex, 'Pivoting with a mean, median or sum');
+
+  const names = typedValues(dataset, namesIndex);
+  const values = aggregate === 'first' ? dataset.rows.map(row => (isMissing(row[valuesIndex]) ? null : row[valuesIndex])) : typedValues(dataset, valuesIndex);
+  const keys = [...new Set(names.filter(name => name !== null).map(String))];
+  if (keys.length === 0) throw new Error(`"${dataset.columns[namesIndex].name}" has no values to make columns from`);
+
+  // Cells per output row, in order of first appearance
+  const outputRows = new Map();
+  const occurrences = {};
+  dataset.rows.forEach((row, rowIndex) => {
+    if (names[rowIndex] === null) return;
+    const name = String(names[rowIndex]);
+    let rowKey;
+    if (indexIndexes.length > 0) {
+      rowKey = JSON.stringify(indexIndexes.map(index => String(row[index] ?? '').trim()));
+    } else {
+      occurrences[name] = (occurrences[name] || 0) + 1;
+      rowKey = occurrences[name];
+    }
+    if (!outputRows.has(rowKey)) outputRows.set(rowKey, { index: indexIndexes.map(index => row[index]), cells: {} });
+    const cells = outputRows.get(rowKey).cells;
+    (cells[name] = cells[name] || []).push(values[rowIndex]);
+  });
+
+  let duplicates = 0;
+  const rows = [...outputRows.values()].map(({ index, cells }) => [
+    ...index,
+    ...keys.map(name => {
+      if ((cells[name] || []).length > 1) duplicates += 1;
+      return cells[name] ? aggregateValues(cells[name], aggregate) : (aggregate === 'count' ? 0 : null);
+    })
+  ]);
+
+  const taken = new Set(indexIndexes.map(index => dataset.columns[index].name));
+  const valueType = aggregate === 'count' ? { type: COLUMN_TYPES.NUMERIC } : {
+    type: valuesColumn.type,
+    ...(valuesColumn.dateOrder ? { dateOrder: valuesColumn.dateOrder } : {}),
+    ...(valuesColumn.timeOnly ? { timeOnly: true } : {})
+  };
+  const columns = [
+    ...indexIndexes.map(index => dataset.columns[index]),
+    ...keys.map((name, position) => ({
+      id: `pivot_${step.id}_${position}`,
+      name: uniqueName(name, taken),
+      ...valueType,
+      ...(valuesColumn.unit && aggregate !== 'count' ? { unit: valuesColumn.unit } : {}),
+      derivedFrom: valuesColumn.id
+    }))
+  ];
+  return {
+    dataset: withRows(dataset, rows, columns),
+    changed: rows.length,
+    detail: { columns: keys, duplicates }
+  };
+};
+
+// A column of values computed elsewhere, e.g. cluster assignments, one per
+// row of the data as left by the previous steps
+const addColumn = (dataset, step) => {
+  const values = step.values || [];
+  if (values.length !== dataset.rows.length) {
+    throw new Error(`"${step.name}" holds ${values.length} values but the data now has ${dataset.rows.length} rows`);
+  }
+  const taken = new Set(dataset.columns.map(column => column.name));
+  const column = {
+    id: `added_${step.id}`,
+    name: uniqueName(step.name || 'New column', taken),
+    ...(step.columnType ? { type: step.columnType } : inferColumnType(step.name || '', values, '.'))
+  };
+  const rows = dataset.rows.map((row, rowIndex) => [...row, values[rowIndex] ?? null]);
+  return {
+    dataset: withRows(dataset, rows, [...dataset.columns, column]),
+    changed: values.filter(value => !isMissing(value)).length
+  };
+};
+
+const OPERATION_HANDLERS = {
+  [CLEANING_OPERATIONS.DROP_MISSING]: dropMissing,
+  [CLEANING_OPERATIONS.IMPUTE]: impute,
+  [CLEANING_OPERATIONS.FILTER]: filterRows,
+  [CLEANING_OPERATIONS.OUTLIERS]: handleOutliers,
+  [CLEANING_OPERATIONS.TRANSFORM]: transform,
+  [CLEANING_OPERATIONS.CONVERT_UNIT]: convertUnit,
+  [CLEANING_OPERATIONS.MELT]: melt,
+  [CLEANING_OPERATIONS.PIVOT]: pivot,
+  [CLEANING_OPERATIONS.ADD_COLUMN]: addColumn
+};
+
+/**
+ * Replay a recipe on a dataset. Steps run in order; a step that cannot run
+ * is reported in the log and skipped, so the remaining steps still apply.
+ * @param {Object} dataset Dataset to clean (not modified)
+ * @param {Array<Object>} steps Recipe steps
+ * @returns {{ dataset: Object, log: Array<Object> }} Cleaned dataset and one
+ *   log entry per step ({ stepId, rowsBefore, rowsAfter, changed, detail, error })
+ */
+export const applyRecipe = (dataset, steps = []) => {
+  if (!dataset || steps.length === 0) return { dataset, log: [] };
+
+  let current = dataset;
+  // Names of every column seen along the way, so steps can still be described
+  // after a reshape replaced the columns they refer to
+  const columnNames = {};
+  const log = steps.map(step => {
+    const rowsBefore = current.rows.length;
+    current.columns.forEach(column => { columnNames[column.id] = column.name; });
+    try {
+      const result = OPERATION_HANDLERS[step.operation](current, step);
+      current = result.dataset;
+      return { stepId: step.id, rowsBefore, rowsAfter: current.rows.length, changed: result.changed, detail: result.detail };
+    } catch (error) {
+      return { stepId: step.id, rowsBefore, rowsAfter: rowsBefore, changed: 0, error: error.message };
+    }
+  });
+
+  return {
+    dataset: { ...current, cleaning: { steps, log, columnNames } },
+    log
+  };
+};
+
+/**
+ * Describe a step in words, for the workbench and the report
+ * @param {Object} step Recipe step
+ * @param {Object} dataset Dataset the recipe runs on, for column names
+ * @returns {string} Description
+ */
+export const describeStep = (step, dataset) => {
+  const nameOf = (columnId) => (
+    dataset?.columns.find(column => column.id === columnId)?.name
+    || dataset?.cleaning?.columnNames?.[columnId]
+    || columnId
+  );
+
+  switch (step.operation) {
+    case CLEANING_OPERATIONS.DROP_MISSING:
+      return step.columnIds?.length
+        ? `Dropped rows with missing values in ${step.columnIds.map(nameOf).join(', ')}`
+        : 'Dropped rows with a missing value in any column';
+    case CLEANING_OPERATIONS.IMPUTE:
+      return step.method === 'constant'
+        ? `Replaced missing values of ${nameOf(step.columnId)} with "${step.value}"`
+        : `Imputed missing values of ${nameOf(step.columnId)} with the column ${step.method}`;
+    case CLEANING_OPERATIONS.FILTER:
+      return ['missing', 'notMissing'].includes(step.operator)
+        ? `Kept rows where ${nameOf(step.columnId)} ${FILTER_OPERATORS[step.operator]}`
+        : `Kept rows where ${nameOf(step.columnId)} ${FILTER_OPERATORS[step.operator]} ${step.value}`;
+    case CLEANING_OPERATIONS.OUTLIERS:
+      return `${step.action === 'exclude' ? 'Excluded rows with' : 'Winsorized'} outliers of ${nameOf(step.columnId)} `
+        + `outside ${step.rule === 'percentile' ? `the ${step.threshold}th–${100 - step.threshold}th percentiles` : `${step.threshold} × ${step.rule === 'zscore' ? 'SD of the mean' : 'IQR beyond the quartiles'}`}`;
+    case CLEANING_OPERATIONS.TRANSFORM:
+      return `Applied ${TRANSFORMS[step.method]?.toLowerCase() || step.method} transform to ${nameOf(step.columnId)}`
+        + (step.newColumn ? ' as a new column' : '');
+    case CLEANING_OPERATIONS.CONVERT_UNIT:
+      return `Converted ${nameOf(step.columnId)} to ${step.unit}`;
+    case CLEANING_OPERATIONS.MELT:
+      return `Reshaped ${step.valueColumnIds?.length ? step.valueColumnIds.map(nameOf).join(', ') : 'all other columns'} to long format`
+        + ` in "${step.variableName || 'Variable'}" and "${step.valueName || 'Value'}" columns`
+        + (step.idColumnIds?.length ? `, keeping ${step.idColumnIds.map(nameOf).join(', ')}` : '');
+    case CLEANING_OPERATIONS.PIVOT:
+      return `Reshaped to wide format with one column per ${nameOf(step.namesColumnId)}, holding the `
+        + `${PIVOT_AGGREGATES[step.aggregate || 'first'].toLowerCase()} of ${nameOf(step.valuesColumnId)}`
+        + (step.indexColumnIds?.length ? ` per ${step.indexColumnIds.map(nameOf).join(' × ')}` : '');
+    case CLEANING_OPERATIONS.ADD_COLUMN:
+      return `Added a "${step.name}" column${step.origin ? ` from the ${step.origin}` : ''}`;
+    default:
+      return step.operation;
+  }
+};
+
+/**
+ * Write a recipe and its effects as numbered lines for a report
+ * @param {Array<Object>} steps Recipe steps
+ * @param {Array<Object>} log Log from applyRecipe
+ * @param {Object} dataset Dataset the recipe ran on
+ * @returns {Array<string>} One line per step
+ */
+export const describeRecipe = (steps, log, dataset) => steps.map((step, index) => {
+  const entry = log.find(item => item.stepId === step.id);
+  let effect = '';
+  if (entry?.error) {
+    effect = ` (skipped: ${entry.error})`;
+  } else if (entry && RESHAPE_OPERATIONS.includes(step.operation)) {
+    effect = ` (${entry.rowsBefore} rows to ${entry.rowsAfter})`;
+  } else if (entry && entry.rowsAfter !== entry.rowsBefore) {
+    effect = ` (${entry.rowsBefore - entry.rowsAfter} of ${entry.rowsBefore} rows removed)`;
+  } else if (entry && step.operation === CLEANING_OPERATIONS.ADD_COLUMN) {
+    effect = ` (${entry.changed} value${entry.changed !== 1 ? 's' : ''})`;
+  } else if (entry) {
+    effect = ` (${entry.changed} value${entry.changed !== 1 ? 's' : ''} changed)`;
+  }
+  return `${index + 1}. ${describeStep(step, dataset)}${effect}`;
+});
@@ -0,0 +1,106 @@
+/**
+ * columnar.js
+ * Column-oriented form of a dataset, used to hand parsed files from the parse
+ * worker to the page and to feed numeric columns to the analysis code.
+ *
+ * Every column keeps its cells unchanged; numeric columns also carry their
+ * numbers as a Float64Array (NaN where missing), whose buffer is transferred
+ * from the worker instead of copied, and analysis code reads the same arrays
+ * through getNumericVector.
+ */
+import { COLUMN_TYPES, coerceValue } from './schemaInference';
+import { getColumn } from './dataset';
+
+// Numeric vectors per rows array. Edits and cleaning always produce a new rows
+// array, so a cached vector can never describe outdated rows.
+const vectorCache = new WeakMap();
+
+/**
+ * Remember the numeric vector of a column for a rows array
+ */
+const cacheVector = (rows, columnId, vector) => {
+  if (!vectorCache.has(rows)) vectorCache.set(rows, new Map());
+  vectorCache.get(rows).set(columnId, vector);
+};
+
+/**
+ * Convert a dataset into columns of values
+ * @param {Object} dataset Dataset
+ * @returns {Object} Columnar dataset: the dataset without `rows`, plus
+ *   `rowCount` and `data`, one `{ values, vector }` entry per column. `values`
+ *   holds the cells as they are; numeric columns add their parsed numbers as a
+ *   Float64Array `vector` (NaN where missing or unparseable).
+ */
+export const toColumnar = (dataset) => {
+  const { rows, ...meta } = dataset;
+  const decimalSeparator = dataset.source?.decimalSeparator;
+
+  const data = dataset.columns.map((column, index) => {
+    const values = rows.map(row => row[index]);
+    if (column.type !== COLUMN_TYPES.NUMERIC) return { values };
+
+    // The cell text is kept as well: codes such as "001" or decimal commas must
+    // survive the round trip, e.g. when the column is later retyped
+    const vector = Float64Array.from(values, cell => {
+      const value = coerceValue(cell, column, decimalSeparator);
+      return value === null ? NaN : value;
+    });
+    return { values, vector };
+  });
+
+  return { ...meta, rowCount: rows.length, data };
+};
+
+/**
+ * Get the buffers of a columnar dataset that can be transferred between threads
+ * @param {Object} columnar Columnar dataset
+ * @returns {Array<ArrayBuffer>} Transferable buffers
+ */
+export const getTransferList = (columnar) => (
+  columnar.data
+    .filter(column => column.vector instanceof Float64Array)
+    .map(column => column.vector.buffer)
+);
+
+/**
+ * Rebuild the row-based dataset from a columnar dataset. The numeric vectors
+ * are kept, so getNumericVector returns them without parsing the cells again.
+ * @param {Object} columnar Columnar dataset
+ * @returns {Object} Dataset
+ */
+export const fromColumnar = (columnar) => {
+  const { rowCount, data, ...meta } = columnar;
+
+  const rows = Array.from({ length: rowCount }, (_, rowIndex) => data.map(column => column.values[rowIndex] ?? null));
+
+  meta.columns.forEach((column, index) => {
+    if (data[index].vector instanceof Float64Array) cacheVector(rows, column.id, data[index].vector);
+  });
+
+  return { ...meta, rows };
+};
+
+/**
+ * Get a column as a Float64Array of numbers, NaN where missing or unparseable.
+ * Vectors handed over by the parse worker are returned as they are; others
+ * are built once per rows array.
+ * @param {Object} dataset Dataset
+ * @param {string} columnRef Column ID or name
+ * @returns {Float64Array} Column values
+ */
+export const getNumericVector = (dataset, columnRef) => {
+  const column = getColumn(dataset, columnRef);
+  if (!column) return new Float64Array(0);
+
+  const cached = vectorCache.get(dataset.rows)?.get(column.id);
+  if (cached) return cached;
+
+  const index = dataset.columns.indexOf(column);
+  const numericColumn = { ...column, type: COLUMN_TYPES.NUMERIC };
+  const vector = Float64Array.from(dataset.rows, row => {
+    const value = coerceValue(row[index], numericColumn, dataset.source?.decimalSeparator);
+    return value === null ? NaN : value;
+  });
+  cacheVector(dataset.rows, column.id, vector);
+  return vector;
+};
@@ -0,0 +1,216 @@
+/**
+ * csvParser.js
+ * Delimited-text decoding and tokenizing for uploaded .csv/.tsv/.txt files
+ */
+
+// Delimiters we try when the caller does not specify one
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+
+// Number of lines sampled when sniffing the delimiter
+const SNIFF_LINES = 25;
+
+// Byte-order marks and the encodings they announce
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+/**
+ * Find the byte-order mark at the start of a file
+ * @param {Uint8Array} bytes Leading bytes of the file
+ * @returns {{ encoding: string, bytes: Array<number> }|null} The mark, or null
+ */
+const detectByteOrderMark = (bytes) => (
+  BYTE_ORDER_MARKS.find(mark => mark.bytes.every((byte, index) => bytes[index] === byte)) || null
+);
+
+/**
+ * Decode raw file bytes into text, honouring byte-order marks.
+ * Files without a BOM are decoded as UTF-8 and fall back to Windows-1252
+ * (what Excel writes on most lab PCs) when the bytes are not valid UTF-8.
+ * @param {ArrayBuffer} buffer Raw file contents
+ * @param {string} [encoding] Force a specific encoding label
+ * @returns {{ text: string, encoding: string }} Decoded text and the encoding used
+ */
+const decodeText = (buffer, encoding) => {
+  const bytes = new Uint8Array(buffer);
+
+  if (encoding) {
+    return { text: new TextDecoder(encoding).decode(bytes), encoding };
+  }
+
+  const mark = detectByteOrderMark(bytes);
+  if (mark) {
+    return { text: new TextDecoder(mark.encoding).decode(bytes.subarray(mark.bytes.length)), encoding: mark.encoding };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (err) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+  }
+};
+
+/**
+ * Create an incremental tokenizer for delimited text (RFC 4180 quoting rules).
+ * Text can be pushed in chunks of any size, e.g. while a large file is read
+ * piece by piece; quoted fields and line breaks may span chunk boundaries.
+ * @param {Object} options Parser options
+ * @param {string} options.delimiter Field delimiter
+ * @param {string} [options.quote='"'] Quote character
+ * @returns {{ push: Function, end: Function }} `push(text)` returns the rows
+ *   completed by the chunk; `end()` returns the final row, if any
+ */
+const createDelimitedTokenizer = ({ delimiter, quote = '"' }) => {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // A quote inside a quoted field: either a doubled quote or the closing one
+  let quoteSeen = false;
+  // A carriage return that may be followed by a line feed in the next chunk
+  let afterCarriageReturn = false;
+
+  const push = (text) => {
+    const rows = [];
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (afterCarriageReturn) {
+        afterCarriageReturn = false;
+        if (char === '\n') continue;
+      }
+
+      if (quoteSeen) {
+        quoteSeen = false;
+        if (char === quote) {
+          field += quote;
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === quote) quoteSeen = true;
+        else field += char;
+        continue;
+      }
+
+      if (char === quote && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        afterCarriageReturn = char === '\r';
+      } else {
+        field += char;
+      }
+    }
+
+    return rows;
+  };
+
+  // Flush the final field unless the text ended on a line break
+  const end = () => {
+    const rows = field !== '' || row.length > 0 ? [[...row, field]] : [];
+    row = [];
+    field = '';
+    inQuotes = false;
+    quoteSeen = false;
+    return rows;
+  };
+
+  return { push, end };
+};
+
+/**
+ * Split delimited text into rows of string cells (RFC 4180 quoting rules).
+ * Quoted fields may contain delimiters, doubled quotes and line breaks.
+ * @param {string} text Text to parse
+ * @param {Object} options Parser options
+ * @param {string} options.delimiter Field delimiter
+ * @param {string} [options.quote='"'] Quote character
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+const parseDelimited = (text, options) => {
+  const tokenizer = createDelimitedTokenizer(options);
+  const rows = tokenizer.push(text);
+  return rows.concat(tokenizer.end());
+};
+
+/**
+ * Guess the field delimiter by checking which candidate splits the first
+ * lines into the most consistent number of fields.
+ * @param {string} text Text to inspect
+ * @returns {string} Detected delimiter (defaults to a comma)
+ */
+const detectDelimiter = (text) => {
+  const sample = text.split(/\r\n|\n|\r/).slice(0, SNIFF_LINES).join('\n');
+  let best = { delimiter: ',', score: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const counts = parseDelimited(sample, { delimiter })
+      .filter(row => row.some(cell => cell.trim() !== ''))
+      .map(row => row.length);
+    if (counts.length === 0) return;
+
+    // Prefer delimiters that produce many fields on most lines
+    const frequency = {};
+    counts.forEach(c => { frequency[c] = (frequency[c] || 0) + 1; });
+    const [modeCount, modeFrequency] = Object.entries(frequency)
+      .map(([count, times]) => [Number(count), times])
+      .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    if (modeCount < 2) return;
+
+    const consistency = modeFrequency / counts.length;
+    const score = consistency * modeCount;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+/**
+ * Work out whether numbers in the file use a decimal comma (e.g. "3,14").
+ * Only meaningful when the delimiter is not itself a comma.
+ * @param {Array<Array<string>>} rows Parsed rows
+ * @param {string} delimiter Field delimiter used for the rows
+ * @returns {string} '.' or ','
+ */
+const detectDecimalSeparator = (rows, delimiter) => {
+  if (delimiter === ',') return '.';
+
+  let commaDecimals = 0;
+  let dotDecimals = 0;
+
+  rows.slice(0, 200).forEach(row => {
+    row.forEach(cell => {
+      const value = cell.trim();
+      if (/^[-+]?\d{1,3}(\.\d{3})*,\d+$/.test(value) || /^[-+]?\d+,\d+$/.test(value)) {
+        commaDecimals += 1;
+      } else if (/^[-+]?\d*\.\d+([eE][-+]?\d+)?$/.test(value)) {
+        dotDecimals += 1;
+      }
+    });
+  });
+
+  return commaDecimals > dotDecimals ? ',' : '.';
+};
+
+export {
+  decodeText,
+  detectByteOrderMark,
+  createDelimitedTokenizer,
+  parseDelimited,
+  detectDelimiter,
+  detectDecimalSeparator,
+  CANDIDATE_DELIMITERS
+};
@@ -0,0 +1,190 @@
+/**
+ * dataset.js
+ * The in-memory dataset model shared by upload, analysis and visualization.
+ *
+ * A dataset keeps the raw cell values row by row, plus a column schema that
+ * says how each cell should be read. Typed values are produced on demand, so
+ * changing a column's type never loses the original text.
+ */
+import { COLUMN_TYPES, coerceValue, inferColumnType, isMissing } from './schemaInference';
+import { parseHeaderUnit, parseUnitsRow } from './units';
+
+// Helper function to generate dataset IDs
+const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Turn raw header cells into unique, non-empty column names
+ * @param {Array<string>} header Header cells
+ * @param {number} width Number of columns in the widest row
+ * @returns {Array<string>} Column names
+ */
+const normalizeHeader = (header, width) => {
+  const seen = {};
+  return Array.from({ length: width }, (_, index) => {
+    const base = String(header[index] ?? '').trim() || `Column ${index + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+  });
+};
+
+/**
+ * Count missing and distinct values for a column
+ * @param {Array<*>} values Raw cell values
+ * @returns {{ missing: number, distinct: number }} Column statistics
+ */
+export const summarizeColumn = (values) => {
+  const present = values.filter(value => !isMissing(value));
+  return {
+    missing: values.length - present.length,
+    distinct: new Set(present.map(value => String(value).trim())).size
+  };
+};
+
+/**
+ * Build a dataset from a header row and body rows, inferring the schema.
+ * Empty trailing rows are dropped and ragged rows are padded with nulls.
+ * Units are read from the headers ("Volume [mL]") or from a units row right
+ * below the header, and kept as the columns' `unit`.
+ * @param {Object} params Dataset parameters
+ * @param {string} params.name Display name (usually the file name)
+ * @param {Array<*>} params.header Header cells
+ * @param {Array<Array<*>>} params.rows Body rows of raw cell values
+ * @param {Object} [params.source] Details about where the data came from
+ * @param {string} [params.decimalSeparator='.'] Decimal separator used in the source
+ * @returns {Object} Dataset
+ */
+export const createDataset = ({ name, header, rows, source = {}, decimalSeparator = '.' }) => {
+  const warnings = [];
+  let bodyRows = rows.filter(row => row.some(cell => !isMissing(cell)));
+  const width = bodyRows.reduce((max, row) => Math.max(max, row.length), header.length);
+  const headerUnits = Array.from({ length: width }, (_, index) => parseHeaderUnit(header[index]));
+  const names = normalizeHeader(headerUnits.map(item => item.name), width);
+
+  const unitsRow = bodyRows.length > 1 ? parseUnitsRow(bodyRows[0]) : null;
+  if (unitsRow) {
+    bodyRows = bodyRows.slice(1);
+    warnings.push('The row below the header was read as column units.');
+  }
+
+  const raggedRows = bodyRows.filter(row => row.length !== header.length).length;
+  if (raggedRows > 0) {
+    warnings.push(`${raggedRows} row${raggedRows !== 1 ? 's have' : ' has'} a different number of fields than the header.`);
+  }
+
+  const normalizedRows = bodyRows.map(row => Array.from({ length: width }, (_, index) => row[index] ?? null));
+
+  const columns = names.map((columnName, index) => {
+    const values = normalizedRows.map(row => row[index]);
+    const unit = headerUnits[index].unit || unitsRow?.[index];
+    return {
+      id: `col_${index}`,
+      name: columnName,
+      ...(unit ? { unit } : {}),
+      ...inferColumnType(columnName, values, decimalSeparator),
+      ...summarizeColumn(values)
+    };
+  });
+
+  return {
+    id: generateId(),
+    name,
+    source: { ...source, decimalSeparator },
+    columns,
+    rows: normalizedRows,
+    warnings
+  };
+};
+
+/**
+ * Find a column by its ID or name
+ * @param {Object} dataset Dataset
+ * @param {string} columnRef Column ID or name
+ * @returns {Object|undefined} Column definition
+ */
+export const getColumn = (dataset, columnRef) => (
+  dataset.columns.find(column => column.id === columnRef) ||
+  dataset.columns.find(column => column.name === columnRef)
+);
+
+/**
+ * Get the typed values of one column
+ * @param {Object} dataset Dataset
+ * @param {string} columnRef Column ID or name
+ * @returns {Array<*>} Typed values, null where missing or unparseable
+ */
+export const getColumnValues = (dataset, columnRef) => {
+  const column = getColumn(dataset, columnRef);
+  if (!column) return [];
+  const index = dataset.columns.indexOf(column);
+  return dataset.rows.map(row => coerceValue(row[index], column, dataset.source?.decimalSeparator));
+};
+
+/**
+ * Get the columns of the given type(s)
+ * @param {Object} dataset Dataset
+ * @param {string|Array<string>} types Column type or types
+ * @returns {Array<Object>} Matching columns
+ */
+export const getColumnsByType = (dataset, types) => {
+  const wanted = Array.isArray(types) ? types : [types];
+  return dataset.columns.filter(column => wanted.includes(column.type));
+};
+
+/**
+ * Get all numeric columns
+ * @param {Object} dataset Dataset
+ * @returns {Array<Object>} Numeric columns
+ */
+export const getNumericColumns = (dataset) => getColumnsByType(dataset, COLUMN_TYPES.NUMERIC);
+
+/**
+ * Convert the dataset into plain row objects keyed by column name
+ * @param {Object} dataset Dataset
+ * @param {Object} [options] Options
+ * @param {number} [options.limit] Maximum number of rows to return
+ * @returns {Array<Object>} Typed row objects
+ */
+export const toRecords = (dataset, { limit } = {}) => {
+  const rows = limit ? dataset.rows.slice(0, limit) : dataset.rows;
+  return rows.map(row => {
+    const record = {};
+    dataset.columns.forEach((column, index) => {
+      record[column.name] = coerceValue(row[index], column, dataset.source?.decimalSeparator);
+    });
+    return record;
+  });
+};
+
+/**
+ * Format a typed value for display in tables and summaries
+ * @param {*} value Typed value
+ * @param {Object} column Column definition
+ * @returns {string} Display text
+ */
+export const formatValue = (value, column) => {
+  if (value === null || value === undefined) return '';
+  if (column.type === COLUMN_TYPES.DATETIME && typeof value === 'number') {
+    if (column.timeOnly) {
+      return new Date(value).toISOString().substr(11, 8);
+    }
+    const iso = new Date(value).toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.substr(0, 10) : iso.substr(0, 19).replace('T', ' ');
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(6)));
+  }
+  return String(value);
+};
+
+/**
+ * Summarize the dataset schema for display and job payloads
+ * @param {Object} dataset Dataset
+ * @returns {Object} Summary with row/column counts and column types
+ */
+export const describeDataset = (dataset) => ({
+  id: dataset.id,
+  name: dataset.name,
+  rowCount: dataset.rows.length,
+  columnCount: dataset.columns.length,
+  columns: dataset.columns.map(({ id, name, type, unit, role, missing, distinct }) => ({ id, name, type, unit, role, missing, distinct }))
+});
@@ -0,0 +1,189 @@
+/**
+ * datasetEdits.js
+ * User corrections to a parsed dataset, kept as an ordered change list next to
+ * the original file. The original dataset is never modified: edits are
+ * replayed on a copy, so any edit can be reverted at any time.
+ */
+import { COLUMN_TYPES, inferColumnType, isMissing, parseDate } from './schemaInference';
+import { summarizeColumn } from './dataset';
+import { normalizeUnit } from './units';
+
+export const EDIT_TYPES = {
+  RENAME_COLUMN: 'renameColumn',
+  SET_COLUMN_TYPE: 'setColumnType',
+  SET_COLUMN_ROLE: 'setColumnRole',
+  SET_COLUMN_UNIT: 'setColumnUnit',
+  EXCLUDE_COLUMN: 'excludeColumn',
+  SET_CELL: 'setCell'
+};
+
+// Roles a column can play in an analysis; each role is held by at most one column
+export const COLUMN_ROLES = {
+  ID: 'id',
+  GROUP: 'group',
+  VALUE: 'value',
+  TIME: 'time'
+};
+
+// Helper function to generate edit IDs
+const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Create an edit to add to a change list
+ * @param {string} type One of EDIT_TYPES
+ * @param {Object} details Edit details (columnId, name, columnType, role, unit, excluded, rowIndex, value)
+ * @returns {Object} Edit
+ */
+export const createEdit = (type, details) => {
+  if (!Object.values(EDIT_TYPES).includes(type)) {
+    throw new Error(`Unknown dataset edit: ${type}`);
+  }
+  return { id: generateId(), type, ...details, createdAt: new Date().toISOString() };
+};
+
+/**
+ * Replay a change list on a copy of a dataset
+ * @param {Object} dataset Original dataset
+ * @param {Array<Object>} [edits] Edits in the order they were made
+ * @returns {Object} Edited dataset; columns carry `role` and `excluded`, and
+ *   `editedCells` lists the "rowIndex:columnId" keys of changed cells
+ */
+export const applyEdits = (dataset, edits = []) => {
+  if (!dataset || edits.length === 0) return dataset;
+
+  const columns = dataset.columns.map(column => ({ ...column }));
+  const columnIndex = new Map(columns.map((column, index) => [column.id, index]));
+  const rows = [...dataset.rows];
+  const copiedRows = new Set();
+  const editedCells = new Set();
+  const editedColumns = new Set();
+  const typedColumns = new Set();
+
+  edits.forEach(edit => {
+    const index = columnIndex.get(edit.columnId);
+    if (index === undefined) return;
+    const column = columns[index];
+
+    switch (edit.type) {
+      case EDIT_TYPES.RENAME_COLUMN:
+        column.name = edit.name;
+        break;
+      case EDIT_TYPES.SET_COLUMN_TYPE:
+        column.type = edit.columnType;
+        typedColumns.add(index);
+        // Slash dates are read day- or month-first as the cells holding dates suggest
+        if (edit.columnType === COLUMN_TYPES.DATETIME && !column.dateOrder) {
+          const dates = rows.map(row => row[index])
+            .filter(value => parseDate(value, 'mdy') !== null || parseDate(value, 'dmy') !== null);
+          column.dateOrder = inferColumnType(column.name, dates).dateOrder || 'mdy';
+        }
+        break;
+      case EDIT_TYPES.SET_COLUMN_ROLE:
+        columns.forEach(other => {
+          if (edit.role && other.role === edit.role) delete other.role;
+        });
+        if (edit.role) column.role = edit.role;
+        else delete column.role;
+        break;
+      case EDIT_TYPES.SET_COLUMN_UNIT:
+        // Declares the unit the values are in; converting values is a cleaning step
+        if (edit.unit) column.unit = normalizeUnit(edit.unit);
+        else delete column.unit;
+        break;
+      case EDIT_TYPES.EXCLUDE_COLUMN:
+        column.excluded = Boolean(edit.excluded);
+        break;
+      case EDIT_TYPES.SET_CELL:
+        if (!rows[edit.rowIndex]) return;
+        if (!copiedRows.has(edit.rowIndex)) {
+          rows[edit.rowIndex] = [...rows[edit.rowIndex]];
+          copiedRows.add(edit.rowIndex);
+        }
+        rows[edit.rowIndex][index] = edit.value;
+        editedCells.add(`${edit.rowIndex}:${edit.columnId}`);
+        editedColumns.add(index);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Cell fixes change the counts of their columns, and their inferred type
+  // unless the user chose one
+  editedColumns.forEach(index => {
+    const values = rows.map(row => row[index]);
+    if (!typedColumns.has(index)) {
+      Object.assign(columns[index], inferColumnType(columns[index].name, values, dataset.source?.decimalSeparator));
+    }
+    Object.assign(columns[index], summarizeColumn(values));
+  });
+
+  return { ...dataset, columns, rows, editedCells: [...editedCells] };
+};
+
+/**
+ * Drop the columns marked as excluded, leaving the dataset the analysis uses
+ * @param {Object} dataset Dataset with edits applied
+ * @returns {Object} Dataset without excluded columns
+ */
+export const removeExcludedColumns = (dataset) => {
+  if (!dataset || !dataset.columns.some(column => column.excluded)) return dataset;
+
+  const kept = dataset.columns
+    .map((column, index) => ({ column, index }))
+    .filter(({ column }) => !column.excluded);
+
+  return {
+    ...dataset,
+    columns: kept.map(({ column }) => column),
+    rows: dataset.rows.map(row => kept.map(({ index }) => row[index]))
+  };
+};
+
+/**
+ * Check whether a column name can be used for a rename
+ * @param {Object} dataset Dataset with edits applied
+ * @param {string} columnId Column being renamed
+ * @param {string} name Proposed name
+ * @returns {string|null} Problem description, or null when the name is fine
+ */
+export const validateColumnName = (dataset, columnId, name) => {
+  const trimmed = name.trim();
+  if (!trimmed) return 'Column names cannot be empty';
+  if (dataset.columns.some(column => column.id !== columnId && column.name === trimmed)) {
+    return `There is already a column named "${trimmed}"`;
+  }
+  return null;
+};
+
+/**
+ * Describe an edit for the change list
+ * @param {Object} edit Edit
+ * @param {Object} dataset Original dataset, for the original column names and values
+ * @returns {string} Description
+ */
+export const describeEdit = (edit, dataset) => {
+  const index = dataset.columns.findIndex(column => column.id === edit.columnId);
+  const columnName = index >= 0 ? dataset.columns[index].name : edit.columnId;
+
+  switch (edit.type) {
+    case EDIT_TYPES.RENAME_COLUMN:
+      return `Renamed "${columnName}" to "${edit.name}"`;
+    case EDIT_TYPES.SET_COLUMN_TYPE:
+      return `Set type of "${columnName}" to ${edit.columnType}`;
+    case EDIT_TYPES.SET_COLUMN_ROLE:
+      return edit.role ? `Marked "${columnName}" as the ${edit.role} column` : `Cleared the role of "${columnName}"`;
+    case EDIT_TYPES.SET_COLUMN_UNIT:
+      return edit.unit ? `Set the unit of "${columnName}" to ${normalizeUnit(edit.unit)}` : `Cleared the unit of "${columnName}"`;
+    case EDIT_TYPES.EXCLUDE_COLUMN:
+      return edit.excluded ? `Excluded "${columnName}"` : `Included "${columnName}" again`;
+    case EDIT_TYPES.SET_CELL: {
+      const original = index >= 0 ? dataset.rows[edit.rowIndex]?.[index] : null;
+      const before = isMissing(original) ? 'empty' : `"${original}"`;
+      const after = isMissing(edit.value) ? 'empty' : `"${edit.value}"`;
+      return `Row ${edit.rowIndex + 1}, "${columnName}": ${before} → ${after}`;
+    }
+    default:
+      return edit.type;
+  }
+};
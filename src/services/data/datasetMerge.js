@@ -0,0 +1,387 @@
+/**
+ * datasetMerge.js
+ * Combines the datasets of several uploaded files into one analysis dataset,
+ * either by appending rows of files that share a schema or by joining files
+ * on a key column such as Sample ID.
+ *
+ * A merge is described by a plain JSON spec, so it can be stored and replayed:
+ *   { mode: 'append', columnMap, types, sourceColumn }
+ *   { mode: 'join', keys, how, conflicts }
+ * Columns are matched by name, since column IDs are only unique per file.
+ */
+import { COLUMN_TYPES, coerceValue, isMissing } from './schemaInference';
+import { summarizeColumn } from './dataset';
+import { canConvert, convertValue } from './units';
+
+export const MERGE_MODES = {
+  APPEND: 'append',
+  JOIN: 'join'
+};
+
+export const JOIN_TYPES = {
+  inner: 'Inner (rows whose key is in every file)',
+  left: 'Left (all rows of the first file)',
+  outer: 'Outer (all rows of all files)'
+};
+
+export const CONFLICT_RESOLUTIONS = {
+  suffix: 'Keep both (suffix with the file name)',
+  first: 'Keep the first file\'s column',
+  coalesce: 'Combine (first non-empty value)'
+};
+
+// Name of the column that records where appended rows came from
+export const SOURCE_COLUMN_NAME = 'Source File';
+
+// Header names that usually hold the join key
+const KEY_NAME_PATTERN = /^(sample[\s_-]*id|id|sample)$/i;
+
+// Helper function to generate dataset IDs
+const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Name of the file a dataset was read from
+ * @param {Object} dataset Dataset
+ * @returns {string} File name
+ */
+const fileNameOf = (dataset) => dataset.source?.fileName || dataset.name;
+
+/**
+ * Read a cell so it no longer depends on its file's conventions: numbers and
+ * dates become numbers, anything that does not parse keeps its raw text
+ * @returns {*} Normalized cell value
+ */
+const normalizeCell = (value, column, decimalSeparator) => {
+  if (isMissing(value)) return null;
+  if (column.type !== COLUMN_TYPES.NUMERIC && column.type !== COLUMN_TYPES.DATETIME) return value;
+  const typed = coerceValue(value, column, decimalSeparator);
+  return typed === null ? value : typed;
+};
+
+/**
+ * Suggest the key column of a dataset: its ID role, a Sample ID-like
+ * name, or the first ID-typed column
+ * @param {Object} dataset Dataset
+ * @returns {string|undefined} Column name
+ */
+export const suggestKeyColumn = (dataset) => (
+  dataset.columns.find(column => column.role === 'id')
+  || dataset.columns.find(column => KEY_NAME_PATTERN.test(column.name.trim()))
+  || dataset.columns.find(column => column.type === COLUMN_TYPES.ID)
+)?.name;
+
+/**
+ * Build a default merge spec for a set of datasets
+ * @param {Array<Object>} datasets Datasets in file order
+ * @param {string} mode One of MERGE_MODES
+ * @returns {Object} Merge spec
+ */
+export const createMergeSpec = (datasets, mode) => {
+  if (mode === MERGE_MODES.JOIN) {
+    return {
+      mode,
+      how: 'inner',
+      keys: Object.fromEntries(datasets.map(dataset => [fileNameOf(dataset), suggestKeyColumn(dataset) || dataset.columns[0]?.name])),
+      conflicts: {}
+    };
+  }
+  return { mode: MERGE_MODES.APPEND, columnMap: {}, types: {}, sourceColumn: true };
+};
+
+/**
+ * Target column name of a source column in an append (null when dropped)
+ * @returns {string|null} Target name
+ */
+const appendTarget = (spec, dataset, column) => {
+  const mapped = spec.columnMap?.[fileNameOf(dataset)]?.[column.name];
+  return mapped === undefined ? column.name : mapped;
+};
+
+/**
+ * Columns of the appended dataset, with the files and types behind each
+ * @returns {Array<Object>} { name, sources: [{ dataset, column }] }
+ */
+const appendLayout = (datasets, spec) => {
+  const layout = new Map();
+  datasets.forEach(dataset => {
+    dataset.columns.forEach(column => {
+      const target = appendTarget(spec, dataset, column);
+      if (!target) return;
+      if (!layout.has(target)) layout.set(target, { name: target, sources: [] });
+      layout.get(target).sources.push({ dataset, column });
+    });
+  });
+  return [...layout.values()];
+};
+
+/**
+ * Find what needs a decision before merging: for an append, columns missing
+ * from some files, columns whose type differs between files and columns
+ * recorded in different units; for a join, non-key columns that share a name
+ * @param {Array<Object>} datasets Datasets in file order
+ * @param {Object} spec Merge spec
+ * @returns {Array<Object>} Conflicts ({ kind, column, files, types, units, convertible })
+ */
+export const findMergeConflicts = (datasets, spec) => {
+  if (spec.mode === MERGE_MODES.JOIN) {
+    const owners = new Map();
+    datasets.forEach(dataset => {
+      const key = spec.keys?.[fileNameOf(dataset)];
+      dataset.columns.forEach(column => {
+        if (column.name === key) return;
+        owners.set(column.name, [...(owners.get(column.name) || []), fileNameOf(dataset)]);
+      });
+    });
+    return [...owners.entries()]
+      .filter(([, files]) => files.length > 1)
+      .map(([column, files]) => ({ kind: 'duplicateName', column, files }));
+  }
+
+  const allFiles = datasets.map(fileNameOf);
+  return appendLayout(datasets, spec).flatMap(({ name, sources }) => {
+    const conflicts = [];
+    const present = sources.map(source => fileNameOf(source.dataset));
+    const missingIn = allFiles.filter(file => !present.includes(file));
+    if (missingIn.length > 0) {
+      conflicts.push({ kind: 'missing', column: name, files: missingIn });
+    }
+    const types = Object.fromEntries(sources.map(source => [fileNameOf(source.dataset), source.column.type]));
+    if (new Set(Object.values(types)).size > 1) {
+      conflicts.push({ kind: 'typeMismatch', column: name, types });
+    }
+    const units = Object.fromEntries(sources
+      .filter(source => source.column.unit)
+      .map(source => [fileNameOf(source.dataset), source.column.unit]));
+    const distinctUnits = [...new Set(Object.values(units))];
+    if (distinctUnits.length > 1) {
+      const convertible = distinctUnits.every(unit => canConvert(unit, distinctUnits[0]));
+      conflicts.push({ kind: 'unitMismatch', column: name, units, convertible });
+    }
+    return conflicts;
+  });
+};
+
+/**
+ * Assemble the merged dataset
+ * @returns {Object} Dataset
+ */
+const buildDataset = (datasets, spec, columns, rows, warnings, stats) => ({
+  id: generateId(),
+  name: `Merged: ${datasets.map(fileNameOf).join(' + ')}`,
+  source: {
+    fileName: datasets.map(fileNameOf).join(' + '),
+    format: 'merge',
+    files: datasets.map(fileNameOf),
+    decimalSeparator: '.'
+  },
+  columns: columns.map((column, index) => ({
+    ...column,
+    id: `col_${index}`,
+    ...summarizeColumn(rows.map(row => row[index]))
+  })),
+  rows,
+  warnings,
+  merge: { spec, stats }
+});
+
+/**
+ * Append the rows of datasets that share a schema
+ * @returns {Object} Dataset
+ */
+const appendDatasets = (datasets, spec) => {
+  const layout = appendLayout(datasets, spec);
+  const columns = layout.map(({ name, sources }) => {
+    const { column } = sources[0];
+    const type = spec.types?.[name] || column.type;
+    const definition = { name, type };
+    if (type === column.type && column.dateOrder) definition.dateOrder = column.dateOrder;
+    if (type === column.type && column.timeOnly) definition.timeOnly = true;
+    if (column.role) definition.role = column.role;
+    const unit = sources.find(source => source.column.unit)?.column.unit;
+    if (unit) definition.unit = unit;
+    return definition;
+  });
+
+  const rows = [];
+  const rowsPerFile = {};
+  datasets.forEach(dataset => {
+    const decimalSeparator = dataset.source?.decimalSeparator;
+    // Cells are read as the merged column's type, so a column chosen to be
+    // numeric also parses the values of files where it was inferred as text
+    const positions = layout.map(({ sources }, target) => {
+      const source = sources.find(item => item.dataset === dataset);
+      if (!source) return null;
+      return {
+        index: dataset.columns.indexOf(source.column),
+        column: { ...source.column, type: columns[target].type },
+        // Numbers recorded in another unit are converted to the merged column's unit
+        convertFrom: columns[target].type === COLUMN_TYPES.NUMERIC
+          && source.column.unit
+          && source.column.unit !== columns[target].unit
+          && canConvert(source.column.unit, columns[target].unit)
+          ? source.column.unit
+          : null
+      };
+    });
+
+    dataset.rows.forEach(row => {
+      const merged = positions.map((position, target) => {
+        if (!position) return null;
+        const value = normalizeCell(row[position.index], position.column, decimalSeparator);
+        return position.convertFrom && typeof value === 'number'
+          ? convertValue(value, position.convertFrom, columns[target].unit)
+          : value;
+      });
+      if (spec.sourceColumn) merged.push(fileNameOf(dataset));
+      rows.push(merged);
+    });
+    rowsPerFile[fileNameOf(dataset)] = dataset.rows.length;
+  });
+
+  if (spec.sourceColumn) {
+    columns.push({ name: SOURCE_COLUMN_NAME, type: COLUMN_TYPES.CATEGORICAL, role: columns.some(column => column.role === 'group') ? undefined : 'group' });
+  }
+
+  const conflicts = findMergeConflicts(datasets, spec);
+  const warnings = [
+    ...conflicts
+      .filter(conflict => conflict.kind === 'missing')
+      .map(conflict => `"${conflict.column}" is missing in ${conflict.files.join(', ')}; those rows are empty in that column.`),
+    ...conflicts
+      .filter(conflict => conflict.kind === 'unitMismatch')
+      .map(conflict => {
+        const target = columns.find(column => column.name === conflict.column);
+        return conflict.convertible && target.type === COLUMN_TYPES.NUMERIC
+          ? `"${conflict.column}" was converted to ${target.unit} in every file.`
+          : `"${conflict.column}" is recorded in different units (${Object.values(conflict.units).join(', ')}) that cannot be converted.`;
+      })
+  ];
+
+  return buildDataset(datasets, spec, columns, rows, warnings, { rowsPerFile });
+};
+
+/**
+ * Index the rows of a dataset by their key value
+ * @returns {Map<string, Array<number>>} Row indexes per key
+ */
+const indexByKey = (dataset, keyIndex) => {
+  const index = new Map();
+  const column = dataset.columns[keyIndex];
+  dataset.rows.forEach((row, rowIndex) => {
+    const value = normalizeCell(row[keyIndex], column, dataset.source?.decimalSeparator);
+    if (value === null) return;
+    const key = String(value).trim();
+    index.set(key, [...(index.get(key) || []), rowIndex]);
+  });
+  return index;
+};
+
+/**
+ * Join datasets on their key columns, folding from the first file onwards
+ * @returns {Object} Dataset
+ */
+const joinDatasets = (datasets, spec) => {
+  const how = spec.how || 'inner';
+  const warnings = [];
+  const stats = { unmatched: {}, duplicateKeys: {} };
+
+  const first = datasets[0];
+  const firstKey = first.columns.findIndex(column => column.name === spec.keys?.[fileNameOf(first)]);
+  if (firstKey < 0) throw new Error(`Choose a key column for ${fileNameOf(first)}`);
+
+  // The running result: column definitions, rows and the key of each row
+  let columns = first.columns.map(column => ({ ...column }));
+  let rows = first.rows.map(row => first.columns.map((column, index) => (
+    normalizeCell(row[index], column, first.source?.decimalSeparator)
+  )));
+  const keyOf = (row) => (row[firstKey] === null ? null : String(row[firstKey]).trim());
+
+  datasets.slice(1).forEach(dataset => {
+    const fileName = fileNameOf(dataset);
+    const keyIndex = dataset.columns.findIndex(column => column.name === spec.keys?.[fileName]);
+    if (keyIndex < 0) throw new Error(`Choose a key column for ${fileName}`);
+
+    const decimalSeparator = dataset.source?.decimalSeparator;
+    const rightIndex = indexByKey(dataset, keyIndex);
+    const duplicates = [...rightIndex.values()].filter(matches => matches.length > 1).length;
+    if (duplicates > 0) {
+      stats.duplicateKeys[fileName] = duplicates;
+      warnings.push(`${duplicates} key value${duplicates !== 1 ? 's occur' : ' occurs'} more than once in ${fileName}; matching rows were repeated.`);
+    }
+
+    // Decide where each right-hand column goes
+    const placements = [];
+    const newColumns = [...columns];
+    dataset.columns.forEach((column, index) => {
+      if (index === keyIndex) return;
+      const existing = newColumns.findIndex(item => item.name === column.name);
+      const resolution = spec.conflicts?.[column.name] || 'suffix';
+
+      if (existing >= 0 && resolution === 'first') return;
+      if (existing >= 0 && resolution === 'coalesce') {
+        placements.push({ from: index, to: existing, coalesce: true });
+        return;
+      }
+      const name = existing >= 0 ? `${column.name} (${fileName})` : column.name;
+      placements.push({ from: index, to: newColumns.length });
+      newColumns.push({ ...column, name });
+    });
+
+    const width = newColumns.length;
+    const readRight = (rightRow, placement) => normalizeCell(rightRow[placement.from], dataset.columns[placement.from], decimalSeparator);
+    const combine = (leftRow, rightRow) => {
+      const merged = Array.from({ length: width }, (_, index) => (leftRow ? leftRow[index] ?? null : null));
+      if (rightRow) {
+        placements.forEach(placement => {
+          const value = readRight(rightRow, placement);
+          if (!placement.coalesce || merged[placement.to] === null) merged[placement.to] = value;
+        });
+      }
+      return merged;
+    };
+
+    const joined = [];
+    const usedRight = new Set();
+    let unmatchedLeft = 0;
+    rows.forEach(leftRow => {
+      const key = keyOf(leftRow);
+      const matches = key === null ? [] : rightIndex.get(key) || [];
+      matches.forEach(rightRowIndex => {
+        usedRight.add(rightRowIndex);
+        joined.push(combine(leftRow, dataset.rows[rightRowIndex]));
+      });
+      if (matches.length === 0) {
+        unmatchedLeft += 1;
+        if (how !== 'inner') joined.push(combine(leftRow, null));
+      }
+    });
+
+    const unmatchedRight = dataset.rows.filter((_, rowIndex) => !usedRight.has(rowIndex));
+    if (how === 'outer') {
+      unmatchedRight.forEach(rightRow => {
+        const row = combine(null, rightRow);
+        row[firstKey] = normalizeCell(rightRow[keyIndex], dataset.columns[keyIndex], decimalSeparator);
+        joined.push(row);
+      });
+    }
+
+    stats.unmatched[fileName] = { left: unmatchedLeft, right: unmatchedRight.length };
+    columns = newColumns;
+    rows = joined;
+  });
+
+  return buildDataset(datasets, spec, columns, rows, warnings, stats);
+};
+
+/**
+ * Merge several datasets into one according to a merge spec
+ * @param {Array<Object>} datasets Datasets in file order
+ * @param {Object} spec Merge spec
+ * @returns {Object} Merged dataset, with the spec and merge statistics in `merge`
+ */
+export const mergeDatasets = (datasets, spec) => {
+  if (datasets.length < 2) {
+    throw new Error('Merging needs at least two parsed files');
+  }
+  return spec.mode === MERGE_MODES.JOIN ? joinDatasets(datasets, spec) : appendDatasets(datasets, spec);
+};
@@ -0,0 +1,70 @@
+/**
+ * htmlTables.js
+ * Reads the tables of an HTML document (such as a filled-in copy of the data
+ * collection template) into cell matrices. Uses a tag scanner instead of
+ * DOMParser so it also runs off the main thread.
+ */
+
+const TABLE_PATTERN = /<table\b[^>]*>([\s\S]*?)<\/table>/gi;
+const ROW_PATTERN = /<tr\b[^>]*>([\s\S]*?)<\/tr>/gi;
+const CELL_PATTERN = /<(td|th)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+const COLSPAN_PATTERN = /colspan\s*=\s*["']?(\d+)/i;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Replace character references with the characters they stand for
+ * @param {string} text HTML text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' || entity[1] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Convert the inner HTML of a cell to plain text
+ * @param {string} html Cell contents
+ * @returns {string} Cell text with line breaks kept
+ */
+const cellText = (html) => decodeEntities(
+  html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+)
+  .split('\n')
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean)
+  .join('\n');
+
+/**
+ * Read every table in an HTML document. Cells spanning several columns are
+ * followed by empty cells so the columns of each row stay aligned.
+ * @param {string} html HTML document
+ * @returns {Array<Array<Array<string|null>>>} One cell matrix per table
+ */
+export const readHtmlTables = (html) => {
+  const source = html.replace(/<!--[\s\S]*?-->/g, '');
+
+  return [...source.matchAll(TABLE_PATTERN)].map(([, table]) => (
+    [...table.matchAll(ROW_PATTERN)].map(([, row]) => (
+      [...row.matchAll(CELL_PATTERN)].flatMap(([, , attributes, content]) => {
+        const span = Number(attributes.match(COLSPAN_PATTERN)?.[1] || 1);
+        const text = cellText(content);
+        return [text === '' ? null : text, ...Array(Math.max(span - 1, 0)).fill(null)];
+      })
+    ))
+  )).filter(rows => rows.length > 0);
+};
@@ -0,0 +1,26 @@
+/**
+ * parseWorker.js
+ * Web Worker that parses one uploaded file off the main thread. It streams
+ * delimited files in chunks, reports progress, and posts the dataset back in
+ * columnar form with the numeric column buffers transferred.
+ *
+ * Messages in:  { file, options }
+ * Messages out: { type: 'progress', progress: { phase, loaded, total } }
+ *               { type: 'result', dataset }   (columnar dataset)
+ *               { type: 'error', message }
+ * Cancellation terminates the worker.
+ */
+import dataService from '../dataService';
+import { toColumnar, getTransferList } from './columnar';
+
+self.onmessage = async ({ data: { file, options } }) => {
+  try {
+    const dataset = await dataService.parseFile(file, options, {
+      onProgress: progress => self.postMessage({ type: 'progress', progress })
+    });
+    const columnar = toColumnar(dataset);
+    self.postMessage({ type: 'result', dataset: columnar }, getTransferList(columnar));
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,255 @@
+/**
+ * schemaInference.js
+ * Cell value parsing and column type inference for parsed datasets
+ */
+
+/**
+ * Column types understood by the analysis and visualization steps
+ */
+export const COLUMN_TYPES = {
+  NUMERIC: 'numeric',
+  CATEGORICAL: 'categorical',
+  DATETIME: 'datetime',
+  BOOLEAN: 'boolean',
+  ID: 'id',
+  TEXT: 'text'
+};
+
+// Cell contents that represent a missing value
+const MISSING_TOKENS = new Set(['', 'na', 'n/a', 'nan', 'null', 'none', '-', '.', '#n/a', '?']);
+
+const TRUE_TOKENS = new Set(['true', 'yes', 'y', 't']);
+const FALSE_TOKENS = new Set(['false', 'no', 'n', 'f']);
+
+// Headers that usually hold identifiers
+const ID_HEADER_PATTERN = /(^|[\s_-])(id|identifier|code|no\.?|number)$/i;
+
+// Categorical columns rarely have more distinct values than this
+const MAX_CATEGORIES = 30;
+
+// Free-text columns tend to have long values
+const TEXT_MIN_AVERAGE_LENGTH = 40;
+
+/**
+ * Check whether a cell value should be treated as missing
+ * @param {*} value Raw cell value
+ * @returns {boolean} True when the value is missing
+ */
+export const isMissing = (value) => {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'number') return Number.isNaN(value);
+  if (typeof value !== 'string') return false;
+  return MISSING_TOKENS.has(value.trim().toLowerCase());
+};
+
+/**
+ * Parse a number written with either decimal convention.
+ * Thousands separators, a leading plus sign and scientific notation are accepted.
+ * @param {*} value Raw cell value
+ * @param {string} [decimalSeparator='.'] Decimal separator used in the file
+ * @returns {number|null} Parsed number or null
+ */
+export const parseNumber = (value, decimalSeparator = '.') => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let text = value.trim().replace(/\s/g, '');
+  if (text === '') return null;
+
+  if (decimalSeparator === ',') {
+    if (!/^[-+]?(\d{1,3}(\.\d{3})+|\d+)?(,\d+)?([eE][-+]?\d+)?$/.test(text)) return null;
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    if (!/^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return null;
+    text = text.replace(/,/g, '');
+  }
+
+  if (!/\d/.test(text)) return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse a boolean cell (true/false, yes/no, y/n, t/f)
+ * @param {*} value Raw cell value
+ * @returns {boolean|null} Parsed boolean or null
+ */
+export const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return null;
+  const token = value.trim().toLowerCase();
+  if (TRUE_TOKENS.has(token)) return true;
+  if (FALSE_TOKENS.has(token)) return false;
+  return null;
+};
+
+/**
+ * Parse a time of day (HH:MM, HH:MM:SS, optional AM/PM)
+ * @param {*} value Raw cell value
+ * @returns {number|null} Milliseconds since midnight or null
+ */
+export const parseTime = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = Number(match[3] || 0);
+  const millis = Number((match[4] || '0').padEnd(3, '0'));
+  const meridiem = match[5]?.toLowerCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + millis;
+};
+
+/**
+ * Build a UTC timestamp and reject impossible dates such as 31/02
+ * @returns {number|null} Timestamp or null
+ */
+const buildDate = (year, month, day) => {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const timestamp = Date.UTC(year, month - 1, day);
+  const date = new Date(timestamp);
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return timestamp;
+};
+
+/**
+ * Parse a calendar date, optionally followed by a time of day and a UTC offset.
+ * Slash or dot separated dates are read using the column's day/month order.
+ * @param {*} value Raw cell value
+ * @param {string} [dateOrder='mdy'] 'mdy' or 'dmy' for ambiguous dates
+ * @returns {number|null} UTC timestamp in milliseconds or null
+ */
+export const parseDate = (value, dateOrder = 'mdy') => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime();
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const [datePart, ...timeParts] = text.split(/[T\s]+/);
+  // A UTC offset ("Z", "+02:00") turns the local time into UTC, so timestamps
+  // written with different offsets compare correctly
+  const offsetMatch = timeParts.join(' ').match(/(?:Z|([+-])(\d{2}):?(\d{2}))$/);
+  const offset = offsetMatch?.[1]
+    ? (offsetMatch[1] === '-' ? -1 : 1) * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3])) * 60000
+    : 0;
+  const timeText = offsetMatch ? timeParts.join(' ').slice(0, offsetMatch.index) : timeParts.join(' ');
+  const parsedTime = timeText ? parseTime(timeText) : 0;
+  if (parsedTime === null) return null;
+  const timeOfDay = parsedTime - offset;
+
+  let match = datePart.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) {
+    const date = buildDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    return date === null ? null : date + timeOfDay;
+  }
+
+  match = datePart.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (match) {
+    let year = Number(match[3]);
+    if (match[3].length === 2) year += year < 70 ? 2000 : 1900;
+    const [month, day] = dateOrder === 'dmy'
+      ? [Number(match[2]), Number(match[1])]
+      : [Number(match[1]), Number(match[2])];
+    const date = buildDate(year, month, day);
+    return date === null ? null : date + timeOfDay;
+  }
+
+  return null;
+};
+
+/**
+ * Decide whether slash dates in a column are day-first or month-first
+ * @param {Array<string>} values Non-missing cell values
+ * @returns {string} 'dmy' or 'mdy'
+ */
+const detectDateOrder = (values) => {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  values.forEach(value => {
+    const match = typeof value === 'string' && value.trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.]\d{2,4}/);
+    if (!match) return;
+    if (Number(match[1]) > 12) dayFirst += 1;
+    if (Number(match[2]) > 12) monthFirst += 1;
+  });
+  return dayFirst > monthFirst ? 'dmy' : 'mdy';
+};
+
+/**
+ * Convert a raw cell value into the typed value for its column
+ * @param {*} value Raw cell value
+ * @param {Object} column Column definition from the dataset schema
+ * @param {string} [decimalSeparator='.'] Decimal separator used in the file
+ * @returns {*} number, boolean, timestamp, string, or null when missing/invalid
+ */
+export const coerceValue = (value, column, decimalSeparator = '.') => {
+  if (isMissing(value)) return null;
+
+  switch (column.type) {
+    case COLUMN_TYPES.NUMERIC:
+      return parseNumber(value, decimalSeparator);
+    case COLUMN_TYPES.BOOLEAN:
+      return parseBoolean(value);
+    case COLUMN_TYPES.DATETIME:
+      if (typeof value === 'number') return value;
+      return column.timeOnly ? parseTime(value) : parseDate(value, column.dateOrder);
+    default:
+      return typeof value === 'string' ? value.trim() : String(value);
+  }
+};
+
+/**
+ * Infer the type of a single column from its header and values
+ * @param {string} header Column header text
+ * @param {Array<*>} values Raw cell values for the column
+ * @param {string} [decimalSeparator='.'] Decimal separator used in the file
+ * @returns {Object} Partial column definition ({ type, dateOrder?, timeOnly? })
+ */
+export const inferColumnType = (header, values, decimalSeparator = '.') => {
+  const present = values.filter(value => !isMissing(value));
+  if (present.length === 0) return { type: COLUMN_TYPES.TEXT };
+
+  if (present.every(value => typeof value === 'boolean' || parseBoolean(value) !== null)) {
+    return { type: COLUMN_TYPES.BOOLEAN };
+  }
+
+  const distinct = new Set(present.map(value => (typeof value === 'string' ? value.trim() : value)));
+  const allUnique = distinct.size === present.length;
+  const looksLikeId = ID_HEADER_PATTERN.test(String(header).trim());
+
+  if (present.every(value => parseNumber(value, decimalSeparator) !== null)) {
+    // Unique integer codes under an ID-style header are identifiers, not measurements
+    const integers = present.every(value => Number.isInteger(parseNumber(value, decimalSeparator)));
+    if (looksLikeId && allUnique && integers) return { type: COLUMN_TYPES.ID };
+    return { type: COLUMN_TYPES.NUMERIC };
+  }
+
+  if (present.every(value => value instanceof Date || parseTime(value) !== null)) {
+    return { type: COLUMN_TYPES.DATETIME, timeOnly: present.every(value => !(value instanceof Date)) };
+  }
+
+  const dateOrder = detectDateOrder(present);
+  if (present.every(value => parseDate(value, dateOrder) !== null)) {
+    return { type: COLUMN_TYPES.DATETIME, dateOrder };
+  }
+
+  if (allUnique && (looksLikeId || present.length > MAX_CATEGORIES)) {
+    return { type: COLUMN_TYPES.ID };
+  }
+
+  const averageLength = present.reduce((sum, value) => sum + String(value).length, 0) / present.length;
+  if (averageLength >= TEXT_MIN_AVERAGE_LENGTH) return { type: COLUMN_TYPES.TEXT };
+
+  if (distinct.size <= MAX_CATEGORIES || distinct.size <= present.length / 2) {
+    return { type: COLUMN_TYPES.CATEGORICAL };
+  }
+
+  return { type: COLUMN_TYPES.TEXT };
+};
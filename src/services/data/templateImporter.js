@@ -0,0 +1,174 @@
+/**
+ * templateImporter.js
+ * Recognises filled-in copies of the data collection template
+ * (public/data_collection_template.*): a metadata block with the experiment
+ * details, followed by the measurement table that becomes the dataset.
+ */
+import { isMissing } from './schemaInference';
+
+// Metadata fields of the template, keyed by the experiment property they fill
+export const TEMPLATE_FIELDS = [
+  { key: 'title', label: 'Experiment Title' },
+  { key: 'researcher', label: 'Researcher Name' },
+  { key: 'date', label: 'Date' },
+  { key: 'hypothesis', label: 'Hypothesis' }
+];
+
+// The measurement table starts at the row holding this column
+const TABLE_KEY_COLUMN = 'sample id';
+
+// How far down the sheet to look for the measurement table
+const MAX_LAYOUT_ROWS = 50;
+
+// Placeholders shipped in the template, e.g. "[Enter your name]" or "[Value]"
+const PLACEHOLDER_PATTERN = /^\[[^\]]*\]$/;
+
+// Filler rows such as "... Additional rows as needed ..."
+const FILLER_ROW_PATTERN = /^\.{3}/;
+
+/**
+ * Get the trimmed text of a cell, treating template placeholders as empty
+ * @param {*} value Raw cell value
+ * @returns {string} Cell text
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().substr(0, 10);
+  const text = String(value).trim();
+  return PLACEHOLDER_PATTERN.test(text) ? '' : text;
+};
+
+/**
+ * Match a cell against the metadata labels. A label may end with a colon and
+ * may carry its value in the same cell ("Date: 2025-06-01").
+ * @param {*} value Raw cell value
+ * @returns {{ field: Object, value: string }|null} Matched field and inline value
+ */
+const matchLabel = (value) => {
+  const text = cellText(value);
+  for (const field of TEMPLATE_FIELDS) {
+    const match = text.match(new RegExp(`^${field.label}\\s*(?::\\s*([\\s\\S]*))?$`, 'i'));
+    if (match) return { field, value: cellText(match[1]) };
+  }
+  return null;
+};
+
+/**
+ * Check whether a row has no content
+ * @param {Array<*>} row Row cells
+ * @returns {boolean} True when every cell is empty
+ */
+const isBlankRow = (row) => row.every(cell => cellText(cell) === '');
+
+/**
+ * Find the header row of the measurement table
+ * @param {Array<Array<*>>} cells Cell matrix
+ * @returns {number} Row index, or -1 when there is none
+ */
+const findTableHeader = (cells) => cells.slice(0, MAX_LAYOUT_ROWS).findIndex(row => (
+  row.some(cell => cellText(cell).toLowerCase() === TABLE_KEY_COLUMN)
+  && row.filter(cell => cellText(cell) !== '').length >= 3
+));
+
+/**
+ * Read the metadata block above the measurement table. Each label takes the
+ * next filled cell to its right, unless that cell is another label.
+ * @param {Array<Array<*>>} rows Rows above the table header
+ * @returns {Object} Values keyed by field key, for the labels that were found
+ */
+const readMetadata = (rows) => {
+  const metadata = {};
+
+  rows.forEach(row => {
+    row.forEach((cell, index) => {
+      const label = matchLabel(cell);
+      if (!label || label.field.key in metadata) return;
+
+      let value = label.value;
+      if (!value) {
+        const next = row.slice(index + 1).find(candidate => cellText(candidate) !== '');
+        value = next !== undefined && !matchLabel(next) ? cellText(next) : '';
+      }
+      metadata[label.field.key] = value;
+    });
+  });
+
+  return metadata;
+};
+
+/**
+ * Detect the data collection template layout in a cell matrix and split it
+ * into experiment metadata and the measurement table.
+ *
+ * Template rows that only carry their pre-filled Sample ID are dropped, and
+ * the table ends at the first blank row after its data.
+ * @param {Array<Array<*>>} cells Cell matrix (CSV rows, worksheet cells or HTML tables)
+ * @returns {Object|null} `{ metadata, header, rows, headerRow, emptyFields,
+ *   emptyColumns, unfilledRows }`, or null when the layout is not found
+ */
+export const extractTemplate = (cells) => {
+  const headerRow = findTableHeader(cells);
+  if (headerRow < 0) return null;
+
+  const metadata = readMetadata(cells.slice(0, headerRow));
+  if (Object.keys(metadata).length < 2) return null;
+
+  const header = cells[headerRow].map(cell => cellText(cell));
+  const keyIndex = header.findIndex(name => name.toLowerCase() === TABLE_KEY_COLUMN);
+
+  const body = [];
+  for (const row of cells.slice(headerRow + 1)) {
+    if (isBlankRow(row)) {
+      if (body.length > 0) break;
+      continue;
+    }
+    body.push(row);
+  }
+
+  const dataRows = body
+    .filter(row => !FILLER_ROW_PATTERN.test(cellText(row.find(cell => cellText(cell) !== ''))))
+    .map(row => row.map(cell => (typeof cell === 'string' && cellText(cell) === '' ? '' : cell)));
+  const rows = dataRows.filter(row => row.some((cell, index) => index !== keyIndex && !isMissing(cell)));
+
+  const emptyFields = TEMPLATE_FIELDS
+    .filter(field => !metadata[field.key])
+    .map(field => field.label);
+
+  const emptyColumns = header.filter((name, index) => (
+    name !== '' && rows.every(row => isMissing(row[index]))
+  ));
+
+  return {
+    metadata: TEMPLATE_FIELDS.reduce((values, field) => ({ ...values, [field.key]: metadata[field.key] || '' }), {}),
+    header,
+    rows,
+    headerRow,
+    emptyFields,
+    emptyColumns,
+    unfilledRows: dataRows.length - rows.length
+  };
+};
+
+/**
+ * Describe the parts of an imported template that were left empty
+ * @param {Object} template Result of extractTemplate
+ * @returns {Array<string>} Human-readable notes
+ */
+export const describeEmptyFields = (template) => {
+  const notes = [];
+
+  if (template.emptyFields.length > 0) {
+    notes.push(`Experiment details left empty: ${template.emptyFields.join(', ')}.`);
+  }
+  if (template.emptyColumns.length > 0) {
+    notes.push(`Measurement columns with no values: ${template.emptyColumns.join(', ')}.`);
+  }
+  if (template.unfilledRows > 0) {
+    notes.push(`${template.unfilledRows} template row${template.unfilledRows !== 1 ? 's were' : ' was'} not filled in and ${template.unfilledRows !== 1 ? 'were' : 'was'} skipped.`);
+  }
+  if (template.rows.length === 0) {
+    notes.push('The measurement table has no data yet.');
+  }
+
+  return notes;
+};
@@ -0,0 +1,161 @@
+/**
+ * templateValidator.js
+ * Checks a parsed dataset against the column definitions produced by
+ * protocolService.generateDataTemplate: required columns and values, value
+ * types, valid dates and times, and unique Sample IDs.
+ */
+import { isMissing, parseNumber, parseDate, parseTime } from './schemaInference';
+
+// Template column holding the sample identifier, which must be unique
+const SAMPLE_ID_COLUMN = 'sample_id';
+
+/**
+ * Normalize a column name for matching: lower case, single spaces,
+ * underscores treated as spaces
+ * @param {string} name Column name
+ * @returns {string} Normalized name
+ */
+const normalizeName = (name) => String(name).trim().toLowerCase().replace(/[\s_]+/g, ' ');
+
+/**
+ * Find the dataset columns that hold a template column. Besides an exact name
+ * or ID match, numbered repeats such as "Measurement 1", "Measurement 2" all
+ * belong to the "Measurement" template column.
+ * @param {Object} dataset Dataset
+ * @param {Object} templateColumn Template column definition
+ * @returns {Array<Object>} Matching dataset columns
+ */
+const matchColumns = (dataset, templateColumn) => {
+  const names = [normalizeName(templateColumn.name), normalizeName(templateColumn.id)];
+  return dataset.columns.filter(column => {
+    const name = normalizeName(column.name);
+    return names.some(candidate => name === candidate || new RegExp(`^${candidate} ?\\d+$`).test(name));
+  });
+};
+
+/**
+ * Check one value against a template type
+ * @param {*} value Raw cell value
+ * @param {string} type Template type: text, number, date or time
+ * @param {Object} column Dataset column
+ * @param {string} decimalSeparator Decimal separator of the source file
+ * @returns {string|null} Problem description, or null when the value is valid
+ */
+const checkType = (value, type, column, decimalSeparator) => {
+  switch (type) {
+    case 'number':
+      return parseNumber(value, decimalSeparator) === null ? 'Not a number' : null;
+    case 'date':
+      return parseDate(value, column.dateOrder) === null ? 'Not a valid date' : null;
+    case 'time':
+      if (value instanceof Date) return null;
+      return parseTime(String(value)) === null && parseDate(value, column.dateOrder) === null
+        ? 'Not a valid time'
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate a dataset against a data collection template
+ * @param {Object} dataset Dataset to check
+ * @param {Object} template Template from protocolService.generateDataTemplate
+ * @returns {Object} Report with `valid`, `errors` ({ row, column, value, message }),
+ *   per-template-column results in `columns`, and `missingColumns`
+ */
+export const validateDataset = (dataset, template) => {
+  const errors = [];
+  const missingColumns = [];
+  const decimalSeparator = dataset.source?.decimalSeparator || '.';
+
+  const columns = template.columns.map(templateColumn => {
+    const matched = matchColumns(dataset, templateColumn);
+    const result = {
+      id: templateColumn.id,
+      name: templateColumn.name,
+      type: templateColumn.type,
+      required: Boolean(templateColumn.required),
+      matched: matched.map(column => column.name),
+      errorCount: 0
+    };
+
+    if (matched.length === 0) {
+      if (result.required) {
+        missingColumns.push(templateColumn.name);
+        errors.push({ row: null, column: templateColumn.name, value: null, message: 'Required column is missing' });
+        result.errorCount = 1;
+      }
+      return result;
+    }
+
+    matched.forEach(column => {
+      const index = dataset.columns.indexOf(column);
+      const seen = new Map();
+
+      dataset.rows.forEach((row, rowIndex) => {
+        const value = row[index];
+        const addError = (message) => {
+          errors.push({ row: rowIndex + 1, column: column.name, value, message });
+          result.errorCount += 1;
+        };
+
+        if (isMissing(value)) {
+          if (result.required) addError('Required value is missing');
+          return;
+        }
+
+        const problem = checkType(value, templateColumn.type, column, decimalSeparator);
+        if (problem) addError(problem);
+
+        if (templateColumn.id === SAMPLE_ID_COLUMN) {
+          const key = String(value).trim();
+          if (seen.has(key)) {
+            addError(`Duplicate Sample ID (first used in row ${seen.get(key)})`);
+          } else {
+            seen.set(key, rowIndex + 1);
+          }
+        }
+      });
+    });
+
+    return result;
+  });
+
+  // Report problems in reading order: column-level first, then by row
+  errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+
+  return {
+    templateId: template.id,
+    datasetName: dataset.name,
+    checkedRows: dataset.rows.length,
+    valid: errors.length === 0,
+    errors,
+    columns,
+    missingColumns
+  };
+};
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value Cell value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn a validation report into CSV text for download
+ * @param {Object} report Result of validateDataset
+ * @returns {string} CSV with one line per problem
+ */
+export const validationReportToCsv = (report) => {
+  const lines = [['Row', 'Column', 'Value', 'Problem'].join(',')];
+  report.errors.forEach(error => {
+    lines.push([error.row ?? 'All rows', error.column, error.value, error.message].map(csvField).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
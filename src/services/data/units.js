@@ -0,0 +1,226 @@
+/**
+ * units.js
+ * Units of measurement for dataset columns: reading them from headers such as
+ * "Temperature (°C)" or "Volume [mL]" or from a units row, and converting
+ * values between compatible units.
+ *
+ * Units outside the conversion table (mg, OD600, ...) are still kept and
+ * shown, they just cannot be converted.
+ */
+import { COLUMN_TYPES } from './schemaInference';
+
+// Convertible units per dimension. Linear units convert through `factor`
+// (size of the unit in the dimension's base unit); temperatures are affine.
+const UNIT_TABLE = {
+  temperature: {
+    '°C': { toBase: value => value + 273.15, fromBase: value => value - 273.15 },
+    K: { toBase: value => value, fromBase: value => value },
+    '°F': { toBase: value => ((value - 32) * 5) / 9 + 273.15, fromBase: value => ((value - 273.15) * 9) / 5 + 32 }
+  },
+  volume: {
+    L: { factor: 1 },
+    mL: { factor: 1e-3 },
+    'µL': { factor: 1e-6 }
+  },
+  concentration: {
+    M: { factor: 1 },
+    mM: { factor: 1e-3 },
+    'µM': { factor: 1e-6 },
+    nM: { factor: 1e-9 }
+  },
+  time: {
+    s: { factor: 1 },
+    min: { factor: 60 },
+    h: { factor: 3600 }
+  }
+};
+
+// Other spellings of the convertible units, keyed by their lower-case form.
+// Concentrations are matched case-sensitively only: "nm" and "mm" are lengths.
+const UNIT_ALIASES = {
+  '°c': '°C', 'ºc': '°C', degc: '°C', 'deg c': '°C', celsius: '°C',
+  k: 'K', kelvin: 'K',
+  '°f': '°F', 'ºf': '°F', degf: '°F', 'deg f': '°F', fahrenheit: '°F',
+  l: 'L', liter: 'L', litre: 'L',
+  ml: 'mL',
+  'µl': 'µL', ul: 'µL',
+  molar: 'M',
+  s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+  min: 'min', mins: 'min', minute: 'min', minutes: 'min',
+  h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h'
+};
+
+// Trailing "(unit)" or "[unit]" in a header
+const HEADER_UNIT_PATTERN = /^(.*\S)\s*[([]\s*([^()[\]]+?)\s*[)\]]$/;
+
+// Bracketed text with a unit symbol such as %, / or ° is read as a unit even
+// though it is not convertible ("mg/mL", "% w/v", "°")
+const SYMBOL_UNIT_PATTERN = /^(?=.*[a-zA-Zµμ°%])[^\s]*[/%°µμ^·][^\s]*$/;
+
+// Common units outside the conversion table, keyed by their lower-case form.
+// Other short words in brackets ("KO", "WT", "het") are labels, not units,
+// and so are single letters ("Group (A)").
+const KNOWN_UNITS = new Set([
+  'kg', 'mg', 'µg', 'ng', 'pg', 'mol', 'mmol', 'µmol', 'nmol', 'pmol',
+  'cm', 'mm', 'µm', 'nm', 'ms', 'µs', 'day', 'days', 'wk', 'week', 'weeks',
+  'rpm', 'hz', 'khz', 'mv', 'ma', 'pa', 'kpa', 'psi', 'bar', 'kj', 'cal', 'kcal', 'lux', 'db',
+  'au', 'rfu', 'rlu', 'cfu', 'pfu', 'cpm', 'dpm', 'iu', 'bp', 'kb', 'kda', 'ppm', 'ppb', 'ph'
+]);
+
+// Absorbance or optical density at a wavelength, e.g. "OD600" or "A260"
+const ABSORBANCE_PATTERN = /^(od|a)\s?\d{3}$/i;
+
+/**
+ * Find the dimension a unit belongs to
+ * @param {string} unit Standard unit
+ * @returns {string|null} Dimension name (temperature, volume, concentration, time)
+ */
+const findDimension = (unit) => (
+  Object.keys(UNIT_TABLE).find(dimension => UNIT_TABLE[dimension][unit]) || null
+);
+
+/**
+ * Bring a unit to its standard spelling (µ as the micro sign, "°C", "mL", ...)
+ * @param {string} unit Unit as written
+ * @returns {string} Standard unit, or the trimmed input when it is not in the table
+ */
+export const normalizeUnit = (unit) => {
+  // The Greek letter mu is often typed for the micro sign
+  // and a plain "u" in "uL" or "uM"
+  const trimmed = String(unit ?? '').trim().replace(/μ/g, 'µ').replace(/^u(?=[LM]$)/, 'µ');
+  // "M" and "m" differ, so case-sensitive matches win over aliases
+  if (findDimension(trimmed)) return trimmed;
+  return UNIT_ALIASES[trimmed.toLowerCase()] || trimmed;
+};
+
+/**
+ * Check whether text reads as a unit
+ * @param {string} text Candidate unit
+ * @returns {boolean} True for convertible units, common lab units and tokens
+ *   with a unit symbol
+ */
+export const isUnit = (text) => {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) return false;
+  if (findDimension(normalizeUnit(trimmed))) return true;
+  return KNOWN_UNITS.has(trimmed.replace(/μ/g, 'µ').toLowerCase())
+    || ABSORBANCE_PATTERN.test(trimmed)
+    || SYMBOL_UNIT_PATTERN.test(trimmed);
+};
+
+/**
+ * Split a header into its name and unit
+ * @param {string} header Header text, e.g. "Volume [mL]"
+ * @returns {{ name: string, unit: (string|null) }} Name without the unit, and the unit
+ */
+export const parseHeaderUnit = (header) => {
+  const text = String(header ?? '').trim();
+  const match = text.match(HEADER_UNIT_PATTERN);
+  if (!match || !isUnit(match[2])) return { name: text, unit: null };
+  return { name: match[1], unit: normalizeUnit(match[2]) };
+};
+
+/**
+ * Check whether a row holds units for the columns above it: every filled
+ * cell is a unit, written bare ("mL") or in brackets ("(mL)")
+ * @param {Array<*>} row Row below the header
+ * @returns {Array<(string|null)>|null} Unit per cell, or null when it is not a units row
+ */
+export const parseUnitsRow = (row) => {
+  const cells = row.map(cell => String(cell ?? '').trim().replace(/^[([]\s*(.*?)\s*[)\]]$/, '$1'));
+  const filled = cells.filter(cell => cell !== '');
+  if (filled.length === 0 || !filled.every(isUnit)) return null;
+  // A row of plain short words ("a", "b") is data; require at least one convertible unit
+  if (!filled.some(cell => findDimension(normalizeUnit(cell)))) return null;
+  return cells.map(cell => (cell === '' ? null : normalizeUnit(cell)));
+};
+
+/**
+ * List the units a unit can be converted to, including itself
+ * @param {string} unit Unit
+ * @returns {Array<string>} Compatible units (empty when the unit is not convertible)
+ */
+export const getCompatibleUnits = (unit) => {
+  const dimension = findDimension(normalizeUnit(unit));
+  return dimension ? Object.keys(UNIT_TABLE[dimension]) : [];
+};
+
+/**
+ * Check whether values can be converted from one unit to another
+ * @param {string} from Current unit
+ * @param {string} to Target unit
+ * @returns {boolean} True when both units measure the same dimension
+ */
+export const canConvert = (from, to) => getCompatibleUnits(from).includes(normalizeUnit(to));
+
+/**
+ * Convert a value between compatible units. Results are rounded to 12
+ * significant digits so 1 mL becomes exactly 1000 µL.
+ * @param {number} value Value in the `from` unit
+ * @param {string} from Current unit
+ * @param {string} to Target unit
+ * @returns {number} Value in the `to` unit
+ */
+export const convertValue = (value, from, to) => {
+  const source = normalizeUnit(from);
+  const target = normalizeUnit(to);
+  if (!canConvert(source, target)) {
+    throw new Error(`Cannot convert ${source || 'unitless values'} to ${target}`);
+  }
+  if (source === target) return value;
+
+  const units = UNIT_TABLE[findDimension(source)];
+  const base = units[source].toBase ? units[source].toBase(value) : value * units[source].factor;
+  const result = units[target].fromBase ? units[target].fromBase(base) : base / units[target].factor;
+  return Number(result.toPrecision(12));
+};
+
+/**
+ * Label a column with its unit, e.g. "Temperature (°C)"
+ * @param {Object} column Column definition
+ * @returns {string} Label
+ */
+export const columnLabel = (column) => (column?.unit ? `${column.name} (${column.unit})` : column?.name || '');
+
+// Statistics measured in the same unit as the data, and those in its square
+const SAME_UNIT_STATISTICS = /^(mean|median|mode|min|max|minimum|maximum|range|std_?dev|sd|standard_deviation|se|sem|standard_error|q1|q3|iqr|quartile_\d|percentile_\d+|ci_(lower|upper)|mean_difference)$/;
+const SQUARED_UNIT_STATISTICS = /^variance$/;
+
+/**
+ * Unit of a statistic computed from a column with the given unit
+ * @param {string} statistic Statistic key, e.g. "mean" or "variance"
+ * @param {string} unit Column unit
+ * @returns {string|null} Unit of the statistic, or null when it has none
+ */
+export const statisticUnit = (statistic, unit) => {
+  if (!unit) return null;
+  const key = String(statistic).toLowerCase();
+  if (SAME_UNIT_STATISTICS.test(key)) return unit;
+  if (SQUARED_UNIT_STATISTICS.test(key)) return `${unit}²`;
+  return null;
+};
+
+/**
+ * Units of an analysis's numerical results. Results that say which unit each
+ * value has (`results.units`) are used as they are; otherwise the values are
+ * taken to describe the dataset's numeric columns, which only gives them a
+ * unit when those columns all share one.
+ * @param {Object} results Analysis results with `numericalResults`
+ * @param {Object} [dataset] Dataset the analysis ran on
+ * @returns {Object} Unit per result key, for the keys that have one
+ */
+export const resultUnits = (results, dataset) => {
+  if (results?.units) return results.units;
+  const numericUnits = new Set((dataset?.columns || [])
+    .filter(column => column.type === COLUMN_TYPES.NUMERIC)
+    .map(column => column.unit || ''));
+  const [unit] = numericUnits;
+  if (numericUnits.size !== 1 || !unit) return {};
+
+  const units = {};
+  Object.keys(results?.numericalResults || {}).forEach(key => {
+    const keyUnit = statisticUnit(key, unit);
+    if (keyUnit) units[key] = keyUnit;
+  });
+  return units;
+};
@@ -0,0 +1,336 @@
+/**
+ * xlsxReader.js
+ * Reads Office Open XML (.xlsx) workbooks into plain cell matrices.
+ * Handles shared and inline strings, booleans, error cells and date-formatted
+ * numbers in both the 1900 and 1904 date systems.
+ */
+import { openZip } from './zipReader';
+
+// Built-in number formats that display dates or times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+// Built-in number formats that display only a time of day
+const BUILTIN_TIME_FORMATS = new Set([18, 19, 20, 21, 45, 46, 47]);
+
+const MS_PER_DAY = 86400000;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Replace XML character and entity references
+ * @param {string} text Raw XML text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, ref) => {
+  if (ref[0] === '#') {
+    return String.fromCodePoint(ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+  }
+  return XML_ENTITIES[ref.toLowerCase()];
+});
+
+/**
+ * Parse the attributes of an XML start tag
+ * @param {string} text Attribute section of the tag
+ * @returns {Object} Attribute values keyed by local name
+ */
+const parseAttributes = (text = '') => {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const name = match[1].includes(':') && !match[1].startsWith('xmlns') ? match[1].split(':').pop() : match[1];
+    attributes[name] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+};
+
+/**
+ * Find all elements with the given local name (namespace prefixes are ignored)
+ * @param {string} xml XML text to search
+ * @param {string} tag Local element name
+ * @returns {Array<{ attributes: Object, inner: string }>} Matching elements
+ */
+const findElements = (xml, tag) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, 'g');
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    elements.push({ attributes: parseAttributes(match[1]), inner: match[2] || '' });
+  }
+  return elements;
+};
+
+/**
+ * Concatenate the text runs of a string item, skipping phonetic hints
+ * @param {string} xml Inner XML of an <si> or <is> element
+ * @returns {string} Plain text
+ */
+const readStringItem = (xml) => findElements(xml.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, ''), 't')
+  .map(element => decodeEntities(element.inner))
+  .join('');
+
+/**
+ * Convert a column letter (A, B, ..., AA) to a zero-based index
+ * @param {string} letters Column letters
+ * @returns {number} Column index
+ */
+export const columnIndex = (letters) => letters
+  .toUpperCase()
+  .split('')
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Convert a zero-based column index to its letter (0 → A, 26 → AA)
+ * @param {number} index Column index
+ * @returns {string} Column letters
+ */
+export const columnLetter = (index) => {
+  let letters = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const digit = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + digit) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+};
+
+/**
+ * Parse an A1-style cell reference
+ * @param {string} ref Reference such as "B3"
+ * @returns {{ row: number, col: number }|null} Zero-based position
+ */
+const parseCellRef = (ref) => {
+  const match = String(ref).trim().toUpperCase().match(/^\$?([A-Z]{1,3})\$?(\d+)$/);
+  if (!match) return null;
+  return { row: Number(match[2]) - 1, col: columnIndex(match[1]) };
+};
+
+/**
+ * Parse an A1-style range such as "B3:F40". A single cell reference means
+ * "from this cell to the end of the sheet".
+ * @param {string} range Range text
+ * @returns {{ startRow: number, startCol: number, endRow: number, endCol: number }} Zero-based inclusive bounds
+ */
+export const parseRange = (range) => {
+  const [start, end] = String(range).split(':');
+  const from = parseCellRef(start);
+  const to = end ? parseCellRef(end) : { row: Infinity, col: Infinity };
+  if (!from || !to) {
+    throw new Error(`Invalid cell range "${range}". Use a reference like A1:F20.`);
+  }
+  return {
+    startRow: Math.min(from.row, to.row),
+    startCol: Math.min(from.col, to.col),
+    endRow: Math.max(from.row, to.row),
+    endCol: Math.max(from.col, to.col)
+  };
+};
+
+/**
+ * Cut a rectangular range out of a cell matrix
+ * @param {Array<Array<*>>} rows Sheet cells
+ * @param {string} range A1-style range
+ * @returns {Array<Array<*>>} Cells inside the range
+ */
+export const sliceRange = (rows, range) => {
+  const { startRow, startCol, endRow, endCol } = parseRange(range);
+  return rows
+    .slice(startRow, endRow + 1)
+    .map(row => row.slice(startCol, endCol === Infinity ? undefined : endCol + 1));
+};
+
+/**
+ * Decide whether a number format code displays a date or time
+ * @param {string} code Format code
+ * @returns {{ isDate: boolean, timeOnly: boolean }} Format classification
+ */
+const classifyFormatCode = (code) => {
+  // Ignore literal text, escaped characters and colour/condition sections
+  const cleaned = code
+    .split(';')[0]
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[(?![hms]+\])[^\]]*\]/gi, '');
+  const hasDate = /[dy]/i.test(cleaned) || /m{3,}/i.test(cleaned);
+  const hasTime = /[hs]/i.test(cleaned);
+  return { isDate: hasDate || hasTime, timeOnly: hasTime && !hasDate };
+};
+
+/**
+ * Read the styles part and work out which cell styles are dates
+ * @param {string|null} xml Contents of xl/styles.xml
+ * @returns {Array<{ isDate: boolean, timeOnly: boolean }>} Classification per cellXfs index
+ */
+const readDateStyles = (xml) => {
+  if (!xml) return [];
+
+  const customFormats = {};
+  findElements(xml, 'numFmt').forEach(({ attributes }) => {
+    customFormats[Number(attributes.numFmtId)] = attributes.formatCode || '';
+  });
+
+  const cellXfs = findElements(xml, 'cellXfs')[0];
+  if (!cellXfs) return [];
+
+  return findElements(cellXfs.inner, 'xf').map(({ attributes }) => {
+    const id = Number(attributes.numFmtId || 0);
+    if (customFormats[id] !== undefined) return classifyFormatCode(customFormats[id]);
+    return { isDate: BUILTIN_DATE_FORMATS.has(id), timeOnly: BUILTIN_TIME_FORMATS.has(id) };
+  });
+};
+
+/**
+ * Convert an Excel serial number into a JavaScript Date (UTC)
+ * @param {number} serial Days since the workbook epoch
+ * @param {boolean} date1904 Whether the workbook uses the 1904 date system
+ * @returns {Date} Date
+ */
+export const excelSerialToDate = (serial, date1904 = false) => {
+  // Excel treats 1900 as a leap year, so serials before 1 March 1900 are shifted by a day
+  const epochOffset = date1904 ? 24107 : serial < 60 ? 25568 : 25569;
+  return new Date(Math.round((serial - epochOffset) * MS_PER_DAY));
+};
+
+/**
+ * Format the fractional part of a serial number as a time of day
+ * @param {number} serial Excel serial number
+ * @returns {string} HH:MM:SS
+ */
+const excelSerialToTime = (serial) => {
+  const seconds = Math.round((serial - Math.floor(serial)) * 86400) % 86400;
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+};
+
+/**
+ * Parse a worksheet part into a matrix of cell values
+ * @param {string} xml Worksheet XML
+ * @param {Array<string>} sharedStrings Shared string table
+ * @param {Array<Object>} dateStyles Date classification per style index
+ * @param {boolean} date1904 Whether the workbook uses the 1904 date system
+ * @returns {Array<Array<*>>} Rows of cell values (string, number, boolean, Date or null)
+ */
+const readWorksheet = (xml, sharedStrings, dateStyles, date1904) => {
+  const sheetData = findElements(xml, 'sheetData')[0];
+  if (!sheetData) return [];
+
+  const rows = [];
+  let width = 0;
+  let nextRow = 0;
+
+  findElements(sheetData.inner, 'row').forEach(({ attributes: rowAttributes, inner: rowXml }) => {
+    const rowIndex = rowAttributes.r ? Number(rowAttributes.r) - 1 : nextRow;
+    nextRow = rowIndex + 1;
+    const cells = [];
+    let nextCol = 0;
+
+    findElements(rowXml, 'c').forEach(({ attributes, inner }) => {
+      const position = attributes.r ? parseCellRef(attributes.r) : null;
+      const colIndex = position ? position.col : nextCol;
+      nextCol = colIndex + 1;
+
+      const rawValue = findElements(inner, 'v')[0]?.inner;
+      let value = null;
+
+      switch (attributes.t) {
+        case 's':
+          value = rawValue !== undefined ? sharedStrings[Number(rawValue)] ?? null : null;
+          break;
+        case 'inlineStr':
+          value = readStringItem(findElements(inner, 'is')[0]?.inner || '');
+          break;
+        case 'str':
+          value = rawValue !== undefined ? decodeEntities(rawValue) : null;
+          break;
+        case 'b':
+          value = rawValue === undefined ? null : rawValue.trim() === '1';
+          break;
+        case 'e':
+          value = null;
+          break;
+        default: {
+          if (rawValue === undefined || rawValue.trim() === '') break;
+          const number = Number(rawValue);
+          const style = dateStyles[Number(attributes.s || 0)];
+          if (style?.isDate && Number.isFinite(number)) {
+            value = style.timeOnly || number < 1 ? excelSerialToTime(number) : excelSerialToDate(number, date1904);
+          } else {
+            value = Number.isFinite(number) ? number : decodeEntities(rawValue);
+          }
+        }
+      }
+
+      cells[colIndex] = value;
+    });
+
+    width = Math.max(width, cells.length);
+    rows[rowIndex] = cells;
+  });
+
+  // Fill gaps so every row is a dense array of the same width
+  return Array.from({ length: rows.length }, (_, index) => (
+    Array.from({ length: width }, (__, col) => rows[index]?.[col] ?? null)
+  ));
+};
+
+/**
+ * Resolve a relationship target relative to the workbook part
+ * @returns {string} Archive path
+ */
+const resolveTarget = (target) => (target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`);
+
+/**
+ * Open an .xlsx workbook. Sheets are parsed lazily the first time they are read.
+ * @param {ArrayBuffer} buffer Workbook bytes
+ * @returns {Promise<Object>} Workbook with `sheetNames` and `readSheet(name)`
+ */
+export const readWorkbook = async (buffer) => {
+  const zip = openZip(buffer);
+  const workbookXml = await zip.readText('xl/workbook.xml');
+  if (!workbookXml) {
+    throw new Error('The file is not an Excel workbook');
+  }
+
+  const relsXml = (await zip.readText('xl/_rels/workbook.xml.rels')) || '';
+  const targets = {};
+  findElements(relsXml, 'Relationship').forEach(({ attributes }) => {
+    if (/worksheet$/.test(attributes.Type || '')) targets[attributes.Id] = resolveTarget(attributes.Target);
+  });
+
+  const workbookPr = findElements(workbookXml, 'workbookPr')[0]?.attributes || {};
+  const date1904 = workbookPr.date1904 === '1' || workbookPr.date1904 === 'true';
+
+  const sheets = findElements(workbookXml, 'sheet')
+    .map(({ attributes }) => ({ name: attributes.name, path: targets[attributes.id] }))
+    .filter(sheet => sheet.path);
+
+  const sharedStringsXml = await zip.readText('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? findElements(sharedStringsXml, 'si').map(({ inner }) => readStringItem(inner))
+    : [];
+  const dateStyles = readDateStyles(await zip.readText('xl/styles.xml'));
+
+  const cache = new Map();
+
+  /**
+   * Read a sheet's cells
+   * @param {string} [name] Sheet name (defaults to the first sheet)
+   * @returns {Promise<Array<Array<*>>>} Cell matrix
+   */
+  const readSheet = async (name = sheets[0]?.name) => {
+    const sheet = sheets.find(candidate => candidate.name === name);
+    if (!sheet) throw new Error(`Sheet "${name}" was not found in the workbook`);
+    if (!cache.has(name)) {
+      const xml = await zip.readText(sheet.path);
+      cache.set(name, readWorksheet(xml || '', sharedStrings, dateStyles, date1904));
+    }
+    return cache.get(name);
+  };
+
+  return {
+    sheetNames: sheets.map(sheet => sheet.name),
+    date1904,
+    readSheet
+  };
+};
@@ -0,0 +1,113 @@
+/**
+ * zipReader.js
+ * Minimal ZIP archive reader used to open .xlsx workbooks in the browser.
+ * Entries are inflated with the platform's DecompressionStream, so no
+ * third-party unzip library is needed.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Locate the end-of-central-directory record by scanning back from the end
+ * @param {DataView} view Archive bytes
+ * @returns {number} Offset of the record
+ */
+const findEndOfCentralDirectory = (view) => {
+  // The record is 22 bytes plus a comment of up to 65535 bytes
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= stop; offset -= 1) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Not a valid ZIP archive');
+};
+
+/**
+ * Inflate raw DEFLATE data
+ * @param {Uint8Array} bytes Compressed bytes
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress workbooks; please use a current version of Chrome, Edge, Firefox or Safari');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Read the entry directory of a ZIP archive
+ * @param {ArrayBuffer} buffer Archive bytes
+ * @returns {Object} Archive with `names` and an async `read(name)` returning bytes
+ */
+export const openZip = (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder('utf-8');
+
+  const eocd = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  /**
+   * Read and decompress one entry
+   * @param {string} name Entry path inside the archive
+   * @returns {Promise<Uint8Array|null>} Entry bytes, or null when missing
+   */
+  const read = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    const { method, compressedSize, localOffset } = entry;
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) return data;
+    if (method === METHOD_DEFLATE) return inflateRaw(data);
+    throw new Error(`Unsupported ZIP compression method ${method} in ${name}`);
+  };
+
+  /**
+   * Read an entry as UTF-8 text
+   * @param {string} name Entry path inside the archive
+   * @returns {Promise<string|null>} Entry text, or null when missing
+   */
+  const readText = async (name) => {
+    const data = await read(name);
+    return data ? decoder.decode(data) : null;
+  };
+
+  return {
+    names: [...entries.keys()],
+    read,
+    readText
+  };
+};
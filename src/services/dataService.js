@@ -0,0 +1,516 @@
+/**
+ * dataService.js
+ * Service for reading uploaded data files into datasets the analysis steps can use
+ */
+import {
+  decodeText,
+  detectByteOrderMark,
+  createDelimitedTokenizer,
+  parseDelimited,
+  detectDelimiter,
+  detectDecimalSeparator
+} from './data/csvParser';
+import { createDataset } from './data/dataset';
+import { fromColumnar } from './data/columnar';
+import { readWorkbook as openWorkbookBuffer, sliceRange } from './data/xlsxReader';
+import { readHtmlTables } from './data/htmlTables';
+import { extractTemplate, describeEmptyFields } from './data/templateImporter';
+
+// File extensions we can parse, grouped by the reader that handles them
+const DELIMITED_EXTENSIONS = ['csv', 'tsv', 'txt'];
+const WORKBOOK_EXTENSIONS = ['xlsx', 'xls'];
+const HTML_EXTENSIONS = ['html', 'htm'];
+const PARSEABLE_EXTENSIONS = [...DELIMITED_EXTENSIONS, ...WORKBOOK_EXTENSIONS, ...HTML_EXTENSIONS];
+
+// Opened workbooks, so switching sheets does not unzip the file again
+const workbookCache = new WeakMap();
+
+// Bytes read at a time when streaming a delimited file
+const CHUNK_SIZE = 1024 * 1024;
+
+// Message used when the user cancels parsing
+const CANCELLED_MESSAGE = 'Parsing was cancelled';
+
+/**
+ * Get the lower-case extension of a file name
+ * @param {string} fileName File name
+ * @returns {string} Extension without the dot
+ */
+const getExtension = (fileName = '') => fileName.split('.').pop().toLowerCase();
+
+/**
+ * Get the file extensions that can be parsed into a dataset
+ * @returns {Array<string>} Extensions including the leading dot
+ */
+const getSupportedFormats = () => PARSEABLE_EXTENSIONS.map(extension => `.${extension}`);
+
+/**
+ * Check whether a file can be parsed into a dataset
+ * @param {File} file Uploaded file
+ * @returns {boolean} True when a parser exists for the file type
+ */
+const canParse = (file) => PARSEABLE_EXTENSIONS.includes(getExtension(file?.name));
+
+/**
+ * Check whether a file is a spreadsheet workbook
+ * @param {File} file Uploaded file
+ * @returns {boolean} True for .xlsx/.xls files
+ */
+const isWorkbook = (file) => WORKBOOK_EXTENSIONS.includes(getExtension(file?.name));
+
+/**
+ * Check the leading bytes of a buffer
+ * @returns {boolean} True when the buffer starts with the given bytes
+ */
+const startsWith = (buffer, signature) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(signature.length, buffer.byteLength));
+  return signature.every((byte, index) => bytes[index] === byte);
+};
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0];
+
+/**
+ * Open an uploaded workbook so its sheets can be listed and previewed.
+ * Returns null for files with a workbook extension that actually hold text
+ * (some tools save CSV with an .xlsx name).
+ * @param {File} file Uploaded .xlsx file
+ * @returns {Promise<Object|null>} Workbook with `sheetNames` and `readSheet(name)`
+ */
+const openWorkbook = async (file) => {
+  if (!workbookCache.has(file)) {
+    const load = async () => {
+      const buffer = await file.arrayBuffer();
+      if (startsWith(buffer, OLE_SIGNATURE)) {
+        throw new Error('Legacy .xls workbooks cannot be read. Please save the file as .xlsx or CSV.');
+      }
+      if (!startsWith(buffer, ZIP_SIGNATURE)) return null;
+      return openWorkbookBuffer(buffer);
+    };
+    workbookCache.set(file, load());
+  }
+  return workbookCache.get(file);
+};
+
+/**
+ * Guess the header row of a worksheet: the first row that fills (almost) as
+ * many cells as the widest of the first rows. Title blocks above a table are skipped.
+ * @param {Array<Array<*>>} cells Sheet cell matrix
+ * @returns {number} Zero-based row index
+ */
+const detectHeaderRow = (cells) => {
+  const filled = cells.slice(0, 30).map(row => row.filter(cell => cell !== null && cell !== '').length);
+  const widest = Math.max(0, ...filled);
+  return Math.max(filled.findIndex(count => count > 0 && count >= Math.ceil(widest * 0.8)), 0);
+};
+
+/**
+ * Select the header and body cells of a worksheet
+ * @param {Array<Array<*>>} cells Sheet cell matrix
+ * @param {Object} options Options
+ * @param {number} [options.headerRow] 1-based worksheet row holding the column names
+ *   (detected when omitted)
+ * @param {string} [options.range] A1-style range to read instead, e.g. "B3:F40";
+ *   its first row is the header
+ * @returns {{ header: Array<*>, rows: Array<Array<*>>, range: string }} Header and body cells
+ */
+const selectSheetCells = (cells, { headerRow, range }) => {
+  let selected;
+  let usedRange = range;
+
+  if (range) {
+    selected = sliceRange(cells, range);
+  } else {
+    const firstRow = headerRow ? headerRow - 1 : detectHeaderRow(cells);
+    selected = cells.slice(firstRow);
+    usedRange = `A${firstRow + 1}`;
+  }
+
+  const nonEmpty = selected.filter(row => row.some(cell => cell !== null && cell !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('The selected sheet or range is empty');
+  }
+
+  return { header: selected[0].map(cell => (cell === null ? '' : String(cell))), rows: selected.slice(1), range: usedRange };
+};
+
+/**
+ * Build a dataset from the measurement table of a filled-in data collection
+ * template, keeping the experiment metadata and the empty-field report on it
+ * @param {Object} template Result of extractTemplate
+ * @param {Object} params Dataset parameters
+ * @param {string} params.name Dataset name
+ * @param {Object} params.source Source metadata to keep on the dataset
+ * @param {string} [params.decimalSeparator] Decimal separator used in the source
+ * @returns {Object} Dataset with a `template` property
+ */
+const createTemplateDataset = (template, { name, source, decimalSeparator }) => {
+  const dataset = createDataset({
+    name,
+    header: template.header,
+    rows: template.rows,
+    decimalSeparator,
+    source: { ...source, template: true }
+  });
+
+  dataset.template = {
+    metadata: template.metadata,
+    emptyFields: template.emptyFields,
+    emptyColumns: template.emptyColumns,
+    unfilledRows: template.unfilledRows,
+    notes: describeEmptyFields(template)
+  };
+  return dataset;
+};
+
+/**
+ * Parse a workbook file into a dataset
+ * @param {File} file Uploaded workbook
+ * @param {Object} options Parse options
+ * @param {string} [options.sheet] Sheet name (defaults to the first sheet)
+ * @param {number} [options.headerRow] 1-based header row number
+ * @param {string} [options.range] A1-style cell range
+ * @param {Object} source Source metadata to keep on the dataset
+ * @returns {Promise<Object>} Dataset
+ */
+const parseWorkbookFile = async (file, options, source) => {
+  const workbook = await openWorkbook(file);
+
+  if (!workbook) {
+    // Not really a workbook: read it as delimited text instead
+    const { text, encoding } = decodeText(await file.arrayBuffer(), options.encoding);
+    const dataset = parseDelimitedText(text, {
+      name: file.name,
+      delimiter: options.delimiter,
+      decimalSeparator: options.decimalSeparator,
+      source: { ...source, encoding }
+    });
+    dataset.warnings.push('This file has a spreadsheet extension but contains plain text; it was read as CSV.');
+    return dataset;
+  }
+
+  const sheet = options.sheet || workbook.sheetNames[0];
+  const cells = await workbook.readSheet(sheet);
+  const name = workbook.sheetNames.length > 1 ? `${file.name} – ${sheet}` : file.name;
+
+  // An explicit header row or range always wins over template detection
+  const template = options.headerRow || options.range ? null : extractTemplate(cells);
+  if (template) {
+    return createTemplateDataset(template, {
+      name,
+      source: { ...source, sheet, sheetNames: workbook.sheetNames, range: `A${template.headerRow + 1}` }
+    });
+  }
+
+  const { header, rows, range } = selectSheetCells(cells, options);
+
+  return createDataset({
+    name,
+    header,
+    rows,
+    source: { ...source, sheet, sheetNames: workbook.sheetNames, range }
+  });
+};
+
+/**
+ * Parse an HTML document into a dataset. A filled-in data collection template
+ * is read as such; otherwise the largest table is used.
+ * @param {string} text HTML document
+ * @param {Object} options Parse options
+ * @param {string} options.name Dataset name
+ * @param {Object} [options.source] Source metadata to keep on the dataset
+ * @returns {Object} Dataset
+ */
+const parseHtmlText = (text, { name, source = {} }) => {
+  const tables = readHtmlTables(text);
+  if (tables.length === 0) {
+    throw new Error('The document does not contain a table');
+  }
+
+  // Separate the tables with a blank row so one table never runs into the next
+  const cells = tables.flatMap(table => [...table, []]);
+  const template = extractTemplate(cells);
+  if (template) {
+    return createTemplateDataset(template, { name, source });
+  }
+
+  const largest = tables.reduce((best, table) => (table.length > best.length ? table : best));
+  return createDataset({ name, header: largest[0], rows: largest.slice(1), source });
+};
+
+/**
+ * Parse delimited text into a dataset
+ * @param {string} text Decoded file contents
+ * @param {Object} options Parse options
+ * @param {string} options.name Dataset name
+ * @param {string} [options.delimiter] Field delimiter (detected when omitted)
+ * @param {string} [options.decimalSeparator] '.' or ',' (detected when omitted)
+ * @param {number} [options.headerIndex] Index of the header row among non-empty rows;
+ *   when omitted a data collection template layout is detected, else the first row is used
+ * @param {Object} [options.source] Source metadata to keep on the dataset
+ * @returns {Object} Dataset
+ */
+const parseDelimitedText = (text, { delimiter, ...options }) => {
+  const fieldDelimiter = delimiter || detectDelimiter(text);
+  return parseDelimitedRows(parseDelimited(text, { delimiter: fieldDelimiter }), { ...options, delimiter: fieldDelimiter });
+};
+
+/**
+ * Read a delimited file chunk by chunk, so large files are never held as one
+ * string. The encoding is taken from the byte-order mark; files without one
+ * are read as UTF-8 and read again as Windows-1252 when they are not valid UTF-8.
+ * @param {File} file Uploaded file
+ * @param {Object} options Read options
+ * @param {string} [options.encoding] Force a text encoding
+ * @param {string} [options.delimiter] Force a field delimiter
+ * @param {Object} [progress] Progress reporting and cancellation
+ * @param {Function} [progress.onProgress] Called with { phase, loaded, total } after each chunk
+ * @param {AbortSignal} [progress.signal] Stops reading when aborted
+ * @returns {Promise<{ rows: Array<Array<string>>, delimiter: string, encoding: string }>} Parsed rows
+ */
+const readDelimitedFile = async (file, { encoding, delimiter }, { onProgress, signal } = {}) => {
+  const mark = encoding ? null : detectByteOrderMark(new Uint8Array(await file.slice(0, 3).arrayBuffer()));
+  const label = encoding || mark?.encoding || 'utf-8';
+  const decoder = new TextDecoder(label, { fatal: !encoding && !mark });
+  const rows = [];
+  let tokenizer = null;
+  let fieldDelimiter = delimiter;
+
+  const tokenize = (text, isLast) => {
+    if (!tokenizer) {
+      fieldDelimiter = fieldDelimiter || detectDelimiter(text);
+      tokenizer = createDelimitedTokenizer({ delimiter: fieldDelimiter });
+    }
+    tokenizer.push(text).forEach(row => rows.push(row));
+    if (isLast) tokenizer.end().forEach(row => rows.push(row));
+  };
+
+  try {
+    let offset = mark ? mark.bytes.length : 0;
+    if (offset >= file.size) tokenize(decoder.decode(), true);
+
+    while (offset < file.size) {
+      if (signal?.aborted) throw new Error(CANCELLED_MESSAGE);
+      const end = Math.min(offset + CHUNK_SIZE, file.size);
+      const bytes = new Uint8Array(await file.slice(offset, end).arrayBuffer());
+      tokenize(decoder.decode(bytes, { stream: end < file.size }), end === file.size);
+      offset = end;
+      if (onProgress) onProgress({ phase: 'reading', loaded: end, total: file.size });
+    }
+  } catch (error) {
+    // Not valid UTF-8: start over with the encoding Excel uses on most lab PCs
+    if (error instanceof TypeError && !encoding && !mark) {
+      return readDelimitedFile(file, { encoding: 'windows-1252', delimiter }, { onProgress, signal });
+    }
+    throw error;
+  }
+
+  return { rows, delimiter: fieldDelimiter, encoding: label };
+};
+
+/**
+ * Build a dataset from tokenized delimited rows
+ * @param {Array<Array<string>>} allRows Rows as tokenized, including empty ones
+ * @param {Object} options Parse options, as for parseDelimitedText; `delimiter` is required
+ * @returns {Object} Dataset
+ */
+const parseDelimitedRows = (allRows, { name, delimiter: fieldDelimiter, decimalSeparator, headerIndex, source = {} }) => {
+  const template = headerIndex === undefined ? extractTemplate(allRows) : null;
+  if (template) {
+    return createTemplateDataset(template, {
+      name,
+      decimalSeparator: decimalSeparator || detectDecimalSeparator(template.rows, fieldDelimiter),
+      source: { ...source, delimiter: fieldDelimiter }
+    });
+  }
+
+  const rows = allRows.filter(row => row.some(cell => cell.trim() !== ''));
+  const headerRowIndex = headerIndex ?? 0;
+
+  if (rows.length <= headerRowIndex) {
+    throw new Error('The file does not contain a header row');
+  }
+
+  const body = rows.slice(headerRowIndex + 1);
+  const separator = decimalSeparator || detectDecimalSeparator(body, fieldDelimiter);
+
+  return createDataset({
+    name,
+    header: rows[headerRowIndex],
+    rows: body,
+    decimalSeparator: separator,
+    source: { ...source, delimiter: fieldDelimiter }
+  });
+};
+
+/**
+ * Read an uploaded file and parse it into a dataset with an inferred schema
+ * @param {File} file Uploaded file
+ * @param {Object} [options] Parse options
+ * @param {string} [options.encoding] Force a text encoding
+ * @param {string} [options.delimiter] Force a field delimiter
+ * @param {string} [options.decimalSeparator] Force the decimal separator
+ * @param {string} [options.sheet] Workbook sheet to read
+ * @param {number} [options.headerRow] Workbook row (1-based) holding the column names
+ * @param {string} [options.range] Workbook cell range, e.g. "B3:F40"
+ * @param {Object} [progress] Progress reporting and cancellation
+ * @param {Function} [progress.onProgress] Called with { phase, loaded, total }
+ * @param {AbortSignal} [progress.signal] Stops parsing when aborted
+ * @returns {Promise<Object>} Dataset
+ */
+const parseFile = async (file, options = {}, { onProgress, signal } = {}) => {
+  const extension = getExtension(file?.name);
+
+  if (!canParse(file)) {
+    throw new Error(`${file?.name}: .${extension} files cannot be parsed for analysis yet`);
+  }
+
+  const source = {
+    fileName: file.name,
+    format: extension,
+    size: file.size,
+    lastModified: file.lastModified
+  };
+
+  try {
+    // Workbooks and HTML are read in one piece, so there is no byte progress to report
+    if (onProgress && (isWorkbook(file) || HTML_EXTENSIONS.includes(extension))) {
+      onProgress({ phase: 'opening', loaded: 0, total: file.size });
+    }
+
+    if (isWorkbook(file)) {
+      return await parseWorkbookFile(file, options, source);
+    }
+
+    if (HTML_EXTENSIONS.includes(extension)) {
+      const { text, encoding } = decodeText(await file.arrayBuffer(), options.encoding);
+      return parseHtmlText(text, { name: file.name, source: { ...source, encoding } });
+    }
+
+    const { rows, delimiter, encoding } = await readDelimitedFile(file, {
+      encoding: options.encoding,
+      delimiter: options.delimiter || (extension === 'tsv' ? '\t' : undefined)
+    }, { onProgress, signal });
+
+    if (onProgress) onProgress({ phase: 'inferring', loaded: file.size, total: file.size });
+    return parseDelimitedRows(rows, {
+      name: file.name,
+      delimiter,
+      decimalSeparator: options.decimalSeparator,
+      source: { ...source, encoding }
+    });
+  } catch (error) {
+    if (error.message === CANCELLED_MESSAGE) throw error;
+    console.error('Error parsing data file:', error);
+    throw new Error(`${file.name}: ${error.message}`);
+  }
+};
+
+/**
+ * Parse a file in a Web Worker, so large files do not block the page. The
+ * worker returns a columnar dataset whose numeric columns are transferred,
+ * not copied. Falls back to parsing on the page where workers are unavailable.
+ * @param {File} file Uploaded file
+ * @param {Object} [options] Parse options, as for parseFile
+ * @param {Object} [progress] Progress reporting and cancellation
+ * @param {Function} [progress.onProgress] Called with { phase, loaded, total }
+ * @param {AbortSignal} [progress.signal] Stops the worker when aborted
+ * @returns {Promise<Object>} Dataset
+ */
+const parseFileInWorker = (file, options = {}, { onProgress, signal } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return parseFile(file, options, { onProgress, signal });
+  }
+  if (signal?.aborted) {
+    return Promise.reject(new Error(CANCELLED_MESSAGE));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./data/parseWorker.js', import.meta.url), { type: 'module' });
+
+    const handleAbort = () => {
+      worker.terminate();
+      reject(new Error(CANCELLED_MESSAGE));
+    };
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.progress);
+        return;
+      }
+      finish();
+      if (data.type === 'result') resolve(fromColumnar(data.dataset));
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      finish();
+      console.error('Error in parse worker:', event.message);
+      reject(new Error(`${file.name}: ${event.message || 'the file could not be parsed'}`));
+    };
+
+    if (signal) signal.addEventListener('abort', handleAbort);
+    worker.postMessage({ file, options });
+  });
+};
+
+/**
+ * Combine abort signals into one that aborts as soon as any of them does
+ * @param {Array<AbortSignal>} signals Signals, possibly undefined
+ * @returns {AbortSignal|undefined} Combined signal
+ */
+const combineSignals = (signals) => {
+  const present = signals.filter(Boolean);
+  if (present.length <= 1) return present[0];
+
+  const controller = new AbortController();
+  present.forEach(item => {
+    if (item.aborted) controller.abort();
+    else item.addEventListener('abort', () => controller.abort(), { once: true });
+  });
+  return controller.signal;
+};
+
+/**
+ * Parse several files in the background, collecting datasets and per-file errors
+ * @param {Array<File>} files Uploaded files
+ * @param {Object} [optionsByFile] Parse options keyed by file name
+ * @param {Object} [progress] Progress reporting and cancellation
+ * @param {Function} [progress.onProgress] Called with (fileName, { phase, loaded, total })
+ * @param {Object<string, AbortSignal>} [progress.signals] Cancels one file, keyed by file name
+ * @param {AbortSignal} [progress.signal] Cancels every file
+ * @returns {Promise<{ datasets: Object, errors: Object }>} Datasets and errors keyed by file name
+ */
+const parseFiles = async (files, optionsByFile = {}, { onProgress, signals = {}, signal } = {}) => {
+  const datasets = {};
+  const errors = {};
+
+  for (const file of files) {
+    if (!canParse(file)) continue;
+    if (signal?.aborted) break;
+    try {
+      datasets[file.name] = await parseFileInWorker(file, optionsByFile[file.name], {
+        onProgress: onProgress && (progress => onProgress(file.name, progress)),
+        signal: combineSignals([signals[file.name], signal])
+      });
+    } catch (error) {
+      errors[file.name] = error.message;
+    }
+  }
+
+  return { datasets, errors };
+};
+
+export default {
+  getSupportedFormats,
+  canParse,
+  isWorkbook,
+  openWorkbook,
+  parseFile,
+  parseFileInWorker,
+  parseFiles,
+  parseDelimitedText
+};
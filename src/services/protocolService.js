@@ -22,7 +22,7 @@ const protocolService = {
         
         if (detailedProtocol && detailedProtocol.trim()) {
           console.log('Successfully generated AI protocol');
-          return parseAIResponse(detailedProtocol, experimentData.title, today);
+          return addSampleSizeSection(parseAIResponse(detailedProtocol, experimentData.title, today), experimentData.sampleSize);
         }
       } catch (aiError) {
         console.warn('AI generation failed, falling back to default:', aiError.message);
@@ -178,6 +178,7 @@ Experiment Title: ${experimentData.title || 'Untitled Experiment'}
 Purpose: ${experimentData.purpose || 'Not specified'}
 Design Rationale: ${experimentData.designRationale || 'Not specified'}
 Analysis Types: ${(experimentData.analysisTypes || []).join(', ') || 'Not specified'}
+Planned Sample Size: ${experimentData.sampleSize?.justification || 'Not specified'}
 
 Please provide a comprehensive protocol with the following sections:
 
@@ -409,9 +410,13 @@ function generateMethodsContent(experimentData) {
     '5. **Quality Control**\n   - Run control samples alongside experimental samples\n   - Verify that equipment is functioning properly\n   - Document any deviations from the planned procedure'
   ];
   
-  // Add specific steps based on analysis types
-  if (experimentData.analysisTypes?.includes('statistical')) {
-    basicSteps.push('6. **Statistical Considerations**\n   - Ensure adequate sample size for statistical power\n   - Randomize sample order to minimize bias\n   - Plan for appropriate statistical tests');
+  // Add specific steps based on analysis types, with the planned sample size when one was chosen
+  const { sampleSize } = experimentData;
+  if (experimentData.analysisTypes?.includes('statistical') || sampleSize) {
+    const sampleSizeStep = sampleSize
+      ? `Planned sample size: ${formatSampleSize(sampleSize)}, from the power analysis (see Data Analysis)`
+      : 'Ensure adequate sample size for statistical power';
+    basicSteps.push(`6. **Statistical Considerations**\n   - ${sampleSizeStep}\n   - Randomize sample order to minimize bias\n   - Plan for appropriate statistical tests`);
   }
   
   return `## Step-by-Step Procedure\n\n${basicSteps.join('\n\n')}\n\n**Important:** Always follow your institution's specific protocols and safety guidelines. Adjust timing and procedures based on your specific experimental requirements.`;
@@ -432,6 +437,10 @@ function generateDataAnalysisContent(experimentData) {
   
   content += '2. **Data Organization**\n   - Structure data in appropriate format (spreadsheet, database, etc.)\n   - Create backup copies of raw data\n   - Document any data transformations\n\n';
   
+  if (experimentData.sampleSize) {
+    content += generateSampleSizeContent(experimentData.sampleSize);
+  }
+  
   // Specific analysis based on types
   if (analysisTypes.includes('statistical')) {
     content += '### Statistical Analysis\n';
@@ -465,6 +474,52 @@ function generateDataAnalysisContent(experimentData) {
   return content;
 }
 
+/**
+ * Describe a planned sample size, e.g. "64 per group (128 in total)"
+ * @param {Object} sampleSize - Plan from the sample size calculator
+ * @returns {String} Sample size text
+ */
+function formatSampleSize(sampleSize) {
+  const total = sampleSize.groups > 1 ? ` (${sampleSize.totalN} in total)` : '';
+  return `${sampleSize.nPerGroup} ${sampleSize.unit || 'per group'}${total}`;
+}
+
+/**
+ * Generate the sample size justification of the data analysis plan
+ * @param {Object} sampleSize - Plan from the sample size calculator
+ * @returns {String} Formatted sample size content
+ */
+function generateSampleSizeContent(sampleSize) {
+  const tails = sampleSize.design === 'anova' ? '' : ` (${sampleSize.oneTailed ? 'one' : 'two'}-tailed)`;
+  const details = [
+    `- **Planned test:** ${sampleSize.designName || sampleSize.design}${tails}`,
+    `- **Sample size:** ${formatSampleSize(sampleSize)}`,
+    `- **Significance level (α):** ${sampleSize.alpha}`,
+    `- **Power:** ${Math.round(sampleSize.achievedPower * 1000) / 10}%`,
+    `- **Effect size:** ${sampleSize.effectMeasure} = ${Number(sampleSize.effect.toPrecision(3))}`
+  ];
+  return `### Sample Size Justification\n${sampleSize.justification}\n\n${details.join('\n')}\n\n`;
+}
+
+/**
+ * Add the sample size justification to an AI-generated protocol, which is
+ * free to leave it out: into its data analysis section, or as a section of its own
+ * @param {Object} protocol - Parsed protocol
+ * @param {Object} sampleSize - Plan from the sample size calculator, if any
+ * @returns {Object} The protocol
+ */
+function addSampleSizeSection(protocol, sampleSize) {
+  if (!sampleSize) return protocol;
+  const content = generateSampleSizeContent(sampleSize).trim();
+  const analysisSection = protocol.sections.find(s => s.id.includes('analysis'));
+  if (analysisSection) {
+    analysisSection.content = `${analysisSection.content}\n\n${content}`;
+  } else {
+    protocol.sections.push({ id: 'sample_size', title: 'Sample Size Justification', content: content.replace(/^### .*\n/, '') });
+  }
+  return protocol;
+}
+
 // Test function to verify the service works
 async function testProtocolGeneration() {
   const testData = {
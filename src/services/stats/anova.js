@@ -0,0 +1,255 @@
+/**
+ * anova.js
+ * Analysis of variance for multi-factor designs: factorial (between-subjects)
+ * ANOVA with interactions and Type II or III sums of squares, fitted as a
+ * linear model on sum-to-zero coded factors, and repeated-measures
+ * (within-subject) ANOVA with Mauchly's sphericity test and the
+ * Greenhouse-Geisser and Huynh-Feldt corrections.
+ */
+import { sum, mean } from './basic';
+import { fSurvival, chiSquareSurvival } from './distributions';
+import { leastSquares, transpose, multiply, symmetricEigen } from './matrix';
+
+export const SUM_OF_SQUARES_TYPES = {
+  TYPE_II: 2,
+  TYPE_III: 3
+};
+
+export const SPHERICITY_CORRECTIONS = {
+  NONE: 'none',
+  GREENHOUSE_GEISSER: 'greenhouse-geisser',
+  HUYNH_FELDT: 'huynh-feldt'
+};
+
+/**
+ * Terms of a design: every main effect, and with interactions every
+ * combination of factors, ordered by size (A, B, C, A × B, A × C, …)
+ * @param {number} factorCount Number of factors
+ * @param {boolean} interactions Include the interactions
+ * @returns {Array<Array<number>>} Factor indexes of each term
+ */
+export const designTerms = (factorCount, interactions = true) => {
+  const terms = [];
+  for (let mask = 1; mask < 2 ** factorCount; mask += 1) {
+    const term = Array.from({ length: factorCount }, (_, f) => f).filter(f => mask & (2 ** f));
+    if (interactions || term.length === 1) terms.push(term);
+  }
+  return terms.sort((a, b) => a.length - b.length || a.join().localeCompare(b.join()));
+};
+
+/**
+ * Sum-to-zero (effect) coding of one factor: level j < L - 1 scores 1 in
+ * column j, the last level scores -1 in every column
+ * @returns {Array<Array<number>>} Coded columns, each with a value per row
+ */
+const effectColumns = (rowLevels, levelCount) => Array.from({ length: levelCount - 1 }, (_, j) => (
+  rowLevels.map(level => {
+    if (level === j) return 1;
+    return level === levelCount - 1 ? -1 : 0;
+  })
+));
+
+/**
+ * Columns of a term: the products of the coded columns of its factors
+ * @returns {Array<Array<number>>} Columns
+ */
+const termColumns = (term, coded, n) => term.reduce((columns, f) => columns.flatMap(column => (
+  coded[f].map(factorColumn => column.map((value, i) => value * factorColumn[i]))
+)), [new Array(n).fill(1)]);
+
+/**
+ * Residual sum of squares of the model with an intercept and the given columns
+ * @returns {number|null} RSS, or null when the columns are collinear
+ */
+const residualSumOfSquares = (columns, y) => {
+  const x = y.map((_, i) => [1, ...columns.map(column => column[i])]);
+  const fit = leastSquares(x, y);
+  if (!fit) return null;
+  return sum(x.map((row, i) => (y[i] - sum(row.map((value, j) => value * fit.coefficients[j]))) ** 2));
+};
+
+/**
+ * Factorial analysis of variance
+ * @param {Array<number>} y Response, one value per observation
+ * @param {Array<Array<string>>} factors Level of each observation, one array per factor
+ * @param {Object} [options] Options
+ * @param {number} [options.type=3] Sums of squares, one of SUM_OF_SQUARES_TYPES
+ * @param {boolean} [options.interactions=true] Include the interactions between factors
+ * @returns {Object} { terms: [{ factors, ss, df, ms, statistic, p, partialEtaSquared }], residual: { ss, df, ms },
+ *   total: { ss, df }, levels (per factor), n }
+ */
+export const factorialAnova = (y, factors, { type = SUM_OF_SQUARES_TYPES.TYPE_III, interactions = true } = {}) => {
+  const n = y.length;
+  if (factors.length === 0) throw new Error('ANOVA needs at least one factor');
+  const levels = factors.map(values => [...new Set(values)]);
+  levels.forEach((factorLevels, f) => {
+    if (factorLevels.length < 2) throw new Error(`Factor ${f + 1} needs at least two levels`);
+  });
+  const rowLevels = factors.map((values, f) => values.map(value => levels[f].indexOf(value)));
+  const coded = rowLevels.map((values, f) => effectColumns(values, levels[f].length));
+  const terms = designTerms(factors.length, interactions);
+  const columns = terms.map(term => termColumns(term, coded, n));
+  const parameterCount = 1 + sum(columns.map(termCols => termCols.length));
+  if (n <= parameterCount) {
+    throw new Error(`The design has ${parameterCount} parameters but only ${n} observations; more replicates are needed`);
+  }
+
+  const rss = (included) => residualSumOfSquares(included.flatMap(t => columns[t]), y);
+  const all = terms.map((_, t) => t);
+  const rssFull = rss(all);
+  if (rssFull === null) {
+    throw new Error(interactions
+      ? 'Some combinations of factor levels have no observations, so the interactions cannot be estimated; turn interactions off'
+      : 'The factors are confounded (some levels always occur together), so their effects cannot be separated');
+  }
+  const dfResidual = n - parameterCount;
+  const msResidual = rssFull / dfResidual;
+
+  const rows = terms.map((term, t) => {
+    let ss;
+    if (type === SUM_OF_SQUARES_TYPES.TYPE_II) {
+      // The term added after every term that does not contain it
+      const contains = other => term.every(f => other.includes(f));
+      const others = all.filter(u => !contains(terms[u]));
+      ss = rss(others) - rss([...others, t]);
+    } else {
+      // The term added last
+      ss = rss(all.filter(u => u !== t)) - rssFull;
+    }
+    ss = Math.max(ss, 0);
+    const df = columns[t].length;
+    const ms = ss / df;
+    const statistic = ms / msResidual;
+    return {
+      factors: term,
+      ss,
+      df,
+      ms,
+      statistic,
+      p: fSurvival(statistic, df, dfResidual),
+      partialEtaSquared: ss / (ss + rssFull)
+    };
+  });
+
+  const grandMean = mean(y);
+  return {
+    terms: rows,
+    residual: { ss: rssFull, df: dfResidual, ms: msResidual },
+    total: { ss: sum(y.map(value => (value - grandMean) ** 2)), df: n - 1 },
+    levels,
+    n
+  };
+};
+
+/**
+ * Orthonormal Helmert contrasts of a factor with k levels
+ * @returns {Array<Array<number>>} k × (k - 1) matrix with orthonormal columns that sum to zero
+ */
+const helmertContrasts = (k) => Array.from({ length: k }, (_, i) => Array.from({ length: k - 1 }, (__, j) => {
+  const scale = Math.sqrt((j + 1) * (j + 2));
+  if (i <= j) return 1 / scale;
+  return i === j + 1 ? -(j + 1) / scale : 0;
+}));
+
+/**
+ * Kronecker product of two matrices
+ * @returns {Array<Array<number>>} Product
+ */
+const kronecker = (a, b) => a.flatMap(aRow => b.map(bRow => aRow.flatMap(aValue => bRow.map(bValue => aValue * bValue))));
+
+/**
+ * Sphericity of the transformed scores of a within-subject term: Mauchly's
+ * test and the Greenhouse-Geisser, Huynh-Feldt and lower-bound epsilons
+ * @param {Array<Array<number>>} s Covariance matrix of the orthonormal contrasts (p × p)
+ * @param {number} n Number of subjects
+ * @returns {Object} { w, statistic, df, p, greenhouseGeisser, huynhFeldt, lowerBound }
+ */
+export const sphericity = (s, n) => {
+  const p = s.length;
+  const trace = sum(s.map((row, i) => row[i]));
+  const traceSquared = sum(s.map(row => sum(row.map(value => value * value))));
+  const greenhouseGeisser = Math.min(1, (trace * trace) / (p * traceSquared));
+  const huynhFeldt = Math.min(1, (n * p * greenhouseGeisser - 2) / (p * (n - 1 - p * greenhouseGeisser)));
+  const epsilons = { greenhouseGeisser, huynhFeldt: huynhFeldt > 0 ? huynhFeldt : greenhouseGeisser, lowerBound: 1 / p };
+  // A term with one degree of freedom is always spherical
+  if (p < 2) return { w: 1, statistic: null, df: null, p: null, ...epsilons };
+  if (n - 1 < p) return { w: null, statistic: null, df: null, p: null, ...epsilons };
+
+  const logDeterminant = sum(symmetricEigen(s).values.map(value => Math.log(Math.max(value, 0))));
+  const logW = logDeterminant - p * Math.log(trace / p);
+  const statistic = -(n - 1 - (2 * p * p + p + 2) / (6 * p)) * logW;
+  const df = (p * (p + 1)) / 2 - 1;
+  return {
+    w: Math.exp(logW),
+    statistic: Number.isFinite(statistic) ? statistic : null,
+    df,
+    p: Number.isFinite(statistic) ? chiSquareSurvival(statistic, df) : null,
+    ...epsilons
+  };
+};
+
+/**
+ * Repeated-measures analysis of variance for fully within-subject designs.
+ * Each term is tested on its own error term (term × subject), on the
+ * orthonormal contrasts of the cells that span it
+ * @param {Array<Array<number>>} y Measurements, one row per subject and one column per cell; cells
+ *   are ordered with the last factor varying fastest
+ * @param {Array<number>} levelCounts Number of levels of each within-subject factor
+ * @param {Object} [options] Options
+ * @param {boolean} [options.interactions=true] Include the interactions between factors
+ * @returns {Object} { terms: [{ factors, ss, df, ms, statistic, p, errorSs, errorDf, errorMs,
+ *   partialEtaSquared, sphericity, pGreenhouseGeisser, pHuynhFeldt, pLowerBound }], subjects: { ss, df }, n }
+ */
+export const repeatedMeasuresAnova = (y, levelCounts, { interactions = true } = {}) => {
+  const n = y.length;
+  const cellCount = levelCounts.reduce((product, count) => product * count, 1);
+  if (n < 2) throw new Error('Repeated-measures ANOVA needs at least two subjects with every measurement');
+  if (y.some(row => row.length !== cellCount)) throw new Error('Every subject needs one measurement per combination of levels');
+  levelCounts.forEach((count, f) => {
+    if (count < 2) throw new Error(`Within-subject factor ${f + 1} needs at least two levels`);
+  });
+
+  const grandMean = mean(y.flat());
+  const subjects = {
+    ss: cellCount * sum(y.map(row => (mean(row) - grandMean) ** 2)),
+    df: n - 1
+  };
+
+  const terms = designTerms(levelCounts.length, interactions).map(term => {
+    const contrast = levelCounts
+      .map((count, f) => (term.includes(f) ? helmertContrasts(count) : Array.from({ length: count }, () => [1 / Math.sqrt(count)])))
+      .reduce(kronecker);
+    const z = multiply(y, contrast);
+    const p = contrast[0].length;
+    const zMeans = transpose(z).map(mean);
+    const centered = z.map(row => row.map((value, j) => value - zMeans[j]));
+    const sscp = multiply(transpose(centered), centered);
+    const ss = n * sum(zMeans.map(value => value * value));
+    const errorSs = sum(sscp.map((row, j) => row[j]));
+    const df = p;
+    const errorDf = p * (n - 1);
+    const ms = ss / df;
+    const errorMs = errorSs / errorDf;
+    const statistic = ms / errorMs;
+    const test = sphericity(sscp.map(row => row.map(value => value / (n - 1))), n);
+    const correctedP = epsilon => fSurvival(statistic, epsilon * df, epsilon * errorDf);
+    return {
+      factors: term,
+      ss,
+      df,
+      ms,
+      statistic,
+      p: fSurvival(statistic, df, errorDf),
+      errorSs,
+      errorDf,
+      errorMs,
+      partialEtaSquared: ss / (ss + errorSs),
+      sphericity: test,
+      pGreenhouseGeisser: correctedP(test.greenhouseGeisser),
+      pHuynhFeldt: correctedP(test.huynhFeldt),
+      pLowerBound: correctedP(test.lowerBound)
+    };
+  });
+
+  return { terms, subjects, n };
+};
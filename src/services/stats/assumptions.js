@@ -0,0 +1,128 @@
+/**
+ * assumptions.js
+ * Checks of the assumptions behind the parametric tests: the Shapiro-Wilk
+ * test of normality (Royston's 1995 approximation, AS R94), normal Q-Q plot
+ * coordinates, and Levene's and Brown-Forsythe's tests of equal variances.
+ */
+import { finite, sum, mean, sortAscending, median } from './basic';
+import { normalQuantile, normalSurvival } from './distributions';
+import { oneWayAnova } from './hypothesis';
+
+// Sample sizes the Shapiro-Wilk approximation holds for
+export const SHAPIRO_WILK_MIN = 3;
+export const SHAPIRO_WILK_MAX = 5000;
+
+export const VARIANCE_CENTERS = {
+  MEAN: 'mean',
+  MEDIAN: 'median'
+};
+
+/**
+ * Evaluate c[0] + c[1] x + c[2] x² + ...
+ * @returns {number} Polynomial value
+ */
+const polynomial = (coefficients, x) => coefficients.reduceRight((total, c) => total * x + c, 0);
+
+/**
+ * Shapiro-Wilk test of normality
+ * @param {Array<number>} values Sample (non-finite values are ignored), 3 to 5000 values
+ * @returns {{ statistic: number, p: number, n: number }} W, its p-value and the sample size
+ */
+export const shapiroWilk = (values) => {
+  const x = sortAscending(finite(values));
+  const n = x.length;
+  if (n < SHAPIRO_WILK_MIN) throw new Error(`The Shapiro-Wilk test needs at least ${SHAPIRO_WILK_MIN} values`);
+  if (n > SHAPIRO_WILK_MAX) throw new Error(`The Shapiro-Wilk test takes at most ${SHAPIRO_WILK_MAX} values`);
+  if (x[n - 1] - x[0] < 1e-12 * Math.max(1, Math.abs(x[0]))) throw new Error('The Shapiro-Wilk test needs values that vary');
+
+  // Coefficients: normal scores, with the outer one or two corrected (Royston, 1992)
+  const a = new Array(n).fill(0);
+  if (n === 3) {
+    a[0] = -Math.SQRT1_2;
+    a[2] = Math.SQRT1_2;
+  } else {
+    const m = x.map((_, i) => normalQuantile((i + 1 - 0.375) / (n + 0.25)));
+    const summ2 = sum(m.map(value => value ** 2));
+    const u = 1 / Math.sqrt(n);
+    const an = m[n - 1] / Math.sqrt(summ2) + polynomial([0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056], u);
+    let phi;
+    let outer;
+    if (n > 5) {
+      const an1 = m[n - 2] / Math.sqrt(summ2) + polynomial([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], u);
+      phi = (summ2 - 2 * m[n - 1] ** 2 - 2 * m[n - 2] ** 2) / (1 - 2 * an ** 2 - 2 * an1 ** 2);
+      a[n - 2] = an1;
+      a[1] = -an1;
+      outer = 2;
+    } else {
+      phi = (summ2 - 2 * m[n - 1] ** 2) / (1 - 2 * an ** 2);
+      outer = 1;
+    }
+    a[n - 1] = an;
+    a[0] = -an;
+    for (let i = outer; i < n - outer; i += 1) a[i] = m[i] / Math.sqrt(phi);
+  }
+
+  const center = mean(x);
+  const numerator = sum(x.map((value, i) => a[i] * value)) ** 2;
+  const denominator = sum(x.map(value => (value - center) ** 2));
+  const statistic = Math.min(1, numerator / denominator);
+
+  let p;
+  if (n === 3) {
+    p = Math.max(0, (6 / Math.PI) * (Math.asin(Math.sqrt(statistic)) - Math.asin(Math.sqrt(0.75))));
+  } else if (statistic >= 1) {
+    p = 1;
+  } else if (n <= 11) {
+    const gamma = polynomial([-2.273, 0.459], n);
+    const location = polynomial([0.544, -0.39978, 0.025054, -6.714e-4], n);
+    const scale = Math.exp(polynomial([1.3822, -0.77857, 0.062767, -0.0020322], n));
+    const shifted = gamma - Math.log(1 - statistic);
+    p = shifted <= 0 ? 0 : normalSurvival((-Math.log(shifted) - location) / scale);
+  } else {
+    const logN = Math.log(n);
+    const location = polynomial([-1.5861, -0.31082, -0.083751, 0.0038915], logN);
+    const scale = Math.exp(polynomial([-0.4803, -0.082676, 0.0030302], logN));
+    p = normalSurvival((Math.log(1 - statistic) - location) / scale);
+  }
+  return { statistic, p, n };
+};
+
+/**
+ * Coordinates of a normal Q-Q plot: the sorted sample against normal
+ * quantiles at the plotting positions (i - a) / (n + 1 - 2a), with a = 3/8
+ * up to 10 values and 1/2 above (as R's ppoints)
+ * @param {Array<number>} values Sample (non-finite values are ignored)
+ * @param {Object} [options]
+ * @param {number} [options.maxPoints=Infinity] Most points to return; larger samples are thinned
+ *   to evenly spaced order statistics, keeping both extremes
+ * @returns {Array<{ theoretical: number, sample: number }>} Points in increasing order
+ */
+export const qqPoints = (values, { maxPoints = Infinity } = {}) => {
+  const x = sortAscending(finite(values));
+  const n = x.length;
+  const offset = n <= 10 ? 0.375 : 0.5;
+  const point = i => ({ theoretical: normalQuantile((i + 1 - offset) / (n + 1 - 2 * offset)), sample: x[i] });
+  if (n <= maxPoints) return x.map((_, i) => point(i));
+  return Array.from({ length: maxPoints }, (_, k) => point(Math.round((k * (n - 1)) / (maxPoints - 1))));
+};
+
+/**
+ * Levene's test of equal variances: a one-way ANOVA of the absolute
+ * deviations from each group's center. Centering on the median gives the
+ * Brown-Forsythe test, which is robust to non-normal data.
+ * @param {Array<Array<number>>} groups Samples, one per group
+ * @param {Object} [options]
+ * @param {string} [options.center='median'] One of VARIANCE_CENTERS
+ * @returns {{ statistic: number, df1: number, df2: number, p: number }} F statistic, degrees of freedom and p-value
+ */
+export const leveneTest = (groups, { center = VARIANCE_CENTERS.MEDIAN } = {}) => {
+  const samples = groups.map(group => finite(group));
+  if (samples.length < 2) throw new Error('Comparing variances needs at least two groups');
+  const centerOf = center === VARIANCE_CENTERS.MEAN ? mean : median;
+  const deviations = samples.map(sample => {
+    const c = centerOf(sample);
+    return sample.map(value => Math.abs(value - c));
+  });
+  const result = oneWayAnova(deviations);
+  return { statistic: result.statistic, df1: result.dfBetween, df2: result.dfWithin, p: result.p };
+};
@@ -0,0 +1,118 @@
+/**
+ * basic.js
+ * Elementary numeric helpers shared by the analysis and visualization services
+ */
+
+/**
+ * Keep only finite numbers
+ * @param {Array<*>} values Values to filter
+ * @returns {Array<number>} Finite numbers
+ */
+export const finite = (values) => values.filter(value => typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Sum of an array of numbers
+ * @param {Array<number>} values Numbers
+ * @returns {number} Sum
+ */
+export const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values Numbers
+ * @returns {number} Mean (NaN for an empty array)
+ */
+export const mean = (values) => (values.length ? sum(values) / values.length : NaN);
+
+/**
+ * Sample variance (n - 1 denominator)
+ * @param {Array<number>} values Numbers
+ * @returns {number} Variance (NaN for fewer than two values)
+ */
+export const variance = (values) => {
+  if (values.length < 2) return NaN;
+  const m = mean(values);
+  return values.reduce((total, value) => total + (value - m) ** 2, 0) / (values.length - 1);
+};
+
+/**
+ * Sample standard deviation
+ * @param {Array<number>} values Numbers
+ * @returns {number} Standard deviation
+ */
+export const standardDeviation = (values) => Math.sqrt(variance(values));
+
+/**
+ * Sort numbers ascending without mutating the input
+ * @param {Array<number>} values Numbers
+ * @returns {Array<number>} Sorted copy
+ */
+export const sortAscending = (values) => values.slice().sort((a, b) => a - b);
+
+/**
+ * Quantile by linear interpolation between order statistics (R type 7)
+ * @param {Array<number>} sorted Numbers sorted ascending
+ * @param {number} p Probability between 0 and 1
+ * @returns {number} Quantile
+ */
+export const quantileSorted = (sorted, p) => {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Median
+ * @param {Array<number>} values Numbers
+ * @returns {number} Median
+ */
+export const median = (values) => quantileSorted(sortAscending(values), 0.5);
+
+/**
+ * Five-number summary with Tukey fences, as drawn by box plots
+ * @param {Array<number>} values Numbers
+ * @returns {Object} { min, q1, median, q3, max, outliers }
+ */
+export const fiveNumberSummary = (values) => {
+  const sorted = sortAscending(values);
+  const q1 = quantileSorted(sorted, 0.25);
+  const q3 = quantileSorted(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  const inside = sorted.filter(value => value >= q1 - fence && value <= q3 + fence);
+
+  return {
+    min: inside[0],
+    q1,
+    median: quantileSorted(sorted, 0.5),
+    q3,
+    max: inside[inside.length - 1],
+    outliers: sorted.filter(value => value < q1 - fence || value > q3 + fence)
+  };
+};
+
+/**
+ * Pearson correlation of two equally long arrays, skipping incomplete pairs
+ * @param {Array<number|null>} x First variable
+ * @param {Array<number|null>} y Second variable
+ * @returns {number} Correlation coefficient (NaN when undefined)
+ */
+export const pearson = (x, y) => {
+  const pairs = x
+    .map((value, index) => [value, y[index]])
+    .filter(([a, b]) => Number.isFinite(a) && Number.isFinite(b));
+  if (pairs.length < 2) return NaN;
+
+  const mx = mean(pairs.map(pair => pair[0]));
+  const my = mean(pairs.map(pair => pair[1]));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  pairs.forEach(([a, b]) => {
+    sxy += (a - mx) * (b - my);
+    sxx += (a - mx) ** 2;
+    syy += (b - my) ** 2;
+  });
+  return sxy / Math.sqrt(sxx * syy);
+};
@@ -0,0 +1,394 @@
+/**
+ * cluster.js
+ * Clustering of numeric rows: k-means with k-means++ seeding, agglomerative
+ * hierarchical clustering (Ward, complete, average and single linkage) and
+ * DBSCAN, with silhouette widths and within-cluster sums of squares for
+ * judging the result. Distances are Euclidean.
+ */
+
+export const LINKAGES = {
+  WARD: 'ward',
+  COMPLETE: 'complete',
+  AVERAGE: 'average',
+  SINGLE: 'single'
+};
+
+// Cluster label DBSCAN gives to noise points
+export const NOISE = -1;
+
+/**
+ * Squared Euclidean distance between two points
+ * @param {Array<number>} a Point
+ * @param {Array<number>} b Point
+ * @returns {number} Squared distance
+ */
+export const squaredDistance = (a, b) => {
+  let total = 0;
+  for (let j = 0; j < a.length; j += 1) {
+    const difference = a[j] - b[j];
+    total += difference * difference;
+  }
+  return total;
+};
+
+/**
+ * Index of the nearest centroid and its squared distance
+ * @returns {{ index: number, distance: number }} Nearest centroid
+ */
+const nearestCentroid = (point, centroids) => {
+  let index = 0;
+  let distance = Infinity;
+  centroids.forEach((centroid, c) => {
+    const d = squaredDistance(point, centroid);
+    if (d < distance) {
+      distance = d;
+      index = c;
+    }
+  });
+  return { index, distance };
+};
+
+/**
+ * k-means++ seeding: each new center is drawn with probability proportional
+ * to its squared distance from the nearest center chosen so far
+ * @returns {Array<Array<number>>} Initial centroids
+ */
+const seedCentroids = (rows, k, random) => {
+  const centroids = [rows[Math.floor(random() * rows.length)]];
+  const distances = rows.map(row => squaredDistance(row, centroids[0]));
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    let index = 0;
+    if (total > 0) {
+      let target = random() * total;
+      while (index < rows.length - 1 && target >= distances[index]) {
+        target -= distances[index];
+        index += 1;
+      }
+    } else {
+      index = Math.floor(random() * rows.length);
+    }
+    centroids.push(rows[index]);
+    rows.forEach((row, i) => { distances[i] = Math.min(distances[i], squaredDistance(row, rows[index])); });
+  }
+  return centroids.map(centroid => [...centroid]);
+};
+
+/**
+ * One run of Lloyd's algorithm from k-means++ seeds
+ * @returns {Object} Assignments, centroids, inertia, iterations and convergence
+ */
+const lloyd = (rows, k, random, maxIterations) => {
+  const dimensions = rows[0].length;
+  let centroids = seedCentroids(rows, k, random);
+  let assignments = new Array(rows.length).fill(-1);
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIterations) {
+    iterations += 1;
+    let changed = false;
+    const distances = rows.map((row, i) => {
+      const { index, distance } = nearestCentroid(row, centroids);
+      if (index !== assignments[i]) changed = true;
+      assignments[i] = index;
+      return distance;
+    });
+    if (!changed) {
+      converged = true;
+      break;
+    }
+
+    const sums = Array.from({ length: k }, () => new Array(dimensions).fill(0));
+    const sizes = new Array(k).fill(0);
+    rows.forEach((row, i) => {
+      sizes[assignments[i]] += 1;
+      row.forEach((value, j) => { sums[assignments[i]][j] += value; });
+    });
+    centroids = sums.map((sum, c) => sum.map(value => value / sizes[c]));
+
+    // An empty cluster takes over the point farthest from its centroid
+    sizes.forEach((size, c) => {
+      if (size > 0) return;
+      const farthest = distances.reduce((best, d, i) => (d > distances[best] ? i : best), 0);
+      centroids[c] = [...rows[farthest]];
+      distances[farthest] = 0;
+      assignments = assignments.map((assignment, i) => (i === farthest ? c : assignment));
+    });
+  }
+
+  const inertia = rows.reduce((sum, row, i) => sum + squaredDistance(row, centroids[assignments[i]]), 0);
+  return { assignments, centroids, inertia, iterations, converged };
+};
+
+/**
+ * k-means clustering, keeping the best of several k-means++ starts
+ * @param {Array<Array<number>>} rows Points (complete numeric rows)
+ * @param {number} k Number of clusters
+ * @param {Object} [options]
+ * @param {Function} [options.random=Math.random] Uniform random number source
+ * @param {number} [options.starts=10] Number of starts
+ * @param {number} [options.maxIterations=300] Iterations per start
+ * @returns {{ assignments: Array<number>, centroids: Array<Array<number>>, inertia: number, iterations: number, converged: boolean }}
+ *   Best solution, by within-cluster sum of squares (inertia)
+ */
+export const kMeans = (rows, k, { random = Math.random, starts = 10, maxIterations = 300 } = {}) => {
+  if (k < 1 || k > rows.length) throw new Error(`Cannot form ${k} clusters from ${rows.length} rows`);
+  let best = null;
+  for (let start = 0; start < starts; start += 1) {
+    const result = lloyd(rows, k, random, maxIterations);
+    if (!best || result.inertia < best.inertia) best = result;
+  }
+  return best;
+};
+
+/**
+ * Distance from a merged cluster (i + j) to cluster k by the Lance-Williams
+ * recurrence. Ward's update is applied to squared distances, so that merge
+ * heights are on the same scale as the data (as in R and SciPy).
+ * @returns {number} New distance
+ */
+const lanceWilliams = (linkage, dki, dkj, dij, ni, nj, nk) => {
+  switch (linkage) {
+    case LINKAGES.SINGLE: return Math.min(dki, dkj);
+    case LINKAGES.COMPLETE: return Math.max(dki, dkj);
+    case LINKAGES.AVERAGE: return (ni * dki + nj * dkj) / (ni + nj);
+    case LINKAGES.WARD: return Math.sqrt(Math.max(0,
+      ((ni + nk) * dki * dki + (nj + nk) * dkj * dkj - nk * dij * dij) / (ni + nj + nk)
+    ));
+    default: throw new Error(`Unknown linkage: ${linkage}`);
+  }
+};
+
+/**
+ * Agglomerative hierarchical clustering
+ * @param {Array<Array<number>>} rows Points (complete numeric rows)
+ * @param {Object} [options]
+ * @param {string} [options.linkage='ward'] One of LINKAGES
+ * @returns {Array<{ left: number, right: number, height: number, size: number }>}
+ *   The n - 1 merges in order. Nodes 0..n-1 are the rows; merge m creates node n + m.
+ */
+export const hierarchicalClustering = (rows, { linkage = LINKAGES.WARD } = {}) => {
+  if (!Object.values(LINKAGES).includes(linkage)) throw new Error(`Unknown linkage: ${linkage}`);
+  const n = rows.length;
+  const distances = new Float64Array(n * n);
+  for (let i = 0; i < n; i += 1) {
+    for (let j = i + 1; j < n; j += 1) {
+      const d = Math.sqrt(squaredDistance(rows[i], rows[j]));
+      distances[i * n + j] = d;
+      distances[j * n + i] = d;
+    }
+  }
+
+  const active = new Array(n).fill(true);
+  const sizes = new Array(n).fill(1);
+  const nodes = Array.from({ length: n }, (_, i) => i);
+  const neighbor = new Array(n).fill(-1);
+  const neighborDistance = new Array(n).fill(Infinity);
+  const findNeighbor = (i) => {
+    neighbor[i] = -1;
+    neighborDistance[i] = Infinity;
+    for (let k = 0; k < n; k += 1) {
+      if (k !== i && active[k] && distances[i * n + k] < neighborDistance[i]) {
+        neighbor[i] = k;
+        neighborDistance[i] = distances[i * n + k];
+      }
+    }
+  };
+  for (let i = 0; i < n; i += 1) findNeighbor(i);
+
+  const merges = [];
+  for (let m = 0; m < n - 1; m += 1) {
+    // The closest pair is a cluster and its nearest neighbor
+    let i = -1;
+    for (let k = 0; k < n; k += 1) {
+      if (active[k] && (i < 0 || neighborDistance[k] < neighborDistance[i])) i = k;
+    }
+    const j = neighbor[i];
+    const height = neighborDistance[i];
+    merges.push({ left: Math.min(nodes[i], nodes[j]), right: Math.max(nodes[i], nodes[j]), height, size: sizes[i] + sizes[j] });
+
+    // The merged cluster takes slot i
+    for (let k = 0; k < n; k += 1) {
+      if (!active[k] || k === i || k === j) continue;
+      const d = lanceWilliams(linkage, distances[k * n + i], distances[k * n + j], height, sizes[i], sizes[j], sizes[k]);
+      distances[k * n + i] = d;
+      distances[i * n + k] = d;
+    }
+    active[j] = false;
+    sizes[i] += sizes[j];
+    nodes[i] = n + m;
+
+    for (let k = 0; k < n; k += 1) {
+      if (!active[k] || k === i) continue;
+      if (neighbor[k] === i || neighbor[k] === j) {
+        findNeighbor(k);
+      } else if (distances[k * n + i] < neighborDistance[k]) {
+        neighbor[k] = i;
+        neighborDistance[k] = distances[k * n + i];
+      }
+    }
+    findNeighbor(i);
+  }
+  return merges;
+};
+
+/**
+ * Cut a hierarchical clustering into k clusters
+ * @param {Array<Object>} merges Merges from hierarchicalClustering
+ * @param {number} n Number of rows
+ * @param {number} k Number of clusters
+ * @returns {Array<number>} Cluster (0..k-1, numbered by first row) of each row
+ */
+export const cutTree = (merges, n, k) => {
+  const parent = Array.from({ length: 2 * n - 1 }, (_, i) => i);
+  const find = (node) => {
+    let root = node;
+    while (parent[root] !== root) root = parent[root];
+    return root;
+  };
+  merges.slice(0, Math.max(0, n - k)).forEach((merge, m) => {
+    parent[find(merge.left)] = n + m;
+    parent[find(merge.right)] = n + m;
+  });
+
+  const labels = new Map();
+  return Array.from({ length: n }, (_, i) => {
+    const root = find(i);
+    if (!labels.has(root)) labels.set(root, labels.size);
+    return labels.get(root);
+  });
+};
+
+/**
+ * DBSCAN density-based clustering
+ * @param {Array<Array<number>>} rows Points (complete numeric rows)
+ * @param {Object} options
+ * @param {number} options.eps Neighborhood radius
+ * @param {number} options.minPoints Points (including itself) a core point needs within eps
+ * @returns {{ assignments: Array<number>, core: Array<boolean>, clusters: number }}
+ *   Cluster of each row (NOISE for noise), core flags and number of clusters
+ */
+export const dbscan = (rows, { eps, minPoints }) => {
+  if (!(eps > 0)) throw new Error('DBSCAN needs a positive neighborhood radius (eps)');
+  const epsSquared = eps * eps;
+  const neighborsOf = (i) => rows.reduce((found, row, k) => {
+    if (squaredDistance(rows[i], row) <= epsSquared) found.push(k);
+    return found;
+  }, []);
+
+  const assignments = new Array(rows.length).fill(null);
+  const core = new Array(rows.length).fill(false);
+  let clusters = 0;
+  rows.forEach((_, i) => {
+    if (assignments[i] !== null) return;
+    const neighbors = neighborsOf(i);
+    if (neighbors.length < minPoints) {
+      assignments[i] = NOISE;
+      return;
+    }
+    const cluster = clusters;
+    clusters += 1;
+    core[i] = true;
+    assignments[i] = cluster;
+    const queue = neighbors.filter(k => k !== i);
+    while (queue.length > 0) {
+      const k = queue.pop();
+      // Noise reached from a core point becomes a border point
+      if (assignments[k] === NOISE) assignments[k] = cluster;
+      if (assignments[k] !== null) continue;
+      assignments[k] = cluster;
+      const reach = neighborsOf(k);
+      if (reach.length >= minPoints) {
+        core[k] = true;
+        reach.forEach(point => {
+          if (assignments[point] === null || assignments[point] === NOISE) queue.push(point);
+        });
+      }
+    }
+  });
+  return { assignments, core, clusters };
+};
+
+/**
+ * Distance from every row to its k-th nearest neighbor, largest first. The
+ * "knee" of this curve is the usual choice of eps for DBSCAN with minPoints = k + 1.
+ * @param {Array<Array<number>>} rows Points
+ * @param {number} k Neighbor rank
+ * @returns {Array<number>} Distances in descending order
+ */
+export const kNearestDistances = (rows, k) => rows.map((row, i) => {
+  const distances = rows.filter((_, j) => j !== i).map(other => squaredDistance(row, other)).sort((a, b) => a - b);
+  return Math.sqrt(distances[Math.min(k, distances.length) - 1]);
+}).sort((a, b) => b - a);
+
+/**
+ * Centroid and within-cluster sum of squares of each cluster
+ * @param {Array<Array<number>>} rows Points
+ * @param {Array<number>} assignments Cluster of each row (NOISE rows are skipped)
+ * @returns {{ centroids: Array<Array<number>>, sizes: Array<number>, withinSS: Array<number>, totalWithinSS: number, totalSS: number }}
+ */
+export const clusterSummary = (rows, assignments) => {
+  const k = assignments.reduce((max, assignment) => Math.max(max, assignment), -1) + 1;
+  const dimensions = rows[0].length;
+  const sums = Array.from({ length: k }, () => new Array(dimensions).fill(0));
+  const sizes = new Array(k).fill(0);
+  rows.forEach((row, i) => {
+    if (assignments[i] < 0) return;
+    sizes[assignments[i]] += 1;
+    row.forEach((value, j) => { sums[assignments[i]][j] += value; });
+  });
+  const centroids = sums.map((sum, c) => sum.map(value => value / sizes[c]));
+  const withinSS = new Array(k).fill(0);
+  rows.forEach((row, i) => {
+    if (assignments[i] >= 0) withinSS[assignments[i]] += squaredDistance(row, centroids[assignments[i]]);
+  });
+
+  const clustered = rows.filter((_, i) => assignments[i] >= 0);
+  const grandMean = new Array(dimensions).fill(0).map((_, j) => clustered.reduce((sum, row) => sum + row[j], 0) / clustered.length);
+  const totalSS = clustered.reduce((sum, row) => sum + squaredDistance(row, grandMean), 0);
+  return { centroids, sizes, withinSS, totalWithinSS: withinSS.reduce((sum, value) => sum + value, 0), totalSS };
+};
+
+/**
+ * Silhouette widths: s = (b - a) / max(a, b), where a is the mean distance to
+ * the row's own cluster and b the smallest mean distance to another cluster.
+ * Rows alone in their cluster score 0; noise rows are left out.
+ * @param {Array<Array<number>>} rows Points
+ * @param {Array<number>} assignments Cluster of each row
+ * @param {Object} [options]
+ * @param {Array<number>} [options.indexes] Rows to score (all by default), e.g. a sample of a large dataset
+ * @returns {{ average: number, values: Array<number|null>, perCluster: Array<number> }}
+ *   Mean width, width per scored row (null otherwise) and mean width per cluster
+ */
+export const silhouette = (rows, assignments, { indexes } = {}) => {
+  const k = assignments.reduce((max, assignment) => Math.max(max, assignment), -1) + 1;
+  const sizes = new Array(k).fill(0);
+  assignments.forEach(assignment => { if (assignment >= 0) sizes[assignment] += 1; });
+  const values = new Array(rows.length).fill(null);
+  if (k < 2) return { average: NaN, values, perCluster: sizes.map(() => NaN) };
+
+  (indexes || rows.map((_, i) => i)).forEach(i => {
+    const own = assignments[i];
+    if (own < 0) return;
+    if (sizes[own] === 1) {
+      values[i] = 0;
+      return;
+    }
+    const totals = new Array(k).fill(0);
+    rows.forEach((row, j) => {
+      if (j !== i && assignments[j] >= 0) totals[assignments[j]] += Math.sqrt(squaredDistance(rows[i], row));
+    });
+    const a = totals[own] / (sizes[own] - 1);
+    const b = Math.min(...totals.map((total, c) => (c === own || sizes[c] === 0 ? Infinity : total / sizes[c])));
+    values[i] = Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+  });
+
+  const mean = (list) => (list.length ? list.reduce((sum, value) => sum + value, 0) / list.length : NaN);
+  const scored = values.map((value, i) => ({ value, cluster: assignments[i] })).filter(({ value }) => value !== null);
+  return {
+    average: mean(scored.map(({ value }) => value)),
+    values,
+    perCluster: sizes.map((_, c) => mean(scored.filter(({ cluster }) => cluster === c).map(({ value }) => value)))
+  };
+};
@@ -0,0 +1,190 @@
+/**
+ * correlation.js
+ * Pearson, Spearman and Kendall correlation coefficients with their p-values
+ * and confidence intervals, and correlation matrices over several variables.
+ */
+import { pearson } from './basic';
+import { studentTSurvival, normalSurvival, normalQuantile } from './distributions';
+import { rank } from './hypothesis';
+
+export const CORRELATION_METHODS = {
+  PEARSON: 'pearson',
+  SPEARMAN: 'spearman',
+  KENDALL: 'kendall'
+};
+
+export const MISSING_HANDLING = {
+  PAIRWISE: 'pairwise',
+  LISTWISE: 'listwise'
+};
+
+/**
+ * Pairs where both values are present
+ * @returns {{ x: Array<number>, y: Array<number> }} Complete pairs
+ */
+const completePairs = (x, y) => {
+  const a = [];
+  const b = [];
+  for (let i = 0; i < Math.min(x.length, y.length); i += 1) {
+    if (Number.isFinite(x[i]) && Number.isFinite(y[i])) {
+      a.push(x[i]);
+      b.push(y[i]);
+    }
+  }
+  return { x: a, y: b };
+};
+
+/**
+ * Confidence interval of a correlation by Fisher's z transformation
+ * @param {number} r Coefficient
+ * @param {number} se Standard error of atanh(r)
+ * @param {number} level Confidence level
+ * @returns {{ ciLower: number, ciUpper: number }} Interval
+ */
+const fisherInterval = (r, se, level) => {
+  if (Math.abs(r) >= 1) return { ciLower: r, ciUpper: r };
+  const margin = normalQuantile(1 - (1 - level) / 2) * se;
+  return { ciLower: Math.tanh(Math.atanh(r) - margin), ciUpper: Math.tanh(Math.atanh(r) + margin) };
+};
+
+/**
+ * Two-sided p-value of a correlation from the t distribution with n - 2 degrees of freedom
+ * @returns {number} P-value
+ */
+const tTestOfCorrelation = (r, n) => {
+  if (Math.abs(r) >= 1) return 0;
+  const t = r * Math.sqrt((n - 2) / (1 - r * r));
+  return Math.min(1, 2 * studentTSurvival(Math.abs(t), n - 2));
+};
+
+/**
+ * Sizes of the groups of tied values
+ * @returns {Array<number>} Group sizes above one
+ */
+const tieGroups = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.values()].filter(count => count > 1);
+};
+
+/**
+ * Kendall's tau-b with the tie-corrected variance of its numerator
+ * @returns {{ tau: number, z: number }} Coefficient and normal score
+ */
+const kendallTauB = (x, y) => {
+  const n = x.length;
+  let s = 0;
+  for (let i = 0; i < n - 1; i += 1) {
+    for (let j = i + 1; j < n; j += 1) {
+      s += Math.sign(x[i] - x[j]) * Math.sign(y[i] - y[j]);
+    }
+  }
+  const xTies = tieGroups(x);
+  const yTies = tieGroups(y);
+  const pairs = (n * (n - 1)) / 2;
+  const tiedPairs = ties => ties.reduce((total, t) => total + (t * (t - 1)) / 2, 0);
+  const tau = s / Math.sqrt((pairs - tiedPairs(xTies)) * (pairs - tiedPairs(yTies)));
+
+  const term = (ties, f) => ties.reduce((total, t) => total + f(t), 0);
+  const v0 = n * (n - 1) * (2 * n + 5);
+  const vt = term(xTies, t => t * (t - 1) * (2 * t + 5));
+  const vu = term(yTies, t => t * (t - 1) * (2 * t + 5));
+  const v1 = (term(xTies, t => t * (t - 1)) * term(yTies, t => t * (t - 1))) / (2 * n * (n - 1));
+  const v2 = n > 2
+    ? (term(xTies, t => t * (t - 1) * (t - 2)) * term(yTies, t => t * (t - 1) * (t - 2))) / (9 * n * (n - 1) * (n - 2))
+    : 0;
+  const varianceS = (v0 - vt - vu) / 18 + v1 + v2;
+  return { tau, z: varianceS > 0 ? s / Math.sqrt(varianceS) : NaN };
+};
+
+/**
+ * Correlation of two variables with its p-value and confidence interval;
+ * incomplete pairs are skipped
+ * @param {Array<number>} x First variable
+ * @param {Array<number>} y Second variable
+ * @param {Object} [options] Options
+ * @param {string} [options.method='pearson'] One of CORRELATION_METHODS
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the interval
+ * @returns {Object} { n, r, p, ciLower, ciUpper }
+ */
+export const correlate = (x, y, { method = CORRELATION_METHODS.PEARSON, confidenceLevel = 0.95 } = {}) => {
+  const pairs = completePairs(x, y);
+  const n = pairs.x.length;
+  const empty = { n, r: NaN, p: NaN, ciLower: NaN, ciUpper: NaN };
+  if (n < 3) return empty;
+
+  if (method === CORRELATION_METHODS.KENDALL) {
+    const { tau, z } = kendallTauB(pairs.x, pairs.y);
+    if (!Number.isFinite(tau)) return empty;
+    return {
+      n,
+      r: tau,
+      p: Number.isFinite(z) ? Math.min(1, 2 * normalSurvival(Math.abs(z))) : NaN,
+      // Fieller, Hartley and Pearson's standard error of atanh(tau)
+      ...(n > 4 ? fisherInterval(tau, Math.sqrt(0.437 / (n - 4)), confidenceLevel) : { ciLower: NaN, ciUpper: NaN })
+    };
+  }
+
+  if (method === CORRELATION_METHODS.SPEARMAN) {
+    const r = pearson(rank(pairs.x).ranks, rank(pairs.y).ranks);
+    if (!Number.isFinite(r)) return empty;
+    return {
+      n,
+      r,
+      p: tTestOfCorrelation(r, n),
+      // Bonett and Wright's standard error of atanh(rho)
+      ...(n > 3 ? fisherInterval(r, Math.sqrt((1 + (r * r) / 2) / (n - 3)), confidenceLevel) : { ciLower: NaN, ciUpper: NaN })
+    };
+  }
+
+  const r = pearson(pairs.x, pairs.y);
+  if (!Number.isFinite(r)) return empty;
+  return {
+    n,
+    r,
+    p: tTestOfCorrelation(r, n),
+    ...(n > 3 ? fisherInterval(r, 1 / Math.sqrt(n - 3), confidenceLevel) : { ciLower: NaN, ciUpper: NaN })
+  };
+};
+
+/**
+ * Correlations between every pair of variables
+ * @param {Array<Array<number>>} variables Equally long arrays, NaN where missing
+ * @param {Object} [options] Options
+ * @param {string} [options.method='pearson'] One of CORRELATION_METHODS
+ * @param {string} [options.missing='pairwise'] 'pairwise' uses every row complete for the pair,
+ *   'listwise' only rows complete for all variables
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the intervals
+ * @returns {Object} Symmetric matrices { n, r, p, ciLower, ciUpper }, each variables × variables
+ */
+export const correlationMatrix = (variables, {
+  method = CORRELATION_METHODS.PEARSON,
+  missing = MISSING_HANDLING.PAIRWISE,
+  confidenceLevel = 0.95
+} = {}) => {
+  let columns = variables.map(values => Array.from(values));
+  if (missing === MISSING_HANDLING.LISTWISE) {
+    const rowCount = Math.min(...columns.map(values => values.length));
+    const complete = [];
+    for (let i = 0; i < rowCount; i += 1) {
+      if (columns.every(values => Number.isFinite(values[i]))) complete.push(i);
+    }
+    columns = columns.map(values => complete.map(i => values[i]));
+  }
+
+  const k = columns.length;
+  const matrix = () => Array.from({ length: k }, () => new Array(k).fill(NaN));
+  const result = { n: matrix(), r: matrix(), p: matrix(), ciLower: matrix(), ciUpper: matrix() };
+  for (let i = 0; i < k; i += 1) {
+    result.n[i][i] = completePairs(columns[i], columns[i]).x.length;
+    result.r[i][i] = 1;
+    for (let j = i + 1; j < k; j += 1) {
+      const cell = correlate(columns[i], columns[j], { method, confidenceLevel });
+      Object.keys(result).forEach(key => {
+        result[key][i][j] = cell[key];
+        result[key][j][i] = cell[key];
+      });
+    }
+  }
+  return result;
+};
@@ -0,0 +1,134 @@
+/**
+ * descriptive.js
+ * Summary statistics of a sample: location, spread, shape, a confidence
+ * interval for the mean and Tukey outlier flags.
+ */
+import { finite, mean, variance, sortAscending, quantileSorted } from './basic';
+import { studentTQuantile } from './distributions';
+
+/**
+ * Most frequent value
+ * @param {Array<number>} values Numbers
+ * @returns {number|null} Smallest of the most frequent values, or null when no value repeats
+ */
+export const mode = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  let bestCount = 1;
+  counts.forEach((count, value) => {
+    if (count > bestCount || (count === bestCount && best !== null && value < best)) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Sample skewness, adjusted for sample size (G1, as reported by SPSS and Excel)
+ * @param {Array<number>} values Numbers
+ * @returns {number} Skewness (NaN for fewer than three values or no spread)
+ */
+export const skewness = (values) => {
+  const n = values.length;
+  if (n < 3) return NaN;
+  const m = mean(values);
+  const m2 = values.reduce((total, value) => total + (value - m) ** 2, 0) / n;
+  const m3 = values.reduce((total, value) => total + (value - m) ** 3, 0) / n;
+  if (m2 === 0) return NaN;
+  return (Math.sqrt(n * (n - 1)) / (n - 2)) * (m3 / m2 ** 1.5);
+};
+
+/**
+ * Sample excess kurtosis, adjusted for sample size (G2, 0 for a normal distribution)
+ * @param {Array<number>} values Numbers
+ * @returns {number} Excess kurtosis (NaN for fewer than four values or no spread)
+ */
+export const kurtosis = (values) => {
+  const n = values.length;
+  if (n < 4) return NaN;
+  const m = mean(values);
+  const m2 = values.reduce((total, value) => total + (value - m) ** 2, 0) / n;
+  const m4 = values.reduce((total, value) => total + (value - m) ** 4, 0) / n;
+  if (m2 === 0) return NaN;
+  const g2 = m4 / m2 ** 2 - 3;
+  return ((n - 1) / ((n - 2) * (n - 3))) * ((n + 1) * g2 + 6);
+};
+
+/**
+ * Confidence interval for the mean, from the t distribution
+ * @param {Array<number>} values Numbers
+ * @param {number} [level=0.95] Confidence level
+ * @returns {{ lower: number, upper: number }} Interval (NaN bounds for fewer than two values)
+ */
+export const meanConfidenceInterval = (values, level = 0.95) => {
+  const n = values.length;
+  if (n < 2) return { lower: NaN, upper: NaN };
+  const m = mean(values);
+  const margin = studentTQuantile(1 - (1 - level) / 2, n - 1) * Math.sqrt(variance(values) / n);
+  return { lower: m - margin, upper: m + margin };
+};
+
+/**
+ * Flag values outside Tukey's fences: mild beyond 1.5 × IQR from the
+ * quartiles, extreme beyond 3 × IQR
+ * @param {Array<number>} values Numbers (NaN or null entries are skipped)
+ * @returns {Array<Object>} { index, value, severity } for every outlier, by position in `values`
+ */
+export const tukeyOutliers = (values) => {
+  const sorted = sortAscending(finite(Array.from(values)));
+  if (sorted.length < 4) return [];
+  const q1 = quantileSorted(sorted, 0.25);
+  const q3 = quantileSorted(sorted, 0.75);
+  const iqr = q3 - q1;
+
+  const outliers = [];
+  Array.from(values).forEach((value, index) => {
+    if (!Number.isFinite(value)) return;
+    const distance = value < q1 ? q1 - value : value - q3;
+    if (distance > 3 * iqr) outliers.push({ index, value, severity: 'extreme' });
+    else if (distance > 1.5 * iqr) outliers.push({ index, value, severity: 'mild' });
+  });
+  return outliers;
+};
+
+/**
+ * Summarize a sample
+ * @param {Array<number>} values Numbers; missing values (NaN, null) are counted and skipped
+ * @param {Object} [options] Options
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the interval for the mean
+ * @returns {Object} { n, missing, mean, ciLower, ciUpper, median, mode, sd, variance, se,
+ *   min, max, range, q1, q3, iqr, skewness, kurtosis }
+ */
+export const describe = (values, { confidenceLevel = 0.95 } = {}) => {
+  const all = Array.from(values);
+  const present = finite(all);
+  const sorted = sortAscending(present);
+  const n = present.length;
+  const sampleVariance = variance(present);
+  const q1 = quantileSorted(sorted, 0.25);
+  const q3 = quantileSorted(sorted, 0.75);
+  const ci = meanConfidenceInterval(present, confidenceLevel);
+
+  return {
+    n,
+    missing: all.length - n,
+    mean: mean(present),
+    ciLower: ci.lower,
+    ciUpper: ci.upper,
+    median: quantileSorted(sorted, 0.5),
+    mode: mode(present),
+    sd: Math.sqrt(sampleVariance),
+    variance: sampleVariance,
+    se: Math.sqrt(sampleVariance / n),
+    min: n ? sorted[0] : NaN,
+    max: n ? sorted[n - 1] : NaN,
+    range: n ? sorted[n - 1] - sorted[0] : NaN,
+    q1,
+    q3,
+    iqr: q3 - q1,
+    skewness: skewness(present),
+    kurtosis: kurtosis(present)
+  };
+};
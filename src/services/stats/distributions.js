@@ -0,0 +1,524 @@
+/**
+ * distributions.js
+ * Probability distributions used for p-values and confidence intervals:
+ * normal, Student's t, chi-square and F, built on the regularized incomplete
+ * gamma and beta functions, the noncentral t, chi-square and F
+ * distributions used for power, and the studentized range and Dunnett
+ * distributions used for multiple comparisons.
+ *
+ * Upper tails (`...Survival`) are computed directly rather than as 1 - cdf,
+ * so very small p-values keep their precision.
+ */
+
+const EPSILON = 1e-15;
+const MAX_ITERATIONS = 500;
+const TINY = 1e-300;
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * Natural log of the gamma function
+ * @param {number} x Positive number
+ * @returns {number} ln Γ(x)
+ */
+export const logGamma = (x) => {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let series = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i += 1) series += LANCZOS[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(series);
+};
+
+/**
+ * Lower regularized incomplete gamma function P(a, x), by its series
+ */
+const gammaSeries = (a, x) => {
+  let term = 1 / a;
+  let total = term;
+  for (let n = 1; n < MAX_ITERATIONS; n += 1) {
+    term *= x / (a + n);
+    total += term;
+    if (Math.abs(term) < Math.abs(total) * EPSILON) break;
+  }
+  return total * Math.exp(-x + a * Math.log(x) - logGamma(a));
+};
+
+/**
+ * Upper regularized incomplete gamma function Q(a, x), by its continued fraction
+ */
+const gammaContinuedFraction = (a, x) => {
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < MAX_ITERATIONS; i += 1) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+};
+
+/**
+ * Lower regularized incomplete gamma function P(a, x)
+ * @param {number} a Shape (> 0)
+ * @param {number} x Upper limit (>= 0)
+ * @returns {number} P(a, x)
+ */
+export const regularizedGammaP = (a, x) => {
+  if (x <= 0) return 0;
+  if (!Number.isFinite(x)) return 1;
+  return x < a + 1 ? gammaSeries(a, x) : 1 - gammaContinuedFraction(a, x);
+};
+
+/**
+ * Upper regularized incomplete gamma function Q(a, x) = 1 - P(a, x)
+ * @param {number} a Shape (> 0)
+ * @param {number} x Lower limit (>= 0)
+ * @returns {number} Q(a, x)
+ */
+export const regularizedGammaQ = (a, x) => {
+  if (x <= 0) return 1;
+  if (!Number.isFinite(x)) return 0;
+  return x < a + 1 ? 1 - gammaSeries(a, x) : gammaContinuedFraction(a, x);
+};
+
+/**
+ * Continued fraction of the incomplete beta function (modified Lentz)
+ */
+const betaContinuedFraction = (a, b, x) => {
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - (qab * x) / qap;
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m < MAX_ITERATIONS; m += 1) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (qab + m) * x) / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x Value between 0 and 1
+ * @param {number} a First shape (> 0)
+ * @param {number} b Second shape (> 0)
+ * @returns {number} I_x(a, b)
+ */
+export const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  // The continued fraction converges fastest on this side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z Value
+ * @returns {number} P(Z <= z)
+ */
+export const normalCdf = (z) => {
+  if (Number.isNaN(z)) return NaN;
+  const tail = 0.5 * regularizedGammaQ(0.5, (z * z) / 2);
+  return z < 0 ? tail : 1 - tail;
+};
+
+/**
+ * Standard normal upper tail
+ * @param {number} z Value
+ * @returns {number} P(Z > z)
+ */
+export const normalSurvival = (z) => normalCdf(-z);
+
+/**
+ * Standard normal quantile (Acklam's approximation refined by one Halley step)
+ * @param {number} p Probability between 0 and 1
+ * @returns {number} z with P(Z <= z) = p
+ */
+export const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  let x;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  } else if (p <= 1 - low) {
+    const q = p - 0.5;
+    const r = q * q;
+    x = ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  } else {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    x = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  const error = normalCdf(x) - p;
+  const u = error * Math.sqrt(2 * Math.PI) * Math.exp((x * x) / 2);
+  return x - u / (1 + (x * u) / 2);
+};
+
+/**
+ * Student's t cumulative distribution function
+ * @param {number} t Value
+ * @param {number} df Degrees of freedom (> 0)
+ * @returns {number} P(T <= t)
+ */
+export const studentTCdf = (t, df) => {
+  if (Number.isNaN(t) || !(df > 0)) return NaN;
+  if (!Number.isFinite(t)) return t > 0 ? 1 : 0;
+  const tail = 0.5 * regularizedBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+};
+
+/**
+ * Student's t upper tail
+ * @param {number} t Value
+ * @param {number} df Degrees of freedom
+ * @returns {number} P(T > t)
+ */
+export const studentTSurvival = (t, df) => studentTCdf(-t, df);
+
+/**
+ * Find x with cdf(x) = p by bisection, after widening the bracket as needed
+ * @returns {number} Quantile, to a relative tolerance (machine precision by default)
+ */
+const invertCdf = (cdf, p, lower, upper, tolerance = EPSILON) => {
+  let lo = lower;
+  let hi = upper;
+  while (cdf(hi) < p && hi < 1e12) {
+    lo = hi;
+    hi *= 2;
+  }
+  while (cdf(lo) > p && lo > -1e12) {
+    hi = lo;
+    lo = lo < 0 ? lo * 2 : lo / 2 - 1;
+  }
+  for (let i = 0; i < 200; i += 1) {
+    const mid = (lo + hi) / 2;
+    if (cdf(mid) < p) lo = mid;
+    else hi = mid;
+    if (hi - lo <= tolerance * Math.max(1, Math.abs(mid))) break;
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Student's t quantile
+ * @param {number} p Probability between 0 and 1
+ * @param {number} df Degrees of freedom
+ * @returns {number} t with P(T <= t) = p
+ */
+export const studentTQuantile = (p, df) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p === 0.5) return 0;
+  // The t distribution is symmetric, so solve in the upper half
+  if (p < 0.5) return -studentTQuantile(1 - p, df);
+  return invertCdf(t => studentTCdf(t, df), p, 0, Math.max(10, normalQuantile(p) * 4));
+};
+
+/**
+ * Chi-square cumulative distribution function
+ * @param {number} x Value
+ * @param {number} df Degrees of freedom
+ * @returns {number} P(X <= x)
+ */
+export const chiSquareCdf = (x, df) => (x <= 0 ? 0 : regularizedGammaP(df / 2, x / 2));
+
+/**
+ * Chi-square upper tail
+ * @param {number} x Value
+ * @param {number} df Degrees of freedom
+ * @returns {number} P(X > x)
+ */
+export const chiSquareSurvival = (x, df) => (x <= 0 ? 1 : regularizedGammaQ(df / 2, x / 2));
+
+/**
+ * Chi-square quantile
+ * @param {number} p Probability between 0 and 1
+ * @param {number} df Degrees of freedom
+ * @returns {number} x with P(X <= x) = p
+ */
+export const chiSquareQuantile = (p, df) => {
+  if (p <= 0) return 0;
+  if (p >= 1) return Infinity;
+  return invertCdf(x => chiSquareCdf(x, df), p, 0, Math.max(10, df * 4));
+};
+
+/**
+ * F cumulative distribution function
+ * @param {number} x Value
+ * @param {number} df1 Numerator degrees of freedom
+ * @param {number} df2 Denominator degrees of freedom
+ * @returns {number} P(F <= x)
+ */
+export const fCdf = (x, df1, df2) => (
+  x <= 0 ? 0 : regularizedBeta((df1 * x) / (df1 * x + df2), df1 / 2, df2 / 2)
+);
+
+/**
+ * F upper tail
+ * @param {number} x Value
+ * @param {number} df1 Numerator degrees of freedom
+ * @param {number} df2 Denominator degrees of freedom
+ * @returns {number} P(F > x)
+ */
+export const fSurvival = (x, df1, df2) => (
+  x <= 0 ? 1 : regularizedBeta(df2 / (df2 + df1 * x), df2 / 2, df1 / 2)
+);
+
+/**
+ * F quantile
+ * @param {number} p Probability between 0 and 1
+ * @param {number} df1 Numerator degrees of freedom
+ * @param {number} df2 Denominator degrees of freedom
+ * @returns {number} x with P(F <= x) = p
+ */
+export const fQuantile = (p, df1, df2) => {
+  if (p <= 0) return 0;
+  if (p >= 1) return Infinity;
+  return invertCdf(x => fCdf(x, df1, df2), p, 0, 10);
+};
+
+/**
+ * Poisson weights e^-m m^j / j! for j = 0..jMax, computed in logs so large
+ * means do not underflow
+ * @returns {Array<number>} Weights
+ */
+const poissonWeights = (m) => {
+  const jMax = Math.ceil(m + 12 * Math.sqrt(m) + 30);
+  return Array.from({ length: jMax + 1 }, (_, j) => Math.exp(-m + (m > 0 ? j * Math.log(m) : (j === 0 ? 0 : -Infinity)) - logGamma(j + 1)));
+};
+
+/**
+ * Noncentral t cumulative distribution function, by integrating the normal
+ * CDF over the chi distribution of the denominator (Simpson's rule)
+ * @param {number} t Value
+ * @param {number} df Degrees of freedom
+ * @param {number} ncp Noncentrality parameter
+ * @returns {number} P(T' <= t)
+ */
+export const noncentralTCdf = (t, df, ncp) => {
+  if (ncp === 0) return studentTCdf(t, df);
+  if (!Number.isFinite(t)) return t > 0 ? 1 : 0;
+  // W = sqrt(V) with V ~ chi-square(df); its density is the chi distribution
+  const logNorm = (df / 2 - 1) * Math.log(2) + logGamma(df / 2);
+  const density = w => (w <= 0 ? (df === 1 ? Math.exp(-logNorm) : 0) : Math.exp((df - 1) * Math.log(w) - (w * w) / 2 - logNorm));
+  const center = Math.sqrt(Math.max(df - 0.5, 0.5));
+  const lower = Math.max(0, center - 10);
+  const upper = center + 10;
+  const steps = 2000;
+  const h = (upper - lower) / steps;
+  let total = 0;
+  for (let i = 0; i <= steps; i += 1) {
+    const w = lower + i * h;
+    const weight = i === 0 || i === steps ? 1 : i % 2 === 1 ? 4 : 2;
+    total += weight * density(w) * normalCdf((t * w) / Math.sqrt(df) - ncp);
+  }
+  return Math.min(1, Math.max(0, (total * h) / 3));
+};
+
+/**
+ * Noncentral chi-square upper tail, as a Poisson mixture of central chi-squares
+ * @param {number} x Value
+ * @param {number} df Degrees of freedom
+ * @param {number} lambda Noncentrality parameter
+ * @returns {number} P(X' > x)
+ */
+export const noncentralChiSquareSurvival = (x, df, lambda) => {
+  if (lambda <= 0) return chiSquareSurvival(x, df);
+  return Math.min(1, poissonWeights(lambda / 2).reduce((total, weight, j) => (
+    weight > 1e-300 ? total + weight * chiSquareSurvival(x, df + 2 * j) : total
+  ), 0));
+};
+
+/**
+ * Noncentral F upper tail, as a Poisson mixture of incomplete beta functions
+ * @param {number} x Value
+ * @param {number} df1 Numerator degrees of freedom
+ * @param {number} df2 Denominator degrees of freedom
+ * @param {number} lambda Noncentrality parameter
+ * @returns {number} P(F' > x)
+ */
+export const noncentralFSurvival = (x, df1, df2, lambda) => {
+  if (lambda <= 0) return fSurvival(x, df1, df2);
+  if (x <= 0) return 1;
+  const y = (df1 * x) / (df1 * x + df2);
+  const cdf = poissonWeights(lambda / 2).reduce((total, weight, j) => (
+    weight > 1e-300 ? total + weight * regularizedBeta(y, df1 / 2 + j, df2 / 2) : total
+  ), 0);
+  return Math.min(1, Math.max(0, 1 - cdf));
+};
+
+/**
+ * Fast standard normal CDF (Chebyshev fit to erfc, relative error below
+ * 1.2e-7), for the double integrals of the multiple-comparison distributions
+ * @param {number} z Value
+ * @returns {number} P(Z <= z)
+ */
+const fastNormalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418
+    + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587
+    + t * (-0.82215223 + t * 0.17087277)))))))));
+  return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+};
+
+// Standard normal density and CDF on a Simpson grid over [-8, 8]
+const Z_STEPS = 160;
+const Z_GRID = Array.from({ length: Z_STEPS + 1 }, (_, i) => -8 + (16 * i) / Z_STEPS);
+const Z_WEIGHTS = Z_GRID.map((z, i) => (
+  ((i === 0 || i === Z_STEPS ? 1 : i % 2 === 1 ? 4 : 2) * (16 / Z_STEPS) / 3) * Math.exp(-(z * z) / 2) / Math.sqrt(2 * Math.PI)
+));
+const Z_CDF = Z_GRID.map(fastNormalCdf);
+
+/**
+ * Average a function of s = sqrt(V / df), V ~ chi-square(df), over the
+ * distribution of s (Simpson's rule); infinite df gives s = 1
+ * @param {Function} f Function of s
+ * @param {number} df Degrees of freedom
+ * @returns {number} E[f(s)]
+ */
+const expectOverChi = (f, df) => {
+  if (!Number.isFinite(df) || df > 1e5) return f(1);
+  const logNorm = (df / 2 - 1) * Math.log(2) + logGamma(df / 2);
+  const density = w => (w <= 0 ? (df === 1 ? Math.exp(-logNorm) : 0) : Math.exp((df - 1) * Math.log(w) - (w * w) / 2 - logNorm));
+  const center = Math.sqrt(Math.max(df - 0.5, 0.5));
+  const lower = Math.max(0, center - 10);
+  const upper = center + 10;
+  const steps = 300;
+  const h = (upper - lower) / steps;
+  let total = 0;
+  for (let i = 0; i <= steps; i += 1) {
+    const w = lower + i * h;
+    const weight = i === 0 || i === steps ? 1 : i % 2 === 1 ? 4 : 2;
+    const d = density(w);
+    if (d > 1e-300) total += weight * d * f(w / Math.sqrt(df));
+  }
+  return (total * h) / 3;
+};
+
+/**
+ * Studentized range cumulative distribution function: the range of k
+ * independent standard normals divided by an independent sqrt(chi-square(df) / df)
+ * @param {number} q Value
+ * @param {number} k Number of means
+ * @param {number} df Degrees of freedom of the variance estimate (Infinity for known variance)
+ * @returns {number} P(Q <= q)
+ */
+export const studentizedRangeCdf = (q, k, df) => {
+  if (Number.isNaN(q) || k < 2) return NaN;
+  if (q <= 0) return 0;
+  if (!Number.isFinite(q)) return 1;
+  // P(range <= w) = k ∫ φ(z) [Φ(z) - Φ(z - w)]^(k-1) dz
+  const rangeCdf = (w) => Z_GRID.reduce((total, z, i) => (
+    total + Z_WEIGHTS[i] * Math.max(0, Z_CDF[i] - fastNormalCdf(z - w)) ** (k - 1)
+  ), 0) * k;
+  return Math.min(1, Math.max(0, expectOverChi(s => rangeCdf(q * s), df)));
+};
+
+/**
+ * Studentized range upper tail, the p-value of Tukey-type comparisons
+ * (accurate to about 1e-6)
+ * @param {number} q Value
+ * @param {number} k Number of means
+ * @param {number} df Degrees of freedom
+ * @returns {number} P(Q > q)
+ */
+export const studentizedRangeSurvival = (q, k, df) => Math.max(0, 1 - studentizedRangeCdf(q, k, df));
+
+/**
+ * Studentized range quantile
+ * @param {number} p Probability between 0 and 1
+ * @param {number} k Number of means
+ * @param {number} df Degrees of freedom
+ * @returns {number} q with P(Q <= q) = p
+ */
+export const studentizedRangeQuantile = (p, k, df) => {
+  if (p <= 0) return 0;
+  if (p >= 1) return Infinity;
+  return invertCdf(q => studentizedRangeCdf(q, k, df), p, 0, 10, 1e-8);
+};
+
+/**
+ * Two-sided Dunnett distribution: the largest |t| of several comparisons
+ * against a common control, whose correlations are λi·λj with
+ * λi = sqrt(ni / (ni + n0))
+ * @param {number} c Value
+ * @param {Array<number>} lambdas λ of each comparison
+ * @param {number} df Degrees of freedom of the pooled variance
+ * @returns {number} P(max |Ti| <= c)
+ */
+export const dunnettCdf = (c, lambdas, df) => {
+  if (Number.isNaN(c)) return NaN;
+  if (c <= 0) return 0;
+  if (!Number.isFinite(c)) return 1;
+  const scales = lambdas.map(lambda => Math.sqrt(1 - lambda * lambda));
+  // Given the shared normal z, the comparisons are independent
+  const conditional = (bound) => Z_GRID.reduce((total, z, i) => (
+    total + Z_WEIGHTS[i] * lambdas.reduce((product, lambda, j) => (
+      product * Math.max(0, fastNormalCdf((bound - lambda * z) / scales[j]) - fastNormalCdf((-bound - lambda * z) / scales[j]))
+    ), 1)
+  ), 0);
+  return Math.min(1, Math.max(0, expectOverChi(s => conditional(c * s), df)));
+};
+
+/**
+ * Two-sided Dunnett critical value
+ * @param {number} p Probability between 0 and 1 (1 - α)
+ * @param {Array<number>} lambdas λ of each comparison
+ * @param {number} df Degrees of freedom
+ * @returns {number} c with P(max |Ti| <= c) = p
+ */
+export const dunnettQuantile = (p, lambdas, df) => {
+  if (p <= 0) return 0;
+  if (p >= 1) return Infinity;
+  return invertCdf(c => dunnettCdf(c, lambdas, df), p, 0, 10, 1e-8);
+};
@@ -0,0 +1,443 @@
+/**
+ * hypothesis.js
+ * Classical hypothesis tests: Student's, Welch's and paired t-tests, one-way
+ * ANOVA, chi-squared tests, and the Mann-Whitney U, Kruskal-Wallis and
+ * Wilcoxon signed-rank tests. Each returns its test statistic, an exact
+ * p-value, a confidence interval where one applies, an effect size and the
+ * achieved (observed) power.
+ */
+import { finite, sum, mean, variance, sortAscending, median } from './basic';
+import {
+  normalCdf,
+  normalSurvival,
+  normalQuantile,
+  studentTCdf,
+  studentTSurvival,
+  studentTQuantile,
+  fSurvival,
+  chiSquareSurvival
+} from './distributions';
+import { tTestPower, fTestPower, chiSquarePower } from './power';
+
+export const TAILS = {
+  TWO: 'two-tailed',
+  LEFT: 'left-tailed',
+  RIGHT: 'right-tailed'
+};
+
+/**
+ * P-value of a statistic with the given CDF and upper tail, for the chosen direction.
+ * Left- and right-tailed alternatives mean the first sample is smaller or larger.
+ * @returns {number} P-value
+ */
+const tailProbability = (statistic, cdf, survival, tails) => {
+  if (tails === TAILS.LEFT) return cdf(statistic);
+  if (tails === TAILS.RIGHT) return survival(statistic);
+  return Math.min(1, 2 * survival(Math.abs(statistic)));
+};
+
+/**
+ * Confidence interval of an estimate with a t-distributed error; one-sided
+ * for one-tailed tests
+ * @returns {{ ciLower: number, ciUpper: number }} Interval (infinite on the open side)
+ */
+const tInterval = (estimate, se, df, alpha, tails) => {
+  if (tails === TAILS.TWO) {
+    const margin = studentTQuantile(1 - alpha / 2, df) * se;
+    return { ciLower: estimate - margin, ciUpper: estimate + margin };
+  }
+  const margin = studentTQuantile(1 - alpha, df) * se;
+  return tails === TAILS.RIGHT
+    ? { ciLower: estimate - margin, ciUpper: Infinity }
+    : { ciLower: -Infinity, ciUpper: estimate + margin };
+};
+
+/**
+ * Common result of the t-tests, from the estimate, its standard error and degrees of freedom
+ * @returns {Object} { statistic, df, p, estimate, se, ciLower, ciUpper, power }
+ */
+const tTestResult = (estimate, se, df, alpha, tails) => {
+  const statistic = estimate / se;
+  return {
+    statistic,
+    df,
+    p: tailProbability(statistic, t => studentTCdf(t, df), t => studentTSurvival(t, df), tails),
+    estimate,
+    se,
+    ...tInterval(estimate, se, df, alpha, tails),
+    power: tTestPower({ ncp: statistic, df, alpha, tails })
+  };
+};
+
+/**
+ * Require a minimum number of observations
+ */
+const requireSize = (values, minimum, label) => {
+  if (values.length < minimum) {
+    throw new Error(`${label} needs at least ${minimum} observations (found ${values.length})`);
+  }
+};
+
+/**
+ * Student's two-sample t-test, assuming equal variances
+ * @param {Array<number>} x First sample
+ * @param {Array<number>} y Second sample
+ * @param {Object} [options] Options
+ * @param {number} [options.alpha=0.05] Significance level (also sets the confidence level)
+ * @param {string} [options.tails='two-tailed'] Alternative hypothesis for mean(x) - mean(y)
+ * @returns {Object} { statistic, df, p, estimate (mean difference), se, ciLower, ciUpper, cohensD, power }
+ */
+export const studentTTest = (x, y, { alpha = 0.05, tails = TAILS.TWO } = {}) => {
+  const a = finite(x);
+  const b = finite(y);
+  requireSize(a, 2, 'Each group');
+  requireSize(b, 2, 'Each group');
+  const df = a.length + b.length - 2;
+  const pooledVariance = ((a.length - 1) * variance(a) + (b.length - 1) * variance(b)) / df;
+  const difference = mean(a) - mean(b);
+  const se = Math.sqrt(pooledVariance * (1 / a.length + 1 / b.length));
+  return {
+    ...tTestResult(difference, se, df, alpha, tails),
+    cohensD: difference / Math.sqrt(pooledVariance)
+  };
+};
+
+/**
+ * Welch's two-sample t-test, without assuming equal variances
+ * (Welch-Satterthwaite degrees of freedom)
+ * @param {Array<number>} x First sample
+ * @param {Array<number>} y Second sample
+ * @param {Object} [options] Options, as for studentTTest
+ * @returns {Object} { statistic, df, p, estimate, se, ciLower, ciUpper, cohensD, power }
+ */
+export const welchTTest = (x, y, { alpha = 0.05, tails = TAILS.TWO } = {}) => {
+  const a = finite(x);
+  const b = finite(y);
+  requireSize(a, 2, 'Each group');
+  requireSize(b, 2, 'Each group');
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  const difference = mean(a) - mean(b);
+  return {
+    ...tTestResult(difference, Math.sqrt(va + vb), df, alpha, tails),
+    // Standardized by the average of the two variances
+    cohensD: difference / Math.sqrt((variance(a) + variance(b)) / 2)
+  };
+};
+
+/**
+ * Paired t-test on the differences x - y; pairs with a missing value are dropped
+ * @param {Array<number>} x First measurement
+ * @param {Array<number>} y Second measurement, same length and order as x
+ * @param {Object} [options] Options, as for studentTTest
+ * @returns {Object} { statistic, df, p, estimate (mean difference), se, ciLower, ciUpper,
+ *   cohensD (d_z), power, n }
+ */
+export const pairedTTest = (x, y, { alpha = 0.05, tails = TAILS.TWO } = {}) => {
+  const differences = [];
+  for (let i = 0; i < Math.min(x.length, y.length); i += 1) {
+    if (Number.isFinite(x[i]) && Number.isFinite(y[i])) differences.push(x[i] - y[i]);
+  }
+  requireSize(differences, 2, 'A paired t-test');
+  const difference = mean(differences);
+  const sd = Math.sqrt(variance(differences));
+  return {
+    ...tTestResult(difference, sd / Math.sqrt(differences.length), differences.length - 1, alpha, tails),
+    cohensD: difference / sd,
+    n: differences.length
+  };
+};
+
+/**
+ * One-way analysis of variance
+ * @param {Array<Array<number>>} groups Samples, one per group
+ * @param {Object} [options] Options
+ * @param {number} [options.alpha=0.05] Significance level
+ * @returns {Object} { statistic (F), dfBetween, dfWithin, p, ssBetween, ssWithin, msBetween,
+ *   msWithin, etaSquared, omegaSquared, power }
+ */
+export const oneWayAnova = (groups, { alpha = 0.05 } = {}) => {
+  const samples = groups.map(group => finite(group));
+  if (samples.length < 2) throw new Error('ANOVA needs at least two groups');
+  samples.forEach(sample => requireSize(sample, 1, 'Each group'));
+  const n = sum(samples.map(sample => sample.length));
+  const k = samples.length;
+  if (n <= k) throw new Error('ANOVA needs more observations than groups');
+
+  const grandMean = sum(samples.map(sample => sum(sample))) / n;
+  const ssBetween = sum(samples.map(sample => sample.length * (mean(sample) - grandMean) ** 2));
+  const ssWithin = sum(samples.map(sample => {
+    const m = mean(sample);
+    return sum(sample.map(value => (value - m) ** 2));
+  }));
+  const dfBetween = k - 1;
+  const dfWithin = n - k;
+  const msBetween = ssBetween / dfBetween;
+  const msWithin = ssWithin / dfWithin;
+  const statistic = msBetween / msWithin;
+  const etaSquared = ssBetween / (ssBetween + ssWithin);
+
+  return {
+    statistic,
+    dfBetween,
+    dfWithin,
+    p: fSurvival(statistic, dfBetween, dfWithin),
+    ssBetween,
+    ssWithin,
+    msBetween,
+    msWithin,
+    etaSquared,
+    omegaSquared: (ssBetween - dfBetween * msWithin) / (ssBetween + ssWithin + msWithin),
+    // Cohen's f² = η² / (1 - η²), noncentrality f² × N
+    power: fTestPower({ lambda: (etaSquared / (1 - etaSquared)) * n, df1: dfBetween, df2: dfWithin, alpha })
+  };
+};
+
+/**
+ * Pearson's chi-squared test of independence on a contingency table
+ * @param {Array<Array<number>>} observed Counts, rows × columns
+ * @param {Object} [options] Options
+ * @param {number} [options.alpha=0.05] Significance level
+ * @returns {Object} { statistic, df, p, expected, cramersV, cohensW, n, power }
+ */
+export const chiSquareIndependence = (observed, { alpha = 0.05 } = {}) => {
+  const rowTotals = observed.map(row => sum(row));
+  const columnTotals = observed[0].map((_, j) => sum(observed.map(row => row[j])));
+  const n = sum(rowTotals);
+  if (observed.length < 2 || columnTotals.length < 2) {
+    throw new Error('A test of independence needs at least two categories in each variable');
+  }
+  const expected = rowTotals.map(rowTotal => columnTotals.map(columnTotal => (rowTotal * columnTotal) / n));
+  const statistic = sum(observed.map((row, i) => sum(row.map((count, j) => (
+    expected[i][j] > 0 ? (count - expected[i][j]) ** 2 / expected[i][j] : 0
+  )))));
+  const df = (observed.length - 1) * (columnTotals.length - 1);
+  return {
+    statistic,
+    df,
+    p: chiSquareSurvival(statistic, df),
+    expected,
+    cramersV: Math.sqrt(statistic / (n * (Math.min(observed.length, columnTotals.length) - 1))),
+    cohensW: Math.sqrt(statistic / n),
+    n,
+    // Noncentrality w² × N equals the observed statistic
+    power: chiSquarePower({ lambda: statistic, df, alpha })
+  };
+};
+
+/**
+ * Chi-squared goodness-of-fit test against given proportions
+ * @param {Array<number>} observed Counts per category
+ * @param {Object} [options] Options
+ * @param {Array<number>} [options.proportions] Expected proportions (equal by default)
+ * @param {number} [options.alpha=0.05] Significance level
+ * @returns {Object} { statistic, df, p, expected, cohensW, n, power }
+ */
+export const chiSquareGoodnessOfFit = (observed, { proportions, alpha = 0.05 } = {}) => {
+  if (observed.length < 2) throw new Error('A goodness-of-fit test needs at least two categories');
+  const n = sum(observed);
+  const shares = proportions || observed.map(() => 1 / observed.length);
+  const total = sum(shares);
+  const expected = shares.map(share => (share / total) * n);
+  const statistic = sum(observed.map((count, i) => (count - expected[i]) ** 2 / expected[i]));
+  const df = observed.length - 1;
+  return {
+    statistic,
+    df,
+    p: chiSquareSurvival(statistic, df),
+    expected,
+    cohensW: Math.sqrt(statistic / n),
+    n,
+    power: chiSquarePower({ lambda: statistic, df, alpha })
+  };
+};
+
+/**
+ * Ranks of the values, ties sharing their average rank
+ * @param {Array<number>} values Numbers
+ * @returns {{ ranks: Array<number>, tieCorrection: number }} Ranks, and Σ(t³ - t) over tie groups
+ */
+export const rank = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let tieCorrection = 0;
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end += 1;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i += 1) ranks[order[i].index] = averageRank;
+    const ties = end - start + 1;
+    tieCorrection += ties ** 3 - ties;
+    start = end + 1;
+  }
+  return { ranks, tieCorrection };
+};
+
+// Above this many pairwise differences the Hodges-Lehmann estimate is skipped
+const MAX_PAIRWISE_DIFFERENCES = 1e6;
+
+/**
+ * Mann-Whitney U test (Wilcoxon rank-sum), with the normal approximation
+ * corrected for ties and continuity
+ * @param {Array<number>} x First sample
+ * @param {Array<number>} y Second sample
+ * @param {Object} [options] Options
+ * @param {number} [options.alpha=0.05] Significance level
+ * @param {string} [options.tails='two-tailed'] Alternative: x tends to be smaller, larger or either
+ * @returns {Object} { statistic (U of x), z, p, meanRankX, meanRankY, rankBiserial, r,
+ *   estimate (Hodges-Lehmann shift), ciLower, ciUpper, power }
+ */
+export const mannWhitneyU = (x, y, { alpha = 0.05, tails = TAILS.TWO } = {}) => {
+  const a = finite(x);
+  const b = finite(y);
+  requireSize(a, 1, 'Each group');
+  requireSize(b, 1, 'Each group');
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const { ranks, tieCorrection } = rank([...a, ...b]);
+  const rankSumX = sum(ranks.slice(0, n1));
+  const statistic = rankSumX - (n1 * (n1 + 1)) / 2;
+
+  const expectedU = (n1 * n2) / 2;
+  const sdU = Math.sqrt(((n1 * n2) / 12) * ((n + 1) - tieCorrection / (n * (n - 1))));
+  const deviation = statistic - expectedU;
+  let continuity = 0.5 * Math.sign(deviation);
+  if (tails === TAILS.RIGHT) continuity = 0.5;
+  if (tails === TAILS.LEFT) continuity = -0.5;
+  const z = sdU > 0 ? (deviation - continuity) / sdU : 0;
+
+  // Hodges-Lehmann shift with its distribution-free interval
+  let estimate = NaN;
+  let ciLower = NaN;
+  let ciUpper = NaN;
+  if (n1 * n2 <= MAX_PAIRWISE_DIFFERENCES) {
+    const differences = sortAscending(a.flatMap(value => b.map(other => value - other)));
+    estimate = median(differences);
+    const m = differences.length;
+    const sdW = Math.sqrt((n1 * n2 * (n + 1)) / 12);
+    const quantile = normalQuantile(1 - (tails === TAILS.TWO ? alpha / 2 : alpha));
+    const k = Math.max(0, Math.min(m - 1, Math.floor(m / 2 - quantile * sdW)));
+    ciLower = tails === TAILS.LEFT ? -Infinity : differences[k];
+    ciUpper = tails === TAILS.RIGHT ? Infinity : differences[m - 1 - k];
+  }
+
+  // Power from the t-test on the same effect, scaled by the asymptotic relative efficiency 3/π
+  const pooledVariance = n > 2 ? ((n1 - 1) * (variance(a) || 0) + (n2 - 1) * (variance(b) || 0)) / (n - 2) : NaN;
+  const d = (mean(a) - mean(b)) / Math.sqrt(pooledVariance);
+
+  return {
+    statistic,
+    z,
+    p: tailProbability(z, normalCdf, normalSurvival, tails),
+    meanRankX: rankSumX / n1,
+    meanRankY: (sum(ranks) - rankSumX) / n2,
+    rankBiserial: (2 * statistic) / (n1 * n2) - 1,
+    r: z / Math.sqrt(n),
+    estimate,
+    ciLower,
+    ciUpper,
+    power: tTestPower({ ncp: d * Math.sqrt(((n1 * n2) / n) * (3 / Math.PI)), df: n - 2, alpha, tails })
+  };
+};
+
+/**
+ * Kruskal-Wallis rank test of k independent groups, with the chi-square
+ * approximation corrected for ties
+ * @param {Array<Array<number>>} groups Samples, one per group
+ * @param {Object} [options] Options
+ * @param {number} [options.alpha=0.05] Significance level
+ * @returns {Object} { statistic (H), df, p, meanRanks, n, tieCorrection, epsilonSquared, power }
+ */
+export const kruskalWallis = (groups, { alpha = 0.05 } = {}) => {
+  const samples = groups.map(group => finite(group));
+  if (samples.length < 2) throw new Error('The Kruskal-Wallis test needs at least two groups');
+  samples.forEach(sample => requireSize(sample, 1, 'Each group'));
+  const n = sum(samples.map(sample => sample.length));
+  const { ranks, tieCorrection } = rank(samples.flat());
+  let offset = 0;
+  const rankSums = samples.map(sample => {
+    const total = sum(ranks.slice(offset, offset + sample.length));
+    offset += sample.length;
+    return total;
+  });
+
+  const correction = 1 - tieCorrection / (n ** 3 - n);
+  const h = (12 / (n * (n + 1))) * sum(rankSums.map((total, i) => (total ** 2) / samples[i].length)) - 3 * (n + 1);
+  const statistic = correction > 0 ? h / correction : NaN;
+  const df = samples.length - 1;
+  return {
+    statistic,
+    df,
+    p: chiSquareSurvival(statistic, df),
+    meanRanks: rankSums.map((total, i) => total / samples[i].length),
+    n,
+    tieCorrection,
+    epsilonSquared: statistic / (n - 1),
+    // Noncentrality approximated by the observed statistic, as for the chi-squared tests
+    power: chiSquarePower({ lambda: statistic, df, alpha })
+  };
+};
+
+/**
+ * Wilcoxon signed-rank test of paired samples, with the normal approximation
+ * corrected for ties and continuity. Pairs with a zero difference are dropped.
+ * @param {Array<number>} x First measurement of each pair
+ * @param {Array<number>} y Second measurement of each pair
+ * @param {Object} [options] Options
+ * @param {number} [options.alpha=0.05] Significance level
+ * @param {string} [options.tails='two-tailed'] Alternative: x tends to be smaller, larger or either
+ * @returns {Object} { statistic (W+, the rank sum of positive differences), z, p, n (complete pairs),
+ *   nonZero, rankBiserial, estimate (Hodges-Lehmann pseudo-median), ciLower, ciUpper, power }
+ */
+export const wilcoxonSignedRank = (x, y, { alpha = 0.05, tails = TAILS.TWO } = {}) => {
+  if (x.length !== y.length) throw new Error('Paired samples must have the same length');
+  const differences = x
+    .map((value, i) => value - y[i])
+    .filter(value => Number.isFinite(value));
+  requireSize(differences, 2, 'The signed-rank test');
+  const nonZero = differences.filter(value => value !== 0);
+  const m = nonZero.length;
+  if (m === 0) throw new Error('Every pair has the same two values, so the signed-rank test cannot be computed');
+  const { ranks, tieCorrection } = rank(nonZero.map(Math.abs));
+  const statistic = sum(ranks.filter((_, i) => nonZero[i] > 0));
+  const total = (m * (m + 1)) / 2;
+
+  const sdW = Math.sqrt((m * (m + 1) * (2 * m + 1)) / 24 - tieCorrection / 48);
+  const deviation = statistic - total / 2;
+  let continuity = 0.5 * Math.sign(deviation);
+  if (tails === TAILS.RIGHT) continuity = 0.5;
+  if (tails === TAILS.LEFT) continuity = -0.5;
+  const z = sdW > 0 ? (deviation - continuity) / sdW : 0;
+
+  // Hodges-Lehmann pseudo-median of the Walsh averages, with its distribution-free interval
+  const n = differences.length;
+  let estimate = NaN;
+  let ciLower = NaN;
+  let ciUpper = NaN;
+  if ((n * (n + 1)) / 2 <= MAX_PAIRWISE_DIFFERENCES) {
+    const averages = sortAscending(differences.flatMap((value, i) => differences.slice(i).map(other => (value + other) / 2)));
+    estimate = median(averages);
+    const count = averages.length;
+    const quantile = normalQuantile(1 - (tails === TAILS.TWO ? alpha / 2 : alpha));
+    const k = Math.max(0, Math.min(count - 1, Math.floor(count / 2 - quantile * Math.sqrt((n * (n + 1) * (2 * n + 1)) / 24))));
+    ciLower = tails === TAILS.LEFT ? -Infinity : averages[k];
+    ciUpper = tails === TAILS.RIGHT ? Infinity : averages[count - 1 - k];
+  }
+
+  // Power from the paired t-test on the same effect, scaled by the asymptotic relative efficiency 3/π
+  const dz = mean(differences) / Math.sqrt(variance(differences));
+  return {
+    statistic,
+    z,
+    p: tailProbability(z, normalCdf, normalSurvival, tails),
+    n,
+    nonZero: m,
+    rankBiserial: (2 * statistic) / total - 1,
+    estimate,
+    ciLower,
+    ciUpper,
+    power: tTestPower({ ncp: dz * Math.sqrt(n * (3 / Math.PI)), df: n - 1, alpha, tails })
+  };
+};
@@ -0,0 +1,174 @@
+/**
+ * matrix.js
+ * Dense linear algebra on arrays of rows: products, inversion and least
+ * squares by Householder QR, and symmetric eigen-decomposition.
+ */
+
+/**
+ * Transpose a matrix
+ * @param {Array<Array<number>>} a Matrix
+ * @returns {Array<Array<number>>} Transpose
+ */
+export const transpose = (a) => (a.length ? a[0].map((_, j) => a.map(row => row[j])) : []);
+
+/**
+ * Matrix product
+ * @param {Array<Array<number>>} a Left matrix (n × k)
+ * @param {Array<Array<number>>} b Right matrix (k × m)
+ * @returns {Array<Array<number>>} Product (n × m)
+ */
+export const multiply = (a, b) => a.map(row => b[0].map((_, j) => {
+  let total = 0;
+  for (let k = 0; k < row.length; k += 1) total += row[k] * b[k][j];
+  return total;
+}));
+
+/**
+ * Matrix times vector
+ * @param {Array<Array<number>>} a Matrix
+ * @param {Array<number>} v Vector
+ * @returns {Array<number>} Product
+ */
+export const multiplyVector = (a, v) => a.map(row => row.reduce((total, value, k) => total + value * v[k], 0));
+
+/**
+ * Identity matrix
+ * @param {number} n Size
+ * @returns {Array<Array<number>>} Identity
+ */
+export const identity = (n) => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0)));
+
+/**
+ * Inverse of a square matrix by Gauss-Jordan elimination with partial pivoting
+ * @param {Array<Array<number>>} a Square matrix
+ * @returns {Array<Array<number>>|null} Inverse, or null when the matrix is singular
+ */
+export const invert = (a) => {
+  const n = a.length;
+  const m = a.map((row, i) => [...row, ...identity(n)[i]]);
+  const scale = Math.max(...a.flat().map(Math.abs), 1);
+  for (let col = 0; col < n; col += 1) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row += 1) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12 * scale) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    const divisor = m[col][col];
+    for (let j = 0; j < 2 * n; j += 1) m[col][j] /= divisor;
+    for (let row = 0; row < n; row += 1) {
+      if (row === col || m[row][col] === 0) continue;
+      const factor = m[row][col];
+      for (let j = 0; j < 2 * n; j += 1) m[row][j] -= factor * m[col][j];
+    }
+  }
+  return m.map(row => row.slice(n));
+};
+
+/**
+ * Least squares solution of X b = y by Householder QR, which stays accurate
+ * for nearly collinear columns such as polynomial terms
+ * @param {Array<Array<number>>} x Design matrix (n × p, n >= p)
+ * @param {Array<number>} y Response (length n)
+ * @returns {Object|null} { coefficients, covarianceUnscaled ((XᵀX)⁻¹) }, or null when X is rank deficient
+ */
+export const leastSquares = (x, y) => {
+  const n = x.length;
+  const p = x[0].length;
+  const r = x.map(row => row.slice());
+  const qty = y.slice();
+
+  for (let k = 0; k < p; k += 1) {
+    let norm = 0;
+    for (let i = k; i < n; i += 1) norm += r[i][k] ** 2;
+    norm = Math.sqrt(norm);
+    if (norm === 0) return null;
+    const alpha = r[k][k] > 0 ? -norm : norm;
+    const v = new Array(n).fill(0);
+    v[k] = r[k][k] - alpha;
+    for (let i = k + 1; i < n; i += 1) v[i] = r[i][k];
+    const vNorm = v.reduce((total, value) => total + value * value, 0);
+    if (vNorm === 0) continue;
+    for (let j = k; j < p; j += 1) {
+      let dot = 0;
+      for (let i = k; i < n; i += 1) dot += v[i] * r[i][j];
+      const factor = (2 * dot) / vNorm;
+      for (let i = k; i < n; i += 1) r[i][j] -= factor * v[i];
+    }
+    let dot = 0;
+    for (let i = k; i < n; i += 1) dot += v[i] * qty[i];
+    const factor = (2 * dot) / vNorm;
+    for (let i = k; i < n; i += 1) qty[i] -= factor * v[i];
+  }
+
+  const diagonal = Math.max(...r.slice(0, p).map((row, i) => Math.abs(row[i])));
+  if (r.slice(0, p).some((row, i) => Math.abs(row[i]) < 1e-10 * diagonal)) return null;
+
+  // Back substitution for the coefficients and for R⁻¹
+  const coefficients = new Array(p).fill(0);
+  for (let i = p - 1; i >= 0; i -= 1) {
+    let total = qty[i];
+    for (let j = i + 1; j < p; j += 1) total -= r[i][j] * coefficients[j];
+    coefficients[i] = total / r[i][i];
+  }
+  const rInverse = Array.from({ length: p }, () => new Array(p).fill(0));
+  for (let col = 0; col < p; col += 1) {
+    for (let i = col; i >= 0; i -= 1) {
+      let total = i === col ? 1 : 0;
+      for (let j = i + 1; j <= col; j += 1) total -= r[i][j] * rInverse[j][col];
+      rInverse[i][col] = total / r[i][i];
+    }
+  }
+  return { coefficients, covarianceUnscaled: multiply(rInverse, transpose(rInverse)) };
+};
+
+/**
+ * Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations
+ * @param {Array<Array<number>>} a Symmetric matrix
+ * @returns {{ values: Array<number>, vectors: Array<Array<number>> }} Eigenvalues in decreasing
+ *   order, and the unit eigenvector of each (vectors[k] belongs to values[k])
+ */
+export const symmetricEigen = (a) => {
+  const n = a.length;
+  const m = a.map(row => row.slice());
+  const v = identity(n);
+  for (let sweep = 0; sweep < 100; sweep += 1) {
+    let offDiagonal = 0;
+    for (let i = 0; i < n; i += 1) {
+      for (let j = i + 1; j < n; j += 1) offDiagonal += m[i][j] ** 2;
+    }
+    if (offDiagonal < 1e-22) break;
+    for (let p = 0; p < n - 1; p += 1) {
+      for (let q = p + 1; q < n; q += 1) {
+        if (Math.abs(m[p][q]) < 1e-300) continue;
+        const theta = (m[q][q] - m[p][p]) / (2 * m[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k += 1) {
+          const mkp = m[k][p];
+          const mkq = m[k][q];
+          m[k][p] = c * mkp - s * mkq;
+          m[k][q] = s * mkp + c * mkq;
+        }
+        for (let k = 0; k < n; k += 1) {
+          const mpk = m[p][k];
+          const mqk = m[q][k];
+          m[p][k] = c * mpk - s * mqk;
+          m[q][k] = s * mpk + c * mqk;
+        }
+        for (let k = 0; k < n; k += 1) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  const order = m.map((row, i) => i).sort((i, j) => m[j][j] - m[i][i]);
+  return {
+    values: order.map(i => m[i][i]),
+    vectors: order.map(i => v.map(row => row[i]))
+  };
+};
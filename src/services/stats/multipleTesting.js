@@ -0,0 +1,56 @@
+/**
+ * multipleTesting.js
+ * Adjustment of the p-values of a family of tests (pairwise comparisons,
+ * the pairs of a correlation matrix, ...) for multiple testing
+ */
+
+export const P_ADJUSTMENTS = {
+  NONE: 'none',
+  BONFERRONI: 'bonferroni',
+  HOLM: 'holm',
+  BENJAMINI_HOCHBERG: 'bh'
+};
+
+export const P_ADJUSTMENT_NAMES = {
+  [P_ADJUSTMENTS.NONE]: 'no adjustment',
+  [P_ADJUSTMENTS.BONFERRONI]: 'Bonferroni',
+  [P_ADJUSTMENTS.HOLM]: 'Holm',
+  [P_ADJUSTMENTS.BENJAMINI_HOCHBERG]: 'Benjamini-Hochberg'
+};
+
+/**
+ * Adjust a family of p-values. Bonferroni and Holm control the family-wise
+ * error rate; Benjamini-Hochberg controls the false discovery rate.
+ * @param {Array<number|null>} pValues Raw p-values; missing ones are left out of the family
+ * @param {string} [method='holm'] One of P_ADJUSTMENTS
+ * @returns {Array<number|null>} Adjusted p-values in the same order
+ */
+export const adjustPValues = (pValues, method = P_ADJUSTMENTS.HOLM) => {
+  if (!Object.values(P_ADJUSTMENTS).includes(method)) throw new Error(`Unknown p-value adjustment: ${method}`);
+  const family = pValues
+    .map((p, index) => ({ p, index }))
+    .filter(({ p }) => typeof p === 'number' && Number.isFinite(p));
+  const m = family.length;
+  const adjusted = pValues.map(() => null);
+
+  if (method === P_ADJUSTMENTS.NONE) {
+    family.forEach(({ p, index }) => { adjusted[index] = p; });
+  } else if (method === P_ADJUSTMENTS.BONFERRONI) {
+    family.forEach(({ p, index }) => { adjusted[index] = Math.min(1, p * m); });
+  } else if (method === P_ADJUSTMENTS.HOLM) {
+    // Step-down: the i-th smallest p is multiplied by (m - i), kept monotone upwards
+    let running = 0;
+    family.sort((a, b) => a.p - b.p).forEach(({ p, index }, i) => {
+      running = Math.max(running, Math.min(1, (m - i) * p));
+      adjusted[index] = running;
+    });
+  } else {
+    // Step-up: the i-th smallest p is multiplied by m / i, kept monotone downwards
+    let running = 1;
+    family.sort((a, b) => b.p - a.p).forEach(({ p, index }, i) => {
+      running = Math.min(running, (m * p) / (m - i));
+      adjusted[index] = running;
+    });
+  }
+  return adjusted;
+};
@@ -0,0 +1,290 @@
+/**
+ * nonlinear.js
+ * Nonlinear least squares by the Levenberg-Marquardt algorithm, with the
+ * usual asymptotic inference (standard errors from the Jacobian at the
+ * solution, t-based intervals), and the curve models used in dose-response
+ * and enzyme kinetics with their starting values.
+ */
+import { sum, mean, median } from './basic';
+import { studentTSurvival, studentTQuantile } from './distributions';
+import { invert, leastSquares } from './matrix';
+
+export const NONLINEAR_MODEL_TYPES = {
+  FOUR_PL: '4pl',
+  FIVE_PL: '5pl',
+  MICHAELIS_MENTEN: 'michaelis-menten',
+  EXPONENTIAL: 'exponential',
+  HILL: 'hill'
+};
+
+/**
+ * x at the observation whose y is closest to a target
+ * @returns {number} x
+ */
+const xNearest = (x, y, target) => x[y.reduce((best, value, i) => (Math.abs(value - target) < Math.abs(y[best] - target) ? i : best), 0)];
+
+/**
+ * Starting values of a logistic dose-response curve: the extremes of y as its
+ * asymptotes, the dose closest to half way as the EC50, and a unit slope in
+ * the direction y moves with dose
+ * @returns {Array<number>} [bottom, top, logEC50, hill]
+ */
+const logisticStart = (x, y) => {
+  const low = y.reduce((min, value) => Math.min(min, value), Infinity);
+  const high = y.reduce((max, value) => Math.max(max, value), -Infinity);
+  const positive = x.map((value, i) => ({ x: value, y: y[i] })).filter(point => point.x > 0);
+  const doses = positive.length ? positive : [{ x: 1, y: mean(y) }];
+  const ec50 = xNearest(doses.map(point => point.x), doses.map(point => point.y), (low + high) / 2);
+  const order = x.map((_, i) => i).sort((a, b) => x[a] - x[b]);
+  const half = Math.max(1, Math.floor(order.length / 2));
+  const rising = mean(order.slice(-half).map(i => y[i])) >= mean(order.slice(0, half).map(i => y[i]));
+  return [low, high, Math.log10(ec50), rising ? 1 : -1];
+};
+
+/**
+ * Starting values of a saturating curve: the largest y as the maximum, and
+ * the x closest to half of it as the half-saturation constant
+ * @returns {Array<number>} [max, halfSaturation]
+ */
+const saturationStart = (x, y) => {
+  const high = y.reduce((max, value) => Math.max(max, value), -Infinity);
+  const half = xNearest(x, y, high / 2);
+  return [high, half > 0 ? half : median(x.filter(value => value > 0)) || 1];
+};
+
+// Doubling time (or half-life) of an exponential with rate k
+const LN2 = Math.log(2);
+
+/**
+ * Curve models. Each has its parameters (with their units in terms of the
+ * units of x and y), a formula, the prediction at x, and starting values from
+ * the data; derived quantities are functions of one parameter, e.g. the EC50
+ * of a fit on log10(EC50).
+ */
+export const NONLINEAR_MODELS = {
+  [NONLINEAR_MODEL_TYPES.FOUR_PL]: {
+    name: 'Four-parameter logistic (4PL)',
+    formula: 'y = Bottom + (Top − Bottom) / (1 + (EC50 / x)^Hill)',
+    parameters: ['Bottom', 'Top', 'logEC50', 'Hill slope'],
+    units: ['y', 'y', null, null],
+    nonNegativeX: true,
+    predict: (x, [bottom, top, logEc50, hill]) => bottom + (top - bottom) / (1 + (10 ** logEc50 / x) ** hill),
+    start: logisticStart,
+    derived: [{ label: 'EC50 / IC50', parameter: 2, unit: 'x', replaces: true, value: v => 10 ** v, derivative: v => Math.LN10 * 10 ** v }]
+  },
+  [NONLINEAR_MODEL_TYPES.FIVE_PL]: {
+    name: 'Five-parameter logistic (5PL)',
+    formula: 'y = Bottom + (Top − Bottom) / (1 + (EC50 / x)^Hill)^Asymmetry',
+    parameters: ['Bottom', 'Top', 'logEC50', 'Hill slope', 'Asymmetry'],
+    units: ['y', 'y', null, null, null],
+    nonNegativeX: true,
+    predict: (x, [bottom, top, logEc50, hill, asymmetry]) => bottom + (top - bottom) / (1 + (10 ** logEc50 / x) ** hill) ** asymmetry,
+    start: (x, y) => [...logisticStart(x, y), 1],
+    derived: [{ label: 'EC50 / IC50 (inflection term)', parameter: 2, unit: 'x', replaces: true, value: v => 10 ** v, derivative: v => Math.LN10 * 10 ** v }]
+  },
+  [NONLINEAR_MODEL_TYPES.MICHAELIS_MENTEN]: {
+    name: 'Michaelis-Menten',
+    formula: 'y = Vmax · x / (Km + x)',
+    parameters: ['Vmax', 'Km'],
+    units: ['y', 'x'],
+    nonNegativeX: true,
+    predict: (x, [vmax, km]) => (vmax * x) / (km + x),
+    start: saturationStart,
+    derived: []
+  },
+  [NONLINEAR_MODEL_TYPES.EXPONENTIAL]: {
+    name: 'Exponential growth / decay',
+    formula: 'y = Y0 · e^(k · x)',
+    parameters: ['Y0', 'k'],
+    units: ['y', '1/x'],
+    nonNegativeX: false,
+    predict: (x, [y0, k]) => y0 * Math.exp(k * x),
+    // Log-linear least squares when every y is positive
+    start: (x, y) => {
+      if (y.every(value => value > 0)) {
+        const solution = leastSquares(x.map(value => [1, value]), y.map(Math.log));
+        if (solution) return [Math.exp(solution.coefficients[0]), solution.coefficients[1]];
+      }
+      return [y[x.reduce((first, value, i) => (value < x[first] ? i : first), 0)] || mean(y), 0];
+    },
+    derived: [{
+      label: 'Doubling time / half-life',
+      parameter: 1,
+      unit: 'x',
+      value: k => LN2 / Math.abs(k),
+      derivative: k => -Math.sign(k) * LN2 / (k * k)
+    }]
+  },
+  [NONLINEAR_MODEL_TYPES.HILL]: {
+    name: 'Hill equation',
+    formula: 'y = Vmax · x^n / (K^n + x^n)',
+    parameters: ['Vmax', 'K (half-maximal x)', 'Hill coefficient n'],
+    units: ['y', 'x', null],
+    nonNegativeX: true,
+    predict: (x, [vmax, k, n]) => (vmax * x ** n) / (k ** n + x ** n),
+    start: (x, y) => [...saturationStart(x, y), 1],
+    derived: []
+  }
+};
+
+/**
+ * Residual sum of squares
+ * @returns {number} RSS, Infinity when any prediction is not finite
+ */
+const residualSumOfSquares = (y, predicted) => {
+  let total = 0;
+  for (let i = 0; i < y.length; i += 1) {
+    if (!Number.isFinite(predicted[i])) return Infinity;
+    total += (y[i] - predicted[i]) ** 2;
+  }
+  return total;
+};
+
+/**
+ * Jacobian of the predictions by forward differences
+ * @returns {Array<Array<number>>} n × p matrix
+ */
+const numericJacobian = (predict, theta, predicted) => {
+  const columns = theta.map((value, j) => {
+    const step = 1e-7 * Math.max(Math.abs(value), 1e-3);
+    const shifted = theta.slice();
+    shifted[j] = value + step;
+    const moved = predict(shifted);
+    return moved.map((prediction, i) => (prediction - predicted[i]) / step);
+  });
+  return predicted.map((_, i) => columns.map(column => column[i]));
+};
+
+/**
+ * Cross products JᵀJ and Jᵀr
+ * @returns {{ jtj: Array<Array<number>>, jtr: Array<number> }} Normal equations
+ */
+const normalEquations = (jacobian, residuals) => {
+  const p = jacobian[0].length;
+  const jtj = Array.from({ length: p }, () => new Array(p).fill(0));
+  const jtr = new Array(p).fill(0);
+  jacobian.forEach((row, i) => {
+    for (let j = 0; j < p; j += 1) {
+      jtr[j] += row[j] * residuals[i];
+      for (let k = j; k < p; k += 1) jtj[j][k] += row[j] * row[k];
+    }
+  });
+  for (let j = 0; j < p; j += 1) for (let k = 0; k < j; k += 1) jtj[j][k] = jtj[k][j];
+  return { jtj, jtr };
+};
+
+/**
+ * Minimize the residual sum of squares by Levenberg-Marquardt, damping the
+ * Gauss-Newton step by λ·diag(JᵀJ) (Marquardt's scaling)
+ * @param {Function} predict Predictions of every observation from a parameter vector
+ * @param {Array<number>} y Observed values
+ * @param {Array<number>} initial Starting parameter values
+ * @param {Object} [options] Options
+ * @param {number} [options.maxIterations=500] Iteration limit
+ * @param {number} [options.tolerance=1e-10] Relative change of RSS and parameters that counts as converged
+ * @returns {Object} { parameters, predicted, rss, jacobian, iterations, converged }
+ */
+export const levenbergMarquardt = (predict, y, initial, { maxIterations = 500, tolerance = 1e-10 } = {}) => {
+  let theta = initial.slice();
+  let predicted = predict(theta);
+  let rss = residualSumOfSquares(y, predicted);
+  if (!Number.isFinite(rss)) throw new Error('The model cannot be evaluated at its starting values');
+  let lambda = 1e-3;
+  let converged = false;
+  let iterations = 0;
+
+  while (iterations < maxIterations && !converged) {
+    iterations += 1;
+    const jacobian = numericJacobian(predict, theta, predicted);
+    const { jtj, jtr } = normalEquations(jacobian, y.map((value, i) => value - predicted[i]));
+    let accepted = false;
+    while (!accepted && lambda < 1e16) {
+      const damped = jtj.map((row, j) => row.map((value, k) => (j === k ? value + lambda * Math.max(value, 1e-12) : value)));
+      const inverse = invert(damped);
+      if (inverse) {
+        const step = inverse.map(row => sum(row.map((value, k) => value * jtr[k])));
+        const candidate = theta.map((value, j) => value + step[j]);
+        const candidatePredicted = predict(candidate);
+        const candidateRss = residualSumOfSquares(y, candidatePredicted);
+        if (candidateRss <= rss) {
+          const rssChange = (rss - candidateRss) / Math.max(rss, 1e-300);
+          const stepSize = Math.max(...step.map((value, j) => Math.abs(value) / (Math.abs(theta[j]) + tolerance)));
+          theta = candidate;
+          predicted = candidatePredicted;
+          rss = candidateRss;
+          lambda = Math.max(lambda / 10, 1e-12);
+          accepted = true;
+          converged = rssChange < tolerance && stepSize < Math.sqrt(tolerance);
+          continue;
+        }
+      }
+      lambda *= 10;
+    }
+    // No step lowers the RSS any further: a minimum
+    if (!accepted) converged = true;
+  }
+
+  return { parameters: theta, predicted, rss, jacobian: numericJacobian(predict, theta, predicted), iterations, converged };
+};
+
+/**
+ * Nonlinear least squares fit with asymptotic inference
+ * @param {Function} predict Predictions of every observation from a parameter vector
+ * @param {Array<number>} y Observed values
+ * @param {Array<number>} initial Starting parameter values
+ * @param {Object} [options] Options
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the parameter intervals
+ * @param {number} [options.maxIterations=500] Iteration limit
+ * @returns {Object} { n, parameters [{ estimate, se, statistic, p, ciLower, ciUpper }], covariance, fitted,
+ *   residuals, rss, tss, rSquared, adjustedRSquared, sigma, dfResidual, logLikelihood, aic, bic,
+ *   iterations, converged, identifiable }
+ */
+export const nonlinearRegression = (predict, y, initial, { confidenceLevel = 0.95, maxIterations = 500 } = {}) => {
+  const n = y.length;
+  const p = initial.length;
+  if (n <= p) throw new Error(`A model with ${p} parameters needs more than ${p} observations (found ${n})`);
+  const fit = levenbergMarquardt(predict, y, initial, { maxIterations });
+  const dfResidual = n - p;
+  const sigma2 = fit.rss / dfResidual;
+  const covarianceUnscaled = invert(normalEquations(fit.jacobian, new Array(n).fill(0)).jtj);
+  const critical = studentTQuantile(1 - (1 - confidenceLevel) / 2, dfResidual);
+
+  const parameters = fit.parameters.map((estimate, j) => {
+    const se = covarianceUnscaled && covarianceUnscaled[j][j] >= 0 ? Math.sqrt(sigma2 * covarianceUnscaled[j][j]) : NaN;
+    const statistic = estimate / se;
+    return {
+      estimate,
+      se,
+      statistic,
+      p: Number.isFinite(statistic) ? Math.min(1, 2 * studentTSurvival(Math.abs(statistic), dfResidual)) : NaN,
+      ciLower: estimate - critical * se,
+      ciUpper: estimate + critical * se
+    };
+  });
+
+  const yMean = mean(y);
+  const tss = sum(y.map(value => (value - yMean) ** 2));
+  const rSquared = tss > 0 ? 1 - fit.rss / tss : NaN;
+  const logLikelihood = -(n / 2) * (Math.log(2 * Math.PI) + Math.log(fit.rss / n) + 1);
+
+  return {
+    n,
+    parameters,
+    covariance: covarianceUnscaled ? covarianceUnscaled.map(row => row.map(value => value * sigma2)) : null,
+    fitted: fit.predicted,
+    residuals: y.map((value, i) => value - fit.predicted[i]),
+    rss: fit.rss,
+    tss,
+    rSquared,
+    adjustedRSquared: 1 - (1 - rSquared) * ((n - 1) / dfResidual),
+    sigma: Math.sqrt(sigma2),
+    dfResidual,
+    logLikelihood,
+    // The residual variance counts as a parameter
+    aic: -2 * logLikelihood + 2 * (p + 1),
+    bic: -2 * logLikelihood + Math.log(n) * (p + 1),
+    iterations: fit.iterations,
+    converged: fit.converged,
+    identifiable: Boolean(covarianceUnscaled)
+  };
+};
@@ -0,0 +1,117 @@
+/**
+ * pca.js
+ * Principal component analysis by eigen-decomposition of the correlation or
+ * covariance matrix, with the Kaiser-Meyer-Olkin measure and Bartlett's test
+ * of sampling adequacy.
+ */
+import { mean, variance } from './basic';
+import { chiSquareSurvival } from './distributions';
+import { invert, symmetricEigen } from './matrix';
+
+/**
+ * Correlation matrix of complete data
+ * @param {Array<Array<number>>} rows Observations (n × p)
+ * @returns {Array<Array<number>>} Correlation matrix (p × p)
+ */
+export const correlationOf = (rows) => {
+  const p = rows[0].length;
+  const columns = Array.from({ length: p }, (_, j) => rows.map(row => row[j]));
+  const means = columns.map(mean);
+  const sds = columns.map(values => Math.sqrt(variance(values)));
+  return columns.map((x, i) => columns.map((y, j) => {
+    if (i === j) return 1;
+    const covariance = x.reduce((total, value, k) => total + (value - means[i]) * (y[k] - means[j]), 0) / (x.length - 1);
+    return covariance / (sds[i] * sds[j]);
+  }));
+};
+
+/**
+ * Kaiser-Meyer-Olkin measure of sampling adequacy
+ * @param {Array<Array<number>>} correlation Correlation matrix
+ * @returns {{ overall: number, perVariable: Array<number> }|null} KMO, or null when the matrix is singular
+ */
+export const kaiserMeyerOlkin = (correlation) => {
+  const inverse = invert(correlation);
+  if (!inverse) return null;
+  const p = correlation.length;
+  const partial = (i, j) => -inverse[i][j] / Math.sqrt(inverse[i][i] * inverse[j][j]);
+  let r2Total = 0;
+  let partialTotal = 0;
+  const perVariable = correlation.map((row, i) => {
+    let r2 = 0;
+    let partial2 = 0;
+    for (let j = 0; j < p; j += 1) {
+      if (j === i) continue;
+      r2 += row[j] ** 2;
+      partial2 += partial(i, j) ** 2;
+    }
+    r2Total += r2;
+    partialTotal += partial2;
+    return r2 / (r2 + partial2);
+  });
+  return { overall: r2Total / (r2Total + partialTotal), perVariable };
+};
+
+/**
+ * Bartlett's test of sphericity: are the variables correlated at all?
+ * @param {Array<Array<number>>} correlation Correlation matrix
+ * @param {number} n Number of observations
+ * @returns {{ statistic: number, df: number, p: number }} Test result
+ */
+export const bartlettSphericity = (correlation, n) => {
+  const p = correlation.length;
+  const logDeterminant = symmetricEigen(correlation).values.reduce((total, value) => total + Math.log(Math.max(value, 1e-300)), 0);
+  const statistic = -(n - 1 - (2 * p + 5) / 6) * logDeterminant;
+  const df = (p * (p - 1)) / 2;
+  return { statistic, df, p: chiSquareSurvival(statistic, df) };
+};
+
+/**
+ * Principal component analysis of complete data
+ * @param {Array<Array<number>>} rows Observations (n × p) without missing values
+ * @param {Object} [options] Options
+ * @param {boolean} [options.standardize=true] Scale variables to unit variance (correlation PCA)
+ * @param {number} [options.components] Components to keep (all by default)
+ * @returns {Object} { eigenvalues (all), proportions, cumulative, loadings (p × k eigenvector
+ *   coefficients), correlations (p × k variable-component correlations), scores (n × k),
+ *   means, scales }
+ */
+export const principalComponents = (rows, { standardize = true, components } = {}) => {
+  const n = rows.length;
+  const p = rows[0].length;
+  const columns = Array.from({ length: p }, (_, j) => rows.map(row => row[j]));
+  const means = columns.map(mean);
+  const sds = columns.map(values => Math.sqrt(variance(values)));
+  const scales = standardize ? sds : sds.map(() => 1);
+  const centered = rows.map(row => row.map((value, j) => (value - means[j]) / scales[j]));
+  const matrix = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (__, j) => (
+    centered.reduce((total, row) => total + row[i] * row[j], 0) / (n - 1)
+  )));
+
+  const { values, vectors } = symmetricEigen(matrix);
+  const eigenvalues = values.map(value => Math.max(value, 0));
+  const total = eigenvalues.reduce((sum, value) => sum + value, 0);
+  const k = Math.min(components || p, p);
+  // Orient each component so its largest coefficient is positive
+  const kept = vectors.slice(0, k).map(vector => {
+    const largest = vector.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+    return largest < 0 ? vector.map(value => -value) : vector;
+  });
+
+  let running = 0;
+  return {
+    eigenvalues,
+    proportions: eigenvalues.map(value => value / total),
+    cumulative: eigenvalues.map(value => {
+      running += value;
+      return running / total;
+    }),
+    loadings: Array.from({ length: p }, (_, j) => kept.map(vector => vector[j])),
+    correlations: Array.from({ length: p }, (_, j) => kept.map((vector, c) => (
+      (vector[j] * Math.sqrt(eigenvalues[c]) * scales[j]) / sds[j]
+    ))),
+    scores: centered.map(row => kept.map(vector => row.reduce((sum, value, j) => sum + value * vector[j], 0))),
+    means,
+    scales
+  };
+};
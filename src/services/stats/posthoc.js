@@ -0,0 +1,187 @@
+/**
+ * posthoc.js
+ * Pairwise comparisons after an omnibus test: Tukey's HSD (Tukey-Kramer for
+ * unequal groups) and Games-Howell after ANOVA, Dunnett's comparisons with a
+ * control, and Dunn's rank test after Kruskal-Wallis. Each comparison
+ * carries the unadjusted p-value of the same contrast next to the adjusted one.
+ */
+import { finite, sum, mean, variance } from './basic';
+import {
+  normalSurvival,
+  studentTSurvival,
+  studentizedRangeSurvival,
+  studentizedRangeQuantile,
+  dunnettCdf,
+  dunnettQuantile
+} from './distributions';
+import { rank } from './hypothesis';
+import { P_ADJUSTMENTS, adjustPValues } from './multipleTesting';
+
+/**
+ * Sizes, means and pooled within-group variance of the samples
+ * @returns {Object} { samples, sizes, means, mse, df }
+ */
+const pooledSummary = (groups) => {
+  const samples = groups.map(group => finite(group));
+  if (samples.length < 2) throw new Error('Pairwise comparisons need at least two groups');
+  samples.forEach(sample => {
+    if (sample.length === 0) throw new Error('Each group needs at least one observation');
+  });
+  const sizes = samples.map(sample => sample.length);
+  const means = samples.map(mean);
+  const df = sum(sizes) - samples.length;
+  if (df <= 0) throw new Error('Pairwise comparisons need more observations than groups');
+  const mse = sum(samples.map((sample, i) => sum(sample.map(value => (value - means[i]) ** 2)))) / df;
+  return { samples, sizes, means, mse, df };
+};
+
+/**
+ * Index pairs (i, j) with i < j
+ * @returns {Array<Array<number>>} Pairs
+ */
+const allPairs = (k) => {
+  const pairs = [];
+  for (let i = 0; i < k; i += 1) {
+    for (let j = i + 1; j < k; j += 1) pairs.push([i, j]);
+  }
+  return pairs;
+};
+
+/**
+ * Tukey's honestly significant difference test (Tukey-Kramer)
+ * @param {Array<Array<number>>} groups Samples, one per group
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05] Family-wise error rate of the simultaneous intervals
+ * @returns {{ comparisons: Array<Object>, df: number, mse: number, criticalValue: number }}
+ *   Comparisons { i, j, difference (mean i - mean j), se, statistic (q), p, pRaw, ciLower, ciUpper }
+ */
+export const tukeyHsd = (groups, { alpha = 0.05 } = {}) => {
+  const { sizes, means, mse, df } = pooledSummary(groups);
+  const k = sizes.length;
+  const criticalValue = studentizedRangeQuantile(1 - alpha, k, df);
+  const comparisons = allPairs(k).map(([i, j]) => {
+    const difference = means[i] - means[j];
+    const se = Math.sqrt((mse / 2) * (1 / sizes[i] + 1 / sizes[j]));
+    const statistic = Math.abs(difference) / se;
+    return {
+      i,
+      j,
+      difference,
+      se,
+      statistic,
+      p: studentizedRangeSurvival(statistic, k, df),
+      pRaw: Math.min(1, 2 * studentTSurvival(statistic / Math.SQRT2, df)),
+      ciLower: difference - criticalValue * se,
+      ciUpper: difference + criticalValue * se
+    };
+  });
+  return { comparisons, df, mse, criticalValue };
+};
+
+/**
+ * Games-Howell test: Tukey-type comparisons that do not assume equal
+ * variances, with Welch degrees of freedom per pair
+ * @param {Array<Array<number>>} groups Samples, one per group (at least two values each)
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05] Family-wise error rate of the simultaneous intervals
+ * @returns {{ comparisons: Array<Object> }} Comparisons { i, j, difference, se, statistic (q), df, p, pRaw, ciLower, ciUpper }
+ */
+export const gamesHowell = (groups, { alpha = 0.05 } = {}) => {
+  const samples = groups.map(group => finite(group));
+  if (samples.length < 2) throw new Error('Pairwise comparisons need at least two groups');
+  samples.forEach(sample => {
+    if (sample.length < 2) throw new Error('The Games-Howell test needs at least two observations per group');
+  });
+  const k = samples.length;
+  const means = samples.map(mean);
+  const squaredErrors = samples.map(sample => variance(sample) / sample.length);
+  const comparisons = allPairs(k).map(([i, j]) => {
+    const difference = means[i] - means[j];
+    const total = squaredErrors[i] + squaredErrors[j];
+    const df = total ** 2 / (squaredErrors[i] ** 2 / (samples[i].length - 1) + squaredErrors[j] ** 2 / (samples[j].length - 1));
+    const se = Math.sqrt(total / 2);
+    const statistic = Math.abs(difference) / se;
+    const criticalValue = studentizedRangeQuantile(1 - alpha, k, df);
+    return {
+      i,
+      j,
+      difference,
+      se,
+      statistic,
+      df,
+      p: studentizedRangeSurvival(statistic, k, df),
+      pRaw: Math.min(1, 2 * studentTSurvival(statistic / Math.SQRT2, df)),
+      ciLower: difference - criticalValue * se,
+      ciUpper: difference + criticalValue * se
+    };
+  });
+  return { comparisons };
+};
+
+/**
+ * Dunnett's two-sided comparisons of every group with a control group
+ * @param {Array<Array<number>>} groups Samples, one per group
+ * @param {number} control Index of the control group
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05] Family-wise error rate of the simultaneous intervals
+ * @returns {{ comparisons: Array<Object>, df: number, mse: number, criticalValue: number }}
+ *   Comparisons { i, j (the control), difference, se, statistic (t), p, pRaw, ciLower, ciUpper }
+ */
+export const dunnett = (groups, control, { alpha = 0.05 } = {}) => {
+  const { sizes, means, mse, df } = pooledSummary(groups);
+  if (!(control >= 0 && control < sizes.length)) throw new Error('Dunnett comparisons need a control group');
+  const treated = sizes.map((_, i) => i).filter(i => i !== control);
+  const lambdas = treated.map(i => Math.sqrt(sizes[i] / (sizes[i] + sizes[control])));
+  const criticalValue = dunnettQuantile(1 - alpha, lambdas, df);
+  const comparisons = treated.map(i => {
+    const difference = means[i] - means[control];
+    const se = Math.sqrt(mse * (1 / sizes[i] + 1 / sizes[control]));
+    const statistic = difference / se;
+    return {
+      i,
+      j: control,
+      difference,
+      se,
+      statistic,
+      p: Math.max(0, 1 - dunnettCdf(Math.abs(statistic), lambdas, df)),
+      pRaw: Math.min(1, 2 * studentTSurvival(Math.abs(statistic), df)),
+      ciLower: difference - criticalValue * se,
+      ciUpper: difference + criticalValue * se
+    };
+  });
+  return { comparisons, df, mse, criticalValue };
+};
+
+/**
+ * Dunn's test of mean rank differences after a Kruskal-Wallis test, using
+ * the ranks of the pooled samples and a tie-corrected variance
+ * @param {Array<Array<number>>} groups Samples, one per group
+ * @param {Object} [options]
+ * @param {string} [options.adjustment='holm'] One of P_ADJUSTMENTS
+ * @returns {{ comparisons: Array<Object> }} Comparisons { i, j, difference (mean rank i - mean rank j), se, statistic (z), p, pRaw }
+ */
+export const dunn = (groups, { adjustment = P_ADJUSTMENTS.HOLM } = {}) => {
+  const samples = groups.map(group => finite(group));
+  if (samples.length < 2) throw new Error('Pairwise comparisons need at least two groups');
+  samples.forEach(sample => {
+    if (sample.length === 0) throw new Error('Each group needs at least one observation');
+  });
+  const n = sum(samples.map(sample => sample.length));
+  const { ranks, tieCorrection } = rank(samples.flat());
+  let offset = 0;
+  const meanRanks = samples.map(sample => {
+    const total = sum(ranks.slice(offset, offset + sample.length));
+    offset += sample.length;
+    return total / sample.length;
+  });
+
+  const spread = (n * (n + 1)) / 12 - tieCorrection / (12 * (n - 1));
+  const comparisons = allPairs(samples.length).map(([i, j]) => {
+    const difference = meanRanks[i] - meanRanks[j];
+    const se = Math.sqrt(spread * (1 / samples[i].length + 1 / samples[j].length));
+    const statistic = difference / se;
+    return { i, j, difference, se, statistic, pRaw: Math.min(1, 2 * normalSurvival(Math.abs(statistic))) };
+  });
+  const adjusted = adjustPValues(comparisons.map(comparison => comparison.pRaw), adjustment);
+  return { comparisons: comparisons.map((comparison, index) => ({ ...comparison, p: adjusted[index] })) };
+};
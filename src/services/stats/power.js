@@ -0,0 +1,245 @@
+/**
+ * power.js
+ * Statistical power of the common tests: the probability of rejecting the
+ * null hypothesis at level alpha when the true effect has the given size.
+ * For planning studies, the power of t tests, one-way ANOVA, two proportions
+ * and correlations at a given standardized effect and sample size, and
+ * solvers for the sample size and the minimum detectable effect.
+ */
+import {
+  normalCdf,
+  normalQuantile,
+  studentTQuantile,
+  noncentralTCdf,
+  fQuantile,
+  noncentralFSurvival,
+  chiSquareQuantile,
+  noncentralChiSquareSurvival
+} from './distributions';
+
+/**
+ * Power of a t test
+ * @param {Object} params Parameters
+ * @param {number} params.ncp Noncentrality parameter (effect / its standard error)
+ * @param {number} params.df Degrees of freedom
+ * @param {number} [params.alpha=0.05] Significance level
+ * @param {string} [params.tails='two-tailed'] 'two-tailed', 'left-tailed' or 'right-tailed'
+ * @returns {number} Power between 0 and 1
+ */
+export const tTestPower = ({ ncp, df, alpha = 0.05, tails = 'two-tailed' }) => {
+  if (!Number.isFinite(ncp) || !(df > 0)) return NaN;
+  if (tails === 'right-tailed') return 1 - noncentralTCdf(studentTQuantile(1 - alpha, df), df, ncp);
+  if (tails === 'left-tailed') return noncentralTCdf(studentTQuantile(alpha, df), df, ncp);
+  const critical = studentTQuantile(1 - alpha / 2, df);
+  return 1 - noncentralTCdf(critical, df, ncp) + noncentralTCdf(-critical, df, ncp);
+};
+
+/**
+ * Power of an F test (ANOVA)
+ * @param {Object} params Parameters
+ * @param {number} params.lambda Noncentrality parameter (f² × N)
+ * @param {number} params.df1 Numerator degrees of freedom
+ * @param {number} params.df2 Denominator degrees of freedom
+ * @param {number} [params.alpha=0.05] Significance level
+ * @returns {number} Power between 0 and 1
+ */
+export const fTestPower = ({ lambda, df1, df2, alpha = 0.05 }) => {
+  if (!Number.isFinite(lambda) || !(df1 > 0) || !(df2 > 0)) return NaN;
+  return noncentralFSurvival(fQuantile(1 - alpha, df1, df2), df1, df2, lambda);
+};
+
+/**
+ * Power of a chi-square test
+ * @param {Object} params Parameters
+ * @param {number} params.lambda Noncentrality parameter (w² × N)
+ * @param {number} params.df Degrees of freedom
+ * @param {number} [params.alpha=0.05] Significance level
+ * @returns {number} Power between 0 and 1
+ */
+export const chiSquarePower = ({ lambda, df, alpha = 0.05 }) => {
+  if (!Number.isFinite(lambda) || !(df > 0)) return NaN;
+  return noncentralChiSquareSurvival(chiSquareQuantile(1 - alpha, df), df, lambda);
+};
+
+// Study designs that sample sizes can be planned for
+export const POWER_DESIGNS = {
+  TWO_SAMPLE_T: 'two-sample-t',
+  PAIRED_T: 'paired-t',
+  ONE_SAMPLE_T: 'one-sample-t',
+  ANOVA: 'anova',
+  TWO_PROPORTIONS: 'two-proportions',
+  CORRELATION: 'correlation'
+};
+
+// Standardized effect size each design is planned with, and Cohen's (1988) small, medium and large values
+export const EFFECT_SIZES = {
+  [POWER_DESIGNS.TWO_SAMPLE_T]: { symbol: 'd', name: "Cohen's d", small: 0.2, medium: 0.5, large: 0.8 },
+  [POWER_DESIGNS.PAIRED_T]: { symbol: 'dz', name: "Cohen's dz", small: 0.2, medium: 0.5, large: 0.8 },
+  [POWER_DESIGNS.ONE_SAMPLE_T]: { symbol: 'd', name: "Cohen's d", small: 0.2, medium: 0.5, large: 0.8 },
+  [POWER_DESIGNS.ANOVA]: { symbol: 'f', name: "Cohen's f", small: 0.1, medium: 0.25, large: 0.4 },
+  [POWER_DESIGNS.TWO_PROPORTIONS]: { symbol: 'h', name: "Cohen's h", small: 0.2, medium: 0.5, large: 0.8 },
+  [POWER_DESIGNS.CORRELATION]: { symbol: 'r', name: 'Pearson r', small: 0.1, medium: 0.3, large: 0.5 }
+};
+
+// Fewest observations (per group where there are groups) each design can be tested with
+const MINIMUM_N = {
+  [POWER_DESIGNS.TWO_SAMPLE_T]: 2,
+  [POWER_DESIGNS.PAIRED_T]: 2,
+  [POWER_DESIGNS.ONE_SAMPLE_T]: 2,
+  [POWER_DESIGNS.ANOVA]: 2,
+  [POWER_DESIGNS.TWO_PROPORTIONS]: 2,
+  [POWER_DESIGNS.CORRELATION]: 4
+};
+
+// Largest sample size the solver searches up to
+export const MAX_SAMPLE_SIZE = 1e7;
+
+/**
+ * Cohen's h, the difference between two proportions on the arcsine scale
+ * @param {number} p1 First proportion
+ * @param {number} p2 Second proportion
+ * @returns {number} h
+ */
+export const cohensH = (p1, p2) => 2 * Math.asin(Math.sqrt(p2)) - 2 * Math.asin(Math.sqrt(p1));
+
+/**
+ * The proportion that differs from p1 by Cohen's h
+ * @param {number} p1 Baseline proportion
+ * @param {number} h Effect size
+ * @returns {number} Proportion, or NaN when no proportion is that far from p1
+ */
+export const proportionFromH = (p1, h) => {
+  const angle = Math.asin(Math.sqrt(p1)) + h / 2;
+  return angle < 0 || angle > Math.PI / 2 ? NaN : Math.sin(angle) ** 2;
+};
+
+/**
+ * Number of groups of a design
+ * @param {string} design One of POWER_DESIGNS
+ * @param {number} [groups=3] Number of groups of an ANOVA
+ * @returns {number} Groups
+ */
+export const designGroups = (design, groups = 3) => {
+  if (design === POWER_DESIGNS.ANOVA) return Math.max(2, Math.round(groups));
+  return design === POWER_DESIGNS.TWO_SAMPLE_T || design === POWER_DESIGNS.TWO_PROPORTIONS ? 2 : 1;
+};
+
+/**
+ * Power of a planned study. Effects are taken as positive: one-tailed tests
+ * look for an effect in the planned direction.
+ * @param {string} design One of POWER_DESIGNS
+ * @param {Object} params Parameters
+ * @param {number} params.effect Standardized effect size (see EFFECT_SIZES)
+ * @param {number} params.n Observations per group (pairs for a paired t test)
+ * @param {number} [params.alpha=0.05] Significance level
+ * @param {boolean} [params.oneTailed=false] One-tailed test (t tests, proportions and correlation)
+ * @param {number} [params.groups=3] Number of groups (ANOVA)
+ * @returns {number} Power between 0 and 1
+ */
+export const designPower = (design, { effect, n, alpha = 0.05, oneTailed = false, groups = 3 }) => {
+  const size = Math.abs(effect);
+  if (!Number.isFinite(size) || !(n >= MINIMUM_N[design])) return NaN;
+  const tails = oneTailed ? 'right-tailed' : 'two-tailed';
+  switch (design) {
+    case POWER_DESIGNS.TWO_SAMPLE_T:
+      return tTestPower({ ncp: size * Math.sqrt(n / 2), df: 2 * n - 2, alpha, tails });
+    case POWER_DESIGNS.PAIRED_T:
+    case POWER_DESIGNS.ONE_SAMPLE_T:
+      return tTestPower({ ncp: size * Math.sqrt(n), df: n - 1, alpha, tails });
+    case POWER_DESIGNS.ANOVA: {
+      const k = designGroups(design, groups);
+      return fTestPower({ lambda: size ** 2 * k * n, df1: k - 1, df2: k * n - k, alpha });
+    }
+    case POWER_DESIGNS.TWO_PROPORTIONS: {
+      // Normal approximation on the arcsine scale (Cohen, 1988)
+      const shift = size * Math.sqrt(n / 2);
+      if (oneTailed) return normalCdf(shift - normalQuantile(1 - alpha));
+      const critical = normalQuantile(1 - alpha / 2);
+      return normalCdf(shift - critical) + normalCdf(-shift - critical);
+    }
+    case POWER_DESIGNS.CORRELATION: {
+      if (size >= 1) return 1;
+      // Fisher's z, with the critical r of the t test and the bias correction of z (as R's pwr.r.test)
+      const t = studentTQuantile(1 - (oneTailed ? alpha : alpha / 2), n - 2);
+      const zCritical = Math.atanh(Math.sqrt(t ** 2 / (t ** 2 + n - 2)));
+      const z = Math.atanh(size) + size / (2 * (n - 1));
+      const scale = Math.sqrt(n - 3);
+      if (oneTailed) return normalCdf((z - zCritical) * scale);
+      return normalCdf((z - zCritical) * scale) + normalCdf((-z - zCritical) * scale);
+    }
+    default:
+      throw new Error(`Unknown study design: ${design}`);
+  }
+};
+
+/**
+ * Smallest sample size that reaches the target power
+ * @param {string} design One of POWER_DESIGNS
+ * @param {Object} params Parameters of designPower, without n
+ * @param {number} [params.power=0.8] Target power
+ * @returns {number} Observations per group, or NaN when no n up to MAX_SAMPLE_SIZE is enough
+ */
+export const sampleSizeForPower = (design, { power = 0.8, ...params }) => {
+  if (!(power > 0 && power < 1) || !(Math.abs(params.effect) > 0)) return NaN;
+  const reaches = n => designPower(design, { ...params, n }) >= power;
+  let low = MINIMUM_N[design];
+  if (reaches(low)) return low;
+  // Double until the target is reached, then bisect between the last two sizes
+  let high = low * 2;
+  while (!reaches(high)) {
+    if (high >= MAX_SAMPLE_SIZE) return NaN;
+    low = high;
+    high = Math.min(high * 2, MAX_SAMPLE_SIZE);
+  }
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (reaches(middle)) high = middle;
+    else low = middle;
+  }
+  return high;
+};
+
+/**
+ * Smallest effect a study of the given size detects with the target power
+ * @param {string} design One of POWER_DESIGNS
+ * @param {Object} params Parameters of designPower, without effect
+ * @param {number} [params.power=0.8] Target power
+ * @returns {number} Standardized effect size, or NaN when no effect is detectable
+ */
+export const minimumDetectableEffect = (design, { power = 0.8, ...params }) => {
+  if (!(power > 0 && power < 1) || !(params.n >= MINIMUM_N[design])) return NaN;
+  const powerAt = effect => designPower(design, { ...params, effect });
+  let low = 0;
+  let high = design === POWER_DESIGNS.CORRELATION ? 1 - 1e-9 : 1;
+  if (design !== POWER_DESIGNS.CORRELATION) {
+    while (powerAt(high) < power) {
+      if (high > 1e3) return NaN;
+      low = high;
+      high *= 2;
+    }
+  } else if (powerAt(high) < power) {
+    return NaN;
+  }
+  for (let iteration = 0; iteration < 100 && high - low > 1e-6; iteration += 1) {
+    const middle = (low + high) / 2;
+    if (powerAt(middle) >= power) high = middle;
+    else low = middle;
+  }
+  return high;
+};
+
+/**
+ * Power over a range of sample sizes
+ * @param {string} design One of POWER_DESIGNS
+ * @param {Object} params Parameters of designPower, without n
+ * @param {number} params.maxN Largest sample size (per group) of the curve
+ * @param {number} [params.points=40] Most points on the curve
+ * @returns {Array<{ n: number, power: number }>} Points in increasing n
+ */
+export const powerCurve = (design, { maxN, points = 40, ...params }) => {
+  const minN = MINIMUM_N[design];
+  const top = Math.max(minN + 1, Math.round(maxN));
+  const step = Math.max(1, (top - minN) / (points - 1));
+  const sizes = [...new Set(Array.from({ length: points }, (_, i) => Math.min(top, Math.round(minN + i * step))))];
+  return sizes.map(n => ({ n, power: designPower(design, { ...params, n }) }));
+};
@@ -0,0 +1,27 @@
+/**
+ * random.js
+ * Seedable pseudo-random numbers, so that randomized methods (k-means
+ * seeding, resampling) give the same result when re-run with the same seed
+ */
+
+/**
+ * Create a pseudo-random number generator (mulberry32)
+ * @param {number} seed Integer seed
+ * @returns {Function} Function returning uniform numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = (Math.floor(Number(seed)) || 0) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a random integer seed for a new run
+ * @returns {number} Seed between 1 and 2^31 - 1
+ */
+export const randomSeed = () => 1 + Math.floor(Math.random() * 2147483646);
@@ -0,0 +1,206 @@
+/**
+ * regression.js
+ * Least squares and logistic regression with the usual inference: coefficient
+ * tests and intervals, overall model tests, information criteria and
+ * per-observation diagnostics.
+ */
+import { sum, mean } from './basic';
+import {
+  studentTSurvival,
+  studentTQuantile,
+  fSurvival,
+  chiSquareSurvival,
+  normalSurvival,
+  normalQuantile
+} from './distributions';
+import { leastSquares, multiplyVector } from './matrix';
+
+/**
+ * Prepend a column of ones to each row
+ * @returns {Array<Array<number>>} Design matrix
+ */
+const withIntercept = (rows) => rows.map(row => [1, ...row]);
+
+/**
+ * Leverage of each observation: the diagonal of the hat matrix X (XᵀX)⁻¹ Xᵀ
+ * @returns {Array<number>} Leverages
+ */
+const leverages = (design, covarianceUnscaled) => design.map(row => (
+  row.reduce((total, value, j) => total + value * row.reduce((inner, other, k) => inner + covarianceUnscaled[j][k] * other, 0), 0)
+));
+
+/**
+ * Ordinary least squares regression
+ * @param {Array<Array<number>>} x Predictor values, one row per observation (no intercept column)
+ * @param {Array<number>} y Response values
+ * @param {Object} [options] Options
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the coefficient intervals
+ * @returns {Object} { n, coefficients [{ estimate, se, statistic, p, ciLower, ciUpper }] (intercept first),
+ *   fitted, residuals, standardizedResiduals, leverage, cooksDistance, rss, tss, rSquared,
+ *   adjustedRSquared, fStatistic, dfModel, dfResidual, fP, sigma, logLikelihood, aic, bic }
+ */
+export const linearRegression = (x, y, { confidenceLevel = 0.95 } = {}) => {
+  const design = withIntercept(x);
+  const n = design.length;
+  const p = design[0].length;
+  if (n <= p) throw new Error(`Regression with ${p - 1} predictor term${p !== 2 ? 's' : ''} needs more than ${p} complete observations (found ${n})`);
+  const solution = leastSquares(design, y);
+  if (!solution) throw new Error('The predictors are collinear (one is a combination of the others), so the model cannot be fitted');
+
+  const fitted = multiplyVector(design, solution.coefficients);
+  const residuals = y.map((value, i) => value - fitted[i]);
+  const rss = sum(residuals.map(value => value * value));
+  const yMean = mean(y);
+  const tss = sum(y.map(value => (value - yMean) ** 2));
+  const dfModel = p - 1;
+  const dfResidual = n - p;
+  const sigma2 = rss / dfResidual;
+  const critical = studentTQuantile(1 - (1 - confidenceLevel) / 2, dfResidual);
+
+  const coefficients = solution.coefficients.map((estimate, j) => {
+    const se = Math.sqrt(sigma2 * solution.covarianceUnscaled[j][j]);
+    const statistic = estimate / se;
+    return {
+      estimate,
+      se,
+      statistic,
+      p: Math.min(1, 2 * studentTSurvival(Math.abs(statistic), dfResidual)),
+      ciLower: estimate - critical * se,
+      ciUpper: estimate + critical * se
+    };
+  });
+
+  const leverage = leverages(design, solution.covarianceUnscaled);
+  const standardizedResiduals = residuals.map((value, i) => value / Math.sqrt(sigma2 * (1 - leverage[i])));
+  const rSquared = tss > 0 ? 1 - rss / tss : NaN;
+  const fStatistic = dfModel > 0 ? ((tss - rss) / dfModel) / sigma2 : NaN;
+  // Gaussian log-likelihood at the maximum likelihood variance RSS / n
+  const logLikelihood = -(n / 2) * (Math.log(2 * Math.PI) + Math.log(rss / n) + 1);
+
+  return {
+    n,
+    coefficients,
+    fitted,
+    residuals,
+    standardizedResiduals,
+    leverage,
+    cooksDistance: standardizedResiduals.map((value, i) => (value * value * leverage[i]) / (p * (1 - leverage[i]))),
+    rss,
+    tss,
+    rSquared,
+    adjustedRSquared: 1 - (1 - rSquared) * ((n - 1) / dfResidual),
+    fStatistic,
+    dfModel,
+    dfResidual,
+    fP: dfModel > 0 ? fSurvival(fStatistic, dfModel, dfResidual) : NaN,
+    sigma: Math.sqrt(sigma2),
+    logLikelihood,
+    // The residual variance counts as a parameter
+    aic: -2 * logLikelihood + 2 * (p + 1),
+    bic: -2 * logLikelihood + Math.log(n) * (p + 1)
+  };
+};
+
+/**
+ * Logistic function
+ */
+const logistic = (eta) => 1 / (1 + Math.exp(-eta));
+
+/**
+ * Binomial log-likelihood of 0/1 outcomes
+ */
+const bernoulliLogLikelihood = (y, probabilities) => sum(y.map((value, i) => {
+  const p = Math.min(Math.max(probabilities[i], 1e-15), 1 - 1e-15);
+  return value ? Math.log(p) : Math.log(1 - p);
+}));
+
+/**
+ * Logistic regression fitted by iteratively reweighted least squares
+ * @param {Array<Array<number>>} x Predictor values, one row per observation (no intercept column)
+ * @param {Array<number>} y Outcomes coded 0 or 1
+ * @param {Object} [options] Options
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the (Wald) coefficient intervals
+ * @param {number} [options.maxIterations=50] Iteration limit
+ * @returns {Object} { n, coefficients [{ estimate, se, statistic (z), p, ciLower, ciUpper, oddsRatio,
+ *   oddsRatioLower, oddsRatioUpper }], fitted (probabilities), residuals (response), devianceResiduals,
+ *   deviance, nullDeviance, lrStatistic, dfModel, lrP, mcFaddenR2, logLikelihood, aic, bic,
+ *   iterations, converged, separation }
+ */
+export const logisticRegression = (x, y, { confidenceLevel = 0.95, maxIterations = 50 } = {}) => {
+  const design = withIntercept(x);
+  const n = design.length;
+  const p = design[0].length;
+  if (n <= p) throw new Error(`Logistic regression with ${p - 1} predictor term${p !== 2 ? 's' : ''} needs more than ${p} complete observations (found ${n})`);
+  const events = sum(y);
+  if (events === 0 || events === n) throw new Error('The outcome has only one value, so there is nothing to model');
+
+  let beta = new Array(p).fill(0);
+  let covariance = null;
+  let converged = false;
+  let iterations = 0;
+  while (iterations < maxIterations && !converged) {
+    iterations += 1;
+    const eta = multiplyVector(design, beta);
+    const probabilities = eta.map(logistic);
+    const weights = probabilities.map(prob => Math.max(prob * (1 - prob), 1e-10));
+    const rootWeights = weights.map(Math.sqrt);
+    const working = eta.map((value, i) => value + (y[i] - probabilities[i]) / weights[i]);
+    const solution = leastSquares(
+      design.map((row, i) => row.map(value => value * rootWeights[i])),
+      working.map((value, i) => value * rootWeights[i])
+    );
+    if (!solution) throw new Error('The predictors are collinear (one is a combination of the others), so the model cannot be fitted');
+    converged = solution.coefficients.every((value, j) => Math.abs(value - beta[j]) < 1e-8 * (1 + Math.abs(value)));
+    beta = solution.coefficients;
+    covariance = solution.covarianceUnscaled;
+  }
+
+  const fitted = multiplyVector(design, beta).map(logistic);
+  const logLikelihood = bernoulliLogLikelihood(y, fitted);
+  const nullLogLikelihood = bernoulliLogLikelihood(y, y.map(() => events / n));
+  const deviance = -2 * logLikelihood;
+  const nullDeviance = -2 * nullLogLikelihood;
+  const lrStatistic = nullDeviance - deviance;
+  const dfModel = p - 1;
+  const critical = normalQuantile(1 - (1 - confidenceLevel) / 2);
+
+  const coefficients = beta.map((estimate, j) => {
+    const se = Math.sqrt(covariance[j][j]);
+    const statistic = estimate / se;
+    return {
+      estimate,
+      se,
+      statistic,
+      p: Math.min(1, 2 * normalSurvival(Math.abs(statistic))),
+      ciLower: estimate - critical * se,
+      ciUpper: estimate + critical * se,
+      oddsRatio: Math.exp(estimate),
+      oddsRatioLower: Math.exp(estimate - critical * se),
+      oddsRatioUpper: Math.exp(estimate + critical * se)
+    };
+  });
+
+  return {
+    n,
+    coefficients,
+    fitted,
+    residuals: y.map((value, i) => value - fitted[i]),
+    devianceResiduals: y.map((value, i) => {
+      const prob = Math.min(Math.max(fitted[i], 1e-15), 1 - 1e-15);
+      return Math.sign(value - prob) * Math.sqrt(-2 * (value ? Math.log(prob) : Math.log(1 - prob)));
+    }),
+    deviance,
+    nullDeviance,
+    lrStatistic,
+    dfModel,
+    lrP: dfModel > 0 ? chiSquareSurvival(lrStatistic, dfModel) : NaN,
+    mcFaddenR2: 1 - logLikelihood / nullLogLikelihood,
+    logLikelihood,
+    aic: deviance + 2 * p,
+    bic: deviance + Math.log(n) * p,
+    iterations,
+    converged,
+    // Perfect or quasi-complete separation drives fitted probabilities to 0 or 1
+    separation: fitted.some(prob => prob < 1e-8 || prob > 1 - 1e-8)
+  };
+};
@@ -0,0 +1,235 @@
+/**
+ * resampling.js
+ * Assumption-free inference by resampling: bootstrap confidence intervals
+ * (percentile and bias-corrected and accelerated) for any statistic, and
+ * permutation tests for group differences, paired differences and
+ * associations. Every function draws from the random number generator it is
+ * given, so a run is reproduced exactly from the same seed.
+ */
+import { sum, sortAscending, quantileSorted } from './basic';
+import { normalCdf, normalQuantile } from './distributions';
+import { TAILS } from './hypothesis';
+
+export const BOOTSTRAP_INTERVALS = {
+  PERCENTILE: 'percentile',
+  BCA: 'bca'
+};
+
+/**
+ * Random integer in [0, n)
+ */
+const randomIndex = (random, n) => Math.floor(random() * n);
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @returns {Array} The array
+ */
+const shuffle = (items, random) => {
+  for (let i = items.length - 1; i > 0; i -= 1) {
+    const j = randomIndex(random, i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Iterations between progress reports
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Report the share of iterations done, every PROGRESS_INTERVAL iterations
+ */
+const reportProgress = (onProgress, done, iterations) => {
+  if (onProgress && done % PROGRESS_INTERVAL === 0) onProgress(done / iterations);
+};
+
+// Most leave-out estimates for the BCa acceleration; larger samples leave out blocks of observations
+const MAX_JACKKNIFE_ESTIMATES = 1000;
+
+/**
+ * Jackknife acceleration of the BCa interval: the skewness of the estimates
+ * with each sample's observations left out in turn (in blocks for large samples)
+ * @returns {number} Acceleration (0 when the estimates do not vary)
+ */
+const acceleration = (samples, statistic) => {
+  const total = sum(samples.map(sample => sample.length));
+  const block = Math.ceil(total / MAX_JACKKNIFE_ESTIMATES);
+  const estimates = [];
+  samples.forEach((sample, s) => {
+    for (let start = 0; start < sample.length; start += block) {
+      const reduced = samples.map((other, t) => (
+        t === s ? [...other.slice(0, start), ...other.slice(start + block)] : other
+      ));
+      const value = statistic(...reduced);
+      if (Number.isFinite(value)) estimates.push(value);
+    }
+  });
+  if (estimates.length < 2) return 0;
+  const center = sum(estimates) / estimates.length;
+  const squares = sum(estimates.map(value => (center - value) ** 2));
+  const cubes = sum(estimates.map(value => (center - value) ** 3));
+  return squares > 0 ? cubes / (6 * squares ** 1.5) : 0;
+};
+
+/**
+ * Bootstrap confidence interval of a statistic. Each sample is resampled with
+ * replacement on its own (so group sizes are kept); for paired or multivariate
+ * data pass one sample whose items are the rows.
+ * @param {Array<Array>} samples Samples the statistic is computed from
+ * @param {Function} statistic Called with the samples as arguments, returns a number
+ * @param {Object} [options] Options
+ * @param {number} [options.iterations=2000] Bootstrap replicates
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the two-sided interval
+ * @param {string} [options.interval='bca'] One of BOOTSTRAP_INTERVALS
+ * @param {Function} [options.random=Math.random] Uniform random numbers in [0, 1)
+ * @param {Function} [options.onProgress] Called with the share of replicates drawn
+ * @returns {Object} { estimate, lower, upper, standardError, bias, replicates (finite ones),
+ *   interval (percentile when BCa is undefined because every replicate falls on one side) }
+ */
+export const bootstrap = (samples, statistic, {
+  iterations = 2000,
+  confidenceLevel = 0.95,
+  interval = BOOTSTRAP_INTERVALS.BCA,
+  random = Math.random,
+  onProgress
+} = {}) => {
+  const estimate = statistic(...samples);
+  const empty = { estimate, lower: NaN, upper: NaN, standardError: NaN, bias: NaN, replicates: 0, interval };
+  if (!Number.isFinite(estimate) || samples.some(sample => sample.length === 0)) return empty;
+
+  const replicates = [];
+  for (let b = 0; b < iterations; b += 1) {
+    const resampled = samples.map(sample => sample.map(() => sample[randomIndex(random, sample.length)]));
+    const value = statistic(...resampled);
+    if (Number.isFinite(value)) replicates.push(value);
+    reportProgress(onProgress, b + 1, iterations);
+  }
+  if (replicates.length < 2) return empty;
+
+  const sorted = sortAscending(replicates);
+  const replicateMean = sum(sorted) / sorted.length;
+  const standardError = Math.sqrt(sum(sorted.map(value => (value - replicateMean) ** 2)) / (sorted.length - 1));
+  const alpha = (1 - confidenceLevel) / 2;
+  let lowerP = alpha;
+  let upperP = 1 - alpha;
+  let used = BOOTSTRAP_INTERVALS.PERCENTILE;
+
+  if (interval === BOOTSTRAP_INTERVALS.BCA) {
+    // Bias correction from the share of replicates below the estimate (ties count half)
+    const below = sorted.filter(value => value < estimate).length + sorted.filter(value => value === estimate).length / 2;
+    const z0 = normalQuantile(below / sorted.length);
+    if (Number.isFinite(z0)) {
+      const a = acceleration(samples, statistic);
+      const adjust = (p) => {
+        const z = normalQuantile(p);
+        return normalCdf(z0 + (z0 + z) / (1 - a * (z0 + z)));
+      };
+      lowerP = adjust(alpha);
+      upperP = adjust(1 - alpha);
+      used = BOOTSTRAP_INTERVALS.BCA;
+    }
+  }
+
+  return {
+    estimate,
+    lower: quantileSorted(sorted, lowerP),
+    upper: quantileSorted(sorted, upperP),
+    standardError,
+    bias: replicateMean - estimate,
+    replicates: sorted.length,
+    interval: used
+  };
+};
+
+/**
+ * Monte Carlo p-value: the share of resampled statistics at least as extreme
+ * as the observed one, counting the observed arrangement itself
+ * @returns {Object} { statistic, p, permutations }
+ */
+const monteCarloP = (observed, draw, { iterations, tails, onProgress }) => {
+  if (!Number.isFinite(observed)) return { statistic: observed, p: NaN, permutations: 0 };
+  // Tolerance so that rearrangements giving the same statistic count despite rounding
+  const tolerance = 1e-10 * Math.max(1, Math.abs(observed));
+  let extreme = 0;
+  let permutations = 0;
+  for (let b = 0; b < iterations; b += 1) {
+    const value = draw();
+    reportProgress(onProgress, b + 1, iterations);
+    if (!Number.isFinite(value)) continue;
+    permutations += 1;
+    if (tails === TAILS.RIGHT ? value >= observed - tolerance
+      : tails === TAILS.LEFT ? value <= observed + tolerance
+        : Math.abs(value) >= Math.abs(observed) - tolerance) {
+      extreme += 1;
+    }
+  }
+  return { statistic: observed, p: (extreme + 1) / (permutations + 1), permutations };
+};
+
+/**
+ * Permutation test of a difference between groups: the observations are
+ * pooled and reassigned at random to groups of the original sizes
+ * @param {Array<Array<number>>} samples One sample per group
+ * @param {Function} statistic Called with the samples as arguments, returns a number
+ * @param {Object} [options] Options
+ * @param {number} [options.iterations=2000] Random reassignments
+ * @param {string} [options.tails='two-tailed'] One of TAILS; two-tailed compares absolute values,
+ *   so use right-tailed for statistics such as F that grow with any difference
+ * @param {Function} [options.random=Math.random] Uniform random numbers in [0, 1)
+ * @param {Function} [options.onProgress] Called with the share of permutations drawn
+ * @returns {Object} { statistic, p, permutations }
+ */
+export const permutationTest = (samples, statistic, {
+  iterations = 2000,
+  tails = TAILS.TWO,
+  random = Math.random,
+  onProgress
+} = {}) => {
+  const pooled = samples.flat();
+  const sizes = samples.map(sample => sample.length);
+  return monteCarloP(statistic(...samples), () => {
+    shuffle(pooled, random);
+    let start = 0;
+    return statistic(...sizes.map(size => {
+      start += size;
+      return pooled.slice(start - size, start);
+    }));
+  }, { iterations, tails, onProgress });
+};
+
+/**
+ * Permutation test of paired differences: under the null hypothesis each
+ * difference is as likely to have either sign, so signs are flipped at random
+ * @param {Array<number>} differences Paired differences
+ * @param {Function} statistic Called with the differences, returns a number
+ * @param {Object} [options] Options, as for permutationTest
+ * @returns {Object} { statistic, p, permutations }
+ */
+export const signFlipTest = (differences, statistic, {
+  iterations = 2000,
+  tails = TAILS.TWO,
+  random = Math.random,
+  onProgress
+} = {}) => (
+  monteCarloP(statistic(differences), () => (
+    statistic(differences.map(value => (random() < 0.5 ? -value : value)))
+  ), { iterations, tails, onProgress })
+);
+
+/**
+ * Permutation test of an association: the second variable is shuffled
+ * against the first, breaking any relation between them
+ * @param {Array<number>} x First variable
+ * @param {Array<number>} y Second variable, paired with x
+ * @param {Function} statistic Called with (x, y), returns a number such as a correlation coefficient
+ * @param {Object} [options] Options, as for permutationTest
+ * @returns {Object} { statistic, p, permutations }
+ */
+export const associationPermutationTest = (x, y, statistic, {
+  iterations = 2000,
+  tails = TAILS.TWO,
+  random = Math.random,
+  onProgress
+} = {}) => {
+  const shuffled = y.slice();
+  return monteCarloP(statistic(x, y), () => statistic(x, shuffle(shuffled, random)), { iterations, tails, onProgress });
+};
@@ -0,0 +1,288 @@
+/**
+ * survival.js
+ * Time-to-event analysis of right-censored data: Kaplan-Meier survival
+ * estimates with Greenwood standard errors, log-log confidence intervals and
+ * median survival; the log-rank and Gehan-Breslow (generalized Wilcoxon)
+ * tests between groups; and Cox proportional hazards regression with
+ * Efron's handling of tied event times.
+ */
+import { sum } from './basic';
+import { normalQuantile, normalSurvival, chiSquareSurvival } from './distributions';
+import { invert, multiplyVector } from './matrix';
+
+export const SURVIVAL_TEST_WEIGHTS = {
+  LOG_RANK: 'log-rank',
+  WILCOXON: 'wilcoxon'
+};
+
+/**
+ * Distinct times with the number at risk, of events and of censorings at each
+ * @param {Array<number>} times Follow-up times
+ * @param {Array<number>} events 1 for an event, 0 for a censored time
+ * @returns {Array<{ time, atRisk, events, censored }>} In increasing time
+ */
+const riskTable = (times, events) => {
+  const order = times.map((_, i) => i).sort((a, b) => times[a] - times[b]);
+  const table = [];
+  let atRisk = times.length;
+  for (let k = 0; k < order.length;) {
+    const time = times[order[k]];
+    let eventCount = 0;
+    let censored = 0;
+    for (; k < order.length && times[order[k]] === time; k += 1) {
+      if (events[order[k]]) eventCount += 1;
+      else censored += 1;
+    }
+    table.push({ time, atRisk, events: eventCount, censored });
+    atRisk -= eventCount + censored;
+  }
+  return table;
+};
+
+/**
+ * First time at which a survival curve reaches 0.5 or below
+ * @returns {number|null} Time, or null when the curve stays above 0.5
+ */
+const firstTimeAtOrBelowHalf = (steps, key) => {
+  const step = steps.find(entry => entry[key] !== null && entry[key] <= 0.5 + 1e-12);
+  return step ? step.time : null;
+};
+
+/**
+ * Kaplan-Meier estimate of the survival function
+ * @param {Array<number>} times Follow-up times
+ * @param {Array<number>} events 1 for an event, 0 for a censored time
+ * @param {Object} [options] Options
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the pointwise intervals
+ * @returns {Object} { steps: [{ time, atRisk, events, censored, survival, se, lower, upper }], n, events,
+ *   median, medianLower, medianUpper } (interval on the log(-log S) scale, medians null when not reached)
+ */
+export const kaplanMeier = (times, events, { confidenceLevel = 0.95 } = {}) => {
+  if (times.length === 0) throw new Error('Survival analysis needs at least one observation');
+  const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+  let survival = 1;
+  let greenwood = 0;
+  const steps = riskTable(times, events).map(entry => {
+    if (entry.events > 0) {
+      survival *= 1 - entry.events / entry.atRisk;
+      greenwood += entry.atRisk > entry.events ? entry.events / (entry.atRisk * (entry.atRisk - entry.events)) : Infinity;
+    }
+    let lower = null;
+    let upper = null;
+    if (survival === 1) {
+      lower = 1;
+      upper = 1;
+    } else if (survival > 0 && Number.isFinite(greenwood)) {
+      const logSurvival = Math.log(survival);
+      const halfWidth = (z * Math.sqrt(greenwood)) / Math.abs(logSurvival);
+      const center = Math.log(-logSurvival);
+      lower = Math.exp(-Math.exp(center + halfWidth));
+      upper = Math.exp(-Math.exp(center - halfWidth));
+    }
+    return {
+      ...entry,
+      survival,
+      se: Number.isFinite(greenwood) ? survival * Math.sqrt(greenwood) : null,
+      lower,
+      upper
+    };
+  });
+
+  return {
+    steps,
+    n: times.length,
+    events: sum(events.map(event => (event ? 1 : 0))),
+    median: firstTimeAtOrBelowHalf(steps, 'survival'),
+    // The interval of the median is where the confidence band crosses 0.5
+    medianLower: firstTimeAtOrBelowHalf(steps, 'lower'),
+    medianUpper: firstTimeAtOrBelowHalf(steps, 'upper')
+  };
+};
+
+/**
+ * Weighted log-rank test of equal survival across groups: the log-rank test
+ * weighs every event time equally, the Gehan-Breslow generalized Wilcoxon
+ * test by the number at risk, so it stresses early differences
+ * @param {Array<number>} times Follow-up times
+ * @param {Array<number>} events 1 for an event, 0 for a censored time
+ * @param {Array<number>} groups Group index (0 … k - 1) of each observation
+ * @param {Object} [options] Options
+ * @param {string} [options.weights='log-rank'] One of SURVIVAL_TEST_WEIGHTS
+ * @returns {Object} { statistic (χ²), df, p, observed, expected } with the events observed and expected per group
+ */
+export const survivalDifferenceTest = (times, events, groups, { weights = SURVIVAL_TEST_WEIGHTS.LOG_RANK } = {}) => {
+  const k = groups.reduce((max, group) => Math.max(max, group), -1) + 1;
+  if (k < 2) throw new Error('Comparing survival needs at least two groups');
+  const perGroup = Array.from({ length: k }, (_, g) => riskTable(
+    times.filter((_, i) => groups[i] === g),
+    events.filter((_, i) => groups[i] === g)
+  ));
+  const eventTimes = [...new Set(times.filter((_, i) => events[i]))].sort((a, b) => a - b);
+
+  const observed = new Array(k).fill(0);
+  const expected = new Array(k).fill(0);
+  const score = new Array(k).fill(0);
+  const covariance = Array.from({ length: k }, () => new Array(k).fill(0));
+  const cursors = new Array(k).fill(0);
+  eventTimes.forEach(time => {
+    const atRisk = new Array(k).fill(0);
+    const died = new Array(k).fill(0);
+    perGroup.forEach((table, g) => {
+      while (cursors[g] < table.length && table[cursors[g]].time < time) cursors[g] += 1;
+      const entry = table[cursors[g]];
+      if (!entry) return;
+      atRisk[g] = entry.atRisk;
+      if (entry.time === time) died[g] = entry.events;
+    });
+    const n = sum(atRisk);
+    const d = sum(died);
+    const w = weights === SURVIVAL_TEST_WEIGHTS.WILCOXON ? n : 1;
+    for (let g = 0; g < k; g += 1) {
+      const expectedEvents = (d * atRisk[g]) / n;
+      observed[g] += died[g];
+      expected[g] += expectedEvents;
+      score[g] += w * (died[g] - expectedEvents);
+      if (n < 2) continue;
+      const spread = (w * w * d * (n - d)) / (n - 1);
+      for (let h = 0; h < k; h += 1) {
+        covariance[g][h] += spread * (atRisk[g] / n) * ((g === h ? 1 : 0) - atRisk[h] / n);
+      }
+    }
+  });
+
+  // The scores sum to zero, so the test uses all but the last group
+  const reducedInverse = invert(covariance.slice(0, k - 1).map(row => row.slice(0, k - 1)));
+  const reducedScore = score.slice(0, k - 1);
+  const statistic = reducedInverse ? sum(multiplyVector(reducedInverse, reducedScore).map((value, g) => value * reducedScore[g])) : NaN;
+  return {
+    statistic,
+    df: k - 1,
+    p: Number.isFinite(statistic) ? chiSquareSurvival(statistic, k - 1) : NaN,
+    observed,
+    expected
+  };
+};
+
+/**
+ * Efron partial log-likelihood of a Cox model with its gradient and information
+ * @returns {{ logLikelihood: number, gradient: Array<number>, information: Array<Array<number>> }}
+ */
+const coxPartialLikelihood = (times, events, x, beta, eventTimes) => {
+  const p = beta.length;
+  const risk = x.map(row => Math.exp(sum(row.map((value, j) => value * beta[j]))));
+  let logLikelihood = 0;
+  const gradient = new Array(p).fill(0);
+  const information = Array.from({ length: p }, () => new Array(p).fill(0));
+
+  eventTimes.forEach(time => {
+    const s0 = { all: 0, tied: 0 };
+    const s1 = { all: new Array(p).fill(0), tied: new Array(p).fill(0) };
+    const s2 = { all: information.map(row => row.map(() => 0)), tied: information.map(row => row.map(() => 0)) };
+    let tiedCount = 0;
+    times.forEach((t, i) => {
+      if (t < time) return;
+      const sets = events[i] && t === time ? ['all', 'tied'] : ['all'];
+      if (sets.length === 2) {
+        tiedCount += 1;
+        logLikelihood += sum(x[i].map((value, j) => value * beta[j]));
+        x[i].forEach((value, j) => { gradient[j] += value; });
+      }
+      sets.forEach(set => {
+        s0[set] += risk[i];
+        for (let j = 0; j < p; j += 1) {
+          s1[set][j] += risk[i] * x[i][j];
+          for (let l = 0; l < p; l += 1) s2[set][j][l] += risk[i] * x[i][j] * x[i][l];
+        }
+      });
+    });
+    // Efron: the tied events leave the risk set a fraction at a time
+    for (let r = 0; r < tiedCount; r += 1) {
+      const f = r / tiedCount;
+      const d0 = s0.all - f * s0.tied;
+      const d1 = s1.all.map((value, j) => value - f * s1.tied[j]);
+      logLikelihood -= Math.log(d0);
+      for (let j = 0; j < p; j += 1) {
+        gradient[j] -= d1[j] / d0;
+        for (let l = 0; l < p; l += 1) {
+          information[j][l] += (s2.all[j][l] - f * s2.tied[j][l]) / d0 - (d1[j] * d1[l]) / (d0 * d0);
+        }
+      }
+    }
+  });
+  return { logLikelihood, gradient, information };
+};
+
+/**
+ * Cox proportional hazards regression, fitted by Newton-Raphson on the Efron
+ * partial likelihood
+ * @param {Array<number>} times Follow-up times
+ * @param {Array<number>} events 1 for an event, 0 for a censored time
+ * @param {Array<Array<number>>} x Covariates, one row per observation
+ * @param {Object} [options] Options
+ * @param {number} [options.confidenceLevel=0.95] Confidence level of the hazard ratio intervals
+ * @param {number} [options.maxIterations=50] Newton-Raphson iterations before giving up
+ * @returns {Object} { coefficients: [{ estimate, se, statistic (z), p, hazardRatio, lower, upper }],
+ *   logLikelihood, nullLogLikelihood, likelihoodRatio, wald, score (each { statistic, df, p }),
+ *   n, events, iterations, converged }
+ */
+export const coxRegression = (times, events, x, { confidenceLevel = 0.95, maxIterations = 50 } = {}) => {
+  const p = x[0]?.length || 0;
+  if (p === 0) throw new Error('Cox regression needs at least one covariate');
+  const eventTimes = [...new Set(times.filter((_, i) => events[i]))].sort((a, b) => a - b);
+  if (eventTimes.length === 0) throw new Error('Cox regression needs at least one event');
+
+  let beta = new Array(p).fill(0);
+  let current = coxPartialLikelihood(times, events, x, beta, eventTimes);
+  const atZero = current;
+  let converged = false;
+  let iterations = 0;
+  for (; iterations < maxIterations && !converged; iterations += 1) {
+    const inverse = invert(current.information);
+    if (!inverse) break;
+    const step = multiplyVector(inverse, current.gradient);
+    // Halve the step until the likelihood improves
+    let scale = 1;
+    let candidate;
+    let next;
+    do {
+      candidate = beta.map((value, j) => value + scale * step[j]);
+      next = coxPartialLikelihood(times, events, x, candidate, eventTimes);
+      scale /= 2;
+    } while (next.logLikelihood < current.logLikelihood - 1e-12 && scale > 1e-6);
+    converged = Math.abs(next.logLikelihood - current.logLikelihood) < 1e-9 * (Math.abs(current.logLikelihood) + 1e-9);
+    beta = candidate;
+    current = next;
+  }
+
+  const covariance = invert(current.information);
+  const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+  const coefficients = beta.map((estimate, j) => {
+    const se = covariance ? Math.sqrt(covariance[j][j]) : NaN;
+    const statistic = estimate / se;
+    return {
+      estimate,
+      se,
+      statistic,
+      p: 2 * normalSurvival(Math.abs(statistic)),
+      hazardRatio: Math.exp(estimate),
+      lower: Math.exp(estimate - z * se),
+      upper: Math.exp(estimate + z * se)
+    };
+  });
+
+  const test = (statistic) => ({ statistic, df: p, p: Number.isFinite(statistic) ? chiSquareSurvival(statistic, p) : NaN });
+  const zeroInverse = invert(atZero.information);
+  const quadratic = (matrix, v) => sum(multiplyVector(matrix, v).map((value, j) => value * v[j]));
+  return {
+    coefficients,
+    logLikelihood: current.logLikelihood,
+    nullLogLikelihood: atZero.logLikelihood,
+    likelihoodRatio: test(2 * (current.logLikelihood - atZero.logLikelihood)),
+    wald: test(covariance ? quadratic(current.information, beta) : NaN),
+    score: test(zeroInverse ? quadratic(zeroInverse, atZero.gradient) : NaN),
+    n: times.length,
+    events: sum(events.map(event => (event ? 1 : 0))),
+    iterations,
+    converged
+  };
+};
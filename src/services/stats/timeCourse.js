@@ -0,0 +1,124 @@
+/**
+ * timeCourse.js
+ * Measurements over time treated as curves: moving-average and LOESS
+ * smoothing, area under the curve by the trapezoid rule, initial rate, peak,
+ * and the lag phase, maximum growth rate and carrying capacity of growth
+ * curves (from the steepest sliding-window slope, as in the "easy linear"
+ * method of Hall et al. 2014).
+ */
+import { sum, mean } from './basic';
+
+/**
+ * Least squares line through points
+ * @returns {{ slope: number, intercept: number }} Line (NaN when x does not vary)
+ */
+const fitLine = (x, y) => {
+  const xMean = mean(x);
+  const yMean = mean(y);
+  const sxx = sum(x.map(value => (value - xMean) ** 2));
+  const slope = sum(x.map((value, i) => (value - xMean) * (y[i] - yMean))) / sxx;
+  return { slope, intercept: yMean - slope * xMean };
+};
+
+/**
+ * Centered moving average; windows are cut short at the ends of the series
+ * @param {Array<number>} y Values in time order
+ * @param {number} window Points per window (an even window is widened by one)
+ * @returns {Array<number>} Smoothed values
+ */
+export const movingAverage = (y, window) => {
+  const half = Math.max(0, Math.floor(window / 2));
+  return y.map((_, i) => mean(y.slice(Math.max(0, i - half), i + half + 1)));
+};
+
+/**
+ * LOESS smoothing: a line fitted at each point to its nearest neighbours,
+ * weighted by the tricube of their distance
+ * @param {Array<number>} x Times in increasing order
+ * @param {Array<number>} y Values
+ * @param {number} neighbours Points in each local fit (at least 3)
+ * @returns {Array<number>} Smoothed values
+ */
+export const loess = (x, y, neighbours) => {
+  const k = Math.min(x.length, Math.max(3, Math.round(neighbours)));
+  return x.map(x0 => {
+    const nearest = x.map((value, i) => ({ i, distance: Math.abs(value - x0) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, k);
+    const reach = nearest[nearest.length - 1].distance * 1.0001 || 1;
+    const weights = nearest.map(({ distance }) => (1 - (distance / reach) ** 3) ** 3);
+    const totalWeight = sum(weights);
+    const xMean = sum(nearest.map(({ i }, j) => weights[j] * x[i])) / totalWeight;
+    const yMean = sum(nearest.map(({ i }, j) => weights[j] * y[i])) / totalWeight;
+    const sxx = sum(nearest.map(({ i }, j) => weights[j] * (x[i] - xMean) ** 2));
+    if (sxx === 0) return yMean;
+    const sxy = sum(nearest.map(({ i }, j) => weights[j] * (x[i] - xMean) * (y[i] - yMean)));
+    return yMean + (sxy / sxx) * (x0 - xMean);
+  });
+};
+
+/**
+ * Area under the curve by the trapezoid rule
+ * @param {Array<number>} x Times in increasing order
+ * @param {Array<number>} y Values
+ * @returns {number} Area (in y units × x units)
+ */
+export const trapezoidArea = (x, y) => sum(x.slice(1).map((value, i) => ((value - x[i]) * (y[i] + y[i + 1])) / 2));
+
+/**
+ * Initial rate: slope of the line through the first points
+ * @param {Array<number>} x Times in increasing order
+ * @param {Array<number>} y Values
+ * @param {number} [points=3] Points at the start of the series to fit (at least 2)
+ * @returns {number} Slope (y units per x unit), NaN with too few points
+ */
+export const initialRate = (x, y, points = 3) => {
+  const count = Math.max(2, Math.round(points));
+  if (x.length < count) return NaN;
+  return fitLine(x.slice(0, count), y.slice(0, count)).slope;
+};
+
+/**
+ * Highest point of a curve
+ * @param {Array<number>} x Times
+ * @param {Array<number>} y Values
+ * @returns {{ time: number, value: number }} Time to peak and peak value (the first of equal peaks)
+ */
+export const peak = (x, y) => {
+  const index = y.reduce((best, value, i) => (value > y[best] ? i : best), 0);
+  return { time: x[index], value: y[index] };
+};
+
+/**
+ * Growth curve parameters from the steepest slope of a sliding window.
+ * On the log scale the slope is the specific growth rate; the lag phase
+ * ends where the tangent at the steepest slope crosses the starting level
+ * @param {Array<number>} x Times in increasing order
+ * @param {Array<number>} y Values (all positive for the log scale)
+ * @param {Object} [options] Options
+ * @param {number} [options.window=5] Points in each sliding window (at least 3)
+ * @param {boolean} [options.logScale=true] Fit ln(y), giving the specific growth rate
+ * @returns {Object} { maxRate, timeOfMaxRate, lag, capacity, doublingTime (log scale only), logScale },
+ *   or null when the series is shorter than the window or never rises
+ */
+export const growthParameters = (x, y, { window = 5, logScale = true } = {}) => {
+  const size = Math.max(3, Math.round(window));
+  if (x.length < size) return null;
+  const f = logScale ? y.map(Math.log) : y;
+  let best = null;
+  for (let start = 0; start + size <= x.length; start += 1) {
+    const line = fitLine(x.slice(start, start + size), f.slice(start, start + size));
+    if (Number.isFinite(line.slope) && (!best || line.slope > best.slope)) {
+      best = { ...line, time: mean(x.slice(start, start + size)) };
+    }
+  }
+  if (!best || !(best.slope > 0)) return null;
+  return {
+    maxRate: best.slope,
+    timeOfMaxRate: best.time,
+    lag: Math.max(x[0], (f[0] - best.intercept) / best.slope),
+    capacity: y.reduce((max, value) => Math.max(max, value), -Infinity),
+    doublingTime: logScale ? Math.LN2 / best.slope : NaN,
+    logScale
+  };
+};
@@ -2,10 +2,40 @@
  * visualizationService.js
  * Service for handling data visualization operations and API calls
  */
+import { COLUMN_TYPES } from './data/schemaInference';
+import { getColumn, getColumnValues } from './data/dataset';
+import { finite, mean, variance, fiveNumberSummary, pearson } from './stats/basic';
+import { qqPoints } from './stats/assumptions';
+import { columnLabel } from './data/units';
 
 // Helper function to generate mock IDs
 const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+// Visualization requests created in this session, keyed by visualization ID
+const visualizations = new Map();
+
+// Default colors for each chart type
+const CHART_COLORS = {
+  bar: '#4f46e5',
+  line: '#0ea5e9',
+  scatter: '#8b5cf6',
+  pie: '#f59e0b',
+  box: '#10b981',
+  heatmap: '#ef4444',
+  residuals: '#8b5cf6',
+  biplot: '#8b5cf6',
+  scree: '#0ea5e9',
+  dendrogram: '#10b981',
+  qq: '#8b5cf6',
+  survival: '#4f46e5'
+};
+
+// Maximum number of categories drawn before the rest are grouped as "Other"
+const MAX_CATEGORIES = 12;
+
+// Most points per column drawn on a Q-Q plot
+const MAX_QQ_POINTS = 500;
+
 /**
  * Get available chart types for visualization
  * @param {Object} dataTypes Optional data types to filter chart options
@@ -50,6 +80,42 @@ const getAvailableChartTypes = async (dataTypes = null) => {
       name: 'Heat Map',
       description: 'Visualize matrix data like correlations',
       suitableFor: ['matrix', 'correlation']
+    },
+    {
+      id: 'residuals',
+      name: 'Residual Plot',
+      description: 'Check a fitted model: residuals against fitted values',
+      suitableFor: ['regression', 'nonlinear', 'diagnostics']
+    },
+    {
+      id: 'biplot',
+      name: 'Biplot',
+      description: 'Component scores with the variable loadings drawn as arrows',
+      suitableFor: ['pca', 'dimensionality']
+    },
+    {
+      id: 'scree',
+      name: 'Scree Plot',
+      description: 'Eigenvalue of each principal component',
+      suitableFor: ['pca', 'dimensionality']
+    },
+    {
+      id: 'dendrogram',
+      name: 'Dendrogram',
+      description: 'Tree of the merges made by hierarchical clustering',
+      suitableFor: ['cluster', 'hierarchy']
+    },
+    {
+      id: 'qq',
+      name: 'Q-Q Plot',
+      description: 'Check normality: sample quantiles against normal quantiles',
+      suitableFor: ['continuous', 'distribution', 'diagnostics']
+    },
+    {
+      id: 'survival',
+      name: 'Survival Curve',
+      description: 'Kaplan-Meier step curves with confidence bands and censoring marks',
+      suitableFor: ['survival', 'time-to-event']
     }
   ];
 };
@@ -65,11 +131,15 @@ const getSuitableVisualizationsForAnalysis = async (analysisType) => {
   
   const recommendations = {
     descriptive: ['bar', 'box', 'pie'],
-    hypothesis: ['bar', 'box'],
+    hypothesis: ['bar', 'box', 'qq'],
+    anova: ['bar', 'box'],
     correlation: ['scatter', 'heatmap'],
-    regression: ['scatter', 'line'],
-    pca: ['scatter'],
-    cluster: ['scatter', 'heatmap']
+    regression: ['scatter', 'residuals', 'line'],
+    nonlinear: ['scatter', 'residuals'],
+    survival: ['survival'],
+    timecourse: ['line'],
+    pca: ['scatter', 'biplot', 'scree'],
+    cluster: ['scatter', 'line', 'dendrogram', 'heatmap']
   };
   
   // Get all chart types
@@ -83,13 +153,16 @@ const getSuitableVisualizationsForAnalysis = async (analysisType) => {
 
 /**
  * Create a new visualization for analysis results
- * @param {Object} params Parameters for visualization
+ * @param {Object} params Parameters for visualization: chartType, dataset, dataColumns and
+ *   title, or a `chart` prepared by the analysis ({ chartData, xAxisLabel, yAxisLabel,
+ *   dataColumns, title }) to draw instead of the dataset's columns
  * @returns {Promise<Object>} Visualization job object with ID and status
  */
 const createVisualization = async (params) => {
   // In a real implementation, this would make an API call
   // For now, we'll simulate creating a visualization
   const visualizationId = generateId();
+  visualizations.set(visualizationId, params);
   
   return {
     visualizationId,
@@ -98,14 +171,307 @@ const createVisualization = async (params) => {
   };
 };
 
+/**
+ * Resolve the columns a visualization should use
+ * @param {Object} dataset Dataset
+ * @param {Array<string>|null} dataColumns Column IDs/names, or null/['all'] for every column
+ * @returns {Array<Object>} Column definitions
+ */
+const resolveColumns = (dataset, dataColumns) => {
+  if (!dataColumns || dataColumns.includes('all')) return dataset.columns;
+  const columns = dataColumns.map(ref => getColumn(dataset, ref)).filter(Boolean);
+  return columns.length > 0 ? columns : dataset.columns;
+};
+
+/**
+ * List the most frequent categories of a column, grouping the rest as "Other"
+ * @param {Array<*>} values Typed column values
+ * @returns {Array<string>} Category labels
+ */
+const getCategories = (values) => {
+  const counts = new Map();
+  values.forEach(value => {
+    if (value === null) return;
+    const label = String(value);
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+  const ordered = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([label]) => label);
+  return ordered.length > MAX_CATEGORIES
+    ? [...ordered.slice(0, MAX_CATEGORIES - 1), 'Other']
+    : ordered;
+};
+
+/**
+ * Map a typed value onto one of the category labels
+ * @returns {string|null} Category label
+ */
+const categoryOf = (value, categories) => {
+  if (value === null) return null;
+  const label = String(value);
+  if (categories.includes(label)) return label;
+  return categories[categories.length - 1] === 'Other' ? 'Other' : null;
+};
+
+/**
+ * Split numeric values into groups by a categorical column
+ * @returns {Array<Array<number>>} Values per category, in category order
+ */
+const groupValues = (values, groups, categories) => categories.map(category => finite(
+  values.filter((_, index) => categoryOf(groups[index], categories) === category)
+));
+
+/**
+ * Label an axis shared by several columns, with their unit when they all have the same one
+ * @param {string} label Axis label, e.g. "Value"
+ * @param {Array<Object>} columns Columns plotted on the axis
+ * @returns {string} Label, e.g. "Value (mL)"
+ */
+const sharedUnitLabel = (label, columns) => {
+  const units = new Set(columns.map(column => column.unit || ''));
+  const [unit] = units;
+  return units.size === 1 && unit ? `${label} (${unit})` : label;
+};
+
+/**
+ * Build chart data in the shape ChartDisplay expects from a dataset
+ * @param {string} chartType Chart type ID
+ * @param {Object} dataset Parsed dataset
+ * @param {Array<string>|null} dataColumns Columns to plot
+ * @returns {Object} { chartData, xAxisLabel, yAxisLabel, dataColumns }
+ */
+const buildChartData = (chartType, dataset, dataColumns = null) => {
+  const columns = resolveColumns(dataset, dataColumns);
+  const numeric = columns.filter(column => column.type === COLUMN_TYPES.NUMERIC);
+  const categorical = columns.filter(column => [COLUMN_TYPES.CATEGORICAL, COLUMN_TYPES.BOOLEAN].includes(column.type));
+  const temporal = columns.filter(column => column.type === COLUMN_TYPES.DATETIME);
+  const valuesOf = column => getColumnValues(dataset, column.id);
+
+  switch (chartType) {
+    case 'bar': {
+      if (categorical.length > 0) {
+        const groups = valuesOf(categorical[0]);
+        const labels = getCategories(groups);
+        if (numeric.length === 0) {
+          return {
+            chartData: {
+              labels,
+              datasets: [{ label: 'Count', data: labels.map(label => groups.filter(g => categoryOf(g, labels) === label).length) }]
+            },
+            xAxisLabel: columnLabel(categorical[0]),
+            yAxisLabel: 'Count',
+            dataColumns: [categorical[0].name]
+          };
+        }
+        return {
+          chartData: {
+            labels,
+            datasets: numeric.map(column => ({
+              label: columnLabel(column),
+              data: groupValues(valuesOf(column), groups, labels).map(mean)
+            }))
+          },
+          xAxisLabel: columnLabel(categorical[0]),
+          yAxisLabel: numeric.length === 1 ? `Mean ${columnLabel(numeric[0])}` : sharedUnitLabel('Mean', numeric),
+          dataColumns: [categorical[0].name, ...numeric.map(column => column.name)]
+        };
+      }
+      if (numeric.length === 0) throw new Error('Bar charts need a numeric or categorical column');
+      return {
+        chartData: {
+          labels: numeric.map(column => columnLabel(column)),
+          datasets: [{ label: 'Mean', data: numeric.map(column => mean(finite(valuesOf(column)))) }]
+        },
+        xAxisLabel: 'Variable',
+        yAxisLabel: sharedUnitLabel('Mean', numeric),
+        dataColumns: numeric.map(column => column.name)
+      };
+    }
+
+    case 'line': {
+      const xColumn = temporal[0] || (numeric.length > 1 ? numeric[0] : null);
+      const series = numeric.filter(column => column !== xColumn);
+      if (series.length === 0) throw new Error('Line charts need at least one numeric column');
+      const xValues = xColumn ? valuesOf(xColumn) : dataset.rows.map((_, index) => index + 1);
+      return {
+        chartData: {
+          xType: xColumn?.type === COLUMN_TYPES.DATETIME ? 'datetime' : 'numeric',
+          datasets: series.map(column => ({
+            label: columnLabel(column),
+            data: valuesOf(column)
+              .map((y, index) => ({ x: xValues[index], y }))
+              .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y))
+              .sort((a, b) => a.x - b.x)
+          }))
+        },
+        xAxisLabel: xColumn ? columnLabel(xColumn) : 'Row',
+        yAxisLabel: series.length === 1 ? columnLabel(series[0]) : sharedUnitLabel('Value', series),
+        dataColumns: [...(xColumn ? [xColumn.name] : []), ...series.map(column => column.name)]
+      };
+    }
+
+    case 'scatter': {
+      if (numeric.length < 2) throw new Error('Scatter plots need at least two numeric columns');
+      const [xColumn, yColumn] = numeric;
+      const xValues = valuesOf(xColumn);
+      const yValues = valuesOf(yColumn);
+      const points = xValues
+        .map((x, index) => ({ x, y: yValues[index], index }))
+        .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+      const groupColumn = categorical[0];
+      const groups = groupColumn ? valuesOf(groupColumn) : null;
+      const labels = groups ? getCategories(groups) : [columnLabel(yColumn)];
+      return {
+        chartData: {
+          datasets: labels.map(label => ({
+            label,
+            data: points
+              .filter(point => !groups || categoryOf(groups[point.index], labels) === label)
+              .map(({ x, y }) => ({ x, y }))
+          }))
+        },
+        xAxisLabel: columnLabel(xColumn),
+        yAxisLabel: columnLabel(yColumn),
+        dataColumns: [xColumn.name, yColumn.name, ...(groupColumn ? [groupColumn.name] : [])]
+      };
+    }
+
+    case 'pie': {
+      if (categorical.length === 0) throw new Error('Pie charts need a categorical column');
+      const values = valuesOf(categorical[0]);
+      const labels = getCategories(values);
+      return {
+        chartData: {
+          labels,
+          datasets: [{ data: labels.map(label => values.filter(value => categoryOf(value, labels) === label).length) }]
+        },
+        xAxisLabel: '',
+        yAxisLabel: '',
+        dataColumns: [categorical[0].name]
+      };
+    }
+
+    case 'box': {
+      if (numeric.length === 0) throw new Error('Box plots need at least one numeric column');
+      if (numeric.length === 1 && categorical.length > 0) {
+        const groups = valuesOf(categorical[0]);
+        const labels = getCategories(groups);
+        const grouped = groupValues(valuesOf(numeric[0]), groups, labels);
+        return {
+          chartData: {
+            labels: labels.filter((_, index) => grouped[index].length > 0),
+            datasets: [{ label: columnLabel(numeric[0]), data: grouped.filter(values => values.length > 0).map(fiveNumberSummary) }]
+          },
+          xAxisLabel: columnLabel(categorical[0]),
+          yAxisLabel: columnLabel(numeric[0]),
+          dataColumns: [categorical[0].name, numeric[0].name]
+        };
+      }
+      return {
+        chartData: {
+          labels: numeric.map(column => columnLabel(column)),
+          datasets: [{ data: numeric.map(column => fiveNumberSummary(finite(valuesOf(column)))) }]
+        },
+        xAxisLabel: 'Variable',
+        yAxisLabel: sharedUnitLabel('Value', numeric),
+        dataColumns: numeric.map(column => column.name)
+      };
+    }
+
+    case 'heatmap': {
+      if (numeric.length < 2) throw new Error('Heat maps need at least two numeric columns');
+      const values = numeric.map(valuesOf);
+      return {
+        chartData: {
+          labels: numeric.map(column => column.name),
+          data: values.map(x => values.map(y => pearson(x, y)))
+        },
+        xAxisLabel: '',
+        yAxisLabel: '',
+        dataColumns: numeric.map(column => column.name)
+      };
+    }
+
+    case 'qq': {
+      if (numeric.length === 0) throw new Error('Q-Q plots need a numeric column');
+      // Standardized, so that every column shares the reference line
+      const datasets = numeric.map(column => {
+        const values = finite(valuesOf(column));
+        const center = mean(values);
+        const sd = Math.sqrt(variance(values));
+        return {
+          label: columnLabel(column),
+          mode: 'markers',
+          data: sd > 0 ? qqPoints(values, { maxPoints: MAX_QQ_POINTS }).map(point => ({ x: point.theoretical, y: (point.sample - center) / sd })) : []
+        };
+      }).filter(dataset => dataset.data.length > 0);
+      if (datasets.length === 0) throw new Error('Q-Q plots need a numeric column whose values vary');
+      const limit = Math.max(...datasets.map(dataset => Math.abs(dataset.data[0].x)));
+      return {
+        chartData: {
+          datasets: [...datasets, { label: 'Normal', mode: 'line', dashed: true, data: [{ x: -limit, y: -limit }, { x: limit, y: limit }] }]
+        },
+        xAxisLabel: 'Theoretical normal quantile',
+        yAxisLabel: 'Standardized value',
+        dataColumns: numeric.map(column => column.name)
+      };
+    }
+
+    case 'residuals':
+      throw new Error('Residual plots come from a fitted regression model');
+
+    case 'biplot':
+    case 'scree':
+      throw new Error('Biplots and scree plots come from a principal component analysis');
+
+    case 'dendrogram':
+      throw new Error('Dendrograms come from a hierarchical cluster analysis');
+
+    case 'survival':
+      throw new Error('Survival curves come from a survival analysis');
+
+    default:
+      throw new Error(`Unknown chart type: ${chartType}`);
+  }
+};
+
+/**
+ * Build a visualization object from a stored request and its dataset
+ * @param {string} visualizationId ID of the visualization
+ * @param {Object} params Parameters passed to createVisualization
+ * @returns {Object} Visualization data and metadata
+ */
+const buildVisualization = (visualizationId, params) => {
+  const { chartType, dataset, dataColumns, title, chart } = params;
+  // Charts prepared by the analysis (a correlation matrix, a fitted line) are drawn as given
+  const { chartData, xAxisLabel, yAxisLabel, dataColumns: usedColumns } = chart || buildChartData(chartType, dataset, dataColumns);
+
+  return {
+    id: visualizationId,
+    visualType: chartType,
+    dataColumns: usedColumns,
+    chartData,
+    chartOptions: {
+      title: title || chart?.title || `${chartType.charAt(0).toUpperCase() + chartType.slice(1)} of ${dataset?.name || 'analysis results'}`,
+      color: CHART_COLORS[chartType],
+      showLegend: true,
+      xAxisLabel,
+      yAxisLabel
+    }
+  };
+};
+
 /**
  * Get visualization data by ID
  * @param {string} visualizationId ID of the visualization
  * @returns {Promise<Object>} Visualization data and metadata
  */
 const getVisualization = async (visualizationId) => {
-  // In a real implementation, this would fetch from an API
-  // For now, we'll return mock visualization data
+  const params = visualizations.get(visualizationId);
+  if (params?.dataset || params?.chart) {
+    return buildVisualization(visualizationId, params);
+  }
+
+  // Without a dataset we fall back to sample data for the chart type
   
   // Extract the visualization type from the ID (in a real app, you'd fetch this)
   const type = visualizationId.includes('bar') ? 'bar' :
@@ -209,5 +575,6 @@ export default {
   getSuitableVisualizationsForAnalysis,
   createVisualization,
   getVisualization,
-  generateChart
+  generateChart,
+  buildChartData
 };
\ No newline at end of file